@@ -1,5 +1,17 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
+const adminRoutes = require('./routes/admin');
+const roundRoutes = require('./routes/rounds');
+const QuizMetrics = require('./services/QuizMetrics');
+const { renderMetrics } = require('./handlers/socketHandlers');
+const { requireAdminToken } = require('./utils/adminAuth');
+const { logger } = require('./utils/logger');
+
+const log = logger.child({ module: 'http' });
+
+// Incoming request IDs are reused only if they look like an ID
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
 
 const app = express();
 
@@ -8,22 +20,38 @@ const app = express();
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id']
 }));
 
+// Request Correlation Middleware
+// Tags every request with an ID (the caller's X-Request-Id, or a new one),
+// echoes it back, and adds it to each log entry written for the request.
+app.use((req, res, next) => {
+  const incomingId = req.get('X-Request-Id');
+  req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+  req.log = log.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const { method, path } = req;
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    req.log.debug('Request completed', {
+      method,
+      path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  });
+
+  next();
+});
+
 // Body Parser Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Request Logging Middleware (Development)
-if (process.env.NODE_ENV === 'development') {
-  app.use((req, res, next) => {
-    console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
-    next();
-  });
-}
-
 // Health Check Endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -35,6 +63,12 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Metrics Endpoint (Prometheus text format, admin token required)
+app.get('/metrics', requireAdminToken, (req, res) => {
+  res.set('Content-Type', QuizMetrics.CONTENT_TYPE);
+  res.status(200).send(renderMetrics());
+});
+
 // Root Endpoint
 app.get('/', (req, res) => {
   res.status(200).json({
@@ -42,11 +76,20 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: '/health',
+      metrics: '/metrics (requires ADMIN_TOKEN)',
+      rounds: '/rounds',
+      admin: '/admin (requires ADMIN_TOKEN)',
       websocket: 'Connect via Socket.io client'
     }
   });
 });
 
+// Round history (read-only)
+app.use('/rounds', roundRoutes);
+
+// Admin API (quiz control, token-protected)
+app.use('/admin', adminRoutes);
+
 // 404 Handler - Must be after all other routes
 app.use((req, res) => {
   res.status(404).json({
@@ -58,7 +101,7 @@ app.use((req, res) => {
 
 // Error Handling Middleware - Must be last
 app.use((err, req, res, next) => {
-  console.error('Error occurred:', err.stack);
+  (req.log || log).error('Unhandled request error', { method: req.method, path: req.path, error: err });
 
   res.status(err.status || 500).json({
     error: err.message || 'Internal Server Error',
@@ -0,0 +1,87 @@
+/**
+ * Payload schemas for every inbound Socket.io event
+ *
+ * Events not listed here are refused with an 'unknown-event' error.
+ * Length limits are deliberately generous - nicknames and room codes are
+ * cleaned up and shortened further by PlayerRegistry and RoomManager -
+ * they exist to turn away junk before it reaches the game.
+ */
+
+const DifficultyController = require('../services/DifficultyController');
+const Room = require('../services/Room');
+const MatchController = require('../services/MatchController');
+const StateManager = require('../services/StateManager');
+const TeamRoster = require('../services/TeamRoster');
+
+// Longest answer accepted (expressions such as "3 1/2" or "(2+3)*4" fit easily)
+const MAX_ANSWER_LENGTH = 100;
+
+// Longest raw nickname, room code, team name or player ID accepted
+const MAX_NAME_LENGTH = 64;
+
+const ROOM = { type: 'string', maxLength: MAX_NAME_LENGTH };
+const DIFFICULTY = { type: 'enum', values: DifficultyController.LEVELS };
+const PLAYER_ID = { type: 'string', required: true, maxLength: MAX_NAME_LENGTH };
+
+// Player namespace ("/")
+const PLAYER_EVENT_SCHEMAS = {
+  'submit-answer': {
+    answer: { type: 'string', required: true, maxLength: MAX_ANSWER_LENGTH, coerceNumber: true }
+  },
+  'set-nickname': {
+    nickname: { type: 'string', required: true, maxLength: MAX_NAME_LENGTH }
+  },
+  'join-room': {
+    room: ROOM
+  },
+  'join-team': {
+    team: { type: 'string', required: true, maxLength: MAX_NAME_LENGTH }
+  },
+  'request-question': {},
+  'request-round-history': {}
+};
+
+// Host namespace ("/host")
+const HOST_EVENT_SCHEMAS = {
+  'watch-room': {
+    room: ROOM
+  },
+  'host-skip': {
+    difficulty: DIFFICULTY
+  },
+  'host-pause': {},
+  'host-resume': {},
+  'host-next': {},
+  'host-set-progression': {
+    mode: { type: 'enum', values: Room.PROGRESSION_MODES, required: true }
+  },
+  'host-match-create': {
+    rounds: { type: 'number', required: true, integer: true, min: 1, max: MatchController.MAX_ROUNDS },
+    difficultySchedule: { type: 'array', maxItems: MatchController.MAX_ROUNDS, items: DIFFICULTY },
+    mode: { type: 'enum', values: MatchController.MODES },
+    lives: { type: 'number', integer: true, min: 1, max: MatchController.MAX_LIVES }
+  },
+  'host-match-start': {},
+  'host-match-end': {},
+  'host-match-close': {},
+  'host-set-teams': {
+    teams: { type: 'array', maxItems: TeamRoster.MAX_TEAMS, items: { type: 'string', maxLength: MAX_NAME_LENGTH } },
+    submissionRule: { type: 'enum', values: StateManager.SUBMISSION_RULES }
+  },
+  'host-set-difficulty': {
+    difficulty: { ...DIFFICULTY, required: true },
+    adaptive: { type: 'boolean' }
+  },
+  'host-disqualify': {
+    playerId: PLAYER_ID
+  },
+  'host-shadow-ban': {
+    playerId: PLAYER_ID,
+    banned: { type: 'boolean' }
+  }
+};
+
+module.exports = {
+  PLAYER_EVENT_SCHEMAS,
+  HOST_EVENT_SCHEMAS
+};
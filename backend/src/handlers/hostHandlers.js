@@ -0,0 +1,208 @@
+/**
+ * Host Namespace Handlers
+ *
+ * Privileged Socket.io namespace ("/host") behind the host dashboard.
+ * Hosts see what players can't - the current answer, every submission
+ * as it arrives, the connected players and anti-cheat flags - and can
+ * skip, pause, resume, start the next question, switch between automatic
+ * and host-advanced progression, run tournament matches, set up teams,
+ * change difficulty, and disqualify or shadow-ban
+ * players without touching the server console.
+ *
+ * Connecting requires the admin token (ADMIN_TOKEN) in the handshake:
+ *   io('/host', { auth: { token, room } })
+ *
+ * Hosts watch a room without playing in it, so they never count as
+ * members and never keep an empty room alive.
+ */
+
+const RoomManager = require('../services/RoomManager');
+const { isAdminEnabled, isValidAdminToken } = require('../utils/adminAuth');
+const { logger } = require('../utils/logger');
+const { validatePacket } = require('../utils/payloadSchema');
+const { HOST_EVENT_SCHEMAS } = require('./eventSchemas');
+const { HOST_NAMESPACE } = require('./socketHandlers');
+const { runRoomCommand } = require('./roomCommands');
+
+const log = logger.child({ module: 'host' });
+
+/**
+ * Sets up the host namespace
+ * @param {Object} io - Socket.io server instance
+ */
+function setupHostHandlers(io) {
+  const hosts = io.of(HOST_NAMESPACE);
+
+  // Only connections with the admin token get in
+  hosts.use((socket, next) => {
+    if (!isAdminEnabled()) {
+      return next(new Error('Host dashboard is disabled (ADMIN_TOKEN is not set)'));
+    }
+    if (!isValidAdminToken(socket.handshake.auth?.token)) {
+      return next(new Error('Invalid host token'));
+    }
+    next();
+  });
+
+  hosts.on('connection', (socket) => {
+    log.info('Host connected', { socketId: socket.id });
+
+    // Check every payload against its schema; invalid controls are answered with the error
+    socket.use((packet, next) => {
+      const result = validatePacket(HOST_EVENT_SCHEMAS, packet);
+      if (result.valid) {
+        next();
+        return;
+      }
+
+      log.debug('Invalid host payload', { socketId: socket.id, event: packet[0], code: result.code, field: result.field });
+      const ack = packet[packet.length - 1];
+      if (typeof ack === 'function') {
+        ack({ ok: false, error: result.message, code: result.code, field: result.field });
+      }
+    });
+
+    watchRoom(io, socket, socket.handshake.auth?.room);
+
+    // Switch to a different room
+    socket.on('watch-room', (data) => {
+      watchRoom(io, socket, data?.room);
+    });
+
+    // Controls - each runs where the room runs and replies through the acknowledgement callback
+    socket.on('host-skip', (data, ack) => {
+      control(io, socket, ack, 'forceNewQuestion', data?.difficulty);
+    });
+
+    socket.on('host-pause', (data, ack) => {
+      control(io, socket, ack, 'pauseRoom');
+    });
+
+    socket.on('host-resume', (data, ack) => {
+      control(io, socket, ack, 'resumeRoom');
+    });
+
+    socket.on('host-next', (data, ack) => {
+      control(io, socket, ack, 'advanceRoom');
+    });
+
+    socket.on('host-set-progression', (data, ack) => {
+      control(io, socket, ack, 'setProgressionMode', data?.mode);
+    });
+
+    socket.on('host-match-create', (data, ack) => {
+      control(io, socket, ack, 'createMatch', {
+        rounds: data?.rounds,
+        difficultySchedule: data?.difficultySchedule,
+        mode: data?.mode,
+        lives: data?.lives
+      });
+    });
+
+    socket.on('host-match-start', (data, ack) => {
+      control(io, socket, ack, 'startMatch');
+    });
+
+    socket.on('host-match-end', (data, ack) => {
+      control(io, socket, ack, 'endMatch');
+    });
+
+    socket.on('host-match-close', (data, ack) => {
+      control(io, socket, ack, 'closeMatch');
+    });
+
+    socket.on('host-set-teams', (data, ack) => {
+      control(io, socket, ack, 'setRoomTeams', {
+        teams: data?.teams,
+        submissionRule: data?.submissionRule
+      });
+    });
+
+    socket.on('host-set-difficulty', (data, ack) => {
+      control(io, socket, ack, 'setRoomDifficulty', data?.difficulty, data?.adaptive);
+    });
+
+    socket.on('host-disqualify', (data, ack) => {
+      control(io, socket, ack, 'disqualifyPlayer', data?.playerId);
+    });
+
+    socket.on('host-shadow-ban', (data, ack) => {
+      control(io, socket, ack, 'setPlayerShadowBan', data?.playerId, data?.banned);
+    });
+
+    socket.on('disconnect', () => {
+      log.info('Host disconnected', { socketId: socket.id });
+    });
+  });
+
+  log.info('Host namespace ready', { namespace: HOST_NAMESPACE });
+}
+
+/**
+ * Points a host connection at a room and sends its snapshot
+ * Updates from a room running on another instance arrive through the
+ * Socket.io adapter, like any other broadcast.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} socket - Host socket
+ * @param {String} requestedCode - Room code requested by the host
+ */
+function watchRoom(io, socket, requestedCode) {
+  const code = RoomManager.normalizeCode(requestedCode) || RoomManager.DEFAULT_ROOM;
+
+  if (socket.data.roomCode) {
+    socket.leave(socket.data.roomCode);
+  }
+
+  socket.join(code);
+  socket.data.roomCode = code;
+
+  runRoomCommand(io, 'getHostSnapshot', code)
+    .then(snapshot => {
+      // Skip snapshots the host has already moved on from
+      if (socket.data.roomCode === code) {
+        socket.emit('host-snapshot', snapshot);
+      }
+    })
+    .catch(error => {
+      log.warn('Could not get room snapshot', { socketId: socket.id, room: code, error });
+      socket.emit('host-snapshot', { room: code, active: false, timestamp: Date.now() });
+    });
+}
+
+/**
+ * Runs a host control on the watched room and replies with its result
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} socket - Host socket
+ * @param {Function} ack - Acknowledgement callback (may be missing)
+ * @param {String} command - Room command (see runRoomCommand)
+ * @param {...*} args - Command arguments after the room code
+ */
+function control(io, socket, ack, command, ...args) {
+  runRoomCommand(io, command, socket.data.roomCode, ...args)
+    .then(result => respond(ack, result), error => respond(ack, false, error.message));
+}
+
+/**
+ * Replies to a host control event
+ * @param {Function} ack - Acknowledgement callback (may be missing)
+ * @param {*} result - Control function result (falsy when the room doesn't exist)
+ * @param {String} error - Optional error message
+ */
+function respond(ack, result, error) {
+  if (typeof ack !== 'function') {
+    return;
+  }
+
+  if (error) {
+    ack({ ok: false, error });
+  } else if (!result) {
+    ack({ ok: false, error: 'Room is not active' });
+  } else {
+    ack({ ok: true, result });
+  }
+}
+
+module.exports = {
+  setupHostHandlers
+};
@@ -0,0 +1,256 @@
+/**
+ * Tests for the host namespace
+ *
+ * Runs the game and the /host namespace on a random local port, then
+ * checks who may connect and that the skip, pause and disqualify
+ * controls act on the watched room.
+ */
+
+process.env.LOG_LEVEL = 'silent';
+process.env.STORAGE_DRIVER = 'memory';
+
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const socketHandlers = require('./socketHandlers');
+const { setupHostHandlers } = require('./hostHandlers');
+
+// Simple test framework (async - connections and acknowledgements are promises)
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+async function test(description, testFunction) {
+  try {
+    await testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+const ADMIN_TOKEN = 'secret-token';
+let baseUrl;
+
+/**
+ * Waits for the next occurrence of an event
+ * @param {Object} socket - Client socket
+ * @param {String} event - Event name
+ * @param {Number} timeoutMs - How long to wait
+ * @returns {Promise<*>} The event's payload
+ */
+function nextEvent(socket, event, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No '${event}' within ${timeoutMs}ms`)), timeoutMs);
+    socket.once(event, data => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+/**
+ * Connects to the host namespace
+ * @param {Object} auth - Handshake auth ({ token, room })
+ * @returns {Promise<Object>} { socket, snapshot } once connected, or { error } if refused
+ */
+function connectHost(auth) {
+  const socket = connect(`${baseUrl}/host`, { auth, reconnection: false, forceNew: true });
+
+  return new Promise(resolve => {
+    socket.once('host-snapshot', snapshot => resolve({ socket, snapshot }));
+    socket.once('connect_error', error => {
+      socket.close();
+      resolve({ error });
+    });
+  });
+}
+
+/**
+ * Runs a host control and waits for its acknowledgement
+ * @param {Object} socket - Host socket
+ * @param {String} event - Control event
+ * @param {Object} data - Control payload
+ * @returns {Promise<Object>} { ok, result } or { ok: false, error }
+ */
+function control(socket, event, data = {}) {
+  return socket.timeout(2000).emitWithAck(event, data);
+}
+
+async function run() {
+  const server = http.createServer();
+  const io = new Server(server);
+  socketHandlers.setupSocketHandlers(io);
+  setupHostHandlers(io);
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const lobby = await new Promise(resolve => {
+    const check = setInterval(() => {
+      const room = socketHandlers._roomManager.get('lobby');
+      if (room && room.stateManager.getCurrentQuestion()) {
+        clearInterval(check);
+        resolve(room);
+      }
+    }, 20);
+  });
+
+  const player = connect(baseUrl, { auth: { nickname: 'Mallory' }, reconnection: false, forceNew: true });
+  const { playerId } = await nextEvent(player, 'player-identity');
+
+  console.log('\n🧪 Running Host Namespace Tests\n');
+
+  // Test 1: Disabled without a token
+  await test('The host dashboard is disabled when ADMIN_TOKEN is unset', async () => {
+    delete process.env.ADMIN_TOKEN;
+
+    const { error } = await connectHost({ token: ADMIN_TOKEN });
+    assert(error, 'Expected the connection to be refused');
+    assertEqual(error.message, 'Host dashboard is disabled (ADMIN_TOKEN is not set)');
+  });
+
+  process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+
+  // Test 2: Wrong tokens
+  await test('Connections without the admin token are refused', async () => {
+    const attempts = [
+      {},
+      { token: '' },
+      { token: 'secret-tokeN' },
+      { token: 'secret' },
+      { token: `${ADMIN_TOKEN}x` },
+      { token: 12345 }
+    ];
+
+    for (const auth of attempts) {
+      const { error } = await connectHost(auth);
+      assert(error, `Expected ${JSON.stringify(auth)} to be refused`);
+      assertEqual(error.message, 'Invalid host token');
+    }
+  });
+
+  // Test 3: The right token
+  await test('Hosts with the admin token see the room, answer included', async () => {
+    const { socket, snapshot } = await connectHost({ token: ADMIN_TOKEN, room: 'Lobby' });
+    assert(socket, 'Expected the host to connect');
+
+    assertEqual(snapshot.room, 'lobby', 'The room code is normalized');
+    assert(snapshot.active);
+    assertEqual(snapshot.question.id, lobby.stateManager.getCurrentQuestion().id);
+    assertEqual(snapshot.question.answer, lobby.stateManager.getCurrentQuestion().answer);
+    assert(snapshot.players.some(entry => entry.playerId === playerId), 'The connected player is listed');
+    assert(!lobby.members.has(socket.id), 'Hosts never count as room members');
+
+    socket.close();
+  });
+
+  const { socket: host } = await connectHost({ token: ADMIN_TOKEN });
+
+  // Test 4: Skip
+  await test('Skipping starts a new question', async () => {
+    const before = lobby.stateManager.getCurrentQuestion().id;
+    const question = nextEvent(player, 'new-question');
+
+    const ack = await control(host, 'host-skip', {});
+    assert(ack.ok, `Expected the skip to succeed: ${ack.error}`);
+
+    const { questionId } = await question;
+    assert(questionId !== before, 'Players get a different question');
+    assertEqual(lobby.stateManager.getCurrentQuestion().id, questionId);
+  });
+
+  // Test 5: Pause and resume
+  await test('Pausing and resuming reach the players', async () => {
+    const paused = nextEvent(player, 'quiz-paused');
+    const pauseAck = await control(host, 'host-pause');
+    assert(pauseAck.ok);
+    await paused;
+    assertEqual(lobby.progressionMode, 'paused');
+
+    const resumed = nextEvent(player, 'quiz-resumed');
+    const resumeAck = await control(host, 'host-resume');
+    assert(resumeAck.ok);
+    await resumed;
+    assertEqual(lobby.progressionMode, 'auto');
+  });
+
+  // Test 6: Disqualify
+  await test('A disqualified player cannot answer the question', async () => {
+    const ack = await control(host, 'host-disqualify', { playerId });
+    assert(ack.ok);
+    assertEqual(ack.result.playerId, playerId);
+    assertEqual(ack.result.disqualified, true);
+
+    const rejected = nextEvent(player, 'submission-rejected');
+    player.emit('submit-answer', { answer: String(lobby.stateManager.getCurrentQuestion().answer) });
+    assertEqual((await rejected).reason, 'disqualified');
+    assertEqual(lobby.stateManager.getWinners().length, 0, 'The correct answer did not win');
+  });
+
+  // Test 7: Bad requests
+  await test('Invalid controls are answered with the error', async () => {
+    const missing = await control(host, 'host-disqualify', {});
+    assertEqual(missing.ok, false);
+    assertEqual(missing.code, 'missing-field');
+
+    const wrongType = await control(host, 'host-skip', { difficulty: 42 });
+    assertEqual(wrongType.ok, false);
+
+    const badDifficulty = await control(host, 'host-set-difficulty', { difficulty: 'impossible' });
+    assertEqual(badDifficulty.ok, false);
+    assert(badDifficulty.error, 'The error is sent back');
+  });
+
+  await test('Controls for a room that is not running are refused', async () => {
+    const snapshot = nextEvent(host, 'host-snapshot');
+    host.emit('watch-room', { room: 'nowhere' });
+    assertEqual((await snapshot).active, false);
+
+    const ack = await control(host, 'host-pause');
+    assertEqual(ack.ok, false);
+    assertEqual(ack.error, 'Room is not active');
+    assert(!socketHandlers._roomManager.has('nowhere'), 'Watching a room does not open it');
+  });
+
+  host.close();
+  player.close();
+  io.close();
+  server.close();
+
+  // Print Summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`📊 Test Summary`);
+  console.log('='.repeat(50));
+  console.log(`✅ Passed: ${testsPassed}`);
+  console.log(`❌ Failed: ${testsFailed}`);
+  console.log(`📈 Total: ${testsPassed + testsFailed}`);
+  console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+  console.log('='.repeat(50) + '\n');
+
+  if (testsFailed === 0) {
+    console.log('🎉 All tests passed!\n');
+    process.exit(0);
+  } else {
+    console.log('⚠️  Some tests failed. Please review.\n');
+    process.exit(1);
+  }
+}
+
+run();
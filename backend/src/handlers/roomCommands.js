@@ -0,0 +1,126 @@
+/**
+ * Room Commands
+ *
+ * Host and admin commands for a room, run on the instance running the
+ * room. Rooms running on this instance are handled directly; commands
+ * for any other room are sent to the holder of the room's lease over the
+ * InstanceBus, so the admin API and host dashboard work on any instance.
+ */
+
+const { logger } = require('../utils/logger');
+const {
+  instanceBus,
+  getRoomInstance,
+  getQuizState,
+  getHostSnapshot,
+  forceNewQuestion,
+  restartRoom,
+  pauseRoom,
+  resumeRoom,
+  advanceRoom,
+  setProgressionMode,
+  createMatch,
+  startMatch,
+  endMatch,
+  closeMatch,
+  setRoomDifficulty,
+  setRoomTeams,
+  updateRoomSettings,
+  disqualifyPlayer,
+  setPlayerShadowBan
+} = require('./socketHandlers');
+
+const log = logger.child({ module: 'room-commands' });
+
+// Each is called with (io, roomCode, ...args) and returns a JSON-serializable result
+const ROOM_COMMANDS = {
+  getRoomState: (io, roomCode) => getQuizState(roomCode),
+  getHostSnapshot,
+  forceNewQuestion,
+  restartRoom,
+  pauseRoom,
+  resumeRoom,
+  advanceRoom,
+  setProgressionMode,
+  createMatch,
+  startMatch,
+  endMatch,
+  closeMatch,
+  setRoomDifficulty,
+  setRoomTeams,
+  updateRoomSettings,
+  disqualifyPlayer,
+  setPlayerShadowBan
+};
+
+/**
+ * Answers the other instances' commands for the rooms running here
+ * @param {Object} io - Socket.io server instance
+ */
+function setupRoomCommands(io) {
+  // Commands are run here and never forwarded again
+  instanceBus.handle('room-command', ({ command, roomCode, args }) => {
+    if (!Object.hasOwn(ROOM_COMMANDS, command)) {
+      throw new Error(`Unknown room command '${command}'`);
+    }
+
+    // JSON turns undefined arguments into null; commands expect them left out
+    return ROOM_COMMANDS[command](io, roomCode, ...args.map(arg => (arg === null ? undefined : arg)));
+  });
+
+  // The admin overview of every room
+  instanceBus.handle('room-states', () => getQuizState().rooms);
+}
+
+/**
+ * Runs a host or admin command on the instance running the room
+ * Rooms nobody runs get the command's own "no such room" result.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {String} command - Command name (a key of ROOM_COMMANDS)
+ * @param {String} roomCode - Room code
+ * @param {...*} args - Command arguments after the room code
+ * @returns {Promise<*>} The command's result
+ * @throws {Error} The command's error, or one with code 'instance-unavailable'
+ *   if the room's instance didn't answer
+ */
+async function runRoomCommand(io, command, roomCode, ...args) {
+  const owner = await getRoomInstance(roomCode);
+  if (owner && owner !== instanceBus.instanceId) {
+    return instanceBus.request(owner, 'room-command', { command, roomCode, args });
+  }
+
+  return ROOM_COMMANDS[command](io, roomCode, ...args);
+}
+
+/**
+ * Gets the state of every room on every instance
+ * Instances that don't answer are listed as unreachable rather than
+ * failing the whole overview.
+ *
+ * @returns {Promise<Object>} getQuizState() with the other instances' rooms
+ *   added, plus instances: [{ id, reachable }]
+ */
+async function getClusterState() {
+  const state = getQuizState();
+  const peers = instanceBus.getPeers();
+
+  const replies = await Promise.all(peers.map(peer => instanceBus.request(peer, 'room-states')
+    .catch(error => {
+      log.warn('Instance did not report its rooms', { instance: peer, error });
+      return null;
+    })));
+
+  replies.forEach(rooms => state.rooms.push(...(rooms || [])));
+  state.instances = [
+    { id: instanceBus.instanceId, reachable: true },
+    ...peers.map((id, index) => ({ id, reachable: replies[index] !== null }))
+  ];
+  return state;
+}
+
+module.exports = {
+  setupRoomCommands,
+  runRoomCommand,
+  getClusterState
+};
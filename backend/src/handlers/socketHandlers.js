@@ -2,280 +2,2739 @@
  * Socket.io Event Handlers
  *
  * Handles all WebSocket events for the Math Quiz application.
- * Integrates QuestionGenerator and StateManager for complete
+ * Integrates question providers and StateManager for complete
  * concurrency control and question lifecycle management.
+ *
+ * Every client belongs to exactly one named room. Each room runs its
+ * own independent game, and broadcasts are scoped with io.to(room).
+ *
+ * Several instances can share a Redis server (STATE_STORE=redis). Each
+ * room's game then runs on the instance holding the room's lease, and
+ * every win is claimed in the shared store before it's announced.
+ * Players connected to another instance play through the PlayerRelay;
+ * host and admin commands reach the room through roomCommands.js.
  */
 
-const QuestionGenerator = require('../services/QuestionGenerator');
+const os = require('os');
+const crypto = require('crypto');
+const RoomManager = require('../services/RoomManager');
+const PlayerRegistry = require('../services/PlayerRegistry');
+const LatencyTracker = require('../services/LatencyTracker');
+const DifficultyController = require('../services/DifficultyController');
+const QuizMetrics = require('../services/QuizMetrics');
+const RateLimiter = require('../services/RateLimiter');
+const AntiCheat = require('../services/AntiCheat');
+const QuestionStateMachine = require('../services/QuestionStateMachine');
+const MatchController = require('../services/MatchController');
 const StateManager = require('../services/StateManager');
-const StateMachineLogger = require('../services/StateMachineLogger');
+const { getClientAddress } = require('../utils/clientAddress');
+const { validatePacket } = require('../utils/payloadSchema');
+const { PLAYER_EVENT_SCHEMAS } = require('./eventSchemas');
+const { logger } = require('../utils/logger');
 
-// Initialize services
-const questionGenerator = new QuestionGenerator();
-const stateManager = new StateManager();
-const stateMachine = new StateMachineLogger();
+const log = logger.child({ module: 'socket' });
+const { createProviderFactory } = require('../services/providers');
+const { createRoundStore } = require('../services/storage');
+const { createStateStore, InstanceBus, PlayerRelay } = require('../services/state');
 
-// Question progression configuration
-const WINNER_DISPLAY_DURATION = 3000; // 3 seconds to display winner
+// Question progression configuration (both adjustable per room at runtime)
+const WINNER_DISPLAY_DURATION = parseInt(process.env.WINNER_DISPLAY_DURATION_MS, 10) || 3000; // Time to display the winner
+const GRACE_PERIOD_MS = process.env.GRACE_PERIOD_MS !== undefined
+  ? parseInt(process.env.GRACE_PERIOD_MS, 10)
+  : undefined; // StateManager default when unset
 const DEFAULT_DIFFICULTY = 'medium';
 
-// Track question timeout for automatic progression
-let questionTimeout = null;
+// How each room's next question starts ('auto', 'host-advance' or 'paused')
+const PROGRESSION_MODE = process.env.PROGRESSION_MODE || 'auto';
+
+// Step difficulty up or down based on how recent rounds went
+const ADAPTIVE_DIFFICULTY = process.env.ADAPTIVE_DIFFICULTY !== 'false';
+
+// Winner resolution configuration ('instant' or 'grace-period')
+const WINNER_RESOLUTION_MODE = process.env.WINNER_RESOLUTION_MODE || 'instant';
+
+// Attempt policy for each question ('single', 'limited' or 'unlimited')
+const ATTEMPT_POLICY = {
+  mode: process.env.ATTEMPT_MODE || 'limited',
+  maxAttempts: parseInt(process.env.MAX_ATTEMPTS, 10) || 3,
+  cooldownMs: parseInt(process.env.ATTEMPT_COOLDOWN_MS, 10) || 0,
+  penaltyPoints: parseInt(process.env.ATTEMPT_PENALTY_POINTS, 10) || 0
+};
+
+// Team play: comma-separated team names (unset for none), and who may answer
+// each question ('per-player', or 'per-team' for one captain per team)
+const TEAM_NAMES = (process.env.TEAMS || '').split(',').map(name => name.trim()).filter(Boolean);
+const SUBMISSION_RULE = process.env.TEAM_SUBMISSION_RULE || 'per-player';
+
+// Time allowed to answer each question (0 disables the limit)
+const QUESTION_TIME_LIMIT = process.env.QUESTION_TIME_LIMIT_MS !== undefined
+  ? parseInt(process.env.QUESTION_TIME_LIMIT_MS, 10) || 0
+  : 30000;
+
+// Question source ('generator', 'bank' or 'mixed') and the curated bank to use
+const QUESTION_PROVIDER_CONFIG = {
+  source: process.env.QUESTION_SOURCE || 'generator',
+  bankPath: process.env.QUESTION_BANK_PATH,
+  bankRatio: process.env.QUESTION_BANK_RATIO !== undefined ? parseFloat(process.env.QUESTION_BANK_RATIO) : 0.5,
+  bankOrder: process.env.QUESTION_BANK_ORDER
+};
+
+// Where finished rounds are recorded ('sqlite' or 'memory') so history and scores survive restarts
+const STORAGE_CONFIG = {
+  driver: process.env.STORAGE_DRIVER || 'sqlite',
+  path: process.env.STORAGE_PATH || undefined // backend/data/quiz.sqlite by default
+};
+
+// State shared between server instances ('memory' for a single instance,
+// 'redis' to run several behind a load balancer)
+const STATE_STORE_CONFIG = {
+  driver: process.env.STATE_STORE || 'memory',
+  url: process.env.REDIS_URL
+};
+
+// Each room's game runs on exactly one instance: the one holding the room's
+// lease. Leases are renewed while the room is open and lapse if the instance dies.
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+const ROOM_LEASE_TTL_MS = parseInt(process.env.ROOM_LEASE_TTL_MS, 10) || 15000;
+const ROOM_LEASE_RENEW_INTERVAL = Math.round(ROOM_LEASE_TTL_MS / 3);
+
+// Most rooms one instance runs at once (players asking for more go to the lobby)
+const MAX_ROOMS = parseInt(process.env.MAX_ROOMS, 10) || RoomManager.DEFAULT_MAX_ROOMS;
+
+// How often each connection's round-trip time is measured
+const LATENCY_PING_INTERVAL = 5000;
+const LATENCY_PING_TIMEOUT = 2000;
+
+// Inbound event limits: every event from a client takes one token from its
+// socket's bucket and one from its IP address's bucket
+const RATE_LIMITS = {
+  socket: {
+    capacity: parseInt(process.env.RATE_LIMIT_SOCKET_BURST, 10) || 10,
+    refillPerSecond: parseFloat(process.env.RATE_LIMIT_SOCKET_PER_SECOND) || 3
+  },
+  ip: {
+    capacity: parseInt(process.env.RATE_LIMIT_IP_BURST, 10) || 60,
+    refillPerSecond: parseFloat(process.env.RATE_LIMIT_IP_PER_SECOND) || 20
+  }
+};
+
+// How often idle per-IP buckets are dropped
+const RATE_LIMIT_PRUNE_INTERVAL = 60000;
+
+// Scripted-answering detection and what to do with flagged players
+// ('flag', 'disqualify' or 'shadow-ban')
+const ANTI_CHEAT_CONFIG = {
+  action: process.env.ANTI_CHEAT_ACTION || 'flag',
+  maxPlayersPerDevice: parseInt(process.env.ANTI_CHEAT_MAX_PLAYERS_PER_DEVICE, 10) || 2,
+  maxAnswersPerDevice: parseInt(process.env.ANTI_CHEAT_MAX_ANSWERS_PER_DEVICE, 10) || 5,
+  minAnswerMs: parseInt(process.env.ANTI_CHEAT_MIN_ANSWER_MS, 10) || 400,
+  msPerCharacter: parseInt(process.env.ANTI_CHEAT_MS_PER_CHARACTER, 10) || 30
+};
+
+// How often players who left a while ago are forgotten
+const PLAYER_PRUNE_INTERVAL = 5 * 60 * 1000;
+
+// Server metrics (scraped from /metrics)
+const quizMetrics = new QuizMetrics();
+
+// Initialize room and player registries
+const roomManager = new RoomManager({
+  resolutionMode: WINNER_RESOLUTION_MODE,
+  gracePeriodMs: GRACE_PERIOD_MS,
+  winnerDisplayDurationMs: WINNER_DISPLAY_DURATION,
+  progressionMode: PROGRESSION_MODE,
+  attemptPolicy: ATTEMPT_POLICY,
+  submissionRule: SUBMISSION_RULE,
+  teams: TEAM_NAMES,
+  questionTimeLimitMs: QUESTION_TIME_LIMIT,
+  createQuestionProvider: createProviderFactory(QUESTION_PROVIDER_CONFIG),
+  initialDifficulty: DEFAULT_DIFFICULTY,
+  adaptiveDifficulty: ADAPTIVE_DIFFICULTY,
+  onStateTransition: transition => quizMetrics.recordStateTransition(transition)
+}, { maxRooms: MAX_ROOMS });
+const playerRegistry = new PlayerRegistry();
+const latencyTracker = new LatencyTracker();
+const socketRateLimiter = new RateLimiter(RATE_LIMITS.socket);
+const ipRateLimiter = new RateLimiter(RATE_LIMITS.ip);
+const antiCheat = new AntiCheat(ANTI_CHEAT_CONFIG);
+const roundStore = createRoundStore(STORAGE_CONFIG);
+const stateStore = createStateStore(STATE_STORE_CONFIG);
+const instanceBus = new InstanceBus({
+  store: stateStore,
+  instanceId: INSTANCE_ID,
+  heartbeatIntervalMs: ROOM_LEASE_RENEW_INTERVAL
+});
+
+// Players connected to one instance whose room runs on another
+const playerRelay = new PlayerRelay({
+  bus: instanceBus,
+  openRoom,
+  enterRoom,
+  leaveRoom,
+  handleEvent: (io, socket, event, data) => {
+    if (Object.hasOwn(ROOM_EVENT_HANDLERS, event)) {
+      ROOM_EVENT_HANDLERS[event](io, socket, data);
+    }
+  },
+  onRemoteJoin: (socket, player) => {
+    playerRegistry.trackRemote(player);
+    if (player.rttMs > 0) {
+      latencyTracker.record(socket.id, player.rttMs);
+    }
+  },
+  onRemoteLeave: socket => {
+    latencyTracker.remove(socket.id);
+    playerRegistry.release(socket.data.playerId);
+  }
+});
+
+// Number of players shown on the leaderboard
+const LEADERBOARD_SIZE = 10;
+
+// Number of past rounds pushed to clients in 'round-history'
+const ROUND_HISTORY_SIZE = 10;
+
+// Namespace for privileged host dashboards (see hostHandlers.js)
+const HOST_NAMESPACE = '/host';
 
 /**
  * Sets up all Socket.io event handlers
  * @param {Object} io - Socket.io server instance
  */
 function setupSocketHandlers(io) {
-  console.log('📡 Setting up Socket.io event handlers...');
+  log.info('Setting up Socket.io event handlers');
+
+  // Visualize the state machine on startup (readable logs only)
+  if (logger.format === 'pretty' && logger.isLevelEnabled('info')) {
+    new QuestionStateMachine().visualizeStateMachine();
+  }
+
+  // Refresh point-in-time metrics on each scrape
+  const lifecycleStates = QuestionStateMachine.STATES;
+  quizMetrics.registry.addCollector(() => {
+    quizMetrics.setRoomStates(roomManager.list().map(room => room.stateMachine.getCurrentState()), lifecycleStates);
+  });
+  quizMetrics.startEventLoopMonitor();
+
+  // Forget IP addresses that have gone quiet
+  setInterval(() => ipRateLimiter.prune(), RATE_LIMIT_PRUNE_INTERVAL).unref();
+
+  // Forget players who left a while ago (keeps scripted reconnects from piling up)
+  setInterval(() => playerRegistry.prune(), PLAYER_PRUNE_INTERVAL).unref();
+
+  // Keep this instance's rooms; give up any another instance has taken over
+  setInterval(() => renewRoomLeases(io), ROOM_LEASE_RENEW_INTERVAL).unref();
 
-  // Visualize the state machine on startup
-  stateMachine.visualizeStateMachine();
+  // Drop players relayed to or from instances that have gone away
+  setInterval(() => playerRelay.dropLost(), ROOM_LEASE_RENEW_INTERVAL).unref();
 
-  // Generate the first question when server starts
-  generateNewQuestion(io);
+  // Serve other instances' players in the rooms running here
+  playerRelay.start(io);
+  instanceBus.start()
+    .catch(error => log.error('Failed to listen for other instances', { error }));
+
+  // Open the default lobby and start its game
+  // (unless another instance is already running it)
+  log.info('Shared state ready', { driver: stateStore.name, instanceId: INSTANCE_ID });
+  openRoom(io, RoomManager.DEFAULT_ROOM)
+    .then(opened => {
+      if (opened?.created) {
+        startRoom(io, opened.room);
+      } else if (!opened) {
+        log.info('Lobby is running on another instance', { room: RoomManager.DEFAULT_ROOM });
+      }
+    })
+    .catch(error => log.error('Failed to open the lobby', { error }));
 
   // Handle new connections
   io.on('connection', (socket) => {
-    console.log(`[${new Date().toISOString()}] ✅ User connected: ${socket.id}`);
+    // Resolve the persistent player identity from the handshake
+    const { playerToken, nickname, team } = socket.handshake.auth || {};
+    const player = playerRegistry.resolve(playerToken, nickname);
+    socket.data.playerId = player.id;
+    socket.data.requestedTeam = typeof team === 'string' ? team : null;
+    quizMetrics.recordConnection();
 
-    // Send the current question to the newly connected user
-    sendCurrentQuestionToUser(socket);
+    // Every entry about this connection carries its socket and player IDs
+    socket.data.log = log.child({ socketId: socket.id, playerId: player.id });
+    socket.data.log.info('User connected', { nickname: player.nickname });
+
+    // Throttle every inbound event (dropped events are never handled)
+    socket.data.address = getClientAddress(socket);
+    socket.use(([event], next) => {
+      if (checkRateLimit(socket, event)) {
+        next();
+      }
+    });
+
+    // Check every payload against its schema (handlers only see validated copies)
+    socket.use((packet, next) => {
+      const result = validatePacket(PLAYER_EVENT_SCHEMAS, packet);
+      if (result.valid) {
+        next();
+      } else {
+        rejectInvalidPayload(socket, packet[0], result);
+      }
+    });
+
+    // Anti-cheat correlates submissions by device (address plus browser fingerprint)
+    socket.data.device = AntiCheat.getDeviceKey(
+      socket.data.address,
+      socket.handshake.auth?.fingerprint || socket.handshake.headers['user-agent']
+    );
+
+    // Tell the client who they are (the token is only ever sent to its owner)
+    sendPlayerIdentity(socket, player);
+
+    // Measure round-trip time for latency-compensated winner resolution
+    measureLatency(socket);
+    const latencyInterval = setInterval(() => measureLatency(socket), LATENCY_PING_INTERVAL);
+
+    // Join the room requested in the handshake (or the default lobby)
+    const requestedRoom = socket.handshake.auth?.room || socket.handshake.query?.room;
+    joinRoom(socket, requestedRoom, io).catch(error => {
+      socket.data.log.error('Failed to join room', { room: requestedRoom, error });
+    });
 
     // Handle answer submissions
     socket.on('submit-answer', (data) => {
-      handleAnswerSubmission(socket, data, io);
+      handleRoomEvent(io, socket, 'submit-answer', data);
+    });
+
+    // Handle display name changes
+    socket.on('set-nickname', (data) => {
+      const updated = playerRegistry.setNickname(socket.data.playerId, data?.nickname);
+
+      if (!updated) {
+        socket.emit('submission-error', {
+          code: 'invalid-value',
+          error: 'Invalid nickname',
+          message: 'Nickname must contain printable characters',
+          event: 'set-nickname',
+          field: 'nickname',
+          timestamp: Date.now()
+        });
+        return;
+      }
+
+      sendPlayerIdentity(socket, updated);
+      handleRoomEvent(io, socket, 'nickname-changed', { nickname: updated.nickname });
+    });
+
+    // Handle picking a team
+    socket.on('join-team', (data) => {
+      handleRoomEvent(io, socket, 'join-team', data);
+    });
+
+    // Handle switching to a different room
+    socket.on('join-room', (data) => {
+      joinRoom(socket, data?.room, io).catch(error => {
+        socket.data.log.error('Failed to join room', { room: data?.room, error });
+      });
     });
 
     // Handle disconnections
     socket.on('disconnect', () => {
-      console.log(`[${new Date().toISOString()}] ❌ User disconnected: ${socket.id}`);
+      socket.data.log.info('User disconnected');
+      clearInterval(latencyInterval);
+      latencyTracker.remove(socket.id);
+      socketRateLimiter.remove(socket.id);
+      playerRegistry.release(socket.data.playerId);
+      quizMetrics.recordDisconnection();
+      leaveRoom(socket, io);
     });
 
     // Handle explicit request for current question
     socket.on('request-question', () => {
-      sendCurrentQuestionToUser(socket);
+      handleRoomEvent(io, socket, 'request-question');
+    });
+
+    // Handle explicit request for the room's past rounds
+    socket.on('request-round-history', () => {
+      handleRoomEvent(io, socket, 'request-round-history');
     });
   });
 
-  console.log('✅ Socket.io event handlers ready');
+  log.info('Socket.io event handlers ready');
+}
+
+// Player events that are handled where the player's room runs
+// Each handler is called with (io, socket, data); sockets may be remote stand-ins.
+const ROOM_EVENT_HANDLERS = {
+  'submit-answer': (io, socket, data) => handleAnswerSubmission(socket, data, io),
+  'join-team': (io, socket, data) => changeTeam(socket, data.team, io),
+  'request-question': (io, socket) => sendCurrentQuestionToUser(socket),
+  'request-round-history': (io, socket) => {
+    const room = getSocketRoom(socket);
+    if (room) {
+      socket.emit('round-history', buildRoundHistory(room));
+    }
+  },
+  'nickname-changed': (io, socket, data) => {
+    if (socket.relay) {
+      playerRegistry.setNickname(socket.data.playerId, data.nickname);
+    }
+
+    const room = getSocketRoom(socket);
+    if (room) {
+      refreshHosts(io, room);
+    }
+  },
+  latency: (io, socket, data) => {
+    latencyTracker.record(socket.id, data.rttMs);
+  }
+};
+
+/**
+ * Handles a player event for the socket's room
+ * Events for rooms running on another instance are relayed there.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} socket - Socket.io socket instance
+ * @param {String} event - Event name (a key of ROOM_EVENT_HANDLERS)
+ * @param {Object} data - Validated event payload
+ */
+function handleRoomEvent(io, socket, event, data) {
+  if (!playerRelay.relayEvent(socket, event, data)) {
+    ROOM_EVENT_HANDLERS[event](io, socket, data);
+  }
 }
 
 /**
- * Sends the current question to a specific user
+ * Takes a token for an inbound event from the socket's and the IP's buckets
+ * Both buckets are checked first, so a refused event costs neither. When
+ * either is empty the event is dropped and the client gets a
+ * 'rate-limited' notice - once per throttled stretch, not once per event.
+ *
  * @param {Object} socket - Socket.io socket instance
+ * @param {String} event - Name of the inbound event
+ * @returns {Boolean} True if the event may be handled
  */
-function sendCurrentQuestionToUser(socket) {
-  const currentQuestion = stateManager.getCurrentQuestion();
+function checkRateLimit(socket, event) {
+  const now = Date.now();
 
-  if (currentQuestion) {
-    socket.emit('current-question', {
-      question: currentQuestion.question,
-      questionId: currentQuestion.id,
-      difficulty: currentQuestion.difficulty,
-      timestamp: Date.now()
-    });
+  let scope = 'socket';
+  let result = socketRateLimiter.check(socket.id, 1, now);
+  if (result.allowed) {
+    scope = 'ip';
+    result = ipRateLimiter.check(socket.data.address, 1, now);
+  }
 
-    console.log(`📤 Sent current question to ${socket.id}: ${currentQuestion.question}`);
-  } else {
-    socket.emit('waiting-for-question', {
-      message: 'Waiting for next question...',
-      timestamp: Date.now()
+  if (result.allowed) {
+    socketRateLimiter.consume(socket.id, 1, now);
+    ipRateLimiter.consume(socket.data.address, 1, now);
+    return true;
+  }
+
+  quizMetrics.recordRateLimited(scope);
+
+  if (now >= (socket.data.rateLimitedUntil || 0)) {
+    socket.data.log.warn('Rate limited', { event, scope, address: socket.data.address, retryAfterMs: result.retryAfterMs });
+    socket.emit('rate-limited', {
+      event,
+      scope,
+      retryAfterMs: result.retryAfterMs,
+      message: scope === 'ip'
+        ? 'Too many requests from your network. Please slow down.'
+        : 'Too many requests. Please slow down.',
+      timestamp: now
     });
   }
+  socket.data.rateLimitedUntil = now + result.retryAfterMs;
+
+  return false;
 }
 
 /**
- * Handles answer submission from a user
- * Implements race condition prevention and concurrency control
+ * Tells a client its event was refused because the payload failed validation
+ * The payload itself is never logged - it may hold an answer.
  *
  * @param {Object} socket - Socket.io socket instance
- * @param {Object} data - Submission data { answer }
- * @param {Object} io - Socket.io server instance
+ * @param {String} event - Name of the inbound event
+ * @param {Object} result - Failed validation ({ code, field, message })
  */
-function handleAnswerSubmission(socket, data, io) {
-  const { answer } = data;
-  const socketId = socket.id;
-  const timestamp = Date.now(); // Server timestamp (critical for fairness)
+function rejectInvalidPayload(socket, event, { code, field, message }) {
+  socket.data.log.debug('Invalid payload', { event, code, field });
+
+  if (event === 'submit-answer') {
+    quizMetrics.recordRejection(code);
+  }
 
-  console.log(`[${new Date(timestamp).toISOString()}] 📥 Submission from ${socketId}: ${answer}`);
+  socket.emit('submission-error', {
+    code,
+    error: 'Invalid payload',
+    message,
+    event,
+    field,
+    timestamp: Date.now()
+  });
+}
 
-  // Validate input
-  if (answer === undefined || answer === null || answer === '') {
-    socket.emit('submission-error', {
-      error: 'Invalid answer',
-      message: 'Answer cannot be empty',
-      timestamp
-    });
+/**
+ * Pings a client and records the round-trip time of the acknowledgement
+ * @param {Object} socket - Socket.io socket instance
+ */
+function measureLatency(socket) {
+  const sentAt = Date.now();
+
+  socket.timeout(LATENCY_PING_TIMEOUT).emit('latency-ping', { sentAt }, (err) => {
+    if (err) {
+      return; // No ack in time - keep the previous measurement
+    }
+    const rttMs = Date.now() - sentAt;
+    latencyTracker.record(socket.id, rttMs);
+    playerRelay.relayEvent(socket, 'latency', { rttMs });
+  });
+}
+
+/**
+ * Sends a player their own identity, including the secret token
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} player - Player profile from the registry
+ */
+function sendPlayerIdentity(socket, player) {
+  socket.emit('player-identity', {
+    ...PlayerRegistry.toPublic(player),
+    playerToken: player.token,
+    timestamp: Date.now()
+  });
+}
+
+/**
+ * Gets the room a socket currently belongs to
+ * @param {Object} socket - Socket.io socket instance
+ * @returns {Room|undefined} The socket's room
+ */
+function getSocketRoom(socket) {
+  return roomManager.get(socket.data.roomCode);
+}
+
+/**
+ * Moves a socket into a room, creating the room if needed
+ * Leaves the previous room first and sends the room's current question.
+ * If another instance runs the room, the socket joins it through that
+ * instance (see relayJoin); if that instance can't be reached, the socket
+ * is left without a room and gets 'room-unavailable' so the client
+ * reconnects. A new room past the room limit is refused and the socket
+ * joins the lobby instead.
+ *
+ * @param {Object} socket - Socket.io socket instance
+ * @param {String} requestedCode - Room code requested by the client
+ * @param {Object} io - Socket.io server instance
+ */
+async function joinRoom(socket, requestedCode, io) {
+  const code = RoomManager.normalizeCode(requestedCode) || RoomManager.DEFAULT_ROOM;
+
+  if (socket.data.roomCode === code) {
+    handleRoomEvent(io, socket, 'request-question');
     return;
   }
 
-  // Record the submission (handles double submission and lock checks)
-  const recordResult = stateManager.recordSubmission(socketId, answer, timestamp);
+  // Only the latest request counts if the client asks again while a lease is pending
+  const joinId = (socket.data.joinId || 0) + 1;
+  socket.data.joinId = joinId;
 
-  if (!recordResult.success) {
-    // Submission rejected (already submitted, locked, or no question)
-    socket.emit('submission-rejected', {
-      reason: recordResult.reason,
-      message: recordResult.message,
-      timestamp
-    });
+  let opened;
+  try {
+    opened = await openRoom(io, code);
+  } catch (error) {
+    socket.data.log.error('Could not reach shared state to open room', { room: code, error });
+    opened = null;
+  }
 
-    console.log(`❌ Submission rejected from ${socketId}: ${recordResult.reason}`);
+  if (socket.data.joinId !== joinId || !socket.connected) {
     return;
   }
 
-  // Validate the answer against the correct answer
-  const currentQuestion = stateManager.getCurrentQuestion();
-  const isCorrect = questionGenerator.validate(answer, currentQuestion.answer);
+  if (!opened) {
+    leaveRoom(socket, io);
 
-  console.log(`🔍 Answer validation for ${socketId}: ${isCorrect ? 'CORRECT' : 'INCORRECT'}`);
+    const joined = await relayJoin(socket, code, joinId).catch(error => {
+      socket.data.log.warn('Could not join room on its instance', { room: code, error });
+      return false;
+    });
 
-  // Attempt to claim victory (atomic operation)
-  const isWinner = stateManager.attemptWin(socketId, isCorrect);
+    if (!joined && socket.data.joinId === joinId && socket.connected) {
+      leaveRoom(socket, io);
 
-  if (isWinner) {
-    // 🎉 We have a winner!
-    console.log(`🏆 WINNER: ${socketId} answered ${currentQuestion.question} = ${currentQuestion.answer}`);
+      // Nobody runs the room and this instance can't open another one
+      if (!roomManager.canOpen(code)) {
+        socket.data.log.warn('Room limit reached', { room: code, maxRooms: MAX_ROOMS });
+        socket.emit('submission-error', {
+          code: 'room-limit',
+          error: 'Room limit reached',
+          message: 'Too many rooms are open. Joining the lobby instead.',
+          event: 'join-room',
+          field: 'room',
+          timestamp: Date.now()
+        });
+        await joinRoom(socket, RoomManager.DEFAULT_ROOM, io);
+        return;
+      }
 
-    // Transition state machine: ACTIVE → LOCKED
-    stateMachine.transition('LOCKED', {
-      winnerId: socketId,
-      question: currentQuestion.question,
-      answer: currentQuestion.answer
-    });
+      socket.emit('room-unavailable', {
+        room: code,
+        message: 'This room\'s server is not answering. Reconnecting...',
+        retryInMs: ROOM_LEASE_RENEW_INTERVAL,
+        timestamp: Date.now()
+      });
+    }
+    return;
+  }
 
-    // Get submission data for the winner
-    const winnerSubmission = stateManager.getSubmission(socketId);
+  leaveRoom(socket, io);
+  enterRoom(io, opened.room, socket, opened.created);
+}
 
-    // Broadcast winner to ALL connected clients
-    io.emit('winner-declared', {
-      winnerId: socketId,
-      correctAnswer: currentQuestion.answer,
-      question: currentQuestion.question,
-      questionId: currentQuestion.id,
-      submissionTime: winnerSubmission.timestamp,
-      nextQuestionIn: WINNER_DISPLAY_DURATION,
-      timestamp
-    });
+/**
+ * Joins a room that runs on another instance
+ * The room's instance adds a stand-in for the socket to the room and
+ * sends it everything a player joining locally would get; this instance
+ * relays the player's events there from then on (see PlayerRelay).
+ *
+ * @param {Object} socket - Socket.io socket instance
+ * @param {String} code - Normalized room code
+ * @param {Number} joinId - The join attempt (see joinRoom)
+ * @returns {Promise<Boolean>} True if the socket joined; false if nobody runs
+ *   the room, its instance refused, or a newer join took over
+ */
+async function relayJoin(socket, code, joinId) {
+  const owner = await getRoomInstance(code);
+  if (!owner || owner === INSTANCE_ID || socket.data.joinId !== joinId || !socket.connected) {
+    return false;
+  }
 
-    // Send special acknowledgment to the winner
-    socket.emit('you-won', {
-      message: 'Congratulations! You got it right first!',
-      correctAnswer: currentQuestion.answer,
-      question: currentQuestion.question,
-      timestamp
-    });
+  const joined = await playerRelay.join(socket, owner, code, {
+    playerId: socket.data.playerId,
+    nickname: playerRegistry.getNickname(socket.data.playerId),
+    device: socket.data.device,
+    address: socket.data.address,
+    requestedTeam: socket.data.requestedTeam,
+    rttMs: latencyTracker.getRtt(socket.id)
+  });
 
-    // Transition state machine: LOCKED → TRANSITIONING
-    setTimeout(() => {
-      stateMachine.transition('TRANSITIONING', {
-        displayDuration: WINNER_DISPLAY_DURATION
-      });
-    }, 100);
+  if (joined && socket.data.joinId === joinId) {
+    socket.data.log.info('Joined room on another instance', { room: code, owner });
+  }
+  return joined;
+}
+
+/**
+ * Adds a socket to a room running on this instance and brings it up to date
+ * The socket may be a stand-in for a player on another instance.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ * @param {Object} socket - Joining socket
+ * @param {Boolean} created - True if the room was just opened (its game is started)
+ */
+function enterRoom(io, room, socket, created) {
+  const { code } = room;
+  room.addMember(socket.id);
+  socket.join(code);
+  socket.data.roomCode = code;
 
-    // Schedule the next question
-    clearTimeout(questionTimeout);
-    questionTimeout = setTimeout(() => {
-      generateNewQuestion(io);
-    }, WINNER_DISPLAY_DURATION);
+  const team = joinTeamOnEntry(io, room, socket);
+  socket.data.log.info('Joined room', { room: code, newRoom: created, team: team?.id });
+
+  socket.emit('room-joined', {
+    room: code,
+    playerCount: room.getMemberCount(),
+    progressionMode: room.progressionMode,
+    match: room.match ? room.match.getState() : null,
+    teams: describeTeams(io, room),
+    timestamp: Date.now()
+  });
 
+  // A brand-new room picks up its saved scores and starts its own game
+  if (created) {
+    startRoom(io, room);
   } else {
-    // Wrong answer or too late
-    if (isCorrect) {
-      // Correct answer but someone else got it first
-      socket.emit('submission-result', {
-        correct: true,
-        winner: false,
-        message: 'Correct answer, but someone else got it first!',
-        timestamp
-      });
+    sendCurrentQuestionToUser(socket);
+  }
 
-      console.log(`⏱️  ${socketId} had correct answer but was too late`);
-    } else {
-      // Incorrect answer
-      socket.emit('submission-result', {
-        correct: false,
-        winner: false,
-        message: 'Incorrect answer. Keep trying!',
-        timestamp
-      });
+  socket.emit('leaderboard-update', buildLeaderboard(room));
+  socket.emit('round-history', buildRoundHistory(room));
+
+  emitRoomUserCount(io, room);
+  emitRoomTeams(io, room);
+  refreshHosts(io, room);
+}
+
+/**
+ * Puts a player joining a room on a team, if the room plays in teams
+ * The team asked for in the handshake is used when the player may
+ * switch to it; otherwise the player keeps their team or is put on the
+ * smallest one.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room being joined
+ * @param {Object} socket - Joining socket
+ * @returns {Object|null} The player's team ({ id, name }), or null without team play
+ */
+function joinTeamOnEntry(io, room, socket) {
+  const { playerId, requestedTeam } = socket.data;
 
-      console.log(`❌ ${socketId} submitted incorrect answer: ${answer}`);
+  if (requestedTeam && canSwitchTeam(room, playerId)) {
+    const team = room.teams.assign(playerId, requestedTeam);
+    if (team) {
+      return team;
     }
   }
+
+  return room.teams.autoAssign(playerId, getConnectedPlayerIds(io, room));
+}
+
+/**
+ * Checks if a player may change teams now
+ * Nobody switches in the middle of a question they've already answered,
+ * so a player can't answer it again for another team.
+ *
+ * @param {Room} room - Room instance
+ * @param {String} playerId - Player ID
+ * @returns {Boolean} True if the player may switch
+ */
+function canSwitchTeam(room, playerId) {
+  return !room.stateMachine.isAcceptingSubmissions() || !room.stateManager.hasSubmitted(playerId);
 }
 
 /**
- * Generates a new question and broadcasts to all users
- * Resets all state for the new question
+ * Moves a player to the team they picked
+ * Refusals are sent back as a 'submission-error', like other bad requests.
  *
+ * @param {Object} socket - Socket.io socket instance
+ * @param {String} requested - Team ID or name
  * @param {Object} io - Socket.io server instance
- * @param {String} difficulty - Question difficulty (easy, medium, hard)
  */
-function generateNewQuestion(io, difficulty = DEFAULT_DIFFICULTY) {
-  // Generate a new question
-  const newQuestion = questionGenerator.generate(difficulty);
+function changeTeam(socket, requested, io) {
+  const room = getSocketRoom(socket);
+  const { playerId } = socket.data;
 
-  // Update state manager with new question (resets all state)
-  stateManager.setQuestion(newQuestion);
+  const refuse = (code, error, message) => {
+    socket.emit('submission-error', { code, error, message, event: 'join-team', field: 'team', timestamp: Date.now() });
+  };
 
-  // Transition state machine: TRANSITIONING/IDLE → ACTIVE
-  stateMachine.transition('ACTIVE', {
-    questionId: newQuestion.id,
-    question: newQuestion.question,
-    difficulty: newQuestion.difficulty
-  });
+  if (!room) {
+    refuse('no-room', 'No room', 'Join a room before picking a team');
+    return;
+  }
+  if (!room.teams.isEnabled()) {
+    refuse('no-teams', 'No teams', 'This room is not playing in teams');
+    return;
+  }
+  if (!canSwitchTeam(room, playerId)) {
+    refuse('team-locked', 'Team locked', 'You can switch teams once this question is over');
+    return;
+  }
 
-  console.log(`\n${'='.repeat(60)}`);
-  console.log(`🆕 NEW QUESTION GENERATED`);
-  console.log(`${'='.repeat(60)}`);
-  console.log(`❓ Question: ${newQuestion.question}`);
-  console.log(`✅ Answer: ${newQuestion.answer}`);
-  console.log(`📊 Difficulty: ${newQuestion.difficulty}`);
-  console.log(`🆔 ID: ${newQuestion.id}`);
-  console.log(`${'='.repeat(60)}\n`);
+  const team = room.teams.assign(playerId, requested);
+  if (!team) {
+    refuse('invalid-value', 'Unknown team', `There is no team called "${requested}"`);
+    return;
+  }
 
-  // Broadcast the new question to ALL connected clients
-  io.emit('new-question', {
-    question: newQuestion.question,
-    questionId: newQuestion.id,
-    difficulty: newQuestion.difficulty,
-    timestamp: Date.now()
+  socket.data.requestedTeam = team.id;
+  socket.data.log.info('Changed team', { room: room.code, team: team.id });
+
+  emitRoomTeams(io, room);
+  io.to(room.code).emit('leaderboard-update', buildLeaderboard(room));
+  refreshHosts(io, room);
+}
+
+/**
+ * Lists the players connected to a room (each player once)
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ * @returns {Array<String>} Player IDs, in the order they joined
+ */
+function getConnectedPlayerIds(io, room) {
+  const playerIds = new Set();
+
+  room.members.forEach(socketId => {
+    const socket = getMemberSocket(io, socketId);
+    if (socket) {
+      playerIds.add(socket.data.playerId);
+    }
   });
+
+  return Array.from(playerIds);
 }
 
 /**
- * Gets current quiz state (for debugging/monitoring)
- * @returns {Object} Current state
+ * Describes a room's teams for clients
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ * @returns {Object} { enabled, teams: [{ id, name, players }], members: { playerId: teamId }, submissionRule }
  */
-function getQuizState() {
+function describeTeams(io, room) {
+  const sizes = room.teams.countPlayers(getConnectedPlayerIds(io, room));
+
   return {
-    stateManager: stateManager.getState(),
-    stats: stateManager.getStats(),
-    stateMachine: stateMachine.getStatistics(),
-    currentDifficulty: DEFAULT_DIFFICULTY
+    enabled: room.teams.isEnabled(),
+    teams: room.teams.getTeams().map(team => ({ ...team, players: sizes[team.id] })),
+    members: room.teams.getAssignments(),
+    submissionRule: room.stateManager.getSubmissionRule()
   };
 }
 
 /**
- * Manually triggers a new question (for testing or admin control)
+ * Broadcasts a room's teams and who is on them to its members
+ * Rooms without team play send nothing.
+ *
  * @param {Object} io - Socket.io server instance
- * @param {String} difficulty - Optional difficulty level
+ * @param {Room} room - Room instance
  */
-function forceNewQuestion(io, difficulty) {
-  console.log('🔄 Forcing new question generation...');
-  clearTimeout(questionTimeout);
-  generateNewQuestion(io, difficulty);
+function emitRoomTeams(io, room) {
+  if (room.teams.isEnabled()) {
+    io.to(room.code).emit('teams-update', { room: room.code, ...describeTeams(io, room), timestamp: Date.now() });
+  }
 }
 
 /**
- * Resets the entire quiz state (for testing)
+ * Gets a room this instance runs, taking the room's lease to create it
+ * Rooms that already exist here are returned as they are - their leases
+ * are kept by renewRoomLeases(). New rooms aren't opened once the room
+ * limit is reached (see RoomManager.canOpen).
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {String} code - Normalized room code
+ * @returns {Promise<Object|null>} { room, created }, or null if another instance
+ *   holds the lease or the room limit is reached
  */
-function resetQuiz() {
-  console.log('🔄 Resetting quiz state...');
-  clearTimeout(questionTimeout);
-  stateManager.reset();
+async function openRoom(io, code) {
+  const existing = roomManager.get(code);
+  if (existing) {
+    return { room: existing, created: false };
+  }
+
+  if (!roomManager.canOpen(code)) {
+    return null;
+  }
+
+  const acquired = await stateStore.acquireLease(`room:${code}`, INSTANCE_ID, ROOM_LEASE_TTL_MS);
+  if (!acquired) {
+    return null;
+  }
+
+  // Another join may have created the room (or taken the last free slot)
+  // while the lease was in flight
+  const opened = roomManager.getOrCreate(code);
+  if (!opened) {
+    await releaseRoomLease(code);
+    return null;
+  }
+  if (opened.created) {
+    registerLifecycleHooks(io, opened.room);
+  }
+  return opened;
+}
+
+/**
+ * Starts a newly opened room's game
+ * Restores its saved scores, then generates the first question - unless
+ * the room waits for a host to start it.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ */
+function startRoom(io, room) {
+  restoreRoomHistory(room);
+
+  if (room.progressionMode === 'auto') {
+    generateNewQuestion(io, room);
+  } else {
+    log.info('Room opened - waiting for a host to start the first question', { room: room.code, progressionMode: room.progressionMode });
+  }
+}
+
+/**
+ * Connects a new room's question lifecycle to the game
+ * The state machine runs these on every transition; timers started here
+ * belong to the state that started them and are cancelled when it ends.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ */
+function registerLifecycleHooks(io, room) {
+  const { stateMachine, stateManager } = room;
+
+  // A new question: start its countdown and send it to the room
+  stateMachine.onEnter('ACTIVE', () => {
+    const question = stateManager.getCurrentQuestion();
+    room.questionDeadline = room.questionTimeLimitMs > 0
+      ? question.generatedAt + room.questionTimeLimitMs
+      : null;
+
+    if (room.questionDeadline) {
+      stateMachine.setTimer('deadline', () => handleQuestionTimeout(io, room), room.questionTimeLimitMs);
+    }
+
+    announceQuestion(io, room);
+  });
+
+  // First correct answer in grace-period mode: pick the winner once the window closes
+  stateMachine.onEnter('RESOLVING', () => {
+    stateMachine.setTimer('grace', () => resolveGraceWindow(io, room), stateManager.getGracePeriod());
+  });
+
+  // The round is over: the countdown no longer applies
+  ['LOCKED', 'EXPIRED', 'TRANSITIONING'].forEach(state => {
+    stateMachine.onEnter(state, () => {
+      room.questionDeadline = null;
+    });
+  });
+
+  // Results are showing: queue the next question
+  stateMachine.onEnter('TRANSITIONING', () => {
+    scheduleNextQuestion(io, room);
+  });
+}
+
+/**
+ * Renews the lease of every room this instance runs
+ * A room whose lease was taken over (e.g. after this instance stalled
+ * for longer than the lease) is closed here; its players reconnect to
+ * the new owner.
+ *
+ * @param {Object} io - Socket.io server instance
+ */
+function renewRoomLeases(io) {
+  roomManager.list().forEach(room => {
+    stateStore.acquireLease(`room:${room.code}`, INSTANCE_ID, ROOM_LEASE_TTL_MS)
+      .then(renewed => {
+        if (!renewed && roomManager.get(room.code) === room) {
+          evictRoom(io, room);
+        }
+      })
+      .catch(error => log.warn('Failed to renew room lease', { room: room.code, error }));
+  });
+}
+
+/**
+ * Closes a room another instance has taken over
+ * Members are sent 'room-unavailable' so they reconnect to the new owner,
+ * and the instances relaying members here stop relaying them.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ */
+function evictRoom(io, room) {
+  log.error('Room lease lost to another instance - closing room', { room: room.code });
+
+  io.to(room.code).emit('room-unavailable', {
+    room: room.code,
+    message: 'This room moved to another server. Reconnecting...',
+    retryInMs: 0,
+    timestamp: Date.now()
+  });
+
+  Array.from(room.members).forEach(socketId => {
+    const socket = getMemberSocket(io, socketId);
+    if (socket?.relay) {
+      playerRelay.release(socket);
+    } else if (socket) {
+      socket.leave(room.code);
+      socket.data.roomCode = null;
+    }
+  });
+
+  roomManager.remove(room.code, { force: true });
+  antiCheat.removeRoom(room.code);
+  notifyHosts(io, room, 'host-snapshot', getHostSnapshot(io, room.code));
+}
+
+/**
+ * Removes a socket from its current room
+ * Empty rooms (other than the lobby) are disposed of. Rooms running on
+ * another instance are told the socket has left.
+ *
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} io - Socket.io server instance
+ */
+function leaveRoom(socket, io) {
+  if (playerRelay.leave(socket)) {
+    return;
+  }
+
+  const room = getSocketRoom(socket);
+  socket.data.roomCode = null;
+
+  if (!room) {
+    return;
+  }
+
+  room.removeMember(socket.id);
+  socket.leave(room.code);
+
+  if (room.isEmpty() && roomManager.remove(room.code)) {
+    antiCheat.removeRoom(room.code);
+    releaseRoomLease(room.code);
+    log.info('Room closed (no members left)', { room: room.code });
+    notifyHosts(io, room, 'host-snapshot', getHostSnapshot(io, room.code));
+    return;
+  }
+
+  emitRoomUserCount(io, room);
+  emitRoomTeams(io, room);
+  refreshHosts(io, room);
+}
+
+/**
+ * Gives up a closed room's lease so any instance can open it next
+ * @param {String} code - Room code
+ * @returns {Promise} Settles once the lease is released (failures are logged)
+ */
+function releaseRoomLease(code) {
+  return stateStore.releaseLease(`room:${code}`, INSTANCE_ID)
+    .catch(error => log.warn('Failed to release room lease', { room: code, error }));
+}
+
+/**
+ * Gets a room member's socket: a local one, or the stand-in for a player
+ * connected to another instance
+ * @param {Object} io - Socket.io server instance
+ * @param {String} socketId - Socket ID
+ * @returns {Object|undefined} Socket
+ */
+function getMemberSocket(io, socketId) {
+  return io.sockets.sockets.get(socketId) || playerRelay.getSocket(socketId);
+}
+
+/**
+ * Finds the instance running a room
+ * @param {String} code - Normalized room code
+ * @returns {Promise<String|null>} Instance ID (this instance's for rooms
+ *   running here), or null if no instance runs the room
+ */
+async function getRoomInstance(code) {
+  if (roomManager.has(code)) {
+    return INSTANCE_ID;
+  }
+  return stateStore.getLeaseOwner(`room:${code}`);
+}
+
+/**
+ * Broadcasts the number of users in a room to its members
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ */
+function emitRoomUserCount(io, room) {
+  io.to(room.code).emit('user-count', room.getMemberCount());
+}
+
+/**
+ * Sends the current question to a specific user
+ * @param {Object} socket - Socket.io socket instance
+ */
+function sendCurrentQuestionToUser(socket) {
+  const room = getSocketRoom(socket);
+  const currentQuestion = room?.stateManager.getCurrentQuestion();
+
+  if (currentQuestion) {
+    socket.emit('current-question', {
+      question: currentQuestion.question,
+      questionId: currentQuestion.id,
+      difficulty: currentQuestion.difficulty,
+      type: currentQuestion.type,
+      choices: currentQuestion.choices || null,
+      allowExpressions: currentQuestion.allowExpressions !== false,
+      difficultyLevel: room.difficultyController.getLevel(),
+      difficultyTrend: room.difficultyController.getTrend(),
+      maxAttempts: toClientLimit(room.stateManager.getAttemptPolicy().maxAttempts),
+      attemptsRemaining: room.stateManager.getAttemptsRemaining(socket.data.playerId),
+      deadline: room.questionDeadline,
+      timeLimitMs: room.questionTimeLimitMs,
+      matchRound: describeMatchRound(room),
+      timestamp: Date.now()
+    });
+
+    socket.data.log.debug('Sent current question', { room: room.code, questionId: currentQuestion.id });
+  } else {
+    socket.emit('waiting-for-question', {
+      message: 'Waiting for next question...',
+      timestamp: Date.now()
+    });
+  }
+}
+
+/**
+ * Handles answer submission from a user
+ * Implements race condition prevention and concurrency control
+ *
+ * Submissions are keyed by player ID, so reconnecting or opening a
+ * second tab doesn't create a new competitor.
+ *
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} data - Validated submission data { answer } (see eventSchemas.js)
+ * @param {Object} io - Socket.io server instance
+ */
+function handleAnswerSubmission(socket, data, io) {
+  const { answer } = data;
+  const playerId = socket.data.playerId;
+  const room = getSocketRoom(socket);
+  const timestamp = Date.now(); // Server timestamp (critical for fairness)
+
+  const submissionLog = socket.data.log.child({ room: room?.code });
+  submissionLog.debug('Submission received', { serverTimestamp: timestamp });
+
+  // The answer has already passed the 'submit-answer' schema (non-empty, bounded string)
+  if (!room) {
+    quizMetrics.recordRejection('no-room');
+    socket.emit('submission-error', {
+      code: 'no-room',
+      error: 'No room',
+      message: 'Join a room before submitting answers',
+      timestamp
+    });
+    return;
+  }
+
+  const { stateManager, questionProvider } = room;
+
+  // Record the submission (handles double submission and lock checks)
+  const recordResult = antiCheat.isDisqualified(room.code, playerId)
+    ? { success: false, reason: 'disqualified', message: 'You have been disqualified from this question' }
+    : stateManager.recordSubmission(playerId, answer, timestamp, {
+      rttMs: latencyTracker.getRtt(socket.id),
+      teamId: room.teams.getTeamId(playerId),
+      eliminated: Boolean(room.match?.isEliminated(playerId))
+    });
+
+  if (!recordResult.success) {
+    // Submission rejected (out of attempts, cooling down, locked, a teammate answering,
+    // knocked out of an elimination match, or no question)
+    quizMetrics.recordRejection(recordResult.reason);
+    socket.emit('submission-rejected', {
+      reason: recordResult.reason,
+      message: recordResult.captainId
+        ? `${playerRegistry.getNickname(recordResult.captainId)} is answering for your team`
+        : recordResult.message,
+      attemptsRemaining: recordResult.attemptsRemaining,
+      retryAfterMs: recordResult.retryAfterMs,
+      timestamp
+    });
+
+    notifyHosts(io, room, 'host-submission', {
+      ...describeSubmission(room, { playerId, answer, timestamp, rttMs: latencyTracker.getRtt(socket.id) }),
+      status: 'rejected',
+      reason: recordResult.reason
+    });
+
+    submissionLog.debug('Submission rejected', { reason: recordResult.reason });
+    return;
+  }
+
+  // Validate the answer against the correct answer
+  const currentQuestion = stateManager.getCurrentQuestion();
+  const isCorrect = questionProvider.validate(answer, currentQuestion);
+
+  submissionLog.debug('Answer validated', { questionId: currentQuestion.id, correct: isCorrect, attemptNumber: recordResult.attemptNumber });
+  quizMetrics.recordSubmission(isCorrect);
+
+  // Store the result on the attempt and apply any wrong-answer penalty
+  const { penaltyPoints } = stateManager.markAttemptResult(playerId, isCorrect);
+  const penalty = penaltyPoints > 0
+    ? room.scoringService.applyPenalty(playerId, penaltyPoints).points
+    : 0;
+
+  if (penalty > 0) {
+    stateManager.recordPenalty(playerId, penalty);
+    io.to(room.code).emit('leaderboard-update', buildLeaderboard(room));
+  }
+
+  // A wrong answer costs a life in an elimination match
+  const lifeLost = isCorrect ? null : takeMatchLives(io, room, [playerId])[0] || null;
+
+  // Mirror every validated attempt to the room's host dashboards
+  notifyHosts(io, room, 'host-submission', {
+    ...describeSubmission(room, { playerId, ...stateManager.getSubmission(playerId) }),
+    status: isCorrect ? 'correct' : 'incorrect',
+    penalty
+  });
+
+  // Look for scripted answering (shadow-banned and disqualified players can't win)
+  const { canWin, disqualified } = reviewSubmission(io, room, socket, { answer, isCorrect, timestamp });
+
+  const attemptInfo = {
+    attemptNumber: recordResult.attemptNumber,
+    attemptsRemaining: recordResult.attemptsRemaining
+  };
+
+  if (disqualified) {
+    socket.emit('submission-result', {
+      correct: isCorrect,
+      winner: false,
+      disqualified: true,
+      message: 'You have been disqualified from this question.',
+      ...attemptInfo,
+      timestamp
+    });
+
+    submissionLog.info('Disqualified player answered', { questionId: currentQuestion.id });
+    return;
+  }
+
+  if (isCorrect && canWin && stateManager.getResolutionMode() === 'grace-period') {
+    // Collect near-simultaneous correct answers before picking a winner
+    const { windowOpened } = stateManager.registerCorrectSubmission(playerId);
+
+    // Opening the window moves the room to RESOLVING, which starts the grace timer
+    if (windowOpened) {
+      submissionLog.info('Grace window opened', { gracePeriodMs: stateManager.getGracePeriod() });
+    }
+
+    socket.emit('submission-result', {
+      correct: true,
+      winner: false,
+      pending: true,
+      message: 'Correct! Checking for near-simultaneous answers...',
+      ...attemptInfo,
+      timestamp
+    });
+    return;
+  }
+
+  // Attempt to claim victory (atomic operation)
+  const isWinner = stateManager.attemptWin(playerId, isCorrect && canWin);
+
+  if (isWinner) {
+    // 🎉 We have a winner!
+    submissionLog.info('Winner declared', { questionId: currentQuestion.id });
+
+    confirmWinners(io, room, [{ playerId }]);
+
+  } else {
+    // Wrong answer or too late
+    if (isCorrect) {
+      // Correct answer but someone else got it first
+      socket.emit('submission-result', {
+        correct: true,
+        winner: false,
+        message: 'Correct answer, but someone else got it first!',
+        ...attemptInfo,
+        timestamp
+      });
+
+      submissionLog.debug('Correct answer arrived too late');
+    } else {
+      // Incorrect answer
+      const outOfAttempts = recordResult.attemptsRemaining === 0;
+      let message = outOfAttempts
+        ? 'Incorrect answer. No attempts left for this question.'
+        : 'Incorrect answer. Keep trying!';
+      if (lifeLost) {
+        message = lifeLost.eliminated
+          ? 'Incorrect answer. You are out of lives - you can watch until the match ends.'
+          : `Incorrect answer. You lost a life (${lifeLost.lives} left).`;
+      }
+
+      socket.emit('submission-result', {
+        correct: false,
+        winner: false,
+        message,
+        penalty,
+        livesRemaining: lifeLost ? lifeLost.lives : undefined,
+        eliminated: lifeLost ? lifeLost.eliminated : undefined,
+        ...attemptInfo,
+        timestamp
+      });
+
+      submissionLog.debug('Incorrect answer', { penalty, attemptsRemaining: recordResult.attemptsRemaining, livesRemaining: lifeLost?.lives });
+
+      // Nobody left to answer - don't wait for the timer
+      if (lifeLost?.eliminated && room.match.getAlivePlayerIds().length === 0 && room.stateMachine.isAcceptingSubmissions()) {
+        handleQuestionTimeout(io, room);
+      }
+    }
+  }
+}
+
+/**
+ * Runs a validated submission past anti-cheat and reports anything it flags
+ * Flags are logged, counted and pushed to the room's host dashboards.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ * @param {Object} socket - Submitting socket
+ * @param {Object} submission - { answer, isCorrect, timestamp }
+ * @returns {Object} { canWin, disqualified }
+ */
+function reviewSubmission(io, room, socket, { answer, isCorrect, timestamp }) {
+  const { flags, canWin, disqualified } = antiCheat.review({
+    roomCode: room.code,
+    question: room.stateManager.getCurrentQuestion(),
+    playerId: socket.data.playerId,
+    device: socket.data.device,
+    answer,
+    isCorrect,
+    timestamp,
+    rttMs: latencyTracker.getRtt(socket.id)
+  });
+
+  flags.forEach(flag => {
+    quizMetrics.recordAntiCheatFlag(flag.type);
+    socket.data.log.warn('Suspicious submission flagged', {
+      room: room.code,
+      questionId: flag.questionId,
+      type: flag.type,
+      action: flag.action,
+      details: flag.details
+    });
+    notifyHosts(io, room, 'host-flag', describeFlag(flag));
+  });
+
+  if (flags.length > 0) {
+    refreshHosts(io, room);
+  }
+
+  return { canWin, disqualified };
+}
+
+/**
+ * Closes a room's grace window and declares the winner(s)
+ * Called GRACE_PERIOD_MS after the first correct answer arrived.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ */
+function resolveGraceWindow(io, room) {
+  const winners = room.stateManager.resolveGracePeriod();
+  if (winners.length === 0) {
+    return;
+  }
+
+  log.info('Winners declared after grace window', {
+    room: room.code,
+    questionId: room.stateManager.getCurrentQuestion().id,
+    winners: winners.map(winner => winner.playerId)
+  });
+
+  confirmWinners(io, room, winners);
+}
+
+/**
+ * Claims the current question's win in the shared state store, then
+ * declares the winner(s)
+ * The room's StateManager has already picked the winners; the claim
+ * guards against a second instance running the same room (e.g. one whose
+ * lease lapsed while it stalled), so a question is never won twice.
+ * If the claim is lost or can't be made, the question ends unwon. Never
+ * rejects: errors are logged, so callers can leave the promise unawaited.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ * @param {Array<Object>} winners - Winners in finishing order ({ playerId })
+ */
+async function confirmWinners(io, room, winners) {
+  const questionId = room.stateManager.getCurrentQuestion().id;
+  const winnerIds = winners.map(winner => winner.playerId);
+
+  let claim = null;
+  try {
+    claim = await stateStore.claimWinner(room.code, questionId, winnerIds);
+  } catch (error) {
+    log.error('Could not claim win in shared state', { room: room.code, questionId, error });
+  }
+
+  // The room closed or moved on (e.g. a host skipped) while the claim was in flight
+  if (roomManager.get(room.code) !== room || room.stateManager.getCurrentQuestion()?.id !== questionId) {
+    return;
+  }
+
+  // Callers don't wait for this promise, so nothing may be thrown past here
+  try {
+    if (claim?.claimed) {
+      declareWinners(io, room, winners);
+      return;
+    }
+
+    log.error('Win not confirmed - question ends without a winner', {
+      room: room.code,
+      questionId,
+      winners: winnerIds,
+      claimedBy: claim?.winnerIds
+    });
+    abandonQuestion(io, room);
+  } catch (error) {
+    log.error('Failed to end question after win claim', { room: room.code, questionId, error });
+
+    // Move the room on if it's still stuck on the locked question
+    if (room.stateMachine.isInState('LOCKED')) {
+      try {
+        abandonQuestion(io, room);
+      } catch (abandonError) {
+        log.error('Failed to abandon question', { room: room.code, questionId, error: abandonError });
+      }
+    }
+  }
+}
+
+/**
+ * Ends the current question without a winner after a failed win claim
+ * Reveals the answer like a timeout and schedules the next question.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ */
+function abandonQuestion(io, room) {
+  const { stateManager, stateMachine } = room;
+  const currentQuestion = stateManager.getCurrentQuestion();
+  saveRound(io, room, 'unconfirmed');
+
+  io.to(room.code).emit('question-timeout', {
+    questionId: currentQuestion.id,
+    question: currentQuestion.question,
+    correctAnswer: currentQuestion.answer,
+    totalSubmissions: stateManager.getStats().totalAttempts,
+    reason: 'unconfirmed',
+    nextQuestionIn: getNextQuestionDelay(room),
+    progressionMode: room.progressionMode,
+    matchRound: describeMatchRound(room),
+    timestamp: Date.now()
+  });
+
+  // Transition state machine: LOCKED → TRANSITIONING (schedules the next question)
+  stateMachine.transition('TRANSITIONING', {
+    reason: 'Win could not be confirmed',
+    questionId: currentQuestion.id
+  });
+  refreshHosts(io, room);
+}
+
+/**
+ * Announces the winner(s) of the current question and schedules the next one
+ * Awards points to every winner, broadcasts winner-declared and the updated
+ * leaderboard, and congratulates each winner privately. The room is
+ * already LOCKED (StateManager locked it when the winners were picked);
+ * this moves it on to TRANSITIONING.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ * @param {Array<Object>} winners - Winners in finishing order ({ playerId })
+ */
+function declareWinners(io, room, winners) {
+  const { stateManager, stateMachine } = room;
+  const currentQuestion = stateManager.getCurrentQuestion();
+  const timestamp = Date.now();
+
+  recordRoundResult(room);
+
+  // Award points (weighted by difficulty and answer speed)
+  const results = winners.map(({ playerId }) => {
+    const submission = stateManager.getSubmission(playerId);
+    const award = room.scoringService.awardWin(playerId, {
+      difficulty: currentQuestion.difficulty,
+      responseTimeMs: submission.timestamp - currentQuestion.generatedAt
+    });
+
+    return {
+      playerId,
+      nickname: playerRegistry.getNickname(playerId),
+      team: room.teams.getTeam(playerId),
+      submissionTime: submission.timestamp,
+      points: award.points,
+      totalScore: award.total
+    };
+  });
+
+  saveRound(io, room, 'won', results.map(result => ({
+    playerId: result.playerId,
+    nickname: result.nickname,
+    points: result.points,
+    responseTimeMs: result.submissionTime - currentQuestion.generatedAt
+  })));
+
+  // Broadcast winner to everyone in the room
+  io.to(room.code).emit('winner-declared', {
+    winnerId: results[0].playerId,
+    winnerName: results[0].nickname,
+    winnerTeam: results[0].team,
+    winners: results.map(({ totalScore, ...publicResult }) => publicResult),
+    isTie: results.length > 1,
+    correctAnswer: currentQuestion.answer,
+    question: currentQuestion.question,
+    questionId: currentQuestion.id,
+    submissionTime: results[0].submissionTime,
+    points: results[0].points,
+    nextQuestionIn: getNextQuestionDelay(room),
+    progressionMode: room.progressionMode,
+    matchRound: describeMatchRound(room),
+    timestamp
+  });
+
+  // Share the updated standings
+  io.to(room.code).emit('leaderboard-update', buildLeaderboard(room));
+
+  // Send special acknowledgment to each winner
+  results.forEach(result => {
+    getPlayerSocketsInRoom(io, room, result.playerId).forEach(socket => {
+      socket.emit('you-won', {
+        message: results.length > 1
+          ? 'Congratulations! You tied for first place!'
+          : 'Congratulations! You got it right first!',
+        correctAnswer: currentQuestion.answer,
+        question: currentQuestion.question,
+        points: result.points,
+        totalScore: result.totalScore,
+        timestamp
+      });
+    });
+  });
+
+  // Transition state machine: LOCKED → TRANSITIONING (schedules the next question)
+  stateMachine.transition('TRANSITIONING', {
+    questionId: currentQuestion.id,
+    answer: currentQuestion.answer,
+    displayDuration: room.winnerDisplayDurationMs
+  });
+  refreshHosts(io, room);
+}
+
+/**
+ * Gets how long until the room's next question starts by itself
+ * @param {Room} room - Room instance
+ * @returns {Number|null} Delay in ms, or null if a host has to start it
+ */
+function getNextQuestionDelay(room) {
+  return room.progressionMode === 'auto' ? room.winnerDisplayDurationMs : null;
+}
+
+/**
+ * Schedules the room's next question after the results display
+ * Runs when the room enters TRANSITIONING. Only rooms in 'auto' mode
+ * schedule one; otherwise advanceRoom() or setProgressionMode() starts it.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ */
+function scheduleNextQuestion(io, room) {
+  if (room.progressionMode !== 'auto') {
+    log.info('Waiting for a host before the next question', { room: room.code, progressionMode: room.progressionMode });
+    return;
+  }
+
+  room.stateMachine.setTimer('next-question', () => {
+    startNextQuestion(io, room);
+  }, room.winnerDisplayDurationMs);
+}
+
+/**
+ * Starts the room's next question, or ends its match after the last round
+ * Rooms whose match is waiting in its lobby or already over get no
+ * question until the host starts or closes the match.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ * @param {String} difficulty - Optional difficulty (defaults to the match schedule or the adaptive level)
+ * @returns {Boolean} True if a question started or the match ended
+ */
+function startNextQuestion(io, room, difficulty) {
+  const { match } = room;
+
+  if (match && !match.isRunning()) {
+    log.info('No next question - the match is not running', { room: room.code, matchStatus: match.status });
+    refreshHosts(io, room);
+    return false;
+  }
+  if (match?.isComplete()) {
+    finishMatch(io, room);
+    return true;
+  }
+
+  generateNewQuestion(io, room, difficulty || match?.getNextDifficulty());
+  return true;
+}
+
+/**
+ * Finds the sockets a player has open in a room
+ * A player may have several tabs open under the same identity.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ * @param {String} playerId - Player ID
+ * @returns {Array<Object>} Socket.io socket instances
+ */
+function getPlayerSocketsInRoom(io, room, playerId) {
+  return Array.from(room.members)
+    .map(socketId => getMemberSocket(io, socketId))
+    .filter(socket => socket && socket.data.playerId === playerId);
+}
+
+/**
+ * Builds the leaderboard payload for a room
+ * Includes the top players plus every player's rank so each client
+ * can show its own position even when it isn't in the top list. Rooms
+ * playing in teams also get the team standings.
+ *
+ * @param {Room} room - Room instance
+ * @returns {Object} Leaderboard payload
+ */
+function buildLeaderboard(room) {
+  const standings = room.scoringService.getStandings();
+  const ranks = {};
+
+  standings.forEach(entry => {
+    ranks[entry.playerId] = { rank: entry.rank, score: entry.score };
+  });
+
+  return {
+    top: standings.slice(0, LEADERBOARD_SIZE).map(entry => ({
+      ...entry,
+      nickname: playerRegistry.getNickname(entry.playerId),
+      teamId: room.teams.getTeamId(entry.playerId)
+    })),
+    ranks,
+    teams: room.teams.isEnabled() ? room.teams.getStandings(standings) : null,
+    totalPlayers: standings.length,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Sends an event to the host dashboards watching a room
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ * @param {String} event - Event name
+ * @param {Object} payload - Event payload
+ */
+function notifyHosts(io, room, event, payload) {
+  io.of(HOST_NAMESPACE).to(room.code).emit(event, payload);
+}
+
+/**
+ * Pushes a fresh snapshot of a room to its host dashboards
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ */
+function refreshHosts(io, room) {
+  notifyHosts(io, room, 'host-snapshot', getHostSnapshot(io, room.code));
+}
+
+/**
+ * Describes a submission for host dashboards
+ * @param {Room} room - Room instance
+ * @param {Object} submission - { playerId, answer, timestamp, rttMs, attemptNumber, isCorrect }
+ * @returns {Object} Host-facing submission entry
+ */
+function describeSubmission(room, submission) {
+  const currentQuestion = room.stateManager.getCurrentQuestion();
+
+  return {
+    playerId: submission.playerId,
+    nickname: playerRegistry.getNickname(submission.playerId),
+    questionId: currentQuestion ? currentQuestion.id : null,
+    answer: submission.answer,
+    isCorrect: submission.isCorrect === undefined ? null : submission.isCorrect,
+    attemptNumber: submission.attemptNumber || null,
+    rttMs: submission.rttMs || 0,
+    responseTimeMs: currentQuestion ? submission.timestamp - currentQuestion.generatedAt : null,
+    timestamp: submission.timestamp
+  };
+}
+
+/**
+ * Describes a flagged anti-cheat event for host dashboards
+ * Includes the player's current standing so hosts can see what's already been done.
+ *
+ * @param {Object} flag - Flag from AntiCheat
+ * @returns {Object} Host-facing flag entry
+ */
+function describeFlag(flag) {
+  return {
+    ...flag,
+    nickname: playerRegistry.getNickname(flag.playerId),
+    disqualified: antiCheat.isDisqualified(flag.room, flag.playerId),
+    shadowBanned: antiCheat.isShadowBanned(flag.playerId)
+  };
+}
+
+/**
+ * Lists the players connected to a room
+ * Players with several tabs open are listed once.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ * @returns {Array<Object>} { playerId, nickname, team, connections, rttMs, score, attempts, disqualified, shadowBanned }
+ */
+function getConnectedPlayers(io, room) {
+  const players = new Map();
+
+  room.members.forEach(socketId => {
+    const socket = getMemberSocket(io, socketId);
+    if (!socket) {
+      return;
+    }
+
+    const { playerId } = socket.data;
+    const rttMs = latencyTracker.getRtt(socketId);
+    const existing = players.get(playerId);
+
+    if (existing) {
+      existing.connections++;
+      existing.rttMs = Math.min(existing.rttMs, rttMs);
+      return;
+    }
+
+    players.set(playerId, {
+      playerId,
+      nickname: playerRegistry.getNickname(playerId),
+      team: room.teams.getTeam(playerId),
+      connections: 1,
+      rttMs,
+      score: room.scoringService.getScore(playerId),
+      attempts: room.stateManager.getAttemptCount(playerId),
+      disqualified: antiCheat.isDisqualified(room.code, playerId),
+      shadowBanned: antiCheat.isShadowBanned(playerId)
+    });
+  });
+
+  return Array.from(players.values())
+    .sort((a, b) => b.score - a.score || a.nickname.localeCompare(b.nickname));
+}
+
+/**
+ * Gets everything a host dashboard shows for a room
+ * Unlike player payloads this includes the current answer.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {String} roomCode - Room code
+ * @returns {Object} Snapshot ({ room, active: false } if the room doesn't exist)
+ */
+function getHostSnapshot(io, roomCode) {
+  const room = roomManager.get(roomCode);
+  if (!room) {
+    return { room: roomCode, active: false, timestamp: Date.now() };
+  }
+
+  const { stateManager, difficultyController } = room;
+  const currentQuestion = stateManager.getCurrentQuestion();
+
+  return {
+    room: room.code,
+    active: true,
+    question: currentQuestion ? {
+      id: currentQuestion.id,
+      question: currentQuestion.question,
+      answer: currentQuestion.answer,
+      type: currentQuestion.type,
+      choices: currentQuestion.choices || null,
+      difficulty: currentQuestion.difficulty,
+      provider: currentQuestion.provider,
+      generatedAt: currentQuestion.generatedAt
+    } : null,
+    roundState: room.stateMachine.getCurrentState(),
+    deadline: room.questionDeadline,
+    winners: stateManager.getWinners().map(playerId => ({
+      playerId,
+      nickname: playerRegistry.getNickname(playerId)
+    })),
+    submissions: stateManager.getSubmissionsInOrder().map(entry => describeSubmission(room, entry)),
+    players: getConnectedPlayers(io, room),
+    flags: antiCheat.getFlags(room.code).map(describeFlag),
+    difficulty: difficultyController.getState(),
+    settings: getRoomSettings(room),
+    match: room.match ? room.match.getState() : null,
+    teams: describeTeams(io, room),
+    teamStandings: room.teams.isEnabled() ? room.teams.getStandings(room.scoringService.getStandings()) : null,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Feeds a finished round into the room's adaptive difficulty
+ * @param {Room} room - Room whose current question just ended
+ */
+function recordRoundResult(room) {
+  const { stateManager, difficultyController } = room;
+  const previousLevel = difficultyController.getLevel();
+
+  const round = DifficultyController.summarizeRound(
+    stateManager.getSubmissionsInOrder(),
+    stateManager.getCurrentQuestion().generatedAt
+  );
+  const level = difficultyController.recordRound(round);
+
+  if (level !== previousLevel) {
+    log.info('Adaptive difficulty changed', { room: room.code, from: previousLevel, to: level });
+  }
+}
+
+/**
+ * Records the room's current round in the round store and shares the
+ * updated history with the room
+ * Storage errors are logged rather than interrupting the game.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room whose current question just ended
+ * @param {String} outcome - 'won', 'timeout', 'skipped' or 'unconfirmed'
+ * @param {Array<Object>} winners - { playerId, nickname, points, responseTimeMs }
+ */
+function saveRound(io, room, outcome, winners = []) {
+  const currentQuestion = room.stateManager.getCurrentQuestion();
+  if (!currentQuestion) {
+    return;
+  }
+
+  quizMetrics.recordRound(outcome, winners.length > 0 ? winners[0].responseTimeMs : null);
+  recordMatchRound(room, outcome, winners);
+
+  try {
+    roundStore.saveRound({
+      room: room.code,
+      questionId: currentQuestion.id,
+      question: currentQuestion.question,
+      answer: currentQuestion.answer,
+      type: currentQuestion.type,
+      difficulty: currentQuestion.difficulty,
+      provider: currentQuestion.provider,
+      outcome,
+      startedAt: currentQuestion.generatedAt,
+      endedAt: Date.now(),
+      submissions: room.stateManager.getSubmissionsInOrder().map(submission => ({
+        playerId: submission.playerId,
+        nickname: playerRegistry.getNickname(submission.playerId),
+        answer: submission.answer,
+        isCorrect: submission.isCorrect,
+        attemptNumber: submission.attemptNumber,
+        rttMs: submission.rttMs,
+        penalty: submission.penalty,
+        timestamp: submission.timestamp
+      })),
+      winners
+    });
+  } catch (error) {
+    log.error('Failed to save round', { room: room.code, questionId: currentQuestion.id, error });
+    return;
+  }
+
+  io.to(room.code).emit('round-history', buildRoundHistory(room));
+}
+
+/**
+ * Records the current round as skipped if it was still being played
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ */
+function saveSkippedRound(io, room) {
+  const { stateManager } = room;
+
+  if (stateManager.getCurrentQuestion() && !stateManager.isQuestionLocked() && !stateManager.isQuestionExpired()) {
+    saveRound(io, room, 'skipped');
+  }
+}
+
+/**
+ * Finds past rounds for clients, newest first
+ * @param {Object} filters - { room, difficulty, playerId, limit, offset }
+ * @returns {Object} { rounds, total, limit, offset }
+ */
+function getRoundHistory({ room, difficulty, playerId, limit = ROUND_HISTORY_SIZE, offset = 0 } = {}) {
+  const { rounds, total } = roundStore.findRounds({ room, difficulty, playerId, limit, offset });
+
+  return {
+    rounds: rounds.map(round => ({
+      id: round.id,
+      room: round.room,
+      questionId: round.questionId,
+      question: round.question,
+      correctAnswer: round.answer,
+      difficulty: round.difficulty,
+      outcome: round.outcome,
+      winners: round.winners,
+      timeToWinMs: round.winners.length > 0 ? round.winners[0].responseTimeMs : null,
+      answeredCount: round.playerCount,
+      submissionCount: round.submissionCount,
+      correctCount: round.correctCount,
+      startedAt: round.startedAt,
+      endedAt: round.endedAt
+    })),
+    total,
+    limit,
+    offset
+  };
+}
+
+/**
+ * Builds the 'round-history' payload for a room
+ * @param {Room} room - Room instance
+ * @returns {Object} { room, rounds, total, timestamp }
+ */
+function buildRoundHistory(room) {
+  try {
+    const { rounds, total } = getRoundHistory({ room: room.code });
+    return { room: room.code, rounds, total, timestamp: Date.now() };
+  } catch (error) {
+    log.error('Failed to load round history', { room: room.code, error });
+    return { room: room.code, rounds: [], total: 0, timestamp: Date.now() };
+  }
+}
+
+/**
+ * Restores a new room's scores from the round store
+ * Players who haven't reconnected yet keep their saved nicknames.
+ *
+ * @param {Room} room - Newly created room
+ */
+function restoreRoomHistory(room) {
+  try {
+    const scores = roundStore.getScores(room.code);
+    scores.forEach(entry => playerRegistry.rememberNickname(entry.playerId, entry.nickname));
+    room.scoringService.restore(scores);
+
+    const { rounds } = roundStore.getRoomStats(room.code);
+    if (rounds > 0) {
+      log.info('Restored room history', { room: room.code, rounds, rankedPlayers: scores.length });
+    }
+  } catch (error) {
+    log.error('Failed to restore room history', { room: room.code, error });
+  }
+}
+
+/**
+ * Generates a new question and broadcasts to everyone in the room
+ * Resets all state for the new question. Setting it moves the room's
+ * lifecycle to ACTIVE, whose hooks start the countdown and announce it.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room to generate the question for
+ * @param {String} difficulty - Question difficulty (defaults to the room's adaptive level)
+ */
+function generateNewQuestion(io, room, difficulty) {
+  const { questionProvider, stateManager, difficultyController } = room;
+
+  // Get the next question from the room's question source
+  const newQuestion = questionProvider.next(difficulty || difficultyController.getLevel());
+
+  if (!newQuestion) {
+    log.warn('Question source has no more questions', { room: room.code, source: questionProvider.name });
+    return;
+  }
+
+  log.info('New question', {
+    room: room.code,
+    questionId: newQuestion.id,
+    question: newQuestion.question,
+    difficulty: newQuestion.difficulty,
+    source: newQuestion.provider
+  });
+
+  if (room.match?.isRunning()) {
+    room.match.startRound(newQuestion.id, newQuestion.difficulty);
+  }
+
+  // Update state manager with new question (resets all state; TRANSITIONING/IDLE → ACTIVE)
+  antiCheat.startQuestion(room.code, newQuestion.id);
+  stateManager.setQuestion(newQuestion);
+}
+
+/**
+ * Broadcasts the room's current question to everyone in the room
+ * Runs when the room enters ACTIVE.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ */
+function announceQuestion(io, room) {
+  const { stateManager, difficultyController } = room;
+  const newQuestion = stateManager.getCurrentQuestion();
+
+  io.to(room.code).emit('new-question', {
+    question: newQuestion.question,
+    questionId: newQuestion.id,
+    difficulty: newQuestion.difficulty,
+    type: newQuestion.type,
+    choices: newQuestion.choices || null,
+    allowExpressions: newQuestion.allowExpressions !== false,
+    difficultyLevel: difficultyController.getLevel(),
+    difficultyTrend: difficultyController.getTrend(),
+    maxAttempts: toClientLimit(stateManager.getAttemptPolicy().maxAttempts),
+    deadline: room.questionDeadline,
+    timeLimitMs: room.questionTimeLimitMs,
+    matchRound: describeMatchRound(room),
+    timestamp: Date.now()
+  });
+
+  refreshHosts(io, room);
+}
+
+/**
+ * Ends a question whose time limit ran out with no winner
+ * Reveals the answer and moves the state machine ACTIVE → EXPIRED →
+ * TRANSITIONING, which schedules the next question. The deadline timer
+ * belongs to ACTIVE, so a question that already has a winner (or a grace
+ * window deciding one) never gets here.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ */
+function handleQuestionTimeout(io, room) {
+  const { stateManager, stateMachine } = room;
+
+  // Transition state machine: ACTIVE → EXPIRED
+  if (!stateManager.expireQuestion()) {
+    return;
+  }
+
+  const currentQuestion = stateManager.getCurrentQuestion();
+  const livesLost = takeLivesForUnanswered(io, room);
+  recordRoundResult(room);
+  saveRound(io, room, 'timeout');
+
+  log.info('Question timed out with no winner', { room: room.code, questionId: currentQuestion.id });
+
+  io.to(room.code).emit('question-timeout', {
+    questionId: currentQuestion.id,
+    question: currentQuestion.question,
+    correctAnswer: currentQuestion.answer,
+    totalSubmissions: stateManager.getStats().totalAttempts,
+    nextQuestionIn: getNextQuestionDelay(room),
+    progressionMode: room.progressionMode,
+    matchRound: describeMatchRound(room),
+    livesLost,
+    timestamp: Date.now()
+  });
+
+  // Transition state machine: EXPIRED → TRANSITIONING (schedules the next question)
+  stateMachine.transition('TRANSITIONING', {
+    reason: 'Question timed out',
+    questionId: currentQuestion.id,
+    answer: currentQuestion.answer
+  });
+  refreshHosts(io, room);
+}
+
+/**
+ * Converts an attempt limit for clients (JSON has no Infinity)
+ * @param {Number} limit - Attempt limit
+ * @returns {Number|null} The limit, or null if unlimited
+ */
+function toClientLimit(limit) {
+  return limit === Infinity ? null : limit;
+}
+
+/**
+ * Gets current quiz state (for debugging/monitoring)
+ * @param {String} roomCode - Optional room code; omit for every room
+ * @returns {Object|null} Current state, or null if the room doesn't exist
+ */
+function getQuizState(roomCode) {
+  if (roomCode === undefined) {
+    return {
+      rooms: roomManager.list().map(room => getRoomState(room)),
+      storage: roundStore.getInfo(),
+      instance: { id: INSTANCE_ID, stateStore: stateStore.name }
+    };
+  }
+
+  const room = roomManager.get(roomCode);
+  return room ? getRoomState(room) : null;
+}
+
+/**
+ * Builds the state snapshot for a single room
+ * @param {Room} room - Room instance
+ * @returns {Object} Room state
+ */
+function getRoomState(room) {
+  return {
+    room: room.code,
+    instanceId: INSTANCE_ID,
+    memberCount: room.getMemberCount(),
+    stateManager: room.stateManager.getState(),
+    stats: room.stateManager.getStats(),
+    stateMachine: room.stateMachine.getStatistics(),
+    questionDeadline: room.questionDeadline,
+    settings: getRoomSettings(room),
+    match: room.match ? room.match.getState() : null,
+    teams: {
+      names: room.teams.getTeams().map(team => team.name),
+      members: room.teams.getAssignments(),
+      standings: room.teams.getStandings(room.scoringService.getStandings())
+    },
+    leaderboard: room.scoringService.getLeaderboard(LEADERBOARD_SIZE),
+    questionSource: room.questionProvider.getInfo(),
+    currentDifficulty: room.difficultyController.getLevel(),
+    adaptiveDifficulty: room.difficultyController.getState(),
+    history: roundStore.getRoomStats(room.code)
+  };
+}
+
+/**
+ * Manually triggers a new question (for testing or admin control)
+ * During a match the skipped question still counts as one of its rounds.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {String} roomCode - Room to advance
+ * @param {String} difficulty - Optional difficulty level
+ * @returns {Boolean} True if the room exists and a question was generated
+ * @throws {Error} If the room's match is waiting in its lobby or over
+ */
+function forceNewQuestion(io, roomCode, difficulty) {
+  const room = roomManager.get(roomCode);
+  if (!room) {
+    return false;
+  }
+  checkMatchAllowsQuestions(room);
+
+  log.info('Forcing a new question', { room: room.code, difficulty });
+  saveSkippedRound(io, room);
+  startNextQuestion(io, room, difficulty);
+  return true;
+}
+
+/**
+ * Refuses manual questions while a room's match isn't being played
+ * @param {Room} room - Room instance
+ * @throws {Error} If the match is waiting in its lobby or over
+ */
+function checkMatchAllowsQuestions(room) {
+  if (room.match && !room.match.isRunning()) {
+    throw new Error(room.match.status === 'lobby'
+      ? 'The match has not started yet'
+      : 'The match is over - open a new lobby or close the match');
+  }
+}
+
+/**
+ * Sets how a room's next question starts
+ * Leaving 'auto' cancels a pending next question; switching to 'auto'
+ * between rounds starts one right away. Players are sent 'quiz-paused'
+ * when the room pauses and 'quiz-resumed' when it stops being paused.
+ * The current question always stays open until it ends.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {String} roomCode - Room code
+ * @param {String} mode - 'auto', 'host-advance' or 'paused'
+ * @returns {Object|null} { progressionMode, isPaused }, or null if the room doesn't exist
+ * @throws {Error} If the mode is invalid
+ */
+function setProgressionMode(io, roomCode, mode) {
+  const room = roomManager.get(roomCode);
+  if (!room) {
+    return null;
+  }
+
+  const wasPaused = room.isPaused;
+  room.setProgressionMode(mode);
+  log.info('Progression mode set', { room: room.code, progressionMode: mode });
+
+  if (room.isPaused && !wasPaused) {
+    const questionOpen = !isBetweenRounds(room);
+    io.to(room.code).emit('quiz-paused', {
+      room: room.code,
+      questionOpen,
+      message: questionOpen
+        ? 'The host paused the quiz after this question.'
+        : 'The host paused the quiz.',
+      timestamp: Date.now()
+    });
+  } else if (wasPaused && !room.isPaused) {
+    io.to(room.code).emit('quiz-resumed', {
+      room: room.code,
+      progressionMode: mode,
+      timestamp: Date.now()
+    });
+  }
+
+  if (mode !== 'auto') {
+    room.stateMachine.clearTimer('next-question');
+  }
+
+  if (mode === 'auto' && isBetweenRounds(room) && !room.stateMachine.hasTimer('next-question')) {
+    startNextQuestion(io, room);
+  } else {
+    refreshHosts(io, room);
+  }
+
+  return { progressionMode: room.progressionMode, isPaused: room.isPaused };
+}
+
+/**
+ * Checks if a room's last round has ended and no question is open
+ * (a round still being decided isn't over yet)
+ * @param {Room} room - Room instance
+ * @returns {Boolean} True between rounds
+ */
+function isBetweenRounds(room) {
+  return room.stateMachine.isInState('IDLE', 'TRANSITIONING');
+}
+
+/**
+ * Pauses progression in a room
+ * The current question stays open; once it ends no new question starts
+ * until the room is resumed.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {String} roomCode - Room to pause
+ * @returns {Boolean} True if the room exists
+ */
+function pauseRoom(io, roomCode) {
+  return setProgressionMode(io, roomCode, 'paused') !== null;
+}
+
+/**
+ * Resumes a paused room in the mode it ran in before
+ * In 'auto' mode a new question starts right away if the last one already ended.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {String} roomCode - Room to resume
+ * @returns {Boolean} True if the room exists
+ */
+function resumeRoom(io, roomCode) {
+  const room = roomManager.get(roomCode);
+  if (!room) {
+    return false;
+  }
+
+  setProgressionMode(io, roomCode, room.resumeMode);
+  return true;
+}
+
+/**
+ * Starts the next question on a host's command
+ * Only between rounds - an open question is skipped with forceNewQuestion()
+ * instead. Works in every mode; a paused room stays paused afterwards.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {String} roomCode - Room to advance
+ * @returns {Boolean|null} True once the question starts, or null if the room doesn't exist
+ * @throws {Error} If the current question is still open, or the room's match isn't running
+ */
+function advanceRoom(io, roomCode) {
+  const room = roomManager.get(roomCode);
+  if (!room) {
+    return null;
+  }
+  if (!isBetweenRounds(room)) {
+    throw new Error('The current question is still open - skip it instead');
+  }
+  checkMatchAllowsQuestions(room);
+
+  log.info('Host started the next question', { room: room.code });
+  startNextQuestion(io, room);
+  return true;
+}
+
+/**
+ * Opens a match lobby in a room
+ * Ends the current question; no new question starts until the host
+ * starts the match. Players are sent 'match-lobby'.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {String} roomCode - Room code
+ * @param {Object} config - Match configuration (see MatchController)
+ * @param {Number} config.rounds - Number of rounds
+ * @param {Array<String>} config.difficultySchedule - Optional difficulty per round
+ * @param {String} config.mode - Optional; 'standard' or 'elimination'
+ * @param {Number} config.lives - Optional; lives per player in an elimination match
+ * @returns {Object|null} Match state, or null if the room doesn't exist
+ * @throws {Error} If a match is already running or the configuration is invalid
+ */
+function createMatch(io, roomCode, config) {
+  const room = roomManager.get(roomCode);
+  if (!room) {
+    return null;
+  }
+  if (room.match?.isRunning()) {
+    throw new Error('A match is already running - end it first');
+  }
+
+  const match = new MatchController(config);
+
+  saveSkippedRound(io, room);
+  resetQuiz(room.code);
+  room.match = match;
+
+  log.info('Match lobby opened', { room: room.code, mode: match.mode, rounds: match.totalRounds, difficultySchedule: match.difficultySchedule });
+  io.to(room.code).emit('match-lobby', {
+    room: room.code,
+    match: match.getState(),
+    timestamp: Date.now()
+  });
+
+  refreshHosts(io, room);
+  return match.getState();
+}
+
+/**
+ * Starts the match waiting in a room's lobby with its first question
+ * The match runs in the room's progression mode like any other game.
+ * Everyone in the room plays an elimination match; later arrivals watch.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {String} roomCode - Room code
+ * @returns {Object|null} Match state, or null if the room doesn't exist
+ * @throws {Error} If there's no match lobby
+ */
+function startMatch(io, roomCode) {
+  const room = roomManager.get(roomCode);
+  if (!room) {
+    return null;
+  }
+  if (!room.match) {
+    throw new Error('Open a match lobby first');
+  }
+
+  room.match.start({
+    players: getConnectedPlayerIds(io, room).map(playerId => ({ playerId, nickname: playerRegistry.getNickname(playerId) }))
+  });
+  log.info('Match started', { room: room.code, mode: room.match.mode, rounds: room.match.totalRounds, players: room.getMemberCount() });
+
+  io.to(room.code).emit('match-started', {
+    room: room.code,
+    match: room.match.getState(),
+    timestamp: Date.now()
+  });
+
+  startNextQuestion(io, room);
+  return room.match.getState();
+}
+
+/**
+ * Stops a running match before its last round
+ * The open question is dropped (it doesn't count) and players get the
+ * standings so far in 'match-ended'.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {String} roomCode - Room code
+ * @returns {Object|null} Match results, or null if the room doesn't exist
+ * @throws {Error} If no match is running
+ */
+function endMatch(io, roomCode) {
+  const room = roomManager.get(roomCode);
+  if (!room) {
+    return null;
+  }
+  if (!room.match?.isRunning()) {
+    throw new Error('No match is running');
+  }
+
+  const results = finishMatch(io, room, { cancelled: true });
+  saveSkippedRound(io, room);
+  resetQuiz(room.code);
+  refreshHosts(io, room);
+  return results;
+}
+
+/**
+ * Leaves match mode and returns the room to endless play
+ * Players are sent 'match-closed'.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {String} roomCode - Room code
+ * @returns {Boolean|null} True once closed, or null if the room doesn't exist
+ * @throws {Error} If there's no match, or it's still running
+ */
+function closeMatch(io, roomCode) {
+  const room = roomManager.get(roomCode);
+  if (!room) {
+    return null;
+  }
+  if (!room.match) {
+    throw new Error('There is no match to close');
+  }
+  if (room.match.isRunning()) {
+    throw new Error('End the match before closing it');
+  }
+
+  room.match = null;
+  log.info('Match closed - back to endless play', { room: room.code });
+  io.to(room.code).emit('match-closed', { room: room.code, timestamp: Date.now() });
+
+  if (room.progressionMode === 'auto' && isBetweenRounds(room)) {
+    startNextQuestion(io, room);
+  } else {
+    refreshHosts(io, room);
+  }
+  return true;
+}
+
+/**
+ * Ends a room's match and announces the final standings
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ * @param {Object} options - Options
+ * @param {Boolean} options.cancelled - True if the host stopped it early
+ * @returns {Object} Match results
+ */
+function finishMatch(io, room, { cancelled = false } = {}) {
+  const results = room.match.finish({ cancelled });
+
+  log.info('Match ended', {
+    room: room.code,
+    roundsPlayed: results.roundsPlayed,
+    cancelled,
+    winner: results.podium[0]?.playerId || null
+  });
+
+  io.to(room.code).emit('match-ended', {
+    room: room.code,
+    ...results,
+    timestamp: Date.now()
+  });
+
+  refreshHosts(io, room);
+  return results;
+}
+
+/**
+ * Records how the current question ended in the room's match, if any
+ * @param {Room} room - Room instance
+ * @param {String} outcome - 'won', 'timeout', 'skipped' or 'unconfirmed'
+ * @param {Array<Object>} winners - { playerId, nickname, points }
+ */
+function recordMatchRound(room, outcome, winners = []) {
+  const currentQuestion = room.stateManager.getCurrentQuestion();
+  if (!room.match || !currentQuestion) {
+    return;
+  }
+
+  room.match.recordRound({
+    questionId: currentQuestion.id,
+    question: currentQuestion.question,
+    answer: currentQuestion.answer,
+    outcome,
+    winners
+  });
+}
+
+/**
+ * Takes a life from each of the given players in a room's elimination match
+ * Players are sent 'elimination-update' if anyone lost a life.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ * @param {Array<String>} playerIds - Players who missed the round
+ * @returns {Array<Object>} { playerId, nickname, lives, eliminated } for each life taken
+ */
+function takeMatchLives(io, room, playerIds) {
+  const { match } = room;
+  if (!match?.isElimination() || !match.isRunning()) {
+    return [];
+  }
+
+  const livesLost = playerIds.map(playerId => match.loseLife(playerId)).filter(Boolean);
+  if (livesLost.length === 0) {
+    return [];
+  }
+
+  const eliminated = livesLost.filter(entry => entry.eliminated).map(entry => entry.playerId);
+  if (eliminated.length > 0) {
+    log.info('Players eliminated', { room: room.code, eliminated, playersLeft: match.getAlivePlayerIds().length });
+  }
+
+  io.to(room.code).emit('elimination-update', {
+    room: room.code,
+    livesLost,
+    contestants: match.getContestants(),
+    playersLeft: match.getAlivePlayerIds().length,
+    timestamp: Date.now()
+  });
+
+  refreshHosts(io, room);
+  return livesLost;
+}
+
+/**
+ * Takes a life from every player still in a room's elimination match who
+ * didn't answer the question before the timer ran out
+ * A teammate answering under the team buzz-in rule counts as an answer.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {Room} room - Room instance
+ * @returns {Array<Object>} { playerId, nickname, lives, eliminated } for each life taken
+ */
+function takeLivesForUnanswered(io, room) {
+  if (!room.match?.isElimination()) {
+    return [];
+  }
+
+  const { stateManager } = room;
+  const unanswered = room.match.getAlivePlayerIds().filter(playerId =>
+    !stateManager.hasSubmitted(playerId) && !stateManager.getTeamCaptain(room.teams.getTeamId(playerId))
+  );
+  return takeMatchLives(io, room, unanswered);
+}
+
+/**
+ * Describes where a room's match is, for question and round-end payloads
+ * @param {Room} room - Room instance
+ * @returns {Object|null} { round, totalRounds, playersLeft } (the round being played, or the one
+ *   that just ended; playersLeft is null outside elimination), or null outside a running match
+ */
+function describeMatchRound(room) {
+  const { match } = room;
+  if (!match?.isRunning()) {
+    return null;
+  }
+
+  return {
+    round: match.currentRound ? match.rounds.length + 1 : match.rounds.length,
+    totalRounds: match.totalRounds,
+    playersLeft: match.isElimination() ? match.getAlivePlayerIds().length : null
+  };
+}
+
+/**
+ * Sets a room's difficulty level and whether it adapts afterwards
+ * Takes effect from the next question.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {String} roomCode - Room code
+ * @param {String} difficulty - Difficulty level ('easy', 'medium', 'hard')
+ * @param {Boolean} adaptive - Optional; turn adaptive difficulty on or off
+ * @returns {Object|null} Updated difficulty state, or null if the room doesn't exist
+ * @throws {Error} If the difficulty level is invalid
+ */
+function setRoomDifficulty(io, roomCode, difficulty, adaptive) {
+  const room = roomManager.get(roomCode);
+  if (!room) {
+    return null;
+  }
+
+  if (difficulty !== undefined) {
+    room.difficultyController.setLevel(difficulty);
+  }
+  if (adaptive !== undefined) {
+    room.difficultyController.setEnabled(adaptive);
+  }
+
+  log.info('Difficulty set', { room: room.code, difficulty: room.difficultyController.getLevel(), adaptive: room.difficultyController.enabled });
+  refreshHosts(io, room);
+  return room.difficultyController.getState();
+}
+
+/**
+ * Bars a player from the rest of a room's current question
+ * Their later submissions are rejected; the ban lifts with the next question.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {String} roomCode - Room code
+ * @param {String} playerId - Player to disqualify
+ * @returns {Object|null} { playerId, disqualified }, or null if the room doesn't exist
+ * @throws {Error} If no player ID is given
+ */
+function disqualifyPlayer(io, roomCode, playerId) {
+  const room = roomManager.get(roomCode);
+  if (!room) {
+    return null;
+  }
+  if (!playerId) {
+    throw new Error('A player ID is required');
+  }
+
+  antiCheat.disqualify(room.code, playerId);
+  log.info('Player disqualified by host', { room: room.code, playerId });
+
+  refreshHosts(io, room);
+  return { playerId, disqualified: true };
+}
+
+/**
+ * Shadow-bans a player, or lifts the ban
+ * Shadow-banned players keep playing but can never win a round.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {String} roomCode - Room the host is watching (refreshed afterwards)
+ * @param {String} playerId - Player ID
+ * @param {Boolean} banned - True to ban, false to lift the ban
+ * @returns {Object|null} { playerId, shadowBanned }, or null if the room doesn't exist
+ * @throws {Error} If no player ID is given
+ */
+function setPlayerShadowBan(io, roomCode, playerId, banned = true) {
+  const room = roomManager.get(roomCode);
+  if (!room) {
+    return null;
+  }
+  if (!playerId) {
+    throw new Error('A player ID is required');
+  }
+
+  antiCheat.setShadowBan(playerId, banned !== false);
+  log.info(banned !== false ? 'Player shadow-banned by host' : 'Shadow ban lifted by host', { room: room.code, playerId });
+
+  refreshHosts(io, room);
+  return { playerId, shadowBanned: antiCheat.isShadowBanned(playerId) };
+}
+
+/**
+ * Updates a room's timing settings
+ * @param {Object} io - Socket.io server instance
+ * @param {String} roomCode - Room code
+ * @param {Object} settings - Settings to change
+ * @param {Number} settings.gracePeriodMs - Grace window for near-simultaneous answers
+ * @param {Number} settings.winnerDisplayDurationMs - Pause between rounds
+ * @returns {Object|null} Current settings, or null if the room doesn't exist
+ * @throws {Error} If a value is not a non-negative number
+ */
+function updateRoomSettings(io, roomCode, { gracePeriodMs, winnerDisplayDurationMs } = {}) {
+  const room = roomManager.get(roomCode);
+  if (!room) {
+    return null;
+  }
+
+  const checkDuration = (name, value) => {
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`${name} must be a non-negative number of milliseconds`);
+    }
+  };
+
+  if (gracePeriodMs !== undefined) {
+    checkDuration('gracePeriodMs', gracePeriodMs);
+  }
+  if (winnerDisplayDurationMs !== undefined) {
+    checkDuration('winnerDisplayDurationMs', winnerDisplayDurationMs);
+  }
+
+  if (gracePeriodMs !== undefined) {
+    room.stateManager.setGracePeriod(gracePeriodMs);
+  }
+  if (winnerDisplayDurationMs !== undefined) {
+    room.winnerDisplayDurationMs = winnerDisplayDurationMs;
+  }
+
+  refreshHosts(io, room);
+  return getRoomSettings(room);
+}
+
+/**
+ * Gets a room's adjustable settings
+ * @param {Room} room - Room instance
+ * @returns {Object} Settings
+ */
+function getRoomSettings(room) {
+  return {
+    gracePeriodMs: room.stateManager.getGracePeriod(),
+    winnerDisplayDurationMs: room.winnerDisplayDurationMs,
+    resolutionMode: room.stateManager.getResolutionMode(),
+    questionTimeLimitMs: room.questionTimeLimitMs,
+    progressionMode: room.progressionMode,
+    isPaused: room.isPaused
+  };
+}
+
+/**
+ * Sets up a room's teams and who may answer
+ * New teams replace the old ones and every connected player is spread
+ * across them again; an empty list turns team play off.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {String} roomCode - Room code
+ * @param {Object} config - What to change (omitted values are kept)
+ * @param {Array<String>} config.teams - Team names
+ * @param {String} config.submissionRule - 'per-player' or 'per-team'
+ * @returns {Object|null} The room's teams (see describeTeams()), or null if the room doesn't exist
+ * @throws {Error} If the team names or the rule are invalid
+ */
+function setRoomTeams(io, roomCode, { teams, submissionRule } = {}) {
+  const room = roomManager.get(roomCode);
+  if (!room) {
+    return null;
+  }
+
+  if (submissionRule !== undefined && !StateManager.SUBMISSION_RULES.includes(submissionRule)) {
+    throw new Error(`Invalid submission rule: ${submissionRule}. Must be one of: ${StateManager.SUBMISSION_RULES.join(', ')}`);
+  }
+
+  if (teams !== undefined) {
+    room.teams.setTeams(teams);
+
+    const connected = getConnectedPlayerIds(io, room);
+    connected.forEach((playerId, index) => room.teams.autoAssign(playerId, connected.slice(0, index)));
+    log.info('Teams set', { room: room.code, teams: room.teams.getTeams().map(team => team.id) });
+  }
+  if (submissionRule !== undefined) {
+    room.stateManager.setSubmissionRule(submissionRule);
+    log.info('Submission rule set', { room: room.code, submissionRule });
+  }
+
+  const description = describeTeams(io, room);
+  io.to(room.code).emit('teams-update', { room: room.code, ...description, timestamp: Date.now() });
+  io.to(room.code).emit('leaderboard-update', buildLeaderboard(room));
+  refreshHosts(io, room);
+  return description;
+}
+
+/**
+ * Resets a room's game and scores and starts a fresh question
+ * The room goes back to endless play: a match in progress or finished is
+ * dropped with its standings (and lives), and players are sent 'match-closed'.
+ *
+ * @param {Object} io - Socket.io server instance
+ * @param {String} roomCode - Room code
+ * @returns {Boolean} True if the room exists
+ */
+function restartRoom(io, roomCode) {
+  const room = roomManager.get(roomCode);
+  if (!room) {
+    return false;
+  }
+
+  saveSkippedRound(io, room);
+  resetQuiz(room.code);
+  room.scoringService.reset();
+  roundStore.resetScores(room.code);
+  io.to(room.code).emit('leaderboard-update', buildLeaderboard(room));
+
+  if (room.match) {
+    log.info('Match dropped by restart', { room: room.code, matchStatus: room.match.status });
+    room.match = null;
+    io.to(room.code).emit('match-closed', { room: room.code, timestamp: Date.now() });
+  }
+
+  if (room.progressionMode === 'auto') {
+    startNextQuestion(io, room);
+  } else {
+    refreshHosts(io, room);
+  }
+  return true;
+}
+
+/**
+ * Renders the server's metrics for scraping
+ * @returns {String} Metrics in the Prometheus text exposition format
+ */
+function renderMetrics() {
+  return quizMetrics.render();
+}
+
+/**
+ * Builds the Socket.io adapter that shares broadcasts between instances
+ * @returns {Function|null} Adapter for io.adapter(), or null for a single instance
+ */
+function createSocketAdapter() {
+  return stateStore.createAdapter();
+}
+
+/**
+ * Closes the round store and shared state, releasing this instance's
+ * room leases so other instances can take the rooms over at once
+ * (call on shutdown)
+ * @returns {Promise} Settles once shared state is closed
+ */
+async function closeStorage() {
+  roundStore.close();
+
+  await Promise.all(roomManager.list().map(room => releaseRoomLease(room.code)));
+  await instanceBus.stop().catch(error => log.warn('Failed to stop the instance bus', { error }));
+  await stateStore.close().catch(error => log.warn('Failed to close shared state', { error }));
+}
+
+/**
+ * Resets quiz state (for testing)
+ * @param {String} roomCode - Optional room code; omit to reset every room
+ */
+function resetQuiz(roomCode) {
+  const rooms = roomCode === undefined
+    ? roomManager.list()
+    : [roomManager.get(roomCode)].filter(Boolean);
+
+  rooms.forEach(room => {
+    log.info('Resetting quiz state', { room: room.code });
+    room.questionDeadline = null;
+    room.stateManager.reset(); // Any state → IDLE (cancels the room's timers)
+    room.difficultyController.reset();
+  });
 }
 
 // Export handler setup function and utilities
@@ -283,10 +2742,35 @@ module.exports = {
   setupSocketHandlers,
   generateNewQuestion,
   getQuizState,
+  getRoomInstance,
   forceNewQuestion,
   resetQuiz,
-  // Export instances for testing
-  _questionGenerator: questionGenerator,
-  _stateManager: stateManager,
-  _stateMachine: stateMachine
+  setProgressionMode,
+  pauseRoom,
+  resumeRoom,
+  advanceRoom,
+  createMatch,
+  startMatch,
+  endMatch,
+  closeMatch,
+  setRoomDifficulty,
+  disqualifyPlayer,
+  setPlayerShadowBan,
+  setRoomTeams,
+  updateRoomSettings,
+  restartRoom,
+  getHostSnapshot,
+  getRoundHistory,
+  renderMetrics,
+  HOST_NAMESPACE,
+  instanceBus,
+  closeStorage,
+  createSocketAdapter,
+  // Export registries for testing
+  _roomManager: roomManager,
+  _playerRegistry: playerRegistry,
+  _antiCheat: antiCheat,
+  _roundStore: roundStore,
+  _stateStore: stateStore,
+  _playerRelay: playerRelay
 };
@@ -0,0 +1,347 @@
+/**
+ * Admin REST API
+ *
+ * Lets an operator control running quizzes over HTTP: skip or restart
+ * questions, change difficulty, pause and resume progression, run
+ * matches, set up teams, tune timing, and read the live state snapshot.
+ *
+ * Every request needs the admin token from the ADMIN_TOKEN environment
+ * variable, sent as "Authorization: Bearer <token>". The API is disabled
+ * when ADMIN_TOKEN is not set.
+ *
+ * Any instance can serve any room: commands for a room running on
+ * another instance are carried out there (503 if it doesn't answer).
+ *
+ * Routes (":room" is a room code, e.g. "lobby"):
+ *   GET  /admin/state                 - State of every room on every instance
+ *   GET  /admin/rooms/:room           - State of one room
+ *   POST /admin/rooms/:room/skip      - Skip to a new question ({ difficulty })
+ *   POST /admin/rooms/:room/reset     - Reset the game and scores (ends any match)
+ *   POST /admin/rooms/:room/difficulty - Set difficulty ({ difficulty, adaptive })
+ *   POST /admin/rooms/:room/pause     - Stop progression after the current question
+ *   POST /admin/rooms/:room/resume    - Resume progression in its previous mode
+ *   POST /admin/rooms/:room/progression - Set the progression mode ({ mode })
+ *   POST /admin/rooms/:room/next      - Start the next question between rounds
+ *   POST /admin/rooms/:room/match     - Open a match lobby ({ rounds, difficultySchedule, mode, lives })
+ *   POST /admin/rooms/:room/match/start - Start the match in the lobby
+ *   POST /admin/rooms/:room/match/end - Stop the running match early
+ *   DELETE /admin/rooms/:room/match   - Close the match and return to endless play
+ *   POST /admin/rooms/:room/teams     - Set up teams ({ teams, submissionRule })
+ *   POST /admin/rooms/:room/settings  - Adjust timing ({ gracePeriodMs, winnerDisplayDurationMs })
+ */
+
+const express = require('express');
+const RoomManager = require('../services/RoomManager');
+const DifficultyController = require('../services/DifficultyController');
+const { requireAdminToken } = require('../utils/adminAuth');
+const { sendError } = require('../utils/httpErrors');
+const { getClusterState, runRoomCommand } = require('../handlers/roomCommands');
+const { InstanceBus } = require('../services/state');
+
+const router = express.Router();
+
+/**
+ * Resolves the :room parameter to a normalized room code
+ */
+function resolveRoomCode(req, res, next) {
+  const code = RoomManager.normalizeCode(req.params.room);
+
+  if (!code) {
+    sendError(res, 400, 'Invalid room', 'Room codes may only contain letters, digits, dashes and underscores');
+    return;
+  }
+
+  req.roomCode = code;
+  next();
+}
+
+/**
+ * Sends 404 for a room that doesn't exist
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function sendRoomNotFound(req, res) {
+  sendError(res, 404, 'Room not found', `No active room "${req.roomCode}"`);
+}
+
+/**
+ * Runs a command on the request's room, wherever it runs
+ * @param {Object} req - Express request (after resolveRoomCode)
+ * @param {String} command - Room command (see runRoomCommand)
+ * @param {...*} args - Command arguments after the room code
+ * @returns {Promise<*>} The command's result
+ */
+function runCommand(req, command, ...args) {
+  return runRoomCommand(req.app.get('io'), command, req.roomCode, ...args);
+}
+
+/**
+ * Sends the error a room command failed with
+ * A room whose instance didn't answer gets 503; anything else is the
+ * command turning the request down.
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Command error
+ * @param {Number} status - Status for a refused request
+ * @param {String} title - Short error name for a refused request
+ */
+function sendCommandError(res, error, status, title) {
+  if (error.code === InstanceBus.UNAVAILABLE) {
+    sendError(res, 503, 'Room unavailable', error.message);
+    return;
+  }
+
+  sendError(res, status, title, error.message);
+}
+
+router.use(requireAdminToken);
+router.param('room', resolveRoomCode);
+
+// Live state of every room
+router.get('/state', async (req, res) => {
+  try {
+    res.json({
+      ...await getClusterState(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendCommandError(res, error, 500, 'Internal Server Error');
+  }
+});
+
+// Live state of a single room
+router.get('/rooms/:room', async (req, res) => {
+  try {
+    const state = await runCommand(req, 'getRoomState');
+    if (!state) {
+      sendRoomNotFound(req, res);
+      return;
+    }
+
+    res.json(state);
+  } catch (error) {
+    sendCommandError(res, error, 500, 'Internal Server Error');
+  }
+});
+
+// Skip the current question
+router.post('/rooms/:room/skip', async (req, res) => {
+  const { difficulty } = req.body || {};
+
+  if (difficulty !== undefined && !DifficultyController.LEVELS.includes(difficulty)) {
+    sendError(res, 400, 'Invalid difficulty', `difficulty must be one of ${DifficultyController.LEVELS.join(', ')}`);
+    return;
+  }
+
+  try {
+    if (!await runCommand(req, 'forceNewQuestion', difficulty)) {
+      sendRoomNotFound(req, res);
+      return;
+    }
+    res.json({ success: true, state: await runCommand(req, 'getRoomState') });
+  } catch (error) {
+    sendCommandError(res, error, 409, 'Match not running');
+  }
+});
+
+// Reset the game and scores
+router.post('/rooms/:room/reset', async (req, res) => {
+  try {
+    if (!await runCommand(req, 'restartRoom')) {
+      sendRoomNotFound(req, res);
+      return;
+    }
+
+    res.json({ success: true, state: await runCommand(req, 'getRoomState') });
+  } catch (error) {
+    sendCommandError(res, error, 500, 'Internal Server Error');
+  }
+});
+
+// Change difficulty
+router.post('/rooms/:room/difficulty', async (req, res) => {
+  const { difficulty, adaptive } = req.body || {};
+
+  if (difficulty === undefined && adaptive === undefined) {
+    sendError(res, 400, 'Nothing to change', 'Provide difficulty and/or adaptive');
+    return;
+  }
+  if (adaptive !== undefined && typeof adaptive !== 'boolean') {
+    sendError(res, 400, 'Invalid adaptive flag', 'adaptive must be true or false');
+    return;
+  }
+
+  try {
+    const result = await runCommand(req, 'setRoomDifficulty', difficulty, adaptive);
+    if (!result) {
+      sendRoomNotFound(req, res);
+      return;
+    }
+    res.json({ success: true, difficulty: result });
+  } catch (error) {
+    sendCommandError(res, error, 400, 'Invalid difficulty');
+  }
+});
+
+// Pause progression after the current question
+router.post('/rooms/:room/pause', async (req, res) => {
+  try {
+    if (!await runCommand(req, 'pauseRoom')) {
+      sendRoomNotFound(req, res);
+      return;
+    }
+
+    res.json({ success: true, isPaused: true });
+  } catch (error) {
+    sendCommandError(res, error, 500, 'Internal Server Error');
+  }
+});
+
+// Resume progression in the mode it ran in before the pause
+router.post('/rooms/:room/resume', async (req, res) => {
+  try {
+    if (!await runCommand(req, 'resumeRoom')) {
+      sendRoomNotFound(req, res);
+      return;
+    }
+
+    res.json({ success: true, isPaused: false });
+  } catch (error) {
+    sendCommandError(res, error, 500, 'Internal Server Error');
+  }
+});
+
+// Choose how the next question starts
+router.post('/rooms/:room/progression', async (req, res) => {
+  const { mode } = req.body || {};
+
+  if (mode === undefined) {
+    sendError(res, 400, 'Nothing to change', "Provide mode ('auto', 'host-advance' or 'paused')");
+    return;
+  }
+
+  try {
+    const result = await runCommand(req, 'setProgressionMode', mode);
+    if (!result) {
+      sendRoomNotFound(req, res);
+      return;
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendCommandError(res, error, 400, 'Invalid progression mode');
+  }
+});
+
+// Start the next question (rooms waiting for a host)
+router.post('/rooms/:room/next', async (req, res) => {
+  try {
+    if (!await runCommand(req, 'advanceRoom')) {
+      sendRoomNotFound(req, res);
+      return;
+    }
+    res.json({ success: true, state: await runCommand(req, 'getRoomState') });
+  } catch (error) {
+    sendCommandError(res, error, 409, 'Question still open');
+  }
+});
+
+// Open a match lobby
+router.post('/rooms/:room/match', async (req, res) => {
+  const { rounds, difficultySchedule, mode, lives } = req.body || {};
+
+  try {
+    const match = await runCommand(req, 'createMatch', { rounds, difficultySchedule, mode, lives });
+    if (!match) {
+      sendRoomNotFound(req, res);
+      return;
+    }
+    res.json({ success: true, match });
+  } catch (error) {
+    sendCommandError(res, error, 400, 'Invalid match');
+  }
+});
+
+// Start the match waiting in the lobby
+router.post('/rooms/:room/match/start', async (req, res) => {
+  try {
+    const match = await runCommand(req, 'startMatch');
+    if (!match) {
+      sendRoomNotFound(req, res);
+      return;
+    }
+    res.json({ success: true, match });
+  } catch (error) {
+    sendCommandError(res, error, 409, 'Match not ready');
+  }
+});
+
+// Stop the running match early (players get the standings so far)
+router.post('/rooms/:room/match/end', async (req, res) => {
+  try {
+    const results = await runCommand(req, 'endMatch');
+    if (!results) {
+      sendRoomNotFound(req, res);
+      return;
+    }
+    res.json({ success: true, results });
+  } catch (error) {
+    sendCommandError(res, error, 409, 'Match not running');
+  }
+});
+
+// Return to endless play
+router.delete('/rooms/:room/match', async (req, res) => {
+  try {
+    if (!await runCommand(req, 'closeMatch')) {
+      sendRoomNotFound(req, res);
+      return;
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendCommandError(res, error, 409, 'Match not closed');
+  }
+});
+
+// Set up teams and who may answer for them
+router.post('/rooms/:room/teams', async (req, res) => {
+  const { teams, submissionRule } = req.body || {};
+
+  if (teams === undefined && submissionRule === undefined) {
+    sendError(res, 400, 'Nothing to change', 'Provide teams and/or submissionRule');
+    return;
+  }
+
+  try {
+    const result = await runCommand(req, 'setRoomTeams', { teams, submissionRule });
+    if (!result) {
+      sendRoomNotFound(req, res);
+      return;
+    }
+    res.json({ success: true, teams: result });
+  } catch (error) {
+    sendCommandError(res, error, 400, 'Invalid teams');
+  }
+});
+
+// Adjust grace period and winner display duration
+router.post('/rooms/:room/settings', async (req, res) => {
+  const { gracePeriodMs, winnerDisplayDurationMs } = req.body || {};
+
+  if (gracePeriodMs === undefined && winnerDisplayDurationMs === undefined) {
+    sendError(res, 400, 'Nothing to change', 'Provide gracePeriodMs and/or winnerDisplayDurationMs');
+    return;
+  }
+
+  try {
+    const settings = await runCommand(req, 'updateRoomSettings', { gracePeriodMs, winnerDisplayDurationMs });
+    if (!settings) {
+      sendRoomNotFound(req, res);
+      return;
+    }
+    res.json({ success: true, settings });
+  } catch (error) {
+    sendCommandError(res, error, 400, 'Invalid settings');
+  }
+});
+
+module.exports = router;
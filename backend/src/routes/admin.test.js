@@ -0,0 +1,167 @@
+/**
+ * Tests for the admin API's token gate
+ *
+ * Runs the app on a random local port and checks which requests get
+ * past requireAdminToken, on the admin API and the metrics endpoint.
+ */
+
+process.env.LOG_LEVEL = 'silent';
+process.env.STORAGE_DRIVER = 'memory';
+
+const http = require('http');
+const app = require('../app');
+
+// Simple test framework (async - requests are promises)
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+async function test(description, testFunction) {
+  try {
+    await testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+const ADMIN_TOKEN = 'secret-token';
+let baseUrl;
+
+/**
+ * Sends a request to the admin API
+ * @param {String} path - Path below /admin
+ * @param {Object} options - { method, authorization }
+ * @returns {Promise<Object>} { status, body }
+ */
+async function request(path, { method = 'GET', authorization } = {}) {
+  const headers = authorization === undefined ? {} : { Authorization: authorization };
+  const res = await fetch(`${baseUrl}/admin${path}`, { method, headers });
+  return { status: res.status, body: await res.json() };
+}
+
+async function run() {
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  console.log('\n🧪 Running Admin API Auth Tests\n');
+
+  // Test 1: Disabled without a token
+  await test('The API is disabled when ADMIN_TOKEN is unset', async () => {
+    delete process.env.ADMIN_TOKEN;
+
+    const anonymous = await request('/state');
+    assertEqual(anonymous.status, 503);
+    assertEqual(anonymous.body.error, 'Admin API disabled');
+
+    // Not even an empty bearer token gets through
+    const empty = await request('/state', { authorization: 'Bearer ' });
+    assertEqual(empty.status, 503);
+
+    const command = await request('/rooms/lobby/skip', { method: 'POST', authorization: 'Bearer anything' });
+    assertEqual(command.status, 503, 'Commands are refused too');
+
+    const metrics = await fetch(`${baseUrl}/metrics`);
+    assertEqual(metrics.status, 503, 'Metrics are not public');
+  });
+
+  process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+
+  // Test 2: Missing and malformed headers
+  await test('Requests without a bearer token are refused', async () => {
+    const missing = await request('/state');
+    assertEqual(missing.status, 401);
+    assertEqual(missing.body.error, 'Unauthorized');
+
+    const schemes = [`Basic ${ADMIN_TOKEN}`, `bearer ${ADMIN_TOKEN}`, ADMIN_TOKEN, 'Bearer', ''];
+    for (const authorization of schemes) {
+      const { status } = await request('/state', { authorization });
+      assertEqual(status, 401, `Expected ${JSON.stringify(authorization)} to be refused`);
+    }
+  });
+
+  // Test 3: Wrong tokens
+  await test('Wrong tokens are refused', async () => {
+    const wrong = await request('/state', { authorization: 'Bearer secret-tokeN' });
+    assertEqual(wrong.status, 401, 'Same length, one character off');
+
+    const shorter = await request('/state', { authorization: 'Bearer secret' });
+    assertEqual(shorter.status, 401, 'A prefix of the token');
+
+    const longer = await request('/state', { authorization: `Bearer ${ADMIN_TOKEN}x` });
+    assertEqual(longer.status, 401, 'The token with an extra character');
+
+    const command = await request('/rooms/lobby/reset', { method: 'POST', authorization: 'Bearer nope' });
+    assertEqual(command.status, 401, 'Commands are refused before they run');
+  });
+
+  // Test 4: The right token
+  await test('The admin token is accepted', async () => {
+    const { status, body } = await request('/state', { authorization: `Bearer ${ADMIN_TOKEN}` });
+    assertEqual(status, 200);
+    assert(Array.isArray(body.rooms), 'The state lists the rooms');
+    assert(Array.isArray(body.instances), 'The state lists the instances');
+  });
+
+  // Test 5: Metrics
+  await test('Metrics are served only with the admin token', async () => {
+    const anonymous = await fetch(`${baseUrl}/metrics`);
+    assertEqual(anonymous.status, 401);
+
+    const wrong = await fetch(`${baseUrl}/metrics`, { headers: { Authorization: 'Bearer nope' } });
+    assertEqual(wrong.status, 401);
+
+    const res = await fetch(`${baseUrl}/metrics`, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+    assertEqual(res.status, 200);
+    assert((await res.text()).includes('quiz_'), 'Expected Prometheus metrics');
+  });
+
+  // Test 6: Room codes are checked after the token
+  await test('Invalid room codes are refused only once authorized', async () => {
+    const anonymous = await request('/rooms/%21%21%21', { authorization: 'Bearer nope' });
+    assertEqual(anonymous.status, 401, 'The token is checked first');
+
+    const { status, body } = await request('/rooms/%21%21%21', { authorization: `Bearer ${ADMIN_TOKEN}` });
+    assertEqual(status, 400);
+    assertEqual(body.error, 'Invalid room');
+  });
+
+  server.close();
+
+  // Print Summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`📊 Test Summary`);
+  console.log('='.repeat(50));
+  console.log(`✅ Passed: ${testsPassed}`);
+  console.log(`❌ Failed: ${testsFailed}`);
+  console.log(`📈 Total: ${testsPassed + testsFailed}`);
+  console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+  console.log('='.repeat(50) + '\n');
+
+  if (testsFailed === 0) {
+    console.log('🎉 All tests passed!\n');
+    process.exit(0);
+  } else {
+    console.log('⚠️  Some tests failed. Please review.\n');
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,85 @@
+/**
+ * Round History API
+ *
+ * Read-only access to finished rounds: the question, the correct
+ * answer, the winners, time-to-win and how many players answered.
+ *
+ * Routes:
+ *   GET /rounds - Past rounds, newest first
+ *
+ * Query parameters (all optional):
+ *   room       - Only rounds from this room
+ *   difficulty - Only rounds of this difficulty ('easy', 'medium', 'hard')
+ *   player     - Only rounds this player ID answered or won
+ *   limit      - Page size (1-100, default 20)
+ *   offset     - Number of rounds to skip (default 0)
+ */
+
+const express = require('express');
+const RoomManager = require('../services/RoomManager');
+const DifficultyController = require('../services/DifficultyController');
+const { sendError } = require('../utils/httpErrors');
+const { getRoundHistory } = require('../handlers/socketHandlers');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const router = express.Router();
+
+/**
+ * Parses an optional non-negative integer query parameter
+ * @param {String} value - Raw query value
+ * @param {Number} fallback - Value to use when the parameter is missing
+ * @returns {Number|null} Parsed value, or null if invalid
+ */
+function parseCount(value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : null;
+}
+
+// Past rounds, newest first
+router.get('/', (req, res) => {
+  const { room, difficulty, player } = req.query;
+  const limit = parseCount(req.query.limit, DEFAULT_PAGE_SIZE);
+  const offset = parseCount(req.query.offset, 0);
+
+  const roomCode = room === undefined ? undefined : RoomManager.normalizeCode(room);
+  if (roomCode === null) {
+    sendError(res, 400, 'Invalid room', 'Room codes may only contain letters, digits, dashes and underscores');
+    return;
+  }
+
+  if (difficulty !== undefined && !DifficultyController.LEVELS.includes(difficulty)) {
+    sendError(res, 400, 'Invalid difficulty', `difficulty must be one of ${DifficultyController.LEVELS.join(', ')}`);
+    return;
+  }
+
+  if (player !== undefined && (typeof player !== 'string' || !player)) {
+    sendError(res, 400, 'Invalid player', 'player must be a player ID');
+    return;
+  }
+
+  if (limit === null || limit < 1 || limit > MAX_PAGE_SIZE) {
+    sendError(res, 400, 'Invalid limit', `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+    return;
+  }
+
+  if (offset === null) {
+    sendError(res, 400, 'Invalid offset', 'offset must be a non-negative whole number');
+    return;
+  }
+
+  const history = getRoundHistory({ room: roomCode, difficulty, playerId: player, limit, offset });
+
+  res.json({
+    ...history,
+    hasMore: offset + history.rounds.length < history.total,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
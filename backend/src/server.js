@@ -2,13 +2,25 @@ require('dotenv').config();
 const http = require('http');
 const socketIO = require('socket.io');
 const app = require('./app');
-const { setupSocketHandlers } = require('./handlers/socketHandlers');
+const { setupSocketHandlers, closeStorage, createSocketAdapter, HOST_NAMESPACE } = require('./handlers/socketHandlers');
+const { setupHostHandlers } = require('./handlers/hostHandlers');
+const { setupRoomCommands } = require('./handlers/roomCommands');
+const { logger } = require('./utils/logger');
+const { getClientAddress } = require('./utils/clientAddress');
+
+const log = logger.child({ module: 'server' });
 
 // Configuration
 const PORT = process.env.PORT || 3001;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
 
+// Simultaneous connections allowed from one IP address (shared networks such as a classroom count as one)
+const MAX_CONNECTIONS_PER_IP = parseInt(process.env.MAX_CONNECTIONS_PER_IP, 10) || 30;
+
+// Largest Socket.io message accepted; bigger ones close the connection before reaching any handler
+const MAX_MESSAGE_BYTES = parseInt(process.env.SOCKET_MAX_MESSAGE_BYTES, 10) || 16 * 1024;
+
 // Create HTTP Server
 const server = http.createServer(app);
 
@@ -19,56 +31,109 @@ const io = socketIO(server, {
     methods: ['GET', 'POST'],
     credentials: true
   },
-  transports: ['websocket', 'polling']
+  transports: ['websocket', 'polling'],
+  maxHttpBufferSize: MAX_MESSAGE_BYTES
 });
 
+// Share room broadcasts with the other instances when state is shared (STATE_STORE=redis)
+const socketAdapter = createSocketAdapter();
+if (socketAdapter) {
+  io.adapter(socketAdapter);
+}
+
+// Make the Socket.io server available to HTTP routes (e.g. the admin API)
+app.set('io', io);
+
 // Connection tracking
 const connectedUsers = new Map();
 
-// User count tracking handler (separate from quiz handlers)
+// Open connections per client IP address
+const connectionsPerAddress = new Map();
+
+/**
+ * Connection cap: refuses new sockets from an address that already has too many open
+ * Applied to every namespace, so the host dashboard can't be used to get around it.
+ *
+ * @param {Object} socket - Connecting socket
+ * @param {Function} next - Socket.io middleware callback
+ */
+function limitConnectionsPerAddress(socket, next) {
+  const address = getClientAddress(socket);
+  const openConnections = connectionsPerAddress.get(address) || 0;
+
+  if (openConnections >= MAX_CONNECTIONS_PER_IP) {
+    log.warn('Connection refused: too many connections from one address', { address, limit: MAX_CONNECTIONS_PER_IP });
+
+    const error = new Error('Too many connections from your network. Close some tabs and try again.');
+    error.data = { reason: 'connection-limit', limit: MAX_CONNECTIONS_PER_IP };
+    return next(error);
+  }
+
+  next();
+}
+
+/**
+ * Counts an open socket against its address until it disconnects
+ * @param {Object} socket - Connected socket
+ */
+function countConnection(socket) {
+  const address = getClientAddress(socket);
+  connectionsPerAddress.set(address, (connectionsPerAddress.get(address) || 0) + 1);
+
+  socket.on('disconnect', () => {
+    const remaining = (connectionsPerAddress.get(address) || 1) - 1;
+    if (remaining > 0) {
+      connectionsPerAddress.set(address, remaining);
+    } else {
+      connectionsPerAddress.delete(address);
+    }
+  });
+}
+
+io.use(limitConnectionsPerAddress);
+io.of(HOST_NAMESPACE).use(limitConnectionsPerAddress);
+io.of(HOST_NAMESPACE).on('connection', countConnection);
+
+// Connection tracking handler (separate from quiz handlers)
+// Per-room user counts are broadcast by the quiz handlers.
 io.on('connection', (socket) => {
   const connectionTime = new Date().toISOString();
+  const address = getClientAddress(socket);
 
   // Track connected user
   connectedUsers.set(socket.id, {
     id: socket.id,
+    address,
     connectedAt: Date.now(),
     connectedAtISO: connectionTime
   });
-
-  // Broadcast current user count to all clients
-  const userCount = connectedUsers.size;
-  io.emit('user-count', userCount);
+  countConnection(socket);
 
   // Handle disconnection
   socket.on('disconnect', () => {
     // Remove from tracking
     connectedUsers.delete(socket.id);
-
-    // Broadcast updated user count
-    const updatedUserCount = connectedUsers.size;
-    io.emit('user-count', updatedUserCount);
   });
 });
 
 // Set up quiz-specific Socket.io event handlers
 setupSocketHandlers(io);
 
+// Set up the privileged host dashboard namespace
+setupHostHandlers(io);
+
+// Run host and admin commands from other instances on the rooms running here
+setupRoomCommands(io);
+
 // Server Event Handlers
 server.on('listening', () => {
-  console.log('='.repeat(50));
-  console.log('🚀 Math Quiz Backend Server');
-  console.log('='.repeat(50));
-  console.log(`Environment: ${NODE_ENV}`);
-  console.log(`Port: ${PORT}`);
-  console.log(`Server URL: http://localhost:${PORT}`);
-  console.log(`Health Check: http://localhost:${PORT}/health`);
-  console.log(`Frontend URL: ${FRONTEND_URL}`);
-  console.log('='.repeat(50));
-  console.log('✅ HTTP Server is ready');
-  console.log('✅ WebSocket Server is ready');
-  console.log('🔌 Waiting for connections...');
-  console.log('');
+  log.info('Math Quiz Backend Server is ready', {
+    environment: NODE_ENV,
+    port: PORT,
+    serverUrl: `http://localhost:${PORT}`,
+    healthCheck: `http://localhost:${PORT}/health`,
+    frontendUrl: FRONTEND_URL
+  });
 });
 
 server.on('error', (error) => {
@@ -81,11 +146,11 @@ server.on('error', (error) => {
   // Handle specific listen errors with friendly messages
   switch (error.code) {
     case 'EACCES':
-      console.error(`❌ ${bind} requires elevated privileges`);
+      log.error(`${bind} requires elevated privileges`);
       process.exit(1);
       break;
     case 'EADDRINUSE':
-      console.error(`❌ ${bind} is already in use`);
+      log.error(`${bind} is already in use`);
       process.exit(1);
       break;
     default:
@@ -95,33 +160,37 @@ server.on('error', (error) => {
 
 // Graceful Shutdown Handler
 process.on('SIGTERM', () => {
-  console.log('\n⚠️  SIGTERM received. Closing server gracefully...');
+  log.warn('SIGTERM received. Closing server gracefully...');
 
   // Close WebSocket connections
   io.close(() => {
-    console.log('✅ WebSocket connections closed');
+    log.info('WebSocket connections closed');
 
     // Close HTTP server
     server.close(() => {
-      console.log('✅ HTTP Server closed');
-      console.log(`📊 Total connections during session: ${connectedUsers.size}`);
-      process.exit(0);
+      log.info('HTTP Server closed');
+      closeStorage().finally(() => {
+        log.info('Shutdown complete', { totalConnectionsDuringSession: connectedUsers.size });
+        process.exit(0);
+      });
     });
   });
 });
 
 process.on('SIGINT', () => {
-  console.log('\n⚠️  SIGINT received. Closing server gracefully...');
+  log.warn('SIGINT received. Closing server gracefully...');
 
   // Close WebSocket connections
   io.close(() => {
-    console.log('✅ WebSocket connections closed');
+    log.info('WebSocket connections closed');
 
     // Close HTTP server
     server.close(() => {
-      console.log('✅ HTTP Server closed');
-      console.log(`📊 Total connections during session: ${connectedUsers.size}`);
-      process.exit(0);
+      log.info('HTTP Server closed');
+      closeStorage().finally(() => {
+        log.info('Shutdown complete', { totalConnectionsDuringSession: connectedUsers.size });
+        process.exit(0);
+      });
     });
   });
 });
@@ -0,0 +1,239 @@
+/**
+ * AnswerValidator - Numeric Answer Parsing and Comparison
+ *
+ * Turns what a player typed into a number and compares it with the
+ * correct answer. Accepts more than plain integers so players can
+ * answer naturally:
+ *
+ * - Integers and decimals: "42", "-7", "0.50", ".5"
+ * - Fractions: "1/2", "-3/4"
+ * - Mixed numbers: "3 1/2", "-2 3/4"
+ * - Simple expressions: "2*3", "(1 + 2) / 3", "2^3" (when allowed)
+ *
+ * Expressions are evaluated with a small recursive-descent parser -
+ * submitted text is never passed to eval().
+ *
+ * @class AnswerValidator
+ */
+
+const DEFAULT_TOLERANCE = 0.0001;
+const MAX_INPUT_LENGTH = 100;
+
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+const DECIMAL_PATTERN = /^[+-]?(\d+\.\d*|\.\d+)$/;
+const FRACTION_PATTERN = /^([+-]?)(\d+)\s*\/\s*(\d+)$/;
+const MIXED_PATTERN = /^([+-]?)(\d+)\s+(\d+)\s*\/\s*(\d+)$/;
+
+class AnswerValidator {
+  constructor() {
+    // Absolute difference allowed between the answer and the correct value
+    this.DEFAULT_TOLERANCE = DEFAULT_TOLERANCE;
+
+    // Longer inputs are rejected outright
+    this.MAX_INPUT_LENGTH = MAX_INPUT_LENGTH;
+  }
+
+  /**
+   * Normalizes submitted text before parsing
+   * Maps typographic symbols (×, ÷, −) to their ASCII equivalents and
+   * collapses whitespace.
+   *
+   * @param {*} input - Raw answer
+   * @returns {String} Normalized text
+   */
+  normalize(input) {
+    return String(input)
+      .replace(/×/g, '*')
+      .replace(/÷/g, '/')
+      .replace(/[−–]/g, '-')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Parses an answer into a number
+   * @param {*} input - Submitted answer (string or number)
+   * @param {Object} options - Parse options
+   * @param {Boolean} options.allowExpressions - Accept arithmetic expressions (default true)
+   * @returns {{value: Number, format: String}|null} Parsed value and the format it was
+   *   written in ('integer', 'decimal', 'fraction', 'mixed' or 'expression'), or null
+   */
+  parse(input, { allowExpressions = true } = {}) {
+    if (typeof input === 'number') {
+      return Number.isFinite(input)
+        ? { value: input, format: Number.isInteger(input) ? 'integer' : 'decimal' }
+        : null;
+    }
+
+    if (input === null || input === undefined) {
+      return null;
+    }
+
+    const text = this.normalize(input);
+    if (!text || text.length > this.MAX_INPUT_LENGTH) {
+      return null;
+    }
+
+    if (INTEGER_PATTERN.test(text)) {
+      return { value: Number(text), format: 'integer' };
+    }
+
+    if (DECIMAL_PATTERN.test(text)) {
+      return { value: Number(text), format: 'decimal' };
+    }
+
+    const fraction = text.match(FRACTION_PATTERN);
+    if (fraction) {
+      const [, sign, numerator, denominator] = fraction;
+      if (Number(denominator) === 0) {
+        return null;
+      }
+      const value = Number(numerator) / Number(denominator);
+      return { value: sign === '-' ? -value : value, format: 'fraction' };
+    }
+
+    const mixed = text.match(MIXED_PATTERN);
+    if (mixed) {
+      const [, sign, whole, numerator, denominator] = mixed;
+      if (Number(denominator) === 0) {
+        return null;
+      }
+      const value = Number(whole) + Number(numerator) / Number(denominator);
+      return { value: sign === '-' ? -value : value, format: 'mixed' };
+    }
+
+    if (!allowExpressions) {
+      return null;
+    }
+
+    const value = this.evaluateExpression(text);
+    return value === null ? null : { value, format: 'expression' };
+  }
+
+  /**
+   * Splits an expression into number and operator tokens
+   * @param {String} text - Normalized expression
+   * @returns {Array<String>|null} Tokens, or null if an unexpected character is found
+   */
+  tokenize(text) {
+    const tokens = text.replace(/\s+/g, '').match(/\d+\.?\d*|\.\d+|[-+*/^()]|./g) || [];
+    return tokens.every(token => /^(\d+\.?\d*|\.\d+|[-+*/^()])$/.test(token)) ? tokens : null;
+  }
+
+  /**
+   * Evaluates an arithmetic expression with standard precedence
+   *
+   * Grammar:
+   *   expression := term (('+' | '-') term)*
+   *   term       := unary (('*' | '/') unary)*
+   *   unary      := ('+' | '-') unary | power
+   *   power      := primary ('^' unary)?
+   *   primary    := number | '(' expression ')'
+   *
+   * @param {String} text - Normalized expression
+   * @returns {Number|null} Result, or null if the expression is invalid
+   */
+  evaluateExpression(text) {
+    const tokens = this.tokenize(text);
+    if (!tokens || tokens.length === 0) {
+      return null;
+    }
+
+    let position = 0;
+    const peek = () => tokens[position];
+    const take = () => tokens[position++];
+    const fail = () => {
+      throw new Error('Invalid expression');
+    };
+
+    const parsePrimary = () => {
+      const token = take();
+      if (token === '(') {
+        const value = parseExpression();
+        if (take() !== ')') {
+          fail();
+        }
+        return value;
+      }
+      if (token !== undefined && /^(\d|\.)/.test(token)) {
+        return Number(token);
+      }
+      return fail();
+    };
+
+    const parseUnary = () => {
+      if (peek() === '-') {
+        take();
+        return -parseUnary();
+      }
+      if (peek() === '+') {
+        take();
+        return parseUnary();
+      }
+      return parsePower();
+    };
+
+    // Right-associative: 2^3^2 = 2^(3^2)
+    const parsePower = () => {
+      const base = parsePrimary();
+      if (peek() === '^') {
+        take();
+        return Math.pow(base, parseUnary());
+      }
+      return base;
+    };
+
+    const parseTerm = () => {
+      let value = parseUnary();
+      while (peek() === '*' || peek() === '/') {
+        const operator = take();
+        const right = parseUnary();
+        if (operator === '/' && right === 0) {
+          fail();
+        }
+        value = operator === '*' ? value * right : value / right;
+      }
+      return value;
+    };
+
+    const parseExpression = () => {
+      let value = parseTerm();
+      while (peek() === '+' || peek() === '-') {
+        value = take() === '+' ? value + parseTerm() : value - parseTerm();
+      }
+      return value;
+    };
+
+    try {
+      const value = parseExpression();
+      return position === tokens.length && Number.isFinite(value) ? value : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Checks a submitted answer against the correct value
+   * @param {*} userAnswer - Submitted answer
+   * @param {Number} correctAnswer - Correct value
+   * @param {Object} options - Validation options
+   * @param {Number} options.tolerance - Allowed absolute difference (default 0.0001)
+   * @param {Boolean} options.allowExpressions - Accept arithmetic expressions (default true)
+   * @returns {Boolean} True if the answer is correct
+   */
+  validate(userAnswer, correctAnswer, { tolerance, allowExpressions = true } = {}) {
+    const parsed = this.parse(userAnswer, { allowExpressions });
+    if (!parsed) {
+      return false;
+    }
+
+    const allowed = Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : this.DEFAULT_TOLERANCE;
+
+    // A tiny slack keeps answers exactly on the tolerance boundary correct
+    return Math.abs(parsed.value - Number(correctAnswer)) - allowed <= 1e-9;
+  }
+}
+
+AnswerValidator.DEFAULT_TOLERANCE = DEFAULT_TOLERANCE;
+
+module.exports = AnswerValidator;
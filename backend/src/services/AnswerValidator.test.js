@@ -0,0 +1,168 @@
+/**
+ * Unit Tests for AnswerValidator
+ *
+ * Tests parsing of integers, decimals, fractions, mixed numbers and
+ * expressions, and tolerance-based comparison.
+ */
+
+const AnswerValidator = require('./AnswerValidator');
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+function test(description, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+// Test Suite
+console.log('\n🧪 Running AnswerValidator Unit Tests\n');
+
+// Test 1: Integers and decimals
+test('parse() reads integers and decimals', () => {
+  const validator = new AnswerValidator();
+
+  assertEqual(validator.parse('42').value, 42);
+  assertEqual(validator.parse('42').format, 'integer');
+  assertEqual(validator.parse('-7').value, -7);
+  assertEqual(validator.parse('0.50').value, 0.5);
+  assertEqual(validator.parse('0.50').format, 'decimal');
+  assertEqual(validator.parse('.5').value, 0.5);
+  assertEqual(validator.parse(' 12 ').value, 12);
+  assertEqual(validator.parse(3.25).value, 3.25);
+});
+
+// Test 2: Fractions
+test('parse() reads fractions', () => {
+  const validator = new AnswerValidator();
+
+  assertEqual(validator.parse('1/2').value, 0.5);
+  assertEqual(validator.parse('1/2').format, 'fraction');
+  assertEqual(validator.parse('-3/4').value, -0.75);
+  assertEqual(validator.parse('6 / 3').value, 2);
+  assertEqual(validator.parse('1/0'), null);
+});
+
+// Test 3: Mixed numbers
+test('parse() reads mixed numbers', () => {
+  const validator = new AnswerValidator();
+
+  assertEqual(validator.parse('3 1/2').value, 3.5);
+  assertEqual(validator.parse('3 1/2').format, 'mixed');
+  assertEqual(validator.parse('-2 3/4').value, -2.75);
+  assertEqual(validator.parse('1 1/0'), null);
+});
+
+// Test 4: Expressions
+test('parse() evaluates expressions with standard precedence', () => {
+  const validator = new AnswerValidator();
+
+  assertEqual(validator.parse('2*3').value, 6);
+  assertEqual(validator.parse('2*3').format, 'expression');
+  assertEqual(validator.parse('2 + 3 * 4').value, 14);
+  assertEqual(validator.parse('(2 + 3) * 4').value, 20);
+  assertEqual(validator.parse('10 - 4 - 3').value, 3);
+  assertEqual(validator.parse('2^3^2').value, 512);
+  assertEqual(validator.parse('-2^2').value, -4);
+  assertEqual(validator.parse('(-2)^2').value, 4);
+  assertEqual(validator.parse('6 ÷ 4').value, 1.5);
+  assertEqual(validator.parse('3 × 4').value, 12);
+});
+
+// Test 5: Malformed input
+test('parse() rejects malformed or unsafe input', () => {
+  const validator = new AnswerValidator();
+
+  assertEqual(validator.parse('abc'), null);
+  assertEqual(validator.parse(''), null);
+  assertEqual(validator.parse(null), null);
+  assertEqual(validator.parse('2 +'), null);
+  assertEqual(validator.parse('(2 + 3'), null);
+  assertEqual(validator.parse('2 / (1 - 1)'), null);
+  assertEqual(validator.parse('process.exit()'), null);
+  assertEqual(validator.parse('1'.repeat(validator.MAX_INPUT_LENGTH + 1)), null);
+  assertEqual(validator.parse(Infinity), null);
+});
+
+// Test 6: Expressions can be disabled
+test('parse() can refuse expressions while still accepting fractions', () => {
+  const validator = new AnswerValidator();
+
+  assertEqual(validator.parse('2*3', { allowExpressions: false }), null);
+  assertEqual(validator.parse('1/2', { allowExpressions: false }).value, 0.5);
+  assertEqual(validator.parse('3 1/2', { allowExpressions: false }).value, 3.5);
+});
+
+// Test 7: Equivalent forms are all correct
+test('validate() accepts equivalent forms of the answer', () => {
+  const validator = new AnswerValidator();
+
+  assert(validator.validate('1/2', 0.5));
+  assert(validator.validate('0.50', 0.5));
+  assert(validator.validate('2/4', 0.5));
+  assert(validator.validate('3 1/2', 3.5));
+  assert(validator.validate('7/2', 3.5));
+  assert(validator.validate('2*3', 6));
+  assert(!validator.validate('2*3', 6, { allowExpressions: false }));
+  assert(!validator.validate('1/3', 0.5));
+});
+
+// Test 8: Default tolerance
+test('validate() uses a small default tolerance', () => {
+  const validator = new AnswerValidator();
+
+  assert(validator.validate('0.33333', 1 / 3));
+  assert(!validator.validate('0.33', 1 / 3));
+  assert(validator.validate('1/3', 1 / 3));
+});
+
+// Test 9: Per-question tolerance
+test('validate() honors a custom tolerance', () => {
+  const validator = new AnswerValidator();
+
+  assert(validator.validate('3.14', Math.PI, { tolerance: 0.005 }));
+  assert(!validator.validate('3.1', Math.PI, { tolerance: 0.005 }));
+  assert(validator.validate('12.57', 12.565, { tolerance: 0.005 }), 'Boundary values should be accepted');
+  assert(validator.validate('100', 98, { tolerance: 2 }));
+  assert(!validator.validate('0.33', 1 / 3, { tolerance: -1 }), 'Invalid tolerance falls back to the default');
+});
+
+// Print Summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Summary`);
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log(`📈 Total: ${testsPassed + testsFailed}`);
+console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+console.log('='.repeat(50) + '\n');
+
+if (testsFailed === 0) {
+  console.log('🎉 All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('⚠️  Some tests failed. Please review.\n');
+  process.exit(1);
+}
@@ -0,0 +1,310 @@
+/**
+ * AntiCheat - Scripted and Brute-Force Answering Detection
+ *
+ * Watches each question's submissions for signs of automation and keeps
+ * a log of flagged events for the host to review:
+ *
+ *   multi-account - several player tokens answering from the same device
+ *   answer-spray  - one device trying many different answers
+ *   too-fast      - a correct answer quicker than a person could read
+ *                   and solve the question
+ *
+ * A device is the client's IP address plus the fingerprint its browser
+ * reports (or its user agent), so players sharing a classroom network
+ * aren't lumped together. The fingerprint is client-supplied and can be
+ * forged; treat flags as signals for review, not proof.
+ *
+ * What happens to a flagged player depends on the configured action:
+ *   'flag'       - only record the event (default)
+ *   'disqualify' - bar the player from the rest of the question
+ *   'shadow-ban' - keep accepting the player's answers but never let them win
+ *
+ * @class AntiCheat
+ */
+
+const ACTIONS = ['flag', 'disqualify', 'shadow-ban'];
+
+// Reading-and-solving time multiplier for each difficulty level
+const DIFFICULTY_FACTORS = {
+  easy: 1,
+  medium: 1.5,
+  hard: 2
+};
+
+// Picking from a list takes less work than typing an answer
+const CHOICE_FACTOR = 0.5;
+
+class AntiCheat {
+  /**
+   * @param {Object} options - Detection configuration
+   * @param {String} options.action - What to do with flagged players ('flag', 'disqualify' or 'shadow-ban')
+   * @param {Number} options.maxPlayersPerDevice - Players one device may answer a question as before it's flagged
+   * @param {Number} options.maxAnswersPerDevice - Distinct answers one device may try per question before it's flagged
+   * @param {Number} options.minAnswerMs - Fastest plausible correct answer to the shortest easy question
+   * @param {Number} options.msPerCharacter - Extra reading time per character of question text
+   * @param {Number} options.flagHistorySize - Flagged events kept for review
+   */
+  constructor({
+    action = 'flag',
+    maxPlayersPerDevice = 2,
+    maxAnswersPerDevice = 5,
+    minAnswerMs = 400,
+    msPerCharacter = 30,
+    flagHistorySize = 200
+  } = {}) {
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Invalid anti-cheat action: ${action}. Must be one of ${ACTIONS.join(', ')}.`);
+    }
+
+    this.action = action;
+    this.maxPlayersPerDevice = maxPlayersPerDevice;
+    this.maxAnswersPerDevice = maxAnswersPerDevice;
+    this.minAnswerMs = minAnswerMs;
+    this.msPerCharacter = msPerCharacter;
+    this.flagHistorySize = flagHistorySize;
+
+    // Map of room code -> { questionId, devices: Map<device, { players, answers }>, flagged: Set, disqualified: Set }
+    this.questions = new Map();
+
+    // Player IDs whose answers can never win
+    this.shadowBanned = new Set();
+
+    // Flagged events, oldest first
+    this.flags = [];
+    this.nextFlagId = 1;
+  }
+
+  /**
+   * Builds the device key submissions are correlated by
+   * @param {String} address - Client IP address
+   * @param {String} fingerprint - Browser fingerprint or user agent (optional)
+   * @returns {String} Device key
+   */
+  static getDeviceKey(address, fingerprint) {
+    const trimmed = typeof fingerprint === 'string' ? fingerprint.trim().slice(0, 128) : '';
+    return `${address || 'unknown'}|${trimmed || 'unknown'}`;
+  }
+
+  /**
+   * Starts tracking a room's new question
+   * Forgets the previous question's devices and lifts its disqualifications.
+   *
+   * @param {String} roomCode - Room code
+   * @param {String} questionId - New question's ID
+   */
+  startQuestion(roomCode, questionId) {
+    this.questions.set(roomCode, {
+      questionId,
+      devices: new Map(),
+      flagged: new Set(),
+      disqualified: new Set()
+    });
+  }
+
+  /**
+   * Stops tracking a room (e.g. when it closes)
+   * @param {String} roomCode - Room code
+   */
+  removeRoom(roomCode) {
+    this.questions.delete(roomCode);
+  }
+
+  /**
+   * Gets the tracking state for a room's current question
+   * @param {String} roomCode - Room code
+   * @param {String} questionId - Question the submission is for
+   * @returns {Object} Question tracking state
+   */
+  getQuestionState(roomCode, questionId) {
+    const state = this.questions.get(roomCode);
+    if (!state || state.questionId !== questionId) {
+      this.startQuestion(roomCode, questionId);
+    }
+    return this.questions.get(roomCode);
+  }
+
+  /**
+   * Works out the fastest plausible time to answer a question correctly
+   * Longer and harder questions take longer to read and solve.
+   *
+   * @param {Object} question - Question object ({ question, difficulty, type })
+   * @returns {Number} Minimum human answer time in milliseconds
+   */
+  getMinimumAnswerTime(question) {
+    const length = String(question.question || '').length;
+    const difficultyFactor = DIFFICULTY_FACTORS[question.difficulty] || DIFFICULTY_FACTORS.medium;
+    const typeFactor = question.type === 'choice' ? CHOICE_FACTOR : 1;
+
+    return Math.round((this.minAnswerMs + length * this.msPerCharacter) * difficultyFactor * typeFactor);
+  }
+
+  /**
+   * Checks a validated submission and applies the configured action to anything suspicious
+   *
+   * @param {Object} submission - Submission details
+   * @param {String} submission.roomCode - Room the submission was made in
+   * @param {Object} submission.question - Question being answered
+   * @param {String} submission.playerId - Player who submitted
+   * @param {String} submission.device - Device key (see getDeviceKey)
+   * @param {*} submission.answer - Submitted answer
+   * @param {Boolean} submission.isCorrect - Whether the answer was correct
+   * @param {Number} submission.timestamp - Server receive time (epoch ms)
+   * @param {Number} submission.rttMs - Player's round-trip time
+   * @returns {Object} { flags, canWin, disqualified }
+   */
+  review({ roomCode, question, playerId, device, answer, isCorrect, timestamp, rttMs = 0 }) {
+    const state = this.getQuestionState(roomCode, question.id);
+    const deviceState = state.devices.get(device) || { players: new Set(), answers: new Set() };
+    state.devices.set(device, deviceState);
+
+    deviceState.players.add(playerId);
+    deviceState.answers.add(String(answer).trim().toLowerCase());
+
+    const flags = [];
+    const raise = (type, details) => {
+      const key = `${playerId}|${type}`;
+      if (state.flagged.has(key)) {
+        return;
+      }
+      state.flagged.add(key);
+      flags.push(this.recordFlag({ type, playerId, roomCode, questionId: question.id, device, details, timestamp }));
+    };
+
+    if (deviceState.players.size > this.maxPlayersPerDevice) {
+      raise('multi-account', {
+        playersOnDevice: deviceState.players.size,
+        limit: this.maxPlayersPerDevice
+      });
+    }
+
+    if (deviceState.answers.size > this.maxAnswersPerDevice) {
+      raise('answer-spray', {
+        distinctAnswers: deviceState.answers.size,
+        limit: this.maxAnswersPerDevice
+      });
+    }
+
+    if (isCorrect) {
+      // Time the player actually had: the question and the answer both spent half an RTT in transit
+      const answerTimeMs = timestamp - question.generatedAt - rttMs;
+      const minimumMs = this.getMinimumAnswerTime(question);
+
+      if (answerTimeMs < minimumMs) {
+        raise('too-fast', { answerTimeMs, minimumMs });
+      }
+    }
+
+    if (flags.length > 0) {
+      this.applyAction(roomCode, playerId);
+    }
+
+    const disqualified = this.isDisqualified(roomCode, playerId);
+
+    return {
+      flags,
+      canWin: !disqualified && !this.isShadowBanned(playerId),
+      disqualified
+    };
+  }
+
+  /**
+   * Applies the configured action to a flagged player
+   * @param {String} roomCode - Room code
+   * @param {String} playerId - Flagged player
+   */
+  applyAction(roomCode, playerId) {
+    if (this.action === 'disqualify') {
+      this.disqualify(roomCode, playerId);
+    } else if (this.action === 'shadow-ban') {
+      this.setShadowBan(playerId, true);
+    }
+  }
+
+  /**
+   * Adds an event to the flag log
+   * @param {Object} flag - { type, playerId, roomCode, questionId, device, details, timestamp }
+   * @returns {Object} Stored flag with its ID and the action taken
+   */
+  recordFlag({ type, playerId, roomCode, questionId, device, details, timestamp = Date.now() }) {
+    const flag = {
+      id: this.nextFlagId++,
+      type,
+      playerId,
+      room: roomCode,
+      questionId,
+      device,
+      details,
+      action: this.action,
+      timestamp
+    };
+
+    this.flags.push(flag);
+    if (this.flags.length > this.flagHistorySize) {
+      this.flags.shift();
+    }
+
+    return flag;
+  }
+
+  /**
+   * Gets flagged events, newest first
+   * @param {String} roomCode - Optional room filter
+   * @returns {Array<Object>} Flagged events
+   */
+  getFlags(roomCode) {
+    return this.flags
+      .filter(flag => roomCode === undefined || flag.room === roomCode)
+      .reverse();
+  }
+
+  /**
+   * Bars a player from the rest of a room's current question
+   * @param {String} roomCode - Room code
+   * @param {String} playerId - Player to disqualify
+   */
+  disqualify(roomCode, playerId) {
+    const state = this.questions.get(roomCode);
+    if (state) {
+      state.disqualified.add(playerId);
+    }
+  }
+
+  /**
+   * Checks if a player is barred from a room's current question
+   * @param {String} roomCode - Room code
+   * @param {String} playerId - Player ID
+   * @returns {Boolean} True if disqualified
+   */
+  isDisqualified(roomCode, playerId) {
+    const state = this.questions.get(roomCode);
+    return Boolean(state && state.disqualified.has(playerId));
+  }
+
+  /**
+   * Shadow-bans or reinstates a player
+   * A shadow-banned player can keep playing but never wins.
+   *
+   * @param {String} playerId - Player ID
+   * @param {Boolean} banned - True to ban, false to lift the ban
+   */
+  setShadowBan(playerId, banned) {
+    if (banned) {
+      this.shadowBanned.add(playerId);
+    } else {
+      this.shadowBanned.delete(playerId);
+    }
+  }
+
+  /**
+   * Checks if a player is shadow-banned
+   * @param {String} playerId - Player ID
+   * @returns {Boolean} True if shadow-banned
+   */
+  isShadowBanned(playerId) {
+    return this.shadowBanned.has(playerId);
+  }
+}
+
+AntiCheat.ACTIONS = ACTIONS;
+
+module.exports = AntiCheat;
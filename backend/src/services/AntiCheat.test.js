@@ -0,0 +1,231 @@
+/**
+ * Unit Tests for AntiCheat
+ *
+ * Tests device correlation across player tokens, answer spraying,
+ * inhumanly fast answers, disqualification, shadow bans and the flag log.
+ */
+
+const AntiCheat = require('./AntiCheat');
+
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+function test(description, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+// A medium question asked at t=0 (minimum answer time with defaults: (400 + 6 * 30) * 1.5 = 870ms)
+const QUESTION = { id: 'q1', question: '12 + 7', difficulty: 'medium', type: 'numeric', generatedAt: 0 };
+
+function submit(antiCheat, overrides = {}) {
+  return antiCheat.review({
+    roomCode: 'LOBBY',
+    question: QUESTION,
+    playerId: 'p1',
+    device: AntiCheat.getDeviceKey('10.0.0.1', 'fp-a'),
+    answer: '19',
+    isCorrect: true,
+    timestamp: 5000,
+    rttMs: 50,
+    ...overrides
+  });
+}
+
+// Test Suite
+console.log('\n🧪 Running AntiCheat Unit Tests\n');
+
+// Test 1: Configuration
+test('AntiCheat rejects unknown actions', () => {
+  let threw = false;
+  try {
+    new AntiCheat({ action: 'ban-hammer' });
+  } catch (error) {
+    threw = true;
+  }
+  assert(threw, 'Expected an invalid action to be rejected');
+  assertEqual(new AntiCheat().action, 'flag', 'Default action only flags');
+});
+
+// Test 2: Device keys
+test('getDeviceKey() combines address and fingerprint', () => {
+  assertEqual(AntiCheat.getDeviceKey('10.0.0.1', 'fp-a'), '10.0.0.1|fp-a');
+  assertEqual(AntiCheat.getDeviceKey('10.0.0.1', '  '), '10.0.0.1|unknown');
+  assertEqual(AntiCheat.getDeviceKey(undefined, undefined), 'unknown|unknown');
+  assertEqual(AntiCheat.getDeviceKey('10.0.0.1', 'x'.repeat(500)).length, '10.0.0.1|'.length + 128,
+    'Long fingerprints are truncated');
+});
+
+// Test 3: Ordinary play
+test('review() lets an ordinary correct answer through unflagged', () => {
+  const antiCheat = new AntiCheat();
+  const result = submit(antiCheat);
+
+  assertEqual(result.flags.length, 0);
+  assertEqual(result.canWin, true);
+  assertEqual(result.disqualified, false);
+  assertEqual(antiCheat.getFlags().length, 0);
+});
+
+// Test 4: Multiple accounts on one device
+test('review() flags a device answering as too many players', () => {
+  const antiCheat = new AntiCheat({ maxPlayersPerDevice: 2 });
+
+  assertEqual(submit(antiCheat, { playerId: 'p1' }).flags.length, 0);
+  assertEqual(submit(antiCheat, { playerId: 'p2' }).flags.length, 0);
+  const result = submit(antiCheat, { playerId: 'p3' });
+
+  assertEqual(result.flags.length, 1);
+  assertEqual(result.flags[0].type, 'multi-account');
+  assertEqual(result.flags[0].details.playersOnDevice, 3);
+
+  // Same network, different browser - not the same device
+  assertEqual(submit(antiCheat, { playerId: 'p4', device: AntiCheat.getDeviceKey('10.0.0.1', 'fp-b') }).flags.length, 0);
+});
+
+// Test 5: Answer spraying
+test('review() flags a device trying too many distinct answers', () => {
+  const antiCheat = new AntiCheat({ maxAnswersPerDevice: 3, maxPlayersPerDevice: 10 });
+
+  ['1', '2', ' 2 ', '3'].forEach((answer, index) => {
+    assertEqual(submit(antiCheat, { playerId: `p${index}`, answer, isCorrect: false }).flags.length, 0,
+      `Answer ${index + 1} should not be flagged`);
+  });
+
+  const result = submit(antiCheat, { playerId: 'p9', answer: '4', isCorrect: false });
+  assertEqual(result.flags.length, 1);
+  assertEqual(result.flags[0].type, 'answer-spray');
+  assertEqual(result.flags[0].details.distinctAnswers, 4);
+});
+
+// Test 6: Answer speed relative to complexity
+test('getMinimumAnswerTime() grows with length and difficulty, and shrinks for choices', () => {
+  const antiCheat = new AntiCheat({ minAnswerMs: 400, msPerCharacter: 30 });
+
+  assertEqual(antiCheat.getMinimumAnswerTime(QUESTION), 870);
+  assertEqual(antiCheat.getMinimumAnswerTime({ ...QUESTION, difficulty: 'easy' }), 580);
+  assertEqual(antiCheat.getMinimumAnswerTime({ ...QUESTION, difficulty: 'hard' }), 1160);
+  assertEqual(antiCheat.getMinimumAnswerTime({ ...QUESTION, type: 'choice' }), 435);
+  assert(
+    antiCheat.getMinimumAnswerTime({ ...QUESTION, question: '(12 + 7) * (3 - 8) / 5' }) > 870,
+    'Longer questions take longer'
+  );
+});
+
+test('review() flags inhumanly fast correct answers, allowing for latency', () => {
+  const antiCheat = new AntiCheat();
+
+  const fast = submit(antiCheat, { timestamp: 600, rttMs: 0 });
+  assertEqual(fast.flags.length, 1);
+  assertEqual(fast.flags[0].type, 'too-fast');
+  assertEqual(fast.flags[0].details.answerTimeMs, 600);
+  assertEqual(fast.flags[0].details.minimumMs, 870);
+
+  // Round-trip time is taken off the time the player had to answer
+  const laggy = submit(antiCheat, { playerId: 'p2', device: 'other', timestamp: 1000, rttMs: 200 });
+  assertEqual(laggy.flags.length, 1, '1000ms with a 200ms RTT leaves 800ms to answer');
+
+  // Wrong answers are never too fast
+  assertEqual(submit(antiCheat, { playerId: 'p3', device: 'third', timestamp: 100, isCorrect: false }).flags.length, 0);
+});
+
+// Test 7: Flags fire once
+test('review() raises each flag once per player per question', () => {
+  const antiCheat = new AntiCheat();
+
+  assertEqual(submit(antiCheat, { timestamp: 100 }).flags.length, 1);
+  assertEqual(submit(antiCheat, { timestamp: 200 }).flags.length, 0);
+
+  antiCheat.startQuestion('LOBBY', 'q2');
+  assertEqual(submit(antiCheat, { question: { ...QUESTION, id: 'q2' }, timestamp: 100 }).flags.length, 1,
+    'A new question starts afresh');
+  assertEqual(antiCheat.getFlags().length, 2);
+});
+
+// Test 8: Disqualification
+test("'disqualify' bars a flagged player until the room's next question", () => {
+  const antiCheat = new AntiCheat({ action: 'disqualify' });
+
+  const result = submit(antiCheat, { timestamp: 100 });
+  assertEqual(result.canWin, false);
+  assertEqual(result.disqualified, true);
+  assertEqual(result.flags[0].action, 'disqualify');
+  assert(antiCheat.isDisqualified('LOBBY', 'p1'));
+  assert(!antiCheat.isDisqualified('OTHER', 'p1'), 'Disqualification is per room');
+
+  antiCheat.startQuestion('LOBBY', 'q2');
+  assert(!antiCheat.isDisqualified('LOBBY', 'p1'), 'Lifted on the next question');
+});
+
+// Test 9: Shadow bans
+test("'shadow-ban' stops a flagged player winning without telling them", () => {
+  const antiCheat = new AntiCheat({ action: 'shadow-ban' });
+
+  const result = submit(antiCheat, { timestamp: 100 });
+  assertEqual(result.canWin, false);
+  assertEqual(result.disqualified, false);
+  assert(antiCheat.isShadowBanned('p1'));
+
+  antiCheat.startQuestion('LOBBY', 'q2');
+  assertEqual(submit(antiCheat, { question: { ...QUESTION, id: 'q2' } }).canWin, false, 'The ban outlasts the question');
+
+  antiCheat.setShadowBan('p1', false);
+  assertEqual(submit(antiCheat, { question: { ...QUESTION, id: 'q2' } }).canWin, true);
+});
+
+// Test 10: Flag log
+test('getFlags() lists flags newest first, by room, up to the history size', () => {
+  const antiCheat = new AntiCheat({ flagHistorySize: 3 });
+
+  ['A', 'B', 'A', 'B'].forEach((roomCode, index) => {
+    submit(antiCheat, { roomCode, playerId: `p${index}`, device: `d${index}`, timestamp: 100 + index });
+  });
+
+  const flags = antiCheat.getFlags();
+  assertEqual(flags.length, 3, 'Oldest flag dropped');
+  assertEqual(flags[0].playerId, 'p3');
+  assertEqual(flags[2].playerId, 'p1');
+  assertEqual(antiCheat.getFlags('A').length, 1);
+  assertEqual(antiCheat.getFlags('A')[0].room, 'A');
+});
+
+// Print Summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Summary`);
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log(`📈 Total: ${testsPassed + testsFailed}`);
+console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+console.log('='.repeat(50) + '\n');
+
+if (testsFailed === 0) {
+  console.log('🎉 All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('⚠️  Some tests failed. Please review.\n');
+  process.exit(1);
+}
@@ -0,0 +1,228 @@
+/**
+ * DifficultyController - Adaptive Question Difficulty
+ *
+ * Watches how recent rounds went and steps the room's difficulty up or
+ * down. Rounds that are won quickly with few wrong answers push the
+ * level up; slow rounds, unsolved rounds and lots of wrong answers
+ * push it down.
+ *
+ * Key Features:
+ * - Sliding window of recent round results
+ * - Requires several rounds of evidence before each change
+ * - Reports the current level and the direction of the last change
+ *
+ * @class DifficultyController
+ */
+
+const LEVELS = ['easy', 'medium', 'hard'];
+const TRENDS = ['up', 'down', 'steady'];
+
+class DifficultyController {
+  /**
+   * @param {Object} options - Controller configuration
+   * @param {String} options.initialLevel - Starting difficulty (default 'medium')
+   * @param {Boolean} options.enabled - When false the level never changes
+   * @param {Number} options.windowSize - Number of recent rounds considered
+   * @param {Number} options.minRounds - Rounds needed before the level can change
+   * @param {Number} options.fastRoundMs - Average solve time that counts as "too easy"
+   * @param {Number} options.slowRoundMs - Average solve time that counts as "too hard"
+   * @param {Number} options.lowWrongRatio - Wrong-answer share that still counts as "too easy"
+   * @param {Number} options.highWrongRatio - Wrong-answer share that counts as "too hard"
+   */
+  constructor(options = {}) {
+    const initialLevel = options.initialLevel || 'medium';
+    if (!LEVELS.includes(initialLevel)) {
+      throw new Error(`Invalid difficulty level: ${initialLevel}. Must be one of ${LEVELS.join(', ')}.`);
+    }
+
+    this.initialLevel = initialLevel;
+    this.level = initialLevel;
+    this.trend = 'steady';
+    this.enabled = options.enabled !== false;
+
+    this.WINDOW_SIZE = options.windowSize || 5;
+    this.MIN_ROUNDS = options.minRounds || 3;
+    this.FAST_ROUND_MS = options.fastRoundMs || 5000;
+    this.SLOW_ROUND_MS = options.slowRoundMs || 15000;
+    this.LOW_WRONG_RATIO = options.lowWrongRatio ?? 0.25;
+    this.HIGH_WRONG_RATIO = options.highWrongRatio ?? 0.6;
+
+    // Recent rounds since the last level change (oldest first)
+    this.history = [];
+  }
+
+  /**
+   * Summarizes a finished round from its submissions
+   * @param {Array} submissions - Attempts from StateManager.getSubmissionsInOrder()
+   * @param {Number} questionShownAt - When the question was shown (epoch ms)
+   * @returns {Object|null} Round summary, or null if nobody answered
+   */
+  static summarizeRound(submissions, questionShownAt) {
+    if (!submissions || submissions.length === 0) {
+      return null;
+    }
+
+    const firstCorrect = submissions.find(submission => submission.isCorrect === true);
+    const wrongCount = submissions.filter(submission => submission.isCorrect === false).length;
+
+    return {
+      solved: Boolean(firstCorrect),
+      timeToFirstCorrectMs: firstCorrect ? Math.max(0, firstCorrect.timestamp - questionShownAt) : null,
+      wrongRatio: wrongCount / submissions.length,
+      submissionCount: submissions.length
+    };
+  }
+
+  /**
+   * Records a finished round and re-evaluates the level
+   * Rounds nobody answered are ignored - they say nothing about difficulty.
+   *
+   * @param {Object|null} round - Summary from summarizeRound()
+   * @returns {String} The (possibly new) difficulty level
+   */
+  recordRound(round) {
+    if (!round) {
+      return this.level;
+    }
+
+    this.history.push(round);
+    if (this.history.length > this.WINDOW_SIZE) {
+      this.history.shift();
+    }
+
+    this.evaluate();
+    return this.level;
+  }
+
+  /**
+   * Gets aggregate metrics over the recent rounds
+   * @returns {Object} { rounds, solveRate, averageSolveMs, averageWrongRatio }
+   */
+  getMetrics() {
+    const rounds = this.history.length;
+    const solved = this.history.filter(round => round.solved);
+
+    return {
+      rounds,
+      solveRate: rounds > 0 ? solved.length / rounds : null,
+      averageSolveMs: solved.length > 0
+        ? Math.round(solved.reduce((sum, round) => sum + round.timeToFirstCorrectMs, 0) / solved.length)
+        : null,
+      averageWrongRatio: rounds > 0
+        ? this.history.reduce((sum, round) => sum + round.wrongRatio, 0) / rounds
+        : null
+    };
+  }
+
+  /**
+   * Steps the level up or down if recent rounds call for it
+   * After a change the history is cleared so the new level is judged
+   * on its own rounds.
+   */
+  evaluate() {
+    if (!this.enabled || this.history.length < this.MIN_ROUNDS) {
+      return;
+    }
+
+    const { solveRate, averageSolveMs, averageWrongRatio } = this.getMetrics();
+
+    const tooEasy = solveRate === 1 &&
+      averageSolveMs <= this.FAST_ROUND_MS &&
+      averageWrongRatio <= this.LOW_WRONG_RATIO;
+
+    const tooHard = solveRate < 0.5 ||
+      (averageSolveMs !== null && averageSolveMs >= this.SLOW_ROUND_MS) ||
+      averageWrongRatio >= this.HIGH_WRONG_RATIO;
+
+    const index = LEVELS.indexOf(this.level);
+    let nextIndex = index;
+
+    if (tooEasy) {
+      nextIndex = Math.min(index + 1, LEVELS.length - 1);
+    } else if (tooHard) {
+      nextIndex = Math.max(index - 1, 0);
+    }
+
+    if (nextIndex === index) {
+      this.trend = 'steady';
+      return;
+    }
+
+    this.trend = nextIndex > index ? 'up' : 'down';
+    this.level = LEVELS[nextIndex];
+    this.history = [];
+  }
+
+  /**
+   * Gets the difficulty to use for the next question
+   * @returns {String} Difficulty level
+   */
+  getLevel() {
+    return this.level;
+  }
+
+  /**
+   * Gets the direction of the most recent evaluation
+   * @returns {String} 'up', 'down' or 'steady'
+   */
+  getTrend() {
+    return this.trend;
+  }
+
+  /**
+   * Sets the level directly (e.g. by a host)
+   * Recent rounds are forgotten so the new level is judged on its own.
+   *
+   * @param {String} level - Difficulty level ('easy', 'medium', 'hard')
+   * @throws {Error} If the level is invalid
+   */
+  setLevel(level) {
+    if (!LEVELS.includes(level)) {
+      throw new Error(`Invalid difficulty level: ${level}. Must be one of ${LEVELS.join(', ')}.`);
+    }
+
+    this.trend = LEVELS.indexOf(level) > LEVELS.indexOf(this.level)
+      ? 'up'
+      : LEVELS.indexOf(level) < LEVELS.indexOf(this.level) ? 'down' : this.trend;
+    this.level = level;
+    this.history = [];
+  }
+
+  /**
+   * Turns adaptation on or off (the current level is kept)
+   * @param {Boolean} enabled - Whether the level may change
+   */
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+    if (!this.enabled) {
+      this.trend = 'steady';
+    }
+  }
+
+  /**
+   * Returns to the initial level and forgets all rounds
+   */
+  reset() {
+    this.level = this.initialLevel;
+    this.trend = 'steady';
+    this.history = [];
+  }
+
+  /**
+   * Gets the controller state for monitoring
+   * @returns {Object} State snapshot
+   */
+  getState() {
+    return {
+      level: this.level,
+      trend: this.trend,
+      enabled: this.enabled,
+      metrics: this.getMetrics()
+    };
+  }
+}
+
+DifficultyController.LEVELS = LEVELS;
+DifficultyController.TRENDS = TRENDS;
+
+module.exports = DifficultyController;
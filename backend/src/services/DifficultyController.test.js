@@ -0,0 +1,212 @@
+/**
+ * Unit Tests for DifficultyController
+ *
+ * Tests round summaries, stepping difficulty up and down,
+ * and the evidence required before each change.
+ */
+
+const DifficultyController = require('./DifficultyController');
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+function test(description, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+const FAST_ROUND = { solved: true, timeToFirstCorrectMs: 2000, wrongRatio: 0, submissionCount: 3 };
+const SLOW_ROUND = { solved: true, timeToFirstCorrectMs: 25000, wrongRatio: 0.5, submissionCount: 4 };
+const UNSOLVED_ROUND = { solved: false, timeToFirstCorrectMs: null, wrongRatio: 1, submissionCount: 5 };
+const AVERAGE_ROUND = { solved: true, timeToFirstCorrectMs: 9000, wrongRatio: 0.4, submissionCount: 5 };
+
+function playRounds(controller, round, count) {
+  for (let i = 0; i < count; i++) {
+    controller.recordRound(round);
+  }
+}
+
+// Test Suite
+console.log('\n🧪 Running DifficultyController Unit Tests\n');
+
+// Test 1: Defaults
+test('DifficultyController starts at the initial level', () => {
+  assertEqual(new DifficultyController().getLevel(), 'medium');
+  assertEqual(new DifficultyController({ initialLevel: 'easy' }).getLevel(), 'easy');
+  assertEqual(new DifficultyController().getTrend(), 'steady');
+});
+
+// Test 2: Invalid level
+test('constructor rejects an unknown initial level', () => {
+  let threw = false;
+  try {
+    new DifficultyController({ initialLevel: 'impossible' });
+  } catch (error) {
+    threw = error.message.includes('Invalid difficulty level');
+  }
+  assert(threw);
+});
+
+// Test 3: Round summaries
+test('summarizeRound() measures time to first correct and wrong ratio', () => {
+  const shownAt = 1000;
+  const round = DifficultyController.summarizeRound([
+    { playerId: 'a', timestamp: 2000, isCorrect: false },
+    { playerId: 'b', timestamp: 4000, isCorrect: true },
+    { playerId: 'c', timestamp: 4500, isCorrect: false },
+    { playerId: 'd', timestamp: 5000, isCorrect: true }
+  ], shownAt);
+
+  assertEqual(round.solved, true);
+  assertEqual(round.timeToFirstCorrectMs, 3000);
+  assertEqual(round.wrongRatio, 0.5);
+  assertEqual(round.submissionCount, 4);
+
+  assertEqual(DifficultyController.summarizeRound([], shownAt), null);
+  assertEqual(DifficultyController.summarizeRound([{ timestamp: 2000, isCorrect: false }], shownAt).solved, false);
+});
+
+// Test 4: Stepping up
+test('fast rounds with few wrong answers raise the difficulty', () => {
+  const controller = new DifficultyController();
+
+  playRounds(controller, FAST_ROUND, 3);
+
+  assertEqual(controller.getLevel(), 'hard');
+  assertEqual(controller.getTrend(), 'up');
+});
+
+// Test 5: Stepping down
+test('slow or unsolved rounds lower the difficulty', () => {
+  const slow = new DifficultyController();
+  playRounds(slow, SLOW_ROUND, 3);
+  assertEqual(slow.getLevel(), 'easy');
+  assertEqual(slow.getTrend(), 'down');
+
+  const unsolved = new DifficultyController();
+  playRounds(unsolved, UNSOLVED_ROUND, 3);
+  assertEqual(unsolved.getLevel(), 'easy');
+});
+
+// Test 6: Needs enough evidence
+test('the level only changes after enough rounds', () => {
+  const controller = new DifficultyController();
+
+  playRounds(controller, FAST_ROUND, 2);
+  assertEqual(controller.getLevel(), 'medium');
+
+  controller.recordRound(FAST_ROUND);
+  assertEqual(controller.getLevel(), 'hard');
+
+  // History restarts after a change
+  assertEqual(controller.getMetrics().rounds, 0);
+  playRounds(controller, SLOW_ROUND, 2);
+  assertEqual(controller.getLevel(), 'hard');
+});
+
+// Test 7: Balanced rounds hold steady
+test('balanced rounds keep the level steady', () => {
+  const controller = new DifficultyController();
+
+  playRounds(controller, AVERAGE_ROUND, 6);
+
+  assertEqual(controller.getLevel(), 'medium');
+  assertEqual(controller.getTrend(), 'steady');
+});
+
+// Test 8: Bounds
+test('the level stays within easy and hard', () => {
+  const controller = new DifficultyController({ initialLevel: 'hard' });
+  playRounds(controller, FAST_ROUND, 9);
+  assertEqual(controller.getLevel(), 'hard');
+  assertEqual(controller.getTrend(), 'steady');
+
+  const easy = new DifficultyController({ initialLevel: 'easy' });
+  playRounds(easy, UNSOLVED_ROUND, 9);
+  assertEqual(easy.getLevel(), 'easy');
+});
+
+// Test 9: Unanswered rounds are ignored
+test('rounds nobody answered are ignored', () => {
+  const controller = new DifficultyController();
+
+  playRounds(controller, null, 10);
+
+  assertEqual(controller.getLevel(), 'medium');
+  assertEqual(controller.getMetrics().rounds, 0);
+});
+
+// Test 10: Disabled and reset
+test('a disabled controller keeps its level and reset() restores the initial level', () => {
+  const controller = new DifficultyController({ enabled: false });
+  playRounds(controller, FAST_ROUND, 5);
+  assertEqual(controller.getLevel(), 'medium');
+
+  controller.setEnabled(true);
+  controller.recordRound(FAST_ROUND);
+  assertEqual(controller.getLevel(), 'hard');
+
+  controller.reset();
+  assertEqual(controller.getLevel(), 'medium');
+  assertEqual(controller.getTrend(), 'steady');
+  assertEqual(controller.getState().metrics.rounds, 0);
+});
+
+// Test 11: Manual override
+test('setLevel() overrides the level and clears recent rounds', () => {
+  const controller = new DifficultyController();
+  playRounds(controller, AVERAGE_ROUND, 2);
+
+  controller.setLevel('easy');
+  assertEqual(controller.getLevel(), 'easy');
+  assertEqual(controller.getTrend(), 'down');
+  assertEqual(controller.getMetrics().rounds, 0);
+
+  let threw = false;
+  try {
+    controller.setLevel('extreme');
+  } catch (error) {
+    threw = true;
+  }
+  assert(threw, 'Unknown levels should be rejected');
+});
+
+// Print Summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Summary`);
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log(`📈 Total: ${testsPassed + testsFailed}`);
+console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+console.log('='.repeat(50) + '\n');
+
+if (testsFailed === 0) {
+  console.log('🎉 All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('⚠️  Some tests failed. Please review.\n');
+  process.exit(1);
+}
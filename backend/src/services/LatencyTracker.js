@@ -0,0 +1,65 @@
+/**
+ * LatencyTracker - Round-Trip Time Measurement per Connection
+ *
+ * Stores a smoothed round-trip time (RTT) for each socket, measured by
+ * periodic server pings. Used to estimate when a client actually sent
+ * an answer so slow connections aren't penalized in close finishes.
+ *
+ * @class LatencyTracker
+ */
+class LatencyTracker {
+  constructor() {
+    // Map of socketId -> { rttMs, samples, updatedAt }
+    this.measurements = new Map();
+
+    // Weight of the newest sample in the moving average (0-1)
+    this.SMOOTHING_FACTOR = 0.3;
+
+    // Samples above this are treated as outliers and clamped (in milliseconds)
+    this.MAX_RTT_MS = 2000;
+  }
+
+  /**
+   * Records a new RTT sample for a socket
+   * Uses an exponentially weighted moving average to smooth out jitter.
+   *
+   * @param {String} socketId - Socket ID
+   * @param {Number} rttMs - Measured round-trip time in milliseconds
+   * @returns {Number} Smoothed RTT for the socket
+   */
+  record(socketId, rttMs) {
+    const sample = Math.min(Math.max(0, rttMs), this.MAX_RTT_MS);
+    const existing = this.measurements.get(socketId);
+
+    const smoothed = existing
+      ? existing.rttMs + this.SMOOTHING_FACTOR * (sample - existing.rttMs)
+      : sample;
+
+    this.measurements.set(socketId, {
+      rttMs: Math.round(smoothed),
+      samples: (existing?.samples || 0) + 1,
+      updatedAt: Date.now()
+    });
+
+    return Math.round(smoothed);
+  }
+
+  /**
+   * Gets the smoothed RTT for a socket
+   * @param {String} socketId - Socket ID
+   * @returns {Number} RTT in milliseconds (0 if not yet measured)
+   */
+  getRtt(socketId) {
+    return this.measurements.get(socketId)?.rttMs || 0;
+  }
+
+  /**
+   * Stops tracking a socket
+   * @param {String} socketId - Socket ID
+   */
+  remove(socketId) {
+    this.measurements.delete(socketId);
+  }
+}
+
+module.exports = LatencyTracker;
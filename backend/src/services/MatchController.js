@@ -0,0 +1,440 @@
+/**
+ * MatchController - Fixed-Length Tournament Matches
+ *
+ * Runs a room's game as a match of a set number of rounds instead of an
+ * endless stream of questions. The host opens a lobby with the number of
+ * rounds and an optional difficulty schedule, players gather, and the
+ * host starts the match. Every round the room plays is recorded here
+ * until the match is complete; the final standings only count points
+ * won during the match.
+ *
+ * In an elimination match everyone in the room when it starts gets the
+ * same number of lives. A wrong answer, or no answer before the timer
+ * runs out, costs a life (at most one per round); players with no lives
+ * left - and anyone who arrives late - only watch. The match ends when
+ * one player is left standing, or when the rounds run out.
+ *
+ * Key Features:
+ * - Lobby, running and ended phases
+ * - Standard (points) and elimination (last player standing) modes
+ * - Per-round difficulty schedule (the last level repeats if it's short)
+ * - Per-round breakdown with each round's outcome and winners
+ * - Final standings with a podium of the top three
+ *
+ * @class MatchController
+ */
+
+const DifficultyController = require('./DifficultyController');
+
+const STATUSES = ['lobby', 'running', 'ended'];
+
+const MODES = ['standard', 'elimination'];
+
+// Lives each player starts an elimination match with
+const DEFAULT_LIVES = 3;
+const MAX_LIVES = 10;
+
+// Longest match a host can set up
+const MAX_ROUNDS = 50;
+
+// Number of places on the podium
+const PODIUM_SIZE = 3;
+
+class MatchController {
+  /**
+   * @param {Object} config - Match configuration
+   * @param {Number} config.rounds - Number of rounds in the match
+   * @param {Array<String>} config.difficultySchedule - Difficulty per round (optional;
+   *   shorter than rounds repeats its last level, empty leaves difficulty adaptive)
+   * @param {String} config.mode - 'standard' or 'elimination' (rounds is then the most it can last)
+   * @param {Number} config.lives - Lives per player in an elimination match
+   * @throws {Error} If the configuration is invalid
+   */
+  constructor({ rounds, difficultySchedule = [], mode = 'standard', lives = DEFAULT_LIVES } = {}) {
+    if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_ROUNDS) {
+      throw new Error(`rounds must be a whole number from 1 to ${MAX_ROUNDS}`);
+    }
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid match mode: ${mode}. Must be one of: ${MODES.join(', ')}`);
+    }
+    if (!Number.isInteger(lives) || lives < 1 || lives > MAX_LIVES) {
+      throw new Error(`lives must be a whole number from 1 to ${MAX_LIVES}`);
+    }
+    if (!Array.isArray(difficultySchedule) || difficultySchedule.length > rounds) {
+      throw new Error('difficultySchedule must be a list with at most one level per round');
+    }
+    difficultySchedule.forEach(level => {
+      if (!DifficultyController.LEVELS.includes(level)) {
+        throw new Error(`Invalid difficulty level: ${level}. Must be one of ${DifficultyController.LEVELS.join(', ')}.`);
+      }
+    });
+
+    this.totalRounds = rounds;
+    this.difficultySchedule = [...difficultySchedule];
+    this.mode = mode;
+    this.lives = lives;
+    this.status = 'lobby';
+
+    // Finished rounds in order: { round, questionId, question, answer, difficulty, outcome, winners }
+    this.rounds = [];
+
+    // Question of the round being played: { questionId, difficulty } or null
+    this.currentRound = null;
+
+    // Map of playerId -> { nickname, points, wins, lastScoredRound }
+    this.scores = new Map();
+
+    // Elimination players in the order they joined:
+    // Map of playerId -> { nickname, lives, lastLifeLostRound, eliminatedInRound }
+    this.contestants = new Map();
+
+    this.startedAt = null;
+    this.endedAt = null;
+    this.cancelled = false;
+  }
+
+  /**
+   * Starts the match from the lobby
+   * @param {Object} options - Options
+   * @param {Array<Object>} options.players - { playerId, nickname } of everyone in the room;
+   *   they are the players of an elimination match
+   * @throws {Error} If the match isn't in its lobby, or an elimination match has fewer than 2 players
+   */
+  start({ players = [] } = {}) {
+    if (this.status !== 'lobby') {
+      throw new Error('The match has already started');
+    }
+
+    if (this.isElimination()) {
+      const contestants = new Map();
+      players.forEach(({ playerId, nickname }) => {
+        contestants.set(playerId, { nickname, lives: this.lives, lastLifeLostRound: 0, eliminatedInRound: null });
+      });
+      if (contestants.size < 2) {
+        throw new Error('An elimination match needs at least 2 players');
+      }
+      this.contestants = contestants;
+    }
+
+    this.status = 'running';
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Checks if the match is being played
+   * @returns {Boolean} True while running
+   */
+  isRunning() {
+    return this.status === 'running';
+  }
+
+  /**
+   * Checks if this is an elimination match
+   * @returns {Boolean} True in elimination mode
+   */
+  isElimination() {
+    return this.mode === 'elimination';
+  }
+
+  /**
+   * Checks if the match is over: every round has been played, or only
+   * one player (or nobody) is left in an elimination match
+   * @returns {Boolean} True once no more rounds should be played
+   */
+  isComplete() {
+    return this.rounds.length >= this.totalRounds || this.isDecided();
+  }
+
+  /**
+   * Checks if an elimination match has its last player standing
+   * @returns {Boolean} True once at most one player has lives left
+   */
+  isDecided() {
+    return this.isElimination() && this.status !== 'lobby' && this.getAlivePlayerIds().length <= 1;
+  }
+
+  /**
+   * Checks if a player may not answer because they are out of a running
+   * elimination match (or joined after it started)
+   * @param {String} playerId - Player ID
+   * @returns {Boolean} True if the player can only watch
+   */
+  isEliminated(playerId) {
+    if (!this.isElimination() || !this.isRunning()) {
+      return false;
+    }
+    return !(this.contestants.get(playerId)?.lives > 0);
+  }
+
+  /**
+   * Gets the players of an elimination match who still have lives
+   * @returns {Array<String>} Player IDs
+   */
+  getAlivePlayerIds() {
+    return Array.from(this.contestants.entries())
+      .filter(([, contestant]) => contestant.lives > 0)
+      .map(([playerId]) => playerId);
+  }
+
+  /**
+   * Takes a life from a player in the round being played
+   * A player loses at most one life per round.
+   *
+   * @param {String} playerId - Player ID
+   * @returns {Object|null} { playerId, nickname, lives, eliminated }, or null if no life
+   *   was taken (not an elimination match, not a player with lives, or already lost one this round)
+   */
+  loseLife(playerId) {
+    const contestant = this.contestants.get(playerId);
+    const round = this.rounds.length + 1;
+    if (!this.isRunning() || !contestant || contestant.lives === 0 || contestant.lastLifeLostRound === round) {
+      return null;
+    }
+
+    contestant.lives -= 1;
+    contestant.lastLifeLostRound = round;
+    if (contestant.lives === 0) {
+      contestant.eliminatedInRound = round;
+    }
+
+    return {
+      playerId,
+      nickname: contestant.nickname,
+      lives: contestant.lives,
+      eliminated: contestant.lives === 0
+    };
+  }
+
+  /**
+   * Gets the players of an elimination match for clients
+   * @returns {Array<Object>} { playerId, nickname, lives, eliminated, eliminatedInRound }
+   */
+  getContestants() {
+    return Array.from(this.contestants.entries()).map(([playerId, contestant]) => ({
+      playerId,
+      nickname: contestant.nickname,
+      lives: contestant.lives,
+      eliminated: contestant.lives === 0,
+      eliminatedInRound: contestant.eliminatedInRound
+    }));
+  }
+
+  /**
+   * Gets the difficulty the schedule sets for the next round
+   * @returns {String|null} Difficulty level, or null to use the room's adaptive level
+   */
+  getNextDifficulty() {
+    if (this.difficultySchedule.length === 0) {
+      return null;
+    }
+
+    const index = Math.min(this.rounds.length, this.difficultySchedule.length - 1);
+    return this.difficultySchedule[index];
+  }
+
+  /**
+   * Marks a question as the current round of the match
+   * @param {String} questionId - Question ID
+   * @param {String} difficulty - Question difficulty
+   * @returns {Number} 1-based round number
+   */
+  startRound(questionId, difficulty) {
+    this.currentRound = { questionId, difficulty };
+    return this.rounds.length + 1;
+  }
+
+  /**
+   * Records how the current round ended
+   * Questions that aren't the current round (e.g. one asked before the
+   * match started) are ignored, so a round is never counted twice, and
+   * nothing is recorded once every round has been played. The round that
+   * decides an elimination match is still recorded.
+   *
+   * @param {Object} result - Round result
+   * @param {String} result.questionId - Question ID
+   * @param {String} result.question - Question text
+   * @param {*} result.answer - Correct answer
+   * @param {String} result.outcome - 'won', 'timeout', 'skipped' or 'unconfirmed'
+   * @param {Array<Object>} result.winners - { playerId, nickname, points }
+   * @returns {Boolean} True if the round was recorded
+   */
+  recordRound({ questionId, question, answer, outcome, winners = [] }) {
+    if (!this.isRunning() || this.rounds.length >= this.totalRounds || this.currentRound?.questionId !== questionId) {
+      return false;
+    }
+
+    const round = this.rounds.length + 1;
+    this.rounds.push({
+      round,
+      questionId,
+      question,
+      answer,
+      difficulty: this.currentRound.difficulty,
+      outcome,
+      winners: winners.map(({ playerId, nickname, points }) => ({ playerId, nickname, points }))
+    });
+    this.currentRound = null;
+
+    winners.forEach(({ playerId, nickname, points }) => {
+      const entry = this.scores.get(playerId) || { nickname, points: 0, wins: 0, lastScoredRound: 0 };
+      entry.nickname = nickname || entry.nickname;
+      entry.points += points || 0;
+      entry.wins += 1;
+      entry.lastScoredRound = round;
+      this.scores.set(playerId, entry);
+    });
+
+    return true;
+  }
+
+  /**
+   * Ends the match
+   * @param {Object} options - Options
+   * @param {Boolean} options.cancelled - True if the host stopped it before the last round
+   * @returns {Object} Final results (see getResults())
+   */
+  finish({ cancelled = false } = {}) {
+    this.status = 'ended';
+    this.endedAt = Date.now();
+    this.cancelled = cancelled;
+    this.currentRound = null;
+    return this.getResults();
+  }
+
+  /**
+   * Gets the players ranked by match points
+   * Players with the same points and wins share a rank; among them, whoever
+   * reached the score first is listed first.
+   *
+   * @returns {Array<Object>} { rank, playerId, nickname, points, wins }, plus
+   *   { lives, eliminatedInRound } in an elimination match
+   */
+  getStandings() {
+    if (this.isElimination()) {
+      return this.getEliminationStandings();
+    }
+
+    const sorted = Array.from(this.scores.entries())
+      .map(([playerId, entry]) => ({ playerId, ...entry }))
+      .sort((a, b) => b.points - a.points || b.wins - a.wins || a.lastScoredRound - b.lastScoredRound);
+
+    let rank = 0;
+    return sorted.map((entry, index) => {
+      const previous = sorted[index - 1];
+      if (!previous || previous.points !== entry.points || previous.wins !== entry.wins) {
+        rank = index + 1;
+      }
+
+      return {
+        rank,
+        playerId: entry.playerId,
+        nickname: entry.nickname,
+        points: entry.points,
+        wins: entry.wins
+      };
+    });
+  }
+
+  /**
+   * Ranks the players of an elimination match by how long they lasted
+   * Players still standing come first (more lives first), then everyone
+   * else by the round they were knocked out in, latest first. Players
+   * knocked out in the same round share a rank and are listed by points.
+   *
+   * @returns {Array<Object>} { rank, playerId, nickname, points, wins, lives, eliminatedInRound }
+   */
+  getEliminationStandings() {
+    // Lasting longer scores higher; anyone still standing outlasts every round
+    const survival = entry => (entry.lives > 0 ? MAX_ROUNDS + entry.lives : entry.eliminatedInRound);
+    const sorted = Array.from(this.contestants.entries())
+      .map(([playerId, contestant], order) => {
+        const score = this.scores.get(playerId);
+        return {
+          playerId,
+          ...contestant,
+          points: score?.points || 0,
+          wins: score?.wins || 0,
+          order
+        };
+      })
+      .sort((a, b) => survival(b) - survival(a) || b.points - a.points || a.order - b.order);
+
+    let rank = 0;
+    return sorted.map((entry, index) => {
+      const previous = sorted[index - 1];
+      if (!previous || survival(previous) !== survival(entry)) {
+        rank = index + 1;
+      }
+
+      return {
+        rank,
+        playerId: entry.playerId,
+        nickname: entry.nickname,
+        points: entry.points,
+        wins: entry.wins,
+        lives: entry.lives,
+        eliminatedInRound: entry.eliminatedInRound
+      };
+    });
+  }
+
+  /**
+   * Gets the match results
+   * @returns {Object} { mode, totalRounds, roundsPlayed, cancelled, rounds, standings, podium }
+   */
+  getResults() {
+    const standings = this.getStandings();
+
+    return {
+      mode: this.mode,
+      totalRounds: this.totalRounds,
+      roundsPlayed: this.rounds.length,
+      cancelled: this.cancelled,
+      rounds: this.rounds.map(round => ({ ...round, winners: round.winners.map(winner => ({ ...winner })) })),
+      standings,
+      podium: standings.filter(entry => entry.rank <= PODIUM_SIZE)
+    };
+  }
+
+  /**
+   * Gets the match configuration (to set up a rematch)
+   * @returns {Object} { rounds, difficultySchedule, mode, lives }
+   */
+  getConfig() {
+    return {
+      rounds: this.totalRounds,
+      difficultySchedule: [...this.difficultySchedule],
+      mode: this.mode,
+      lives: this.lives
+    };
+  }
+
+  /**
+   * Gets a summary of the match for clients
+   * @returns {Object} Match state (includes the results once ended)
+   */
+  getState() {
+    return {
+      status: this.status,
+      mode: this.mode,
+      lives: this.lives,
+      totalRounds: this.totalRounds,
+      difficultySchedule: [...this.difficultySchedule],
+      roundsPlayed: this.rounds.length,
+      currentRound: this.currentRound ? this.rounds.length + 1 : null,
+      startedAt: this.startedAt,
+      endedAt: this.endedAt,
+      contestants: this.getContestants(),
+      playersLeft: this.isElimination() && this.status !== 'lobby' ? this.getAlivePlayerIds().length : null,
+      results: this.status === 'ended' ? this.getResults() : null
+    };
+  }
+}
+
+MatchController.STATUSES = STATUSES;
+MatchController.MAX_ROUNDS = MAX_ROUNDS;
+MatchController.MODES = MODES;
+MatchController.DEFAULT_LIVES = DEFAULT_LIVES;
+MatchController.MAX_LIVES = MAX_LIVES;
+
+module.exports = MatchController;
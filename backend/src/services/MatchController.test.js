@@ -0,0 +1,306 @@
+/**
+ * Unit Tests for MatchController
+ *
+ * Tests match configuration, the difficulty schedule, recording
+ * rounds, final standings with ties, and the podium.
+ */
+
+const MatchController = require('./MatchController');
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+function test(description, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Plays one round of a running match
+ */
+function playRound(match, questionId, outcome, winners = []) {
+  match.startRound(questionId, match.getNextDifficulty());
+  return match.recordRound({ questionId, question: `Q ${questionId}`, answer: 1, outcome, winners });
+}
+
+const ALICE = { playerId: 'p_alice', nickname: 'Alice' };
+const BOB = { playerId: 'p_bob', nickname: 'Bob' };
+const CAROL = { playerId: 'p_carol', nickname: 'Carol' };
+const DAVE = { playerId: 'p_dave', nickname: 'Dave' };
+
+console.log('\n🧪 Running MatchController Unit Tests\n');
+
+// Test 1: Configuration
+test('New matches wait in the lobby', () => {
+  const match = new MatchController({ rounds: 5 });
+
+  assertEqual(match.status, 'lobby');
+  assertEqual(match.getState().totalRounds, 5);
+  assertEqual(match.getState().results, null);
+  assertEqual(match.getNextDifficulty(), null, 'No schedule leaves difficulty adaptive');
+});
+
+test('Invalid configurations are rejected', () => {
+  const invalid = [
+    {},
+    { rounds: 0 },
+    { rounds: 2.5 },
+    { rounds: MatchController.MAX_ROUNDS + 1 },
+    { rounds: 2, difficultySchedule: ['easy', 'medium', 'hard'] },
+    { rounds: 3, difficultySchedule: ['easy', 'extreme'] },
+    { rounds: 3, difficultySchedule: 'hard' },
+    { rounds: 3, mode: 'survival' },
+    { rounds: 3, mode: 'elimination', lives: 0 },
+    { rounds: 3, mode: 'elimination', lives: MatchController.MAX_LIVES + 1 }
+  ];
+
+  invalid.forEach(config => {
+    let threw = false;
+    try {
+      new MatchController(config);
+    } catch (error) {
+      threw = true;
+    }
+    assert(threw, `Expected ${JSON.stringify(config)} to be rejected`);
+  });
+});
+
+test('start() only works from the lobby', () => {
+  const match = new MatchController({ rounds: 1 });
+
+  match.start();
+  assertEqual(match.isRunning(), true);
+
+  let threw = false;
+  try {
+    match.start();
+  } catch (error) {
+    threw = true;
+  }
+  assert(threw, 'A running match cannot be started again');
+});
+
+// Test 2: Difficulty schedule
+test('The difficulty schedule is followed and its last level repeats', () => {
+  const match = new MatchController({ rounds: 4, difficultySchedule: ['easy', 'hard'] });
+  match.start();
+
+  assertEqual(match.getNextDifficulty(), 'easy');
+  playRound(match, 'q1', 'timeout');
+  assertEqual(match.getNextDifficulty(), 'hard');
+  playRound(match, 'q2', 'timeout');
+  assertEqual(match.getNextDifficulty(), 'hard');
+  assertEqual(match.rounds[0].difficulty, 'easy', 'Rounds remember their difficulty');
+});
+
+// Test 3: Recording rounds
+test('Only the current round of a running match is recorded', () => {
+  const match = new MatchController({ rounds: 3 });
+
+  match.startRound('q0', null);
+  assertEqual(match.recordRound({ questionId: 'q0', outcome: 'won', winners: [ALICE] }), false, 'Lobby rounds are ignored');
+
+  match.start();
+  match.startRound('q1', null);
+  assertEqual(match.recordRound({ questionId: 'other', outcome: 'won', winners: [ALICE] }), false);
+  assertEqual(match.recordRound({ questionId: 'q1', outcome: 'won', winners: [{ ...ALICE, points: 150 }] }), true);
+  assertEqual(match.recordRound({ questionId: 'q1', outcome: 'won', winners: [{ ...ALICE, points: 150 }] }), false,
+    'A round is never counted twice');
+
+  assertEqual(match.rounds.length, 1);
+  assertEqual(match.getStandings()[0].points, 150);
+});
+
+test('The match is complete after its last round', () => {
+  const match = new MatchController({ rounds: 2 });
+  match.start();
+
+  playRound(match, 'q1', 'skipped');
+  assertEqual(match.isComplete(), false);
+  assertEqual(match.getState().currentRound, null);
+
+  match.startRound('q2', null);
+  assertEqual(match.getState().currentRound, 2);
+  match.recordRound({ questionId: 'q2', outcome: 'timeout' });
+  assertEqual(match.isComplete(), true);
+});
+
+// Test 4: Standings and results
+test('Standings rank by points and wins, and ties share a rank', () => {
+  const match = new MatchController({ rounds: 4 });
+  match.start();
+
+  playRound(match, 'q1', 'won', [{ ...BOB, points: 200 }]);
+  playRound(match, 'q2', 'won', [{ ...ALICE, points: 300 }]);
+  playRound(match, 'q3', 'won', [{ ...CAROL, points: 200 }, { ...DAVE, points: 200 }]);
+  playRound(match, 'q4', 'timeout');
+
+  const standings = match.getStandings();
+  assertEqual(standings[0].playerId, 'p_alice');
+  assertEqual(standings[0].rank, 1);
+  assertEqual(standings[1].playerId, 'p_bob', 'Bob reached 200 points first');
+  assertEqual(standings.filter(entry => entry.rank === 2).length, 3, 'Equal points and wins share second place');
+});
+
+test('finish() ends the match with the podium and per-round breakdown', () => {
+  const match = new MatchController({ rounds: 3 });
+  match.start();
+
+  playRound(match, 'q1', 'won', [{ ...ALICE, points: 250 }]);
+  playRound(match, 'q2', 'won', [{ ...BOB, points: 100 }]);
+  playRound(match, 'q3', 'won', [{ ...CAROL, points: 50 }]);
+  playRound(match, 'q4', 'won', [{ ...DAVE, points: 500 }]);
+
+  const results = match.finish();
+  assertEqual(match.status, 'ended');
+  assertEqual(results.roundsPlayed, 3, 'Rounds after the last one are ignored');
+  assertEqual(results.cancelled, false);
+  assertEqual(results.podium.length, 3);
+  assertEqual(results.podium.map(entry => entry.nickname).join(','), 'Alice,Bob,Carol');
+  assertEqual(results.rounds[1].winners[0].nickname, 'Bob');
+  assertEqual(match.getState().results.standings.length, 3);
+});
+
+test('A cancelled match keeps the rounds played so far', () => {
+  const match = new MatchController({ rounds: 10 });
+  match.start();
+  playRound(match, 'q1', 'won', [{ ...ALICE, points: 100 }]);
+  match.startRound('q2', null);
+
+  const results = match.finish({ cancelled: true });
+  assertEqual(results.cancelled, true);
+  assertEqual(results.roundsPlayed, 1);
+  assertEqual(match.recordRound({ questionId: 'q2', outcome: 'won', winners: [BOB] }), false);
+});
+
+test('getConfig() returns the settings for a rematch', () => {
+  const match = new MatchController({ rounds: 3, difficultySchedule: ['medium'] });
+  const rematch = new MatchController(match.getConfig());
+
+  assertEqual(rematch.totalRounds, 3);
+  assertEqual(rematch.getNextDifficulty(), 'medium');
+  assertEqual(rematch.mode, 'standard');
+});
+
+// Elimination matches
+test('An elimination match needs at least 2 players', () => {
+  const match = new MatchController({ rounds: 10, mode: 'elimination' });
+
+  let threw = false;
+  try {
+    match.start({ players: [ALICE] });
+  } catch (error) {
+    threw = true;
+  }
+  assert(threw, 'One player cannot start an elimination match');
+  assertEqual(match.status, 'lobby');
+
+  match.start({ players: [ALICE, BOB] });
+  assertEqual(match.getState().playersLeft, 2);
+  assertEqual(match.getContestants()[0].lives, MatchController.DEFAULT_LIVES);
+});
+
+test('Players lose at most one life per round and are eliminated at zero', () => {
+  const match = new MatchController({ rounds: 10, mode: 'elimination', lives: 2 });
+  match.start({ players: [ALICE, BOB, CAROL] });
+
+  match.startRound('q1', 'easy');
+  assertEqual(match.loseLife(ALICE.playerId).lives, 1);
+  assertEqual(match.loseLife(ALICE.playerId), null, 'A second miss in the same round is free');
+  playRound(match, 'q1', 'timeout');
+
+  match.startRound('q2', 'easy');
+  const lost = match.loseLife(ALICE.playerId);
+  assertEqual(lost.eliminated, true);
+  assertEqual(match.isEliminated(ALICE.playerId), true);
+  assertEqual(match.isEliminated(BOB.playerId), false);
+  assertEqual(match.isEliminated('p_latecomer'), true, 'Players who join late only watch');
+  assertEqual(match.loseLife('p_latecomer'), null);
+  assertEqual(match.getContestants()[0].eliminatedInRound, 2);
+});
+
+test('The match is complete when one player is left standing', () => {
+  const match = new MatchController({ rounds: 10, mode: 'elimination', lives: 1 });
+  match.start({ players: [ALICE, BOB, CAROL] });
+
+  match.startRound('q1', 'easy');
+  match.loseLife(ALICE.playerId);
+  assertEqual(match.isComplete(), false);
+  match.loseLife(BOB.playerId);
+  assertEqual(match.isComplete(), true);
+
+  // The deciding round still counts
+  assertEqual(match.recordRound({ questionId: 'q1', outcome: 'won', winners: [{ ...CAROL, points: 10 }] }), true);
+  assertEqual(match.getAlivePlayerIds().join(','), CAROL.playerId);
+});
+
+test('Elimination standings rank by survival and ties share a rank', () => {
+  const match = new MatchController({ rounds: 10, mode: 'elimination', lives: 1 });
+  match.start({ players: [ALICE, BOB, CAROL, DAVE] });
+
+  match.startRound('q1', 'easy');
+  match.loseLife(DAVE.playerId);
+  playRound(match, 'q1', 'won', [{ ...ALICE, points: 10 }]);
+
+  match.startRound('q2', 'easy');
+  match.loseLife(ALICE.playerId);
+  match.loseLife(BOB.playerId);
+  playRound(match, 'q2', 'timeout');
+
+  const standings = match.finish().standings;
+  assertEqual(standings.map(entry => entry.nickname).join(','), 'Carol,Alice,Bob,Dave');
+  assertEqual(standings.map(entry => entry.rank).join(','), '1,2,2,4');
+  assertEqual(standings[1].points, 10);
+  assertEqual(standings[3].eliminatedInRound, 1);
+  assertEqual(match.isEliminated(ALICE.playerId), false, 'Nobody is locked out once the match is over');
+});
+
+test('Standard matches never eliminate anyone', () => {
+  const match = new MatchController({ rounds: 3 });
+  match.start({ players: [ALICE, BOB] });
+  match.startRound('q1', 'easy');
+
+  assertEqual(match.loseLife(ALICE.playerId), null);
+  assertEqual(match.isEliminated('p_latecomer'), false);
+  assertEqual(match.getState().playersLeft, null);
+});
+
+// Print Summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Summary`);
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log(`📈 Total: ${testsPassed + testsFailed}`);
+console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+console.log('='.repeat(50) + '\n');
+
+if (testsFailed === 0) {
+  console.log('🎉 All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('⚠️  Some tests failed. Please review.\n');
+  process.exit(1);
+}
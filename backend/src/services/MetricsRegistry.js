@@ -0,0 +1,398 @@
+/**
+ * MetricsRegistry - Counters, Gauges and Histograms for Monitoring
+ *
+ * Holds the server's metrics and renders them in the Prometheus text
+ * exposition format so they can be scraped into dashboards.
+ *
+ * Key Features:
+ * - Counters, gauges and cumulative histograms with labels
+ * - Collectors that refresh gauges right before each scrape
+ * - No external dependencies
+ *
+ * @class MetricsRegistry
+ */
+
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ module: 'metrics' });
+
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+// Default histogram buckets (seconds)
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escapes a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {String} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats a label set as {name="value",...}
+ * @param {Object} labels - Label names and values
+ * @returns {String} Formatted labels ('' when there are none)
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Formats a sample value (Prometheus spells infinity as +Inf)
+ * @param {Number} value - Sample value
+ * @returns {String} Formatted value
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return String(value);
+}
+
+/**
+ * Shared behaviour of every metric type: name, help text and label handling
+ */
+class Metric {
+  /**
+   * @param {String} type - Exposition type ('counter', 'gauge' or 'histogram')
+   * @param {String} name - Metric name
+   * @param {String} help - Description shown in the HELP line
+   * @param {Array<String>} labelNames - Names of the labels every sample must have
+   */
+  constructor(type, name, help, labelNames = []) {
+    if (!METRIC_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+
+    // Map of label key -> { labels, ...type-specific state }
+    this.series = new Map();
+  }
+
+  /**
+   * Builds the lookup key for a label set
+   * @param {Object} labels - Label values
+   * @returns {Object} { key, ordered } where ordered holds the labels in declaration order
+   * @throws {Error} If a declared label is missing
+   */
+  getLabelKey(labels) {
+    const missing = this.labelNames.filter(labelName => labels[labelName] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Metric ${this.name} is missing labels: ${missing.join(', ')}`);
+    }
+
+    const ordered = {};
+    this.labelNames.forEach(labelName => {
+      ordered[labelName] = labels[labelName];
+    });
+
+    return { key: JSON.stringify(ordered), ordered };
+  }
+
+  /**
+   * Gets (or starts) the series for a label set
+   * @param {Object} labels - Label values
+   * @param {Function} createState - Builds the initial state of a new series
+   * @returns {Object} Series state
+   */
+  getSeries(labels, createState) {
+    const { key, ordered } = this.getLabelKey(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: ordered, ...createState() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Finds the series for a label set without starting one
+   * @param {Object} labels - Label values
+   * @returns {Object|undefined} Series state
+   */
+  findSeries(labels) {
+    return this.series.get(this.getLabelKey(labels).key);
+  }
+
+  /**
+   * Renders the metric's HELP and TYPE lines followed by its samples
+   * @returns {String} Exposition text
+   */
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${this.name} ${this.type}`
+    ];
+
+    this.series.forEach(series => {
+      lines.push(...this.renderSeries(series));
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Forgets every recorded series
+   */
+  reset() {
+    this.series.clear();
+  }
+}
+
+/**
+ * A value that only goes up (e.g. submissions received)
+ */
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+
+    // A counter without labels always reports, even before its first increment
+    if (this.labelNames.length === 0) {
+      this.getSeries({}, () => ({ value: 0 }));
+    }
+  }
+
+  /**
+   * Increments the counter
+   * @param {Object} labels - Label values
+   * @param {Number} amount - Amount to add (must not be negative)
+   */
+  inc(labels = {}, amount = 1) {
+    if (amount < 0) {
+      throw new Error(`Counter ${this.name} cannot be decreased`);
+    }
+    this.getSeries(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  /**
+   * Gets the current value for a label set
+   * @param {Object} labels - Label values
+   * @returns {Number} Counter value
+   */
+  get(labels = {}) {
+    return this.findSeries(labels)?.value || 0;
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+  }
+}
+
+/**
+ * A value that goes up and down (e.g. connected clients)
+ */
+class Gauge extends Counter {
+  constructor(name, help, labelNames) {
+    super(name, help, labelNames);
+    this.type = 'gauge';
+  }
+
+  /**
+   * Sets the gauge
+   * @param {Object} labels - Label values
+   * @param {Number} value - New value
+   */
+  set(labels = {}, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  /**
+   * Increments the gauge (negative amounts decrement it)
+   * @param {Object} labels - Label values
+   * @param {Number} amount - Amount to add
+   */
+  inc(labels = {}, amount = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  /**
+   * Decrements the gauge
+   * @param {Object} labels - Label values
+   * @param {Number} amount - Amount to subtract
+   */
+  dec(labels = {}, amount = 1) {
+    this.inc(labels, -amount);
+  }
+}
+
+/**
+ * Counts observations into cumulative buckets (e.g. time to first correct answer)
+ */
+class Histogram extends Metric {
+  /**
+   * @param {String} name - Metric name
+   * @param {String} help - Description shown in the HELP line
+   * @param {Array<String>} labelNames - Label names
+   * @param {Array<Number>} buckets - Upper bounds of the buckets (ascending)
+   */
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+
+    if (labelNames && labelNames.includes('le')) {
+      throw new Error(`Histogram ${name} cannot use the reserved label "le"`);
+    }
+
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * Records an observation
+   * @param {Object} labels - Label values
+   * @param {Number} value - Observed value
+   */
+  observe(labels = {}, value) {
+    if (!Number.isFinite(value)) {
+      return;
+    }
+
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Gets the observation count and sum for a label set
+   * @param {Object} labels - Label values
+   * @returns {Object} { count, sum }
+   */
+  get(labels = {}) {
+    const series = this.findSeries(labels);
+    return series ? { count: series.count, sum: series.sum } : { count: 0, sum: 0 };
+  }
+
+  renderSeries(series) {
+    const lines = this.buckets.map((bound, index) => {
+      const labels = formatLabels({ ...series.labels, le: formatValue(bound) });
+      return `${this.name}_bucket${labels} ${series.counts[index]}`;
+    });
+
+    lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+    lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    // Map of metric name -> Metric
+    this.metrics = new Map();
+
+    // Callbacks run before each render to refresh point-in-time values
+    this.collectors = [];
+  }
+
+  /**
+   * Registers a metric
+   * @param {Metric} metric - Metric to add
+   * @returns {Metric} The registered metric
+   * @throws {Error} If a metric with the same name already exists
+   */
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * Creates and registers a counter
+   * @param {String} name - Metric name
+   * @param {String} help - Description
+   * @param {Array<String>} labelNames - Label names
+   * @returns {Counter} Counter
+   */
+  counter(name, help, labelNames = []) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  /**
+   * Creates and registers a gauge
+   * @param {String} name - Metric name
+   * @param {String} help - Description
+   * @param {Array<String>} labelNames - Label names
+   * @returns {Gauge} Gauge
+   */
+  gauge(name, help, labelNames = []) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  /**
+   * Creates and registers a histogram
+   * @param {String} name - Metric name
+   * @param {String} help - Description
+   * @param {Array<String>} labelNames - Label names
+   * @param {Array<Number>} buckets - Bucket upper bounds
+   * @returns {Histogram} Histogram
+   */
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Gets a registered metric by name
+   * @param {String} name - Metric name
+   * @returns {Metric|undefined} Metric
+   */
+  get(name) {
+    return this.metrics.get(name);
+  }
+
+  /**
+   * Adds a callback that runs before each render
+   * @param {Function} collector - Called with no arguments
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Renders every metric in the Prometheus text exposition format
+   * A failing collector is logged and skipped so one bad value can't break the scrape.
+   *
+   * @returns {String} Exposition text
+   */
+  render() {
+    this.collectors.forEach(collector => {
+      try {
+        collector();
+      } catch (error) {
+        log.error('Metrics collector failed', { error });
+      }
+    });
+
+    return Array.from(this.metrics.values())
+      .map(metric => metric.render())
+      .join('\n') + '\n';
+  }
+}
+
+MetricsRegistry.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+MetricsRegistry.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
+MetricsRegistry.Counter = Counter;
+MetricsRegistry.Gauge = Gauge;
+MetricsRegistry.Histogram = Histogram;
+
+module.exports = MetricsRegistry;
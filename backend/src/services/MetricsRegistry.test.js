@@ -0,0 +1,263 @@
+/**
+ * Unit Tests for MetricsRegistry and QuizMetrics
+ *
+ * Tests counters, gauges and histograms, the Prometheus text format,
+ * and the quiz metrics recorded from game events.
+ */
+
+// Keep log output (e.g. the failing collector below) out of the test report
+process.env.LOG_LEVEL = 'silent';
+
+const MetricsRegistry = require('./MetricsRegistry');
+const QuizMetrics = require('./QuizMetrics');
+const QuestionStateMachine = require('./QuestionStateMachine');
+
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+function test(description, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+// Test Suite
+console.log('\n🧪 Running MetricsRegistry Unit Tests\n');
+
+// Test 1: Counters
+test('counter() counts per label set and renders in exposition format', () => {
+  const registry = new MetricsRegistry();
+  const submissions = registry.counter('quiz_submissions_total', 'Answer submissions', ['result']);
+
+  submissions.inc({ result: 'correct' });
+  submissions.inc({ result: 'correct' }, 2);
+  submissions.inc({ result: 'incorrect' });
+
+  assertEqual(submissions.get({ result: 'correct' }), 3);
+  assertEqual(submissions.get({ result: 'rejected' }), 0);
+
+  const output = registry.render();
+  assert(output.includes('# HELP quiz_submissions_total Answer submissions\n'), 'Missing HELP line');
+  assert(output.includes('# TYPE quiz_submissions_total counter\n'), 'Missing TYPE line');
+  assert(output.includes('quiz_submissions_total{result="correct"} 3\n'), 'Missing correct series');
+  assert(output.includes('quiz_submissions_total{result="incorrect"} 1\n'), 'Missing incorrect series');
+});
+
+// Test 2: Unlabelled counters report zero before the first increment
+test('counter() without labels reports 0 before any increment', () => {
+  const registry = new MetricsRegistry();
+  registry.counter('quiz_connections_total', 'Connections');
+
+  assert(registry.render().includes('quiz_connections_total 0\n'));
+});
+
+// Test 3: Counters never go down
+test('counter() rejects negative increments and missing labels', () => {
+  const registry = new MetricsRegistry();
+  const counter = registry.counter('rounds_total', 'Rounds', ['outcome']);
+
+  let threw = false;
+  try {
+    counter.inc({ outcome: 'won' }, -1);
+  } catch (error) {
+    threw = /cannot be decreased/.test(error.message);
+  }
+  assert(threw, 'Expected a negative increment to throw');
+
+  threw = false;
+  try {
+    counter.inc({});
+  } catch (error) {
+    threw = /missing labels: outcome/.test(error.message);
+  }
+  assert(threw, 'Expected a missing label to throw');
+});
+
+// Test 4: Gauges
+test('gauge() can be set, incremented and decremented', () => {
+  const registry = new MetricsRegistry();
+  const clients = registry.gauge('connected_clients', 'Open connections');
+
+  clients.inc();
+  clients.inc();
+  clients.dec();
+  assertEqual(clients.get(), 1);
+
+  clients.set({}, 7);
+  assertEqual(clients.get(), 7);
+  assert(registry.render().includes('# TYPE connected_clients gauge\nconnected_clients 7\n'));
+});
+
+// Test 5: Histograms
+test('histogram() renders cumulative buckets, sum and count', () => {
+  const registry = new MetricsRegistry();
+  const histogram = registry.histogram('answer_seconds', 'Answer time', ['state'], [1, 5]);
+
+  histogram.observe({ state: 'ACTIVE' }, 0.5);
+  histogram.observe({ state: 'ACTIVE' }, 3);
+  histogram.observe({ state: 'ACTIVE' }, 8);
+  histogram.observe({ state: 'ACTIVE' }, NaN);
+
+  const output = registry.render();
+  assert(output.includes('answer_seconds_bucket{state="ACTIVE",le="1"} 1\n'), 'Wrong le=1 bucket');
+  assert(output.includes('answer_seconds_bucket{state="ACTIVE",le="5"} 2\n'), 'Buckets should be cumulative');
+  assert(output.includes('answer_seconds_bucket{state="ACTIVE",le="+Inf"} 3\n'), 'Wrong +Inf bucket');
+  assert(output.includes('answer_seconds_sum{state="ACTIVE"} 11.5\n'), 'Wrong sum');
+  assert(output.includes('answer_seconds_count{state="ACTIVE"} 3\n'), 'NaN should be ignored');
+
+  const { count, sum } = histogram.get({ state: 'ACTIVE' });
+  assertEqual(count, 3);
+  assertEqual(sum, 11.5);
+});
+
+// Test 6: Label escaping
+test('render() escapes quotes, backslashes and newlines in label values', () => {
+  const registry = new MetricsRegistry();
+  registry.counter('rejections_total', 'Rejections', ['reason']).inc({ reason: 'say "hi"\\\nbye' });
+
+  assert(registry.render().includes('rejections_total{reason="say \\"hi\\"\\\\\\nbye"} 1\n'));
+});
+
+// Test 7: Registration rules
+test('register() rejects duplicate and invalid metric names', () => {
+  const registry = new MetricsRegistry();
+  registry.counter('quiz_rounds_total', 'Rounds');
+
+  let threw = false;
+  try {
+    registry.gauge('quiz_rounds_total', 'Rounds again');
+  } catch (error) {
+    threw = /already registered/.test(error.message);
+  }
+  assert(threw, 'Expected a duplicate name to throw');
+
+  threw = false;
+  try {
+    registry.counter('quiz-rounds', 'Bad name');
+  } catch (error) {
+    threw = /Invalid metric name/.test(error.message);
+  }
+  assert(threw, 'Expected an invalid name to throw');
+});
+
+// Test 8: Collectors
+test('render() runs collectors first and survives a failing one', () => {
+  const registry = new MetricsRegistry();
+  const rooms = registry.gauge('rooms', 'Open rooms');
+
+  registry.addCollector(() => {
+    throw new Error('boom');
+  });
+  registry.addCollector(() => rooms.set({}, 4));
+
+  assert(registry.render().includes('rooms 4\n'));
+});
+
+// Test 9: QuizMetrics records the game's metrics
+test('QuizMetrics records connections, submissions, rounds and state times', () => {
+  const metrics = new QuizMetrics();
+
+  metrics.recordConnection();
+  metrics.recordConnection();
+  metrics.recordDisconnection();
+  metrics.recordSubmission(true);
+  metrics.recordSubmission(false);
+  metrics.recordRejection('cooldown');
+  metrics.recordRound('won', 2500);
+  metrics.recordRound('timeout');
+  metrics.recordStateTransition({ from: 'ACTIVE', to: 'LOCKED', timeInPreviousStateMs: 1500 });
+  metrics.setRoomStates(['ACTIVE', 'ACTIVE', 'LOCKED'], ['IDLE', 'ACTIVE', 'LOCKED', 'TRANSITIONING']);
+
+  const output = metrics.render();
+  assert(output.includes('quiz_connections_total 2\n'), 'Connections');
+  assert(output.includes('quiz_connected_clients 1\n'), 'Connected clients');
+  assert(output.includes('quiz_submissions_total{result="correct"} 1\n'), 'Correct submissions');
+  assert(output.includes('quiz_submissions_total{result="rejected"} 1\n'), 'Rejected submissions');
+  assert(output.includes('quiz_submission_rejections_total{reason="cooldown"} 1\n'), 'Rejection reason');
+  assert(output.includes('quiz_rounds_total{outcome="won"} 1\n'), 'Won rounds');
+  assert(output.includes('quiz_rounds_total{outcome="timeout"} 1\n'), 'Timed-out rounds');
+  assert(output.includes('quiz_time_to_first_correct_seconds_count 1\n'), 'Only won rounds have a time to first correct');
+  assert(output.includes('quiz_time_to_first_correct_seconds_sum 2.5\n'), 'Time to first correct in seconds');
+  assert(output.includes('quiz_state_duration_seconds_sum{state="ACTIVE"} 1.5\n'), 'State duration');
+  assert(output.includes('quiz_rooms{state="ACTIVE"} 2\n'), 'Rooms by state');
+  assert(output.includes('quiz_rooms{state="IDLE"} 0\n'), 'Empty states report 0');
+});
+
+// Test 10: State machine transitions feed the metrics
+test('QuestionStateMachine reports time spent in the previous state', () => {
+  const metrics = new QuizMetrics();
+  const stateMachine = new QuestionStateMachine({ onTransition: transition => metrics.recordStateTransition(transition) });
+
+  stateMachine.stateEnteredAt = Date.now() - 2000;
+  stateMachine.transition('ACTIVE');
+  stateMachine.transition('LOCKED');
+
+  const [first] = stateMachine.getHistory();
+  assert(first.timeInPreviousStateMs >= 2000, 'Expected about 2s in IDLE');
+  assertEqual(metrics.stateDuration.get({ state: 'IDLE' }).count, 1);
+  assertEqual(metrics.stateDuration.get({ state: 'ACTIVE' }).count, 1);
+});
+
+// Test 11: Event-loop lag
+test('collectEventLoopLag() converts the sampled delay to seconds of lag', () => {
+  const metrics = new QuizMetrics();
+  let wasReset = false;
+
+  // Stand-in for perf_hooks' delay histogram (nanoseconds, including the 20ms sampling interval)
+  metrics.eventLoopMonitor = {
+    count: 10,
+    mean: 25e6,
+    max: 120e6,
+    percentile: percentile => (20 + percentile / 10) * 1e6,
+    reset: () => {
+      wasReset = true;
+    }
+  };
+
+  metrics.collectEventLoopLag();
+
+  assertEqual(metrics.eventLoopLag.get({ stat: 'mean' }), 0.005);
+  assertEqual(metrics.eventLoopLag.get({ stat: 'p50' }), 0.005);
+  assertEqual(metrics.eventLoopLag.get({ stat: 'max' }), 0.1);
+  assert(wasReset, 'Each scrape should start a new sample window');
+});
+
+// Print Summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Summary`);
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log(`📈 Total: ${testsPassed + testsFailed}`);
+console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+console.log('='.repeat(50) + '\n');
+
+if (testsFailed === 0) {
+  console.log('🎉 All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('⚠️  Some tests failed. Please review.\n');
+  process.exit(1);
+}
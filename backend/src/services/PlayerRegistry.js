@@ -0,0 +1,272 @@
+/**
+ * PlayerRegistry - Persistent Player Identity
+ *
+ * Maps the secret player token a client sends in the Socket.io handshake
+ * to a stable public player profile, so a refresh or reconnect keeps the
+ * same identity instead of turning the user into a new socket ID.
+ *
+ * The public player ID is derived from the token, so it stays the same
+ * across server restarts. The token itself is never broadcast.
+ *
+ * Players are forgotten once they've had no connection for a while (see
+ * prune()); only their nickname is kept, for leaderboards and history.
+ *
+ * @class PlayerRegistry
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+const MAX_NICKNAME_LENGTH = 20;
+
+// Players with no connection are forgotten after this long
+const IDLE_PLAYER_TTL_MS = 30 * 60 * 1000;
+
+// Most nicknames kept for players who aren't connected (the oldest go first)
+const MAX_KNOWN_NICKNAMES = 10000;
+
+class PlayerRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {Number} options.idleTtlMs - How long players without a connection are kept
+   * @param {Number} options.maxKnownNicknames - Most nicknames kept for absent players
+   */
+  constructor({ idleTtlMs = IDLE_PLAYER_TTL_MS, maxKnownNicknames = MAX_KNOWN_NICKNAMES } = {}) {
+    this.idleTtlMs = idleTtlMs;
+    this.maxKnownNicknames = maxKnownNicknames;
+
+    // Map of playerId -> player profile
+    this.players = new Map();
+
+    // Map of playerId -> nickname for players who aren't connected: from
+    // saved history, or kept when their profile was pruned
+    this.knownNicknames = new Map();
+  }
+
+  /**
+   * Generates a new random player token
+   * @returns {String} Player token
+   */
+  static generateToken() {
+    return crypto.randomBytes(24).toString('base64url');
+  }
+
+  /**
+   * Checks if a client-provided token is well formed
+   * @param {*} token - Token from the handshake
+   * @returns {Boolean} True if the token can be used
+   */
+  static isValidToken(token) {
+    return typeof token === 'string' && TOKEN_PATTERN.test(token);
+  }
+
+  /**
+   * Derives the public player ID from a token
+   * @param {String} token - Player token
+   * @returns {String} Player ID
+   */
+  static derivePlayerId(token) {
+    const hash = crypto.createHash('sha256').update(token).digest('hex');
+    return `p_${hash.slice(0, 12)}`;
+  }
+
+  /**
+   * Cleans up a user-chosen display name
+   * Collapses whitespace, strips control characters and limits the length.
+   *
+   * @param {*} nickname - Raw nickname
+   * @returns {String|null} Sanitized nickname or null if nothing usable remains
+   */
+  static sanitizeNickname(nickname) {
+    if (typeof nickname !== 'string') {
+      return null;
+    }
+
+    const cleaned = nickname
+      .replace(/[\u0000-\u001f\u007f]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, MAX_NICKNAME_LENGTH)
+      .trim();
+
+    return cleaned || null;
+  }
+
+  /**
+   * Resolves a handshake token to a player, creating the player if needed
+   * Invalid or missing tokens get a freshly generated token. Each call
+   * counts as one connection until release() is called for it.
+   *
+   * @param {String} token - Player token from the handshake
+   * @param {String} nickname - Optional display name from the handshake
+   * @returns {Object} Player profile (including token)
+   */
+  resolve(token, nickname) {
+    const playerToken = PlayerRegistry.isValidToken(token) ? token : PlayerRegistry.generateToken();
+    return this.connect(PlayerRegistry.derivePlayerId(playerToken), playerToken, nickname);
+  }
+
+  /**
+   * Tracks a player connected to another server instance
+   * That instance has already checked the player's token; only the
+   * public profile is shared, so the entry here carries no token. Counts
+   * as one connection, like resolve().
+   *
+   * @param {Object} profile - { playerId, nickname }
+   * @returns {Object} Player profile
+   */
+  trackRemote({ playerId, nickname }) {
+    return this.connect(playerId, null, nickname);
+  }
+
+  /**
+   * Counts a new connection for a player, creating the profile if needed
+   * @param {String} playerId - Player ID
+   * @param {String|null} token - Player token (null if it was checked elsewhere)
+   * @param {String} nickname - Optional display name
+   * @returns {Object} Player profile
+   */
+  connect(playerId, token, nickname) {
+    const sanitizedNickname = PlayerRegistry.sanitizeNickname(nickname);
+    let player = this.players.get(playerId);
+
+    if (!player) {
+      player = {
+        id: playerId,
+        token,
+        nickname: sanitizedNickname || this.knownNicknames.get(playerId) || `Player-${playerId.slice(2, 6)}`,
+        connections: 0,
+        createdAt: Date.now()
+      };
+      this.players.set(playerId, player);
+    } else if (sanitizedNickname) {
+      player.nickname = sanitizedNickname;
+    }
+
+    if (token) {
+      player.token = token;
+    }
+
+    player.connections++;
+    player.lastSeenAt = Date.now();
+    return player;
+  }
+
+  /**
+   * Records that one of a player's connections has closed
+   * @param {String} playerId - Player ID
+   */
+  release(playerId) {
+    const player = this.players.get(playerId);
+    if (!player) {
+      return;
+    }
+
+    player.connections = Math.max(0, player.connections - 1);
+    player.lastSeenAt = Date.now();
+  }
+
+  /**
+   * Forgets players who have had no connection for longer than the idle TTL
+   * Their nicknames are kept, so leaderboards and history still name them.
+   *
+   * @param {Number} now - Current time (epoch ms)
+   * @returns {Number} Number of players forgotten
+   */
+  prune(now = Date.now()) {
+    let pruned = 0;
+
+    this.players.forEach((player, playerId) => {
+      if (player.connections === 0 && now - player.lastSeenAt > this.idleTtlMs) {
+        this.players.delete(playerId);
+        this.rememberNickname(playerId, player.nickname);
+        pruned++;
+      }
+    });
+
+    return pruned;
+  }
+
+  /**
+   * Gets the number of players with a profile
+   * @returns {Number} Player count
+   */
+  getSize() {
+    return this.players.size;
+  }
+
+  /**
+   * Gets a player by public ID
+   * @param {String} playerId - Player ID
+   * @returns {Object|undefined} Player profile
+   */
+  get(playerId) {
+    return this.players.get(playerId);
+  }
+
+  /**
+   * Changes a player's display name
+   * @param {String} playerId - Player ID
+   * @param {String} nickname - New display name
+   * @returns {Object|null} Updated player, or null if the player or name is invalid
+   */
+  setNickname(playerId, nickname) {
+    const player = this.players.get(playerId);
+    const sanitizedNickname = PlayerRegistry.sanitizeNickname(nickname);
+
+    if (!player || !sanitizedNickname) {
+      return null;
+    }
+
+    player.nickname = sanitizedNickname;
+    return player;
+  }
+
+  /**
+   * Remembers a nickname for a player who isn't connected
+   * Connected players keep the nickname they're using now. Past the limit,
+   * the longest-remembered nicknames are dropped first.
+   *
+   * @param {String} playerId - Player ID
+   * @param {String} nickname - Saved nickname
+   */
+  rememberNickname(playerId, nickname) {
+    const sanitizedNickname = PlayerRegistry.sanitizeNickname(nickname);
+    if (!sanitizedNickname) {
+      return;
+    }
+
+    this.knownNicknames.delete(playerId);
+    this.knownNicknames.set(playerId, sanitizedNickname);
+
+    if (this.knownNicknames.size > this.maxKnownNicknames) {
+      this.knownNicknames.delete(this.knownNicknames.keys().next().value);
+    }
+  }
+
+  /**
+   * Gets the display name for a player
+   * @param {String} playerId - Player ID
+   * @returns {String} Nickname, or the player ID if unknown
+   */
+  getNickname(playerId) {
+    return this.players.get(playerId)?.nickname || this.knownNicknames.get(playerId) || playerId;
+  }
+
+  /**
+   * Gets the public (broadcast-safe) view of a player
+   * @param {Object} player - Player profile
+   * @returns {Object} Public profile without the token
+   */
+  static toPublic(player) {
+    return {
+      playerId: player.id,
+      nickname: player.nickname
+    };
+  }
+}
+
+PlayerRegistry.IDLE_PLAYER_TTL_MS = IDLE_PLAYER_TTL_MS;
+PlayerRegistry.MAX_KNOWN_NICKNAMES = MAX_KNOWN_NICKNAMES;
+
+module.exports = PlayerRegistry;
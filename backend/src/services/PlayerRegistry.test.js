@@ -0,0 +1,250 @@
+/**
+ * Unit Tests for PlayerRegistry
+ *
+ * Tests token validation, stable player IDs across reconnects and
+ * restarts, nickname sanitizing, and forgetting players who have left.
+ */
+
+const PlayerRegistry = require('./PlayerRegistry');
+
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+function test(description, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+// Test Suite
+console.log('\n🧪 Running PlayerRegistry Unit Tests\n');
+
+// Test 1: Token format
+test('Only well-formed tokens are accepted', () => {
+  assert(PlayerRegistry.isValidToken(PlayerRegistry.generateToken()), 'Generated tokens are valid');
+  assert(PlayerRegistry.isValidToken('abcdefghijklmnop'), '16 URL-safe characters are enough');
+
+  const invalid = [
+    undefined,
+    null,
+    12345678901234567890,
+    { token: 'abcdefghijklmnop' },
+    'short',
+    'a'.repeat(129),
+    'abcdefgh ijklmnop',
+    'abcdefghijklmnop\n',
+    '../../../../etc/passwd',
+    '<script>alert(1)</script>'
+  ];
+  invalid.forEach(token => {
+    assert(!PlayerRegistry.isValidToken(token), `Expected ${JSON.stringify(token)} to be rejected`);
+  });
+});
+
+// Test 2: Forged tokens
+test('Malformed tokens get a fresh identity instead of being used', () => {
+  const registry = new PlayerRegistry();
+
+  const forged = registry.resolve('<script>alert(1)</script>', 'Mallory');
+  assert(PlayerRegistry.isValidToken(forged.token), 'A new valid token is issued');
+  assert(forged.token !== '<script>alert(1)</script>');
+  assertEqual(forged.id, PlayerRegistry.derivePlayerId(forged.token), 'The ID matches the issued token');
+
+  // Two clients without a token never share an identity
+  const first = registry.resolve(undefined);
+  const second = registry.resolve(undefined);
+  assert(first.id !== second.id, 'Each missing token gets its own player');
+});
+
+test("A player's public ID can't be used to take over their identity", () => {
+  const registry = new PlayerRegistry();
+  const victim = registry.resolve(PlayerRegistry.generateToken(), 'Victim');
+
+  // The public ID is broadcast; sending it back as a token gives a different player
+  const attacker = registry.resolve(victim.id, 'Attacker');
+  assert(attacker.id !== victim.id, 'Expected a different player');
+  assertEqual(registry.getNickname(victim.id), 'Victim', "The victim's profile is untouched");
+});
+
+// Test 3: Stable identity
+test('The same token resolves to the same player across reconnects', () => {
+  const registry = new PlayerRegistry();
+  const token = PlayerRegistry.generateToken();
+
+  const first = registry.resolve(token, 'Alice');
+  const second = registry.resolve(token);
+
+  assertEqual(second, first, 'Reconnecting returns the same profile');
+  assertEqual(second.nickname, 'Alice', 'A reconnect without a nickname keeps the old one');
+  assertEqual(second.connections, 2, 'Each resolve counts a connection');
+  assertEqual(registry.getSize(), 1);
+
+  assertEqual(registry.resolve(token, 'Alicia').nickname, 'Alicia', 'A new handshake nickname replaces the old one');
+});
+
+test('Player IDs survive a restart (derived from the token)', () => {
+  const token = PlayerRegistry.generateToken();
+  const before = new PlayerRegistry().resolve(token);
+  const after = new PlayerRegistry().resolve(token);
+
+  assertEqual(after.id, before.id);
+  assert(/^p_[0-9a-f]{12}$/.test(after.id), `Unexpected ID format ${after.id}`);
+});
+
+// Test 4: Nicknames
+test('Nicknames are sanitized', () => {
+  assertEqual(PlayerRegistry.sanitizeNickname('  Alice  '), 'Alice');
+  assertEqual(PlayerRegistry.sanitizeNickname('Al\u0000i\u001bce'), 'Alice', 'Control characters are stripped');
+  assertEqual(PlayerRegistry.sanitizeNickname('Big   \t  Bob'), 'Big Bob', 'Whitespace is collapsed');
+  assertEqual(PlayerRegistry.sanitizeNickname('x'.repeat(50)).length, 20, 'Long names are cut to 20 characters');
+  assertEqual(PlayerRegistry.sanitizeNickname('nineteen characters ends'), 'nineteen characters', 'No trailing space after cutting');
+  assertEqual(PlayerRegistry.sanitizeNickname('   '), null);
+  assertEqual(PlayerRegistry.sanitizeNickname('\u0000\u0001'), null);
+  assertEqual(PlayerRegistry.sanitizeNickname(42), null);
+});
+
+test('Players without a usable nickname get a default one', () => {
+  const registry = new PlayerRegistry();
+  const player = registry.resolve(PlayerRegistry.generateToken(), '\u0007');
+
+  assertEqual(player.nickname, `Player-${player.id.slice(2, 6)}`);
+  assertEqual(registry.setNickname(player.id, '   '), null, 'Blank renames are refused');
+  assertEqual(registry.setNickname('p_unknown', 'Bob'), null, 'Unknown players are refused');
+  assertEqual(registry.setNickname(player.id, ' Bob ').nickname, 'Bob');
+});
+
+test('The public view never includes the token', () => {
+  const registry = new PlayerRegistry();
+  const player = registry.resolve(PlayerRegistry.generateToken(), 'Alice');
+  const view = PlayerRegistry.toPublic(player);
+
+  assertEqual(JSON.stringify(view), JSON.stringify({ playerId: player.id, nickname: 'Alice' }));
+});
+
+// Test 5: Forgetting players
+test('Players are forgotten once they have been disconnected for a while', () => {
+  const registry = new PlayerRegistry({ idleTtlMs: 1000 });
+  const leaver = registry.resolve(PlayerRegistry.generateToken(), 'Leaver');
+  const stayer = registry.resolve(PlayerRegistry.generateToken(), 'Stayer');
+
+  registry.release(leaver.id);
+  const releasedAt = leaver.lastSeenAt;
+
+  assertEqual(registry.prune(releasedAt + 500), 0, 'Not idle for long enough yet');
+  assertEqual(registry.prune(releasedAt + 5000), 1, 'Only the disconnected player goes');
+  assertEqual(registry.get(leaver.id), undefined);
+  assertEqual(registry.get(stayer.id), stayer, 'Connected players are kept however long they stay');
+  assertEqual(registry.getNickname(leaver.id), 'Leaver', 'Leaderboards can still name them');
+});
+
+test('Players with another tab open are kept', () => {
+  const registry = new PlayerRegistry({ idleTtlMs: 1000 });
+  const token = PlayerRegistry.generateToken();
+  const player = registry.resolve(token);
+  registry.resolve(token);
+
+  registry.release(player.id);
+  assertEqual(registry.prune(Date.now() + 5000), 0, 'One connection is still open');
+
+  registry.release(player.id);
+  registry.release(player.id);
+  assertEqual(player.connections, 0, 'Extra releases never go below zero');
+  assertEqual(registry.prune(Date.now() + 5000), 1);
+});
+
+test('A forgotten player who returns keeps their ID and nickname', () => {
+  const registry = new PlayerRegistry({ idleTtlMs: 1000 });
+  const token = PlayerRegistry.generateToken();
+  const player = registry.resolve(token, 'Alice');
+
+  registry.release(player.id);
+  registry.prune(Date.now() + 5000);
+
+  const returned = registry.resolve(token);
+  assertEqual(returned.id, player.id);
+  assertEqual(returned.nickname, 'Alice');
+});
+
+test('Scripted clients without tokens do not pile up', () => {
+  const registry = new PlayerRegistry({ idleTtlMs: 1000, maxKnownNicknames: 50 });
+
+  for (let i = 0; i < 500; i++) {
+    const player = registry.resolve(undefined, `Bot ${i}`);
+    registry.release(player.id);
+  }
+
+  assertEqual(registry.getSize(), 500);
+  registry.prune(Date.now() + 5000);
+  assertEqual(registry.getSize(), 0, 'Every disconnected bot is forgotten');
+  assertEqual(registry.knownNicknames.size, 50, 'Kept nicknames are capped');
+});
+
+test('Kept nicknames drop the oldest first', () => {
+  const registry = new PlayerRegistry({ maxKnownNicknames: 2 });
+
+  registry.rememberNickname('p_1', 'One');
+  registry.rememberNickname('p_2', 'Two');
+  registry.rememberNickname('p_1', 'Uno'); // Refreshed, so p_2 is now the oldest
+  registry.rememberNickname('p_3', 'Three');
+
+  assertEqual(registry.getNickname('p_1'), 'Uno');
+  assertEqual(registry.getNickname('p_2'), 'p_2', 'Unknown players are shown by ID');
+  assertEqual(registry.getNickname('p_3'), 'Three');
+});
+
+// Test 6: Players on other instances
+test('Players from other instances are tracked without a token', () => {
+  const registry = new PlayerRegistry({ idleTtlMs: 1000 });
+  const token = PlayerRegistry.generateToken();
+  const playerId = PlayerRegistry.derivePlayerId(token);
+
+  const remote = registry.trackRemote({ playerId, nickname: 'Remy' });
+  assertEqual(remote.token, null);
+  assertEqual(registry.getNickname(playerId), 'Remy');
+
+  // Connecting here later issues their own token back to them
+  const local = registry.resolve(token);
+  assertEqual(local, remote);
+  assertEqual(local.token, token);
+  assertEqual(local.connections, 2);
+});
+
+// Print Summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Summary`);
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log(`📈 Total: ${testsPassed + testsFailed}`);
+console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+console.log('='.repeat(50) + '\n');
+
+if (testsFailed === 0) {
+  console.log('🎉 All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('⚠️  Some tests failed. Please review.\n');
+  process.exit(1);
+}
@@ -2,55 +2,105 @@
  * QuestionGenerator - Math Question Generation Service
  *
  * Generates random arithmetic questions for the competitive math quiz.
- * Supports addition, subtraction, and multiplication operations with
- * configurable difficulty levels.
+ * Supports addition, subtraction, multiplication, exact division, modulo
+ * and powers, with configurable difficulty levels. Hard questions are
+ * multi-step expressions that may include negative numbers and
+ * parentheses where precedence requires them.
  *
  * @class QuestionGenerator
  */
+const AnswerValidator = require('./AnswerValidator');
+
 class QuestionGenerator {
   constructor() {
     // Define available operators with their operations
+    // Higher precedence binds tighter; '^' is the only right-associative operator.
     this.operators = [
       {
         symbol: '+',
         name: 'addition',
         operation: (a, b) => a + b,
+        precedence: 1,
         difficulty: 'easy'
       },
       {
         symbol: '-',
         name: 'subtraction',
         operation: (a, b) => a - b,
+        precedence: 1,
         difficulty: 'easy'
       },
       {
         symbol: '*',
         name: 'multiplication',
         operation: (a, b) => a * b,
+        precedence: 2,
+        difficulty: 'medium'
+      },
+      {
+        symbol: '/',
+        name: 'division',
+        operation: (a, b) => a / b,
+        precedence: 2,
+        difficulty: 'medium'
+      },
+      {
+        symbol: '%',
+        name: 'modulo',
+        operation: (a, b) => a % b,
+        precedence: 2,
         difficulty: 'medium'
+      },
+      {
+        symbol: '^',
+        name: 'power',
+        operation: (a, b) => Math.pow(a, b),
+        precedence: 3,
+        rightAssociative: true,
+        difficulty: 'hard'
       }
     ];
 
+    // Operators allowed when chaining an extra operand onto an expression
+    this.chainOperators = ['+', '-', '*', '/'];
+
+    // Limits that keep answers solvable by mental arithmetic
+    this.MAX_FACTOR = 20;      // Largest operand for '*' and the quotient for '/'
+    this.MAX_DIVISOR = 12;     // Largest divisor for '/' and '%'
+    this.MAX_SQUARE_BASE = 12; // Largest base for x^2
+    this.MAX_CUBE_BASE = 5;    // Largest base for x^3
+    this.MAX_CHAIN_FACTOR = 9; // Largest multiplier when chaining '*'
+    this.MAX_CHAIN_MULTIPLICAND = 100; // Only chain '*' onto values up to this size
+
     // Difficulty level configurations
     this.difficultyLevels = {
       easy: {
         minNumber: 1,
         maxNumber: 50,
-        operators: ['+', '-']
+        operators: ['+', '-'],
+        operandCount: { min: 2, max: 2 },
+        allowNegative: false
       },
       medium: {
         minNumber: 1,
         maxNumber: 100,
-        operators: ['+', '-', '*']
+        operators: ['+', '-', '*', '/', '%'],
+        operandCount: { min: 2, max: 2 },
+        allowNegative: false
       },
       hard: {
-        minNumber: 10,
+        minNumber: 2,
         maxNumber: 100,
-        operators: ['+', '-', '*']
+        operators: ['+', '-', '*', '/', '%', '^'],
+        operandCount: { min: 3, max: 4 },
+        allowNegative: true
       }
     };
 
     this.currentDifficulty = 'medium'; // Default difficulty
+
+    // Parses fractions, mixed numbers and decimals in submitted answers
+    this.answerValidator = new AnswerValidator();
   }
 
   /**
@@ -79,44 +129,267 @@ class QuestionGenerator {
   }
 
   /**
-   * Generates a random math question
+   * Looks up an operator by its symbol
+   * @param {string} symbol - Operator symbol
+   * @returns {object} Operator object
+   */
+  getOperator(symbol) {
+    return this.operators.find(op => op.symbol === symbol);
+  }
+
+  /**
+   * Picks a random element from an array
+   * @param {Array} items - Items to choose from
+   * @returns {*} Random item
+   */
+  pickRandom(items) {
+    return items[Math.floor(Math.random() * items.length)];
+  }
+
+  /**
+   * Flips the sign of a number some of the time when negatives are allowed
+   * @param {number} value - Positive number
+   * @param {object} config - Difficulty configuration
+   * @returns {number} The number, possibly negated
+   */
+  maybeNegate(value, config) {
+    return config.allowNegative && Math.random() < 0.3 ? -value : value;
+  }
+
+  /**
+   * Picks operands for a single operation so the result stays a
+   * reasonably sized integer (exact division, small powers, etc.)
+   *
+   * @param {object} operator - Operator object
+   * @param {object} config - Difficulty configuration
+   * @returns {Array<number>} [left, right] operands
+   */
+  createOperands(operator, config) {
+    const { minNumber, maxNumber } = config;
+    const factorMax = Math.min(maxNumber, this.MAX_FACTOR);
+    let num1;
+    let num2;
+
+    switch (operator.symbol) {
+      case '*':
+        // Use smaller numbers to avoid very large products
+        num1 = this.maybeNegate(this.getRandomNumber(minNumber, factorMax), config);
+        num2 = this.maybeNegate(this.getRandomNumber(minNumber, factorMax), config);
+        break;
+
+      case '/': {
+        // Build the dividend from divisor * quotient so division is always exact
+        const divisor = this.getRandomNumber(Math.max(minNumber, 2), this.MAX_DIVISOR);
+        const quotient = this.getRandomNumber(minNumber, factorMax);
+        num1 = this.maybeNegate(divisor * quotient, config);
+        num2 = this.maybeNegate(divisor, config);
+        break;
+      }
+
+      case '%':
+        // Positive operands only - the sign of a negative remainder is ambiguous
+        num1 = this.getRandomNumber(Math.max(minNumber, this.MAX_DIVISOR), maxNumber);
+        num2 = this.getRandomNumber(Math.max(minNumber, 2), this.MAX_DIVISOR);
+        break;
+
+      case '^':
+        num2 = this.getRandomNumber(2, 3);
+        num1 = this.maybeNegate(
+          this.getRandomNumber(2, num2 === 2 ? this.MAX_SQUARE_BASE : this.MAX_CUBE_BASE),
+          config
+        );
+        break;
+
+      default:
+        num1 = this.maybeNegate(this.getRandomNumber(minNumber, maxNumber), config);
+        num2 = this.maybeNegate(this.getRandomNumber(minNumber, maxNumber), config);
+
+        // For subtraction, ensure result is non-negative unless negatives are allowed
+        if (operator.symbol === '-' && !config.allowNegative && num1 < num2) {
+          [num1, num2] = [num2, num1]; // Swap to make num1 larger
+        }
+    }
+
+    return [num1, num2];
+  }
+
+  /**
+   * Creates an expression tree node for one operation on two numbers
+   * @param {object} operator - Operator object
+   * @param {object} config - Difficulty configuration
+   * @returns {object} Operation node
+   */
+  createOperation(operator, config) {
+    const [num1, num2] = this.createOperands(operator, config);
+    return this.combine(operator, { value: num1 }, { value: num2 });
+  }
+
+  /**
+   * Creates an operation node from two child nodes
+   * @param {object} operator - Operator object
+   * @param {object} left - Left child node
+   * @param {object} right - Right child node
+   * @returns {object} Operation node with its computed value
+   */
+  combine(operator, left, right) {
+    return {
+      operator,
+      left,
+      right,
+      value: operator.operation(left.value, right.value)
+    };
+  }
+
+  /**
+   * Extends an expression with one more operand
+   * Division is only chained when the current value divides exactly, and
+   * multiplication only when the result stays small; otherwise another
+   * operator is used.
+   *
+   * @param {object} node - Current expression tree
+   * @param {object} config - Difficulty configuration
+   * @returns {object} New expression tree
+   */
+  chainOperand(node, config) {
+    const candidates = this.chainOperators.filter(symbol => config.operators.includes(symbol));
+    const divisors = [];
+    for (let d = 2; d <= this.MAX_DIVISOR; d++) {
+      if (node.value !== 0 && node.value % d === 0) {
+        divisors.push(d);
+      }
+    }
+
+    const symbols = candidates.filter(symbol =>
+      (symbol !== '/' || divisors.length > 0) &&
+      (symbol !== '*' || Math.abs(node.value) <= this.MAX_CHAIN_MULTIPLICAND)
+    );
+    const operator = this.getOperator(this.pickRandom(symbols));
+
+    if (operator.symbol === '/') {
+      return this.combine(operator, node, { value: this.maybeNegate(this.pickRandom(divisors), config) });
+    }
+
+    if (operator.symbol === '*') {
+      const factor = this.maybeNegate(this.getRandomNumber(2, this.MAX_CHAIN_FACTOR), config);
+      return Math.random() < 0.5
+        ? this.combine(operator, node, { value: factor })
+        : this.combine(operator, { value: factor }, node);
+    }
+
+    // '+' and '-' - the new operand goes on either side
+    const operand = { value: this.maybeNegate(this.getRandomNumber(config.minNumber, config.maxNumber), config) };
+    return Math.random() < 0.5
+      ? this.combine(operator, node, operand)
+      : this.combine(operator, operand, node);
+  }
+
+  /**
+   * Builds an expression tree for the given difficulty
    * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard')
-   * @returns {object} Question object with id, question text, answer, and metadata
+   * @returns {object} Expression tree
    */
-  generate(difficulty = this.currentDifficulty) {
+  buildExpression(difficulty) {
     const config = this.difficultyLevels[difficulty];
+    const operandCount = this.getRandomNumber(config.operandCount.min, config.operandCount.max);
+    const operator = this.getRandomOperator(difficulty);
 
-    // Generate random numbers based on difficulty
-    let num1 = this.getRandomNumber(config.minNumber, config.maxNumber);
-    let num2 = this.getRandomNumber(config.minNumber, config.maxNumber);
+    let node = this.createOperation(operator, config);
+    for (let i = 2; i < operandCount; i++) {
+      node = this.chainOperand(node, config);
+    }
 
-    // Select random operator
-    const operator = this.getRandomOperator(difficulty);
+    return node;
+  }
 
-    // For subtraction, ensure result is non-negative
-    if (operator.symbol === '-' && num1 < num2) {
-      [num1, num2] = [num2, num1]; // Swap to make num1 larger
+  /**
+   * Renders an expression tree as text
+   * Adds parentheses only where precedence or associativity requires them,
+   * and wraps negative numbers so they can't be misread as subtraction.
+   *
+   * @param {object} node - Expression tree node
+   * @returns {string} Expression text (e.g. "(12 - 4) * 3")
+   */
+  formatExpression(node) {
+    if (!node.operator) {
+      return node.value < 0 ? `(${node.value})` : `${node.value}`;
     }
 
-    // For multiplication, use smaller numbers to avoid very large products
-    if (operator.symbol === '*') {
-      num1 = this.getRandomNumber(config.minNumber, Math.min(config.maxNumber, 20));
-      num2 = this.getRandomNumber(config.minNumber, Math.min(config.maxNumber, 20));
+    const { operator } = node;
+    const wrap = (child, side) => {
+      const text = this.formatExpression(child);
+      if (!child.operator) {
+        return text;
+      }
+
+      const needsParens = child.operator.precedence < operator.precedence ||
+        (child.operator.precedence === operator.precedence &&
+          (operator.rightAssociative ? side === 'left' : side === 'right'));
+
+      return needsParens ? `(${text})` : text;
+    };
+
+    return `${wrap(node.left, 'left')} ${operator.symbol} ${wrap(node.right, 'right')}`;
+  }
+
+  /**
+   * Collects the numbers of an expression tree in reading order
+   * @param {object} node - Expression tree node
+   * @param {Array<number>} numbers - Accumulator
+   * @returns {Array<number>} Numbers from left to right
+   */
+  collectOperands(node, numbers = []) {
+    if (!node.operator) {
+      numbers.push(node.value);
+      return numbers;
+    }
+
+    this.collectOperands(node.left, numbers);
+    this.collectOperands(node.right, numbers);
+    return numbers;
+  }
+
+  /**
+   * Collects the operator symbols of an expression tree in reading order
+   * @param {object} node - Expression tree node
+   * @param {Array<string>} symbols - Accumulator
+   * @returns {Array<string>} Operator symbols from left to right
+   */
+  collectOperators(node, symbols = []) {
+    if (node.operator) {
+      this.collectOperators(node.left, symbols);
+      symbols.push(node.operator.symbol);
+      this.collectOperators(node.right, symbols);
     }
+    return symbols;
+  }
 
-    // Calculate the correct answer
-    const answer = operator.operation(num1, num2);
+  /**
+   * Generates a random math question
+   * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard')
+   * @returns {object} Question object with id, question text, answer, and metadata
+   */
+  generate(difficulty = this.currentDifficulty) {
+    // Build the expression and calculate the correct answer
+    const expression = this.buildExpression(difficulty);
+    const answer = expression.value === 0 ? 0 : expression.value; // Avoid -0
+
+    // Operands are exposed as num1, num2, num3... in reading order
+    const operands = {};
+    this.collectOperands(expression).forEach((value, index) => {
+      operands[`num${index + 1}`] = value;
+    });
 
     // Generate unique question ID
     const questionId = `q_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
     return {
       id: questionId,
-      question: `${num1} ${operator.symbol} ${num2}`,
+      question: this.formatExpression(expression),
       answer: answer,
-      operands: { num1, num2 },
-      operator: operator.symbol,
-      operatorName: operator.name,
+      operands,
+      operator: expression.operator.symbol,
+      operatorName: expression.operator.name,
+      operators: this.collectOperators(expression),
       difficulty: difficulty,
       generatedAt: Date.now(),
       generatedAtISO: new Date().toISOString()
@@ -125,26 +398,18 @@ class QuestionGenerator {
 
   /**
    * Validates a user's answer against the correct answer
+   * Accepts integers, decimals, fractions ("1/2") and mixed numbers ("3 1/2").
+   * Expressions are rejected by default so players can't just retype the question.
+   *
    * @param {string|number} userAnswer - The answer submitted by the user
    * @param {number} correctAnswer - The correct answer to the question
+   * @param {object} options - Validation options
+   * @param {number} options.tolerance - Allowed absolute difference (default 0.0001)
+   * @param {boolean} options.allowExpressions - Accept expressions like "2*3" (default false)
    * @returns {boolean} True if the answer is correct, false otherwise
    */
-  validate(userAnswer, correctAnswer) {
-    // Handle null, undefined, or empty string
-    if (userAnswer === null || userAnswer === undefined || userAnswer === '') {
-      return false;
-    }
-
-    // Parse the user answer to a number
-    const parsedAnswer = Number(userAnswer);
-
-    // Check if the parsed answer is a valid number
-    if (isNaN(parsedAnswer)) {
-      return false;
-    }
-
-    // Compare with correct answer (handle floating point precision)
-    return Math.abs(parsedAnswer - correctAnswer) < 0.0001;
+  validate(userAnswer, correctAnswer, { tolerance, allowExpressions = false } = {}) {
+    return this.answerValidator.validate(userAnswer, correctAnswer, { tolerance, allowExpressions });
   }
 
   /**
@@ -190,6 +455,7 @@ class QuestionGenerator {
       availableOperators: this.operators.map(op => ({
         symbol: op.symbol,
         name: op.name,
+        precedence: op.precedence,
         difficulty: op.difficulty
       })),
       difficultyLevels: Object.keys(this.difficultyLevels),
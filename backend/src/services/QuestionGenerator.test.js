@@ -106,6 +106,12 @@ results.push(runTest('Question answer is calculated correctly', () => {
       case '*':
         expectedAnswer = num1 * num2;
         break;
+      case '/':
+        expectedAnswer = num1 / num2;
+        break;
+      case '%':
+        expectedAnswer = num1 % num2;
+        break;
     }
 
     assertEquals(question.answer, expectedAnswer,
@@ -265,6 +271,120 @@ results.push(runTest('Multiplication uses reasonable numbers to avoid huge produ
   }
 }));
 
+// Test 16: Division is always exact
+results.push(runTest('Division questions always have whole-number answers', () => {
+  const generator = new QuestionGenerator();
+  let divisions = 0;
+
+  for (let i = 0; i < 300; i++) {
+    const question = generator.generate('medium');
+    if (question.operator === '/') {
+      const { num1, num2 } = question.operands;
+      divisions++;
+      assert(num2 !== 0, `Divisor should never be zero: ${question.question}`);
+      assertEquals(num1 % num2, 0, `${question.question} should divide exactly`);
+      assert(Number.isInteger(question.answer), `Answer should be an integer: ${question.answer}`);
+    }
+  }
+
+  assert(divisions > 0, 'Medium difficulty should produce division questions');
+}));
+
+// Test 17: Modulo uses a small positive divisor
+results.push(runTest('Modulo questions use a small positive divisor', () => {
+  const generator = new QuestionGenerator();
+
+  for (let i = 0; i < 300; i++) {
+    const question = generator.generate('medium');
+    if (question.operator === '%') {
+      const { num1, num2 } = question.operands;
+      assert(num2 >= 2 && num2 <= generator.MAX_DIVISOR, `Modulo divisor (${num2}) out of range`);
+      assert(num1 > 0, `Modulo dividend (${num1}) should be positive`);
+      assert(question.answer >= 0 && question.answer < num2, `${question.question} = ${question.answer} is not a valid remainder`);
+    }
+  }
+}));
+
+// Test 18: Medium questions stay single-step
+results.push(runTest('Medium difficulty uses exactly two operands', () => {
+  const generator = new QuestionGenerator();
+
+  for (let i = 0; i < 100; i++) {
+    const question = generator.generate('medium');
+    assertEquals(Object.keys(question.operands).length, 2, `Expected two operands in ${question.question}`);
+    assert(question.answer >= 0, `Medium answers should be non-negative: ${question.question}`);
+  }
+}));
+
+// Test 19: Hard questions are multi-step expressions
+results.push(runTest('Hard difficulty produces multi-step expressions', () => {
+  const generator = new QuestionGenerator();
+
+  for (let i = 0; i < 100; i++) {
+    const question = generator.generate('hard');
+    const count = Object.keys(question.operands).length;
+
+    assert(count >= 3 && count <= 4, `Expected 3-4 operands in ${question.question}, got ${count}`);
+    assertEquals(question.operators.length, count - 1, 'Each step should add one operator');
+    assert(Number.isInteger(question.answer), `Answer should be an integer: ${question.question} = ${question.answer}`);
+  }
+}));
+
+// Test 20: Hard question text evaluates to the stored answer
+results.push(runTest('Hard question text respects operator precedence', () => {
+  const generator = new QuestionGenerator();
+
+  for (let i = 0; i < 500; i++) {
+    const question = generator.generate('hard');
+    // JavaScript uses ** for powers and shares the same precedence rules
+    const evaluated = Function(`return ${question.question.replace(/\^/g, '**')}`)();
+
+    assert(evaluated === question.answer || (evaluated === 0 && question.answer === 0),
+      `${question.question} evaluates to ${evaluated}, but answer is ${question.answer}`);
+  }
+}));
+
+// Test 21: Hard questions include negative numbers
+results.push(runTest('Hard difficulty includes negative numbers', () => {
+  const generator = new QuestionGenerator();
+  let sawNegative = false;
+
+  for (let i = 0; i < 200 && !sawNegative; i++) {
+    const question = generator.generate('hard');
+    sawNegative = Object.values(question.operands).some(value => value < 0);
+  }
+
+  assert(sawNegative, 'Hard difficulty should sometimes use negative numbers');
+}));
+
+// Test 22: Expression formatting
+results.push(runTest('formatExpression() adds parentheses only where needed', () => {
+  const generator = new QuestionGenerator();
+  const op = symbol => generator.getOperator(symbol);
+  const num = value => ({ value });
+
+  const sum = generator.combine(op('+'), num(2), num(3));
+  const product = generator.combine(op('*'), num(2), num(3));
+
+  assertEquals(generator.formatExpression(generator.combine(op('*'), sum, num(4))), '(2 + 3) * 4');
+  assertEquals(generator.formatExpression(generator.combine(op('+'), product, num(4))), '2 * 3 + 4');
+  assertEquals(generator.formatExpression(generator.combine(op('-'), num(10), sum)), '10 - (2 + 3)');
+  assertEquals(generator.formatExpression(generator.combine(op('-'), sum, num(1))), '2 + 3 - 1');
+  assertEquals(generator.formatExpression(generator.combine(op('^'), num(-3), num(2))), '(-3) ^ 2');
+  assertEquals(generator.combine(op('^'), num(-3), num(2)).value, 9);
+}));
+
+// Test 23: Fractions and mixed numbers are accepted, expressions are not
+results.push(runTest('validate() accepts fractions but not restated expressions', () => {
+  const generator = new QuestionGenerator();
+
+  assertTrue(generator.validate('8/2', 4), 'Should accept an equivalent fraction');
+  assertTrue(generator.validate('3 1/2', 3.5), 'Should accept a mixed number');
+  assertTrue(generator.validate('0.50', 0.5), 'Should accept trailing zeros');
+  assertFalse(generator.validate('2 * 2', 4), 'Should reject expressions by default');
+  assertTrue(generator.validate('2 * 2', 4, { allowExpressions: true }), 'Should accept expressions when allowed');
+}));
+
 // Summary
 console.log('');
 console.log('='.repeat(60));
@@ -0,0 +1,473 @@
+/**
+ * QuestionStateMachine - Authoritative Question Lifecycle
+ *
+ * Owns the phase of a room's current question. StateManager and the
+ * socket handlers ask the machine which phase a round is in instead of
+ * keeping flags of their own, and an illegal transition throws rather
+ * than being applied:
+ *
+ *   IDLE → ACTIVE → LOCKED → TRANSITIONING → ACTIVE (repeat)
+ *   ACTIVE → RESOLVING → LOCKED        (grace-period resolution)
+ *   ACTIVE → EXPIRED → TRANSITIONING   (time ran out)
+ *   ACTIVE/RESOLVING → TRANSITIONING   (question skipped)
+ *
+ * Hooks registered with onEnter()/onExit() run on every transition (the
+ * socket handlers use them to start timers and broadcast). Timers started
+ * with setTimer() belong to the current state and are cancelled when it
+ * is left, so a timer from an earlier phase can never fire into a later one.
+ *
+ * Transitions are written to the structured log; the diagram and summary
+ * helpers print to the console for local debugging. Only the most recent
+ * transitions are kept in memory, since a room's machine lives as long
+ * as the room.
+ *
+ * @class QuestionStateMachine
+ */
+
+const { logger } = require('../utils/logger');
+
+// Valid state transitions (reset() may also return to IDLE from anywhere)
+const VALID_TRANSITIONS = {
+  IDLE: ['ACTIVE'],
+  ACTIVE: ['RESOLVING', 'LOCKED', 'EXPIRED', 'TRANSITIONING'],
+  RESOLVING: ['LOCKED', 'TRANSITIONING'],
+  LOCKED: ['TRANSITIONING'],
+  EXPIRED: ['TRANSITIONING'],
+  TRANSITIONING: ['ACTIVE']
+};
+
+// Transitions kept in the history by default (a question takes about four)
+const DEFAULT_HISTORY_SIZE = 200;
+
+class QuestionStateMachine {
+  /**
+   * @param {Object} options - State machine configuration
+   * @param {Function} options.onTransition - Called with each recorded transition (e.g. for metrics)
+   * @param {Logger} options.logger - Structured logger for transitions (see utils/logger)
+   * @param {Number} options.historySize - Most recent transitions kept in the history
+   */
+  constructor(options = {}) {
+    this.log = options.logger || logger.child({ module: 'state-machine' });
+    this.currentState = 'IDLE';
+    this.previousState = null;
+    this.stateEnteredAt = Date.now();
+    this.stateHistory = [];
+    this.historySize = options.historySize || DEFAULT_HISTORY_SIZE;
+    this.transitionCount = 0;
+    this.onTransition = options.onTransition || null;
+
+    // Hooks per state: { enter: { ACTIVE: [fn] }, exit: { ... } }
+    this.hooks = { enter: {}, exit: {} };
+
+    // Timers owned by the current state: Map of name -> timeout handle
+    this.timers = new Map();
+
+    // State definitions
+    this.states = {
+      IDLE: {
+        name: 'IDLE',
+        description: 'No question yet',
+        icon: '⏸️',
+        color: '\x1b[90m' // Gray
+      },
+      ACTIVE: {
+        name: 'ACTIVE',
+        description: 'Question active, accepting submissions',
+        icon: '🟢',
+        color: '\x1b[32m' // Green
+      },
+      RESOLVING: {
+        name: 'RESOLVING',
+        description: 'Correct answer in, collecting near-simultaneous ones',
+        icon: '⏳',
+        color: '\x1b[35m' // Magenta
+      },
+      LOCKED: {
+        name: 'LOCKED',
+        description: 'Winner found, question locked',
+        icon: '🔒',
+        color: '\x1b[33m' // Yellow
+      },
+      EXPIRED: {
+        name: 'EXPIRED',
+        description: 'Time ran out with no winner',
+        icon: '⌛',
+        color: '\x1b[31m' // Red
+      },
+      TRANSITIONING: {
+        name: 'TRANSITIONING',
+        description: 'Showing results, preparing next question',
+        icon: '🔄',
+        color: '\x1b[36m' // Cyan
+      }
+    };
+
+    this.validTransitions = VALID_TRANSITIONS;
+  }
+
+  /**
+   * Checks whether a transition from the current state is allowed
+   * @param {String} newState - State to move to
+   * @returns {Boolean} True if allowed
+   */
+  canTransition(newState) {
+    return this.validTransitions[this.currentState]?.includes(newState) || false;
+  }
+
+  /**
+   * Transitions to a new state
+   * Cancels the current state's timers, then runs its exit hooks and the
+   * new state's enter hooks.
+   *
+   * @param {String} newState - The new state to transition to
+   * @param {Object} context - Additional context about the transition
+   * @returns {Object} The recorded transition
+   * @throws {Error} If the transition isn't allowed from the current state
+   */
+  transition(newState, context = {}) {
+    if (!this.canTransition(newState)) {
+      throw new Error(`Invalid state transition: ${this.currentState} → ${newState}`);
+    }
+
+    return this.applyTransition(newState, context);
+  }
+
+  /**
+   * Returns to IDLE from any state (e.g. when a room's game is reset)
+   * @param {Object} context - Additional context about the reset
+   * @returns {Object} The recorded transition
+   */
+  reset(context = { reason: 'Manual reset' }) {
+    return this.applyTransition('IDLE', context);
+  }
+
+  /**
+   * Records a transition and runs its hooks (callers have validated it)
+   * @param {String} newState - The new state
+   * @param {Object} context - Additional context about the transition
+   * @returns {Object} The recorded transition
+   */
+  applyTransition(newState, context) {
+    const oldState = this.currentState;
+
+    this.clearTimers();
+
+    // Record transition
+    this.transitionCount++;
+    const timestamp = Date.now();
+    const transition = {
+      from: oldState,
+      to: newState,
+      timestamp,
+      timestampISO: new Date(timestamp).toISOString(),
+      transitionNumber: this.transitionCount,
+      timeInPreviousStateMs: timestamp - this.stateEnteredAt,
+      context
+    };
+
+    this.runHooks('exit', oldState, transition);
+
+    this.stateHistory.push(transition);
+    if (this.stateHistory.length > this.historySize) {
+      this.stateHistory.shift();
+    }
+    this.previousState = oldState;
+    this.currentState = newState;
+    this.stateEnteredAt = timestamp;
+
+    // Log the transition
+    this.logTransition(transition);
+
+    if (this.onTransition) {
+      this.onTransition(transition);
+    }
+
+    this.runHooks('enter', newState, transition);
+
+    return transition;
+  }
+
+  /**
+   * Registers a hook to run whenever a state is entered
+   * @param {String} state - State name
+   * @param {Function} hook - Called with the transition
+   */
+  onEnter(state, hook) {
+    this.addHook('enter', state, hook);
+  }
+
+  /**
+   * Registers a hook to run whenever a state is left
+   * @param {String} state - State name
+   * @param {Function} hook - Called with the transition
+   */
+  onExit(state, hook) {
+    this.addHook('exit', state, hook);
+  }
+
+  /**
+   * Adds an enter or exit hook
+   * @param {String} type - 'enter' or 'exit'
+   * @param {String} state - State name
+   * @param {Function} hook - Hook function
+   * @throws {Error} If the state is unknown
+   */
+  addHook(type, state, hook) {
+    if (!this.states[state]) {
+      throw new Error(`Unknown state: ${state}`);
+    }
+
+    this.hooks[type][state] = this.hooks[type][state] || [];
+    this.hooks[type][state].push(hook);
+  }
+
+  /**
+   * Runs a state's enter or exit hooks
+   * A failing hook is logged and skipped, so the transition still completes
+   * and the remaining hooks still run.
+   *
+   * @param {String} type - 'enter' or 'exit'
+   * @param {String} state - State name
+   * @param {Object} transition - The transition being made
+   */
+  runHooks(type, state, transition) {
+    (this.hooks[type][state] || []).forEach(hook => {
+      try {
+        hook(transition);
+      } catch (error) {
+        this.log.error(`State ${type} hook failed`, {
+          ...transition.context,
+          state,
+          from: transition.from,
+          to: transition.to,
+          error
+        });
+      }
+    });
+  }
+
+  /**
+   * Starts a timer owned by the current state
+   * Leaving the state cancels it. A timer with the same name is replaced.
+   *
+   * @param {String} name - Timer name (e.g. 'deadline')
+   * @param {Function} callback - Called when the timer fires
+   * @param {Number} delayMs - Delay in milliseconds
+   */
+  setTimer(name, callback, delayMs) {
+    this.clearTimer(name);
+
+    const handle = setTimeout(() => {
+      this.timers.delete(name);
+      callback();
+    }, delayMs);
+
+    this.timers.set(name, handle);
+  }
+
+  /**
+   * Cancels one of the current state's timers
+   * @param {String} name - Timer name
+   */
+  clearTimer(name) {
+    clearTimeout(this.timers.get(name));
+    this.timers.delete(name);
+  }
+
+  /**
+   * Checks whether a timer is pending
+   * @param {String} name - Timer name
+   * @returns {Boolean} True if the timer hasn't fired or been cancelled
+   */
+  hasTimer(name) {
+    return this.timers.has(name);
+  }
+
+  /**
+   * Cancels every pending timer
+   */
+  clearTimers() {
+    this.timers.forEach(handle => clearTimeout(handle));
+    this.timers.clear();
+  }
+
+  /**
+   * Writes a state transition to the log
+   * @param {Object} transition - Transition object
+   */
+  logTransition(transition) {
+    this.log.debug(`State transition ${transition.from} → ${transition.to}`, {
+      ...transition.context,
+      from: transition.from,
+      to: transition.to,
+      transitionNumber: transition.transitionNumber,
+      timeInPreviousStateMs: transition.timeInPreviousStateMs
+    });
+  }
+
+  /**
+   * Gets the current state
+   * @returns {String} Current state name
+   */
+  getCurrentState() {
+    return this.currentState;
+  }
+
+  /**
+   * Gets the current state object with metadata
+   * @returns {Object} State object
+   */
+  getCurrentStateObject() {
+    return {
+      ...this.states[this.currentState],
+      name: this.currentState
+    };
+  }
+
+  /**
+   * Gets the state before the current one
+   * @returns {String|null} Previous state name, or null before the first transition
+   */
+  getPreviousState() {
+    return this.previousState;
+  }
+
+  /**
+   * Checks if the state machine is in any of the given states
+   * @param {...String} states - State names to check
+   * @returns {Boolean} True if in one of them
+   */
+  isInState(...states) {
+    return states.includes(this.currentState);
+  }
+
+  /**
+   * Checks if the current question is taking submissions
+   * @returns {Boolean} True while ACTIVE or RESOLVING
+   */
+  isAcceptingSubmissions() {
+    return this.isInState('ACTIVE', 'RESOLVING');
+  }
+
+  /**
+   * Gets the recent state history (up to historySize transitions)
+   * @returns {Array} Array of state transitions, oldest first
+   */
+  getHistory() {
+    return this.stateHistory;
+  }
+
+  /**
+   * Gets statistics about state transitions
+   * Visit counts and average times cover the recent history only.
+   *
+   * @returns {Object} Statistics object
+   */
+  getStatistics() {
+    const stateCounts = {};
+    this.stateHistory.forEach(t => {
+      stateCounts[t.to] = (stateCounts[t.to] || 0) + 1;
+    });
+
+    return {
+      currentState: this.currentState,
+      totalTransitions: this.transitionCount,
+      stateVisitCounts: stateCounts,
+      averageTimeInStates: this.calculateAverageTimeInStates(),
+      lastTransition: this.stateHistory[this.stateHistory.length - 1]
+    };
+  }
+
+  /**
+   * Calculates average time spent in each state
+   * @returns {Object} Average times per state in milliseconds
+   */
+  calculateAverageTimeInStates() {
+    const stateTimes = {};
+    const stateCounts = {};
+
+    for (let i = 0; i < this.stateHistory.length - 1; i++) {
+      const current = this.stateHistory[i];
+      const next = this.stateHistory[i + 1];
+      const duration = next.timestamp - current.timestamp;
+
+      stateTimes[current.to] = (stateTimes[current.to] || 0) + duration;
+      stateCounts[current.to] = (stateCounts[current.to] || 0) + 1;
+    }
+
+    const averages = {};
+    Object.keys(stateTimes).forEach(state => {
+      averages[state] = Math.round(stateTimes[state] / stateCounts[state]);
+    });
+
+    return averages;
+  }
+
+  /**
+   * Visualizes the state machine flow
+   */
+  visualizeStateMachine() {
+    const reset = '\x1b[0m';
+
+    console.log('\n' + '═'.repeat(70));
+    console.log('QUESTION LIFECYCLE STATE MACHINE');
+    console.log('═'.repeat(70) + '\n');
+
+    console.log('State Flow:');
+    console.log('  ⏸️  IDLE');
+    console.log('    │ First question generated');
+    console.log('    ▼');
+    console.log('  🟢 ACTIVE (Accepting Submissions) ◄──────────────┐');
+    console.log('    │ First correct answer     │ Time runs out     │');
+    console.log('    │ (grace-period mode:      ▼                   │');
+    console.log('    │  ⏳ RESOLVING first)     ⌛ EXPIRED           │');
+    console.log('    ▼                          │                   │');
+    console.log('  🔒 LOCKED (Winner Determined)│                   │');
+    console.log('    │ Results announced        │                   │');
+    console.log('    ▼                          ▼                   │');
+    console.log('  🔄 TRANSITIONING (Showing Results) ──────────────┘');
+    console.log('       Next question after the display time\n');
+
+    console.log('Current State:');
+    const current = this.states[this.currentState];
+    console.log(`  ${current.icon} ${current.color}${current.name}${reset}`);
+    console.log(`  ${current.description}\n`);
+
+    console.log('═'.repeat(70) + '\n');
+  }
+
+  /**
+   * Prints a summary of state transitions
+   */
+  printSummary() {
+    const stats = this.getStatistics();
+    const reset = '\x1b[0m';
+
+    console.log('\n' + '═'.repeat(70));
+    console.log('STATE MACHINE SUMMARY');
+    console.log('═'.repeat(70) + '\n');
+
+    console.log(`Current State: ${this.states[stats.currentState].icon} ${stats.currentState}`);
+    console.log(`Total Transitions: ${stats.totalTransitions}\n`);
+
+    console.log('State Visit Counts:');
+    Object.entries(stats.stateVisitCounts).forEach(([state, count]) => {
+      const stateObj = this.states[state];
+      console.log(`  ${stateObj.icon} ${state}: ${count} times`);
+    });
+
+    console.log('\nAverage Time in Each State:');
+    Object.entries(stats.averageTimeInStates).forEach(([state, avgTime]) => {
+      const stateObj = this.states[state];
+      console.log(`  ${stateObj.icon} ${state}: ${avgTime}ms`);
+    });
+
+    console.log('\n' + '═'.repeat(70) + '\n');
+  }
+
+}
+
+QuestionStateMachine.STATES = Object.keys(VALID_TRANSITIONS);
+QuestionStateMachine.DEFAULT_HISTORY_SIZE = DEFAULT_HISTORY_SIZE;
+
+module.exports = QuestionStateMachine;
@@ -0,0 +1,278 @@
+/**
+ * Unit Tests for QuestionStateMachine
+ *
+ * Tests that illegal transitions are refused, hooks run on entry and
+ * exit, state-owned timers are cancelled when their state ends, and
+ * StateManager drives the machine as answers arrive.
+ */
+
+// Keep transition logging out of the test report
+process.env.LOG_LEVEL = 'silent';
+
+const QuestionStateMachine = require('./QuestionStateMachine');
+const StateManager = require('./StateManager');
+const QuestionGenerator = require('./QuestionGenerator');
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+function test(description, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+// Test Suite
+console.log('\n🧪 Running QuestionStateMachine Unit Tests\n');
+
+const generator = new QuestionGenerator();
+
+// Test 1: Valid lifecycle
+test('A round moves through IDLE → ACTIVE → LOCKED → TRANSITIONING → ACTIVE', () => {
+  const machine = new QuestionStateMachine();
+  assertEqual(machine.getCurrentState(), 'IDLE');
+
+  ['ACTIVE', 'LOCKED', 'TRANSITIONING', 'ACTIVE'].forEach(state => machine.transition(state));
+
+  assertEqual(machine.getCurrentState(), 'ACTIVE');
+  assertEqual(machine.getPreviousState(), 'TRANSITIONING');
+  assertEqual(machine.getHistory().length, 4);
+});
+
+// Test 2: Illegal transitions
+test('transition() refuses illegal transitions and leaves the state alone', () => {
+  const machine = new QuestionStateMachine();
+  machine.transition('ACTIVE');
+
+  const illegal = ['ACTIVE', 'IDLE'];
+  illegal.forEach(state => {
+    let threw = false;
+    try {
+      machine.transition(state);
+    } catch (error) {
+      threw = /Invalid state transition: ACTIVE → /.test(error.message);
+    }
+    assert(threw, `Expected ACTIVE → ${state} to be refused`);
+  });
+
+  assertEqual(machine.getCurrentState(), 'ACTIVE');
+  assertEqual(machine.getHistory().length, 1, 'Refused transitions are not recorded');
+  assertEqual(machine.canTransition('EXPIRED'), true);
+  assertEqual(machine.canTransition('IDLE'), false);
+});
+
+// Test 3: Hooks
+test('Exit hooks run before enter hooks, with the transition', () => {
+  const machine = new QuestionStateMachine();
+  const calls = [];
+
+  machine.onExit('IDLE', transition => calls.push(`exit ${transition.from}`));
+  machine.onEnter('ACTIVE', transition => calls.push(`enter ${transition.to} ${transition.context.questionId}`));
+  machine.transition('ACTIVE', { questionId: 'q1' });
+
+  assertEqual(calls.join(', '), 'exit IDLE, enter ACTIVE q1');
+});
+
+test('Hooks can only be registered for known states', () => {
+  const machine = new QuestionStateMachine();
+  let threw = false;
+  try {
+    machine.onEnter('PAUSED', () => {});
+  } catch (error) {
+    threw = true;
+  }
+  assert(threw, 'Expected an unknown state to be rejected');
+});
+
+test('A failing hook is logged and the transition still completes', () => {
+  const errors = [];
+  const machine = new QuestionStateMachine({
+    logger: { debug: () => {}, error: (message, fields) => errors.push({ message, fields }) }
+  });
+  const calls = [];
+
+  machine.onExit('IDLE', () => {
+    throw new Error('exit hook broke');
+  });
+  machine.onExit('IDLE', () => calls.push('exit'));
+  machine.onEnter('ACTIVE', () => calls.push('enter'));
+  machine.transition('ACTIVE', { questionId: 'q1' });
+
+  assertEqual(machine.getCurrentState(), 'ACTIVE');
+  assertEqual(calls.join(', '), 'exit, enter', 'The other hooks still ran');
+  assertEqual(errors.length, 1);
+  assertEqual(errors[0].message, 'State exit hook failed');
+  assertEqual(errors[0].fields.questionId, 'q1');
+  assertEqual(errors[0].fields.error.message, 'exit hook broke');
+});
+
+// Test 4: State-owned timers
+test('Leaving a state cancels its timers', () => {
+  const machine = new QuestionStateMachine();
+  machine.onEnter('ACTIVE', () => machine.setTimer('deadline', () => {
+    throw new Error('A cancelled timer fired');
+  }, 0));
+
+  machine.transition('ACTIVE');
+  assert(machine.hasTimer('deadline'), 'Enter hook started the timer');
+
+  machine.transition('LOCKED');
+  assertEqual(machine.hasTimer('deadline'), false);
+  assertEqual(machine.timers.size, 0);
+});
+
+test('setTimer() replaces a timer with the same name and clearTimer() cancels it', () => {
+  const machine = new QuestionStateMachine();
+  machine.setTimer('next-question', () => {}, 1000);
+  machine.setTimer('next-question', () => {}, 1000);
+  assertEqual(machine.timers.size, 1);
+
+  machine.clearTimer('next-question');
+  assertEqual(machine.hasTimer('next-question'), false);
+});
+
+// Test 5: Reset
+test('reset() returns to IDLE from any state', () => {
+  const machine = new QuestionStateMachine();
+  machine.transition('ACTIVE');
+  machine.transition('EXPIRED');
+  machine.setTimer('next-question', () => {}, 1000);
+
+  machine.reset();
+
+  assertEqual(machine.getCurrentState(), 'IDLE');
+  assertEqual(machine.timers.size, 0);
+});
+
+// Test 6: StateManager drives the machine
+test('StateManager moves the lifecycle as a question is won', () => {
+  const machine = new QuestionStateMachine();
+  const stateManager = new StateManager({ lifecycle: machine });
+
+  stateManager.setQuestion(generator.generate());
+  assertEqual(machine.getCurrentState(), 'ACTIVE');
+
+  stateManager.recordSubmission('user-1', '42', Date.now());
+  assertEqual(stateManager.attemptWin('user-1', true), true);
+  assertEqual(machine.getCurrentState(), 'LOCKED');
+  assertEqual(stateManager.isQuestionLocked(), true);
+
+  machine.transition('TRANSITIONING');
+  assertEqual(stateManager.isQuestionLocked(), true, 'Still locked while results show');
+  assertEqual(stateManager.attemptWin('user-2', true), false);
+});
+
+test('StateManager uses RESOLVING for the grace window', () => {
+  const machine = new QuestionStateMachine();
+  const stateManager = new StateManager({ lifecycle: machine });
+  stateManager.setResolutionMode('grace-period');
+  stateManager.setQuestion(generator.generate());
+
+  stateManager.recordSubmission('user-1', '42', 1000);
+  stateManager.registerCorrectSubmission('user-1');
+  assertEqual(machine.getCurrentState(), 'RESOLVING');
+  assertEqual(stateManager.isResolving(), true);
+  assertEqual(stateManager.expireQuestion(), false, 'A grace window is not cut short by the deadline');
+
+  stateManager.resolveGracePeriod();
+  assertEqual(machine.getCurrentState(), 'LOCKED');
+});
+
+test('Expired questions stay expired until the next question', () => {
+  const machine = new QuestionStateMachine();
+  const stateManager = new StateManager({ lifecycle: machine });
+  stateManager.setQuestion(generator.generate());
+
+  assertEqual(stateManager.expireQuestion(), true);
+  assertEqual(machine.getCurrentState(), 'EXPIRED');
+
+  machine.transition('TRANSITIONING');
+  assertEqual(stateManager.isQuestionExpired(), true);
+  assertEqual(stateManager.recordSubmission('user-1', '42', Date.now()).reason, 'time-up');
+
+  stateManager.setQuestion(generator.generate());
+  assertEqual(stateManager.isQuestionExpired(), false);
+});
+
+test('Replacing a question mid-round passes through TRANSITIONING', () => {
+  const machine = new QuestionStateMachine();
+  const stateManager = new StateManager({ lifecycle: machine });
+  stateManager.setQuestion(generator.generate());
+  stateManager.recordSubmission('user-1', '42', Date.now());
+  stateManager.attemptWin('user-1', true);
+
+  stateManager.setQuestion(generator.generate());
+
+  const states = machine.getHistory().map(transition => transition.to);
+  assertEqual(states.join(' → '), 'ACTIVE → LOCKED → TRANSITIONING → ACTIVE');
+  assertEqual(stateManager.isQuestionLocked(), false);
+});
+
+test('Questions only unlock by being replaced', () => {
+  const stateManager = new StateManager();
+  stateManager.setQuestion(generator.generate());
+  stateManager.isLocked = true;
+
+  let threw = false;
+  try {
+    stateManager.isLocked = false;
+  } catch (error) {
+    threw = true;
+  }
+  assert(threw, 'Expected unlocking to be refused');
+  assertEqual(stateManager.lifecycle.getCurrentState(), 'LOCKED');
+});
+
+test('Only the most recent transitions are kept', () => {
+  const machine = new QuestionStateMachine({ historySize: 3 });
+
+  machine.transition('ACTIVE');
+  machine.transition('LOCKED');
+  machine.transition('TRANSITIONING');
+  machine.transition('ACTIVE');
+  machine.transition('EXPIRED');
+
+  const history = machine.getHistory();
+  assertEqual(history.length, 3);
+  assertEqual(history[0].to, 'TRANSITIONING', 'The oldest transitions are dropped first');
+  assertEqual(machine.getStatistics().totalTransitions, 5, 'The total still counts every transition');
+});
+
+// Print Summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Summary`);
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log(`📈 Total: ${testsPassed + testsFailed}`);
+console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+console.log('='.repeat(50) + '\n');
+
+if (testsFailed === 0) {
+  console.log('🎉 All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('⚠️  Some tests failed. Please review.\n');
+  process.exit(1);
+}
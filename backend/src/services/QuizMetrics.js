@@ -0,0 +1,242 @@
+/**
+ * QuizMetrics - Server Metrics for Dashboards
+ *
+ * Defines the quiz's metrics on a MetricsRegistry and records them as
+ * the game runs: connections, submissions, rate-limited events, anti-cheat flags, round outcomes, how long it
+ * takes to get the first correct answer, time spent in each state of
+ * the question lifecycle, and event-loop lag.
+ *
+ * @class QuizMetrics
+ */
+
+const { monitorEventLoopDelay } = require('perf_hooks');
+const MetricsRegistry = require('./MetricsRegistry');
+
+// Buckets for time to the first correct answer (seconds)
+const TIME_TO_CORRECT_BUCKETS = [0.5, 1, 2, 3, 5, 7.5, 10, 15, 20, 30, 60];
+
+// Buckets for time spent in a lifecycle state (seconds)
+const STATE_DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 3, 5, 10, 20, 30, 60, 120, 300];
+
+// Resolution of the event-loop delay sampler (milliseconds)
+const EVENT_LOOP_RESOLUTION_MS = 20;
+
+class QuizMetrics {
+  /**
+   * @param {MetricsRegistry} registry - Registry to define the metrics on (a new one by default)
+   */
+  constructor(registry = new MetricsRegistry()) {
+    this.registry = registry;
+
+    // Connections
+    this.connectionsTotal = registry.counter(
+      'quiz_connections_total',
+      'Socket.io connections opened since the server started'
+    );
+    this.connectedClients = registry.gauge(
+      'quiz_connected_clients',
+      'Socket.io connections currently open'
+    );
+
+    // Submissions
+    this.submissionsTotal = registry.counter(
+      'quiz_submissions_total',
+      'Answer submissions by result (correct, incorrect or rejected)',
+      ['result']
+    );
+    this.rejectionsTotal = registry.counter(
+      'quiz_submission_rejections_total',
+      'Rejected answer submissions by reason',
+      ['reason']
+    );
+    this.rateLimitedTotal = registry.counter(
+      'quiz_rate_limited_events_total',
+      'Inbound socket events dropped by the rate limiter, by bucket (socket or ip)',
+      ['scope']
+    );
+    this.antiCheatFlagsTotal = registry.counter(
+      'quiz_anticheat_flags_total',
+      'Submissions flagged as suspicious, by flag type',
+      ['type']
+    );
+
+    // Rounds
+    this.roundsTotal = registry.counter(
+      'quiz_rounds_total',
+      'Finished rounds by outcome (won, timeout or skipped)',
+      ['outcome']
+    );
+    this.timeToFirstCorrect = registry.histogram(
+      'quiz_time_to_first_correct_seconds',
+      'Time from a question being asked to its first correct answer',
+      [],
+      TIME_TO_CORRECT_BUCKETS
+    );
+
+    // Question lifecycle
+    this.stateDuration = registry.histogram(
+      'quiz_state_duration_seconds',
+      'Time rooms spent in each question lifecycle state before leaving it',
+      ['state'],
+      STATE_DURATION_BUCKETS
+    );
+    this.roomsByState = registry.gauge(
+      'quiz_rooms',
+      'Open rooms by current question lifecycle state',
+      ['state']
+    );
+
+    // Event loop
+    this.eventLoopLag = registry.gauge(
+      'nodejs_eventloop_lag_seconds',
+      'Event-loop delay since the previous scrape, by statistic (mean, p50, p90, p99, max)',
+      ['stat']
+    );
+    this.eventLoopMonitor = null;
+  }
+
+  /**
+   * Records a newly opened connection
+   */
+  recordConnection() {
+    this.connectionsTotal.inc();
+    this.connectedClients.inc();
+  }
+
+  /**
+   * Records a closed connection
+   */
+  recordDisconnection() {
+    this.connectedClients.dec();
+  }
+
+  /**
+   * Records a validated submission
+   * @param {Boolean} isCorrect - Whether the answer was correct
+   */
+  recordSubmission(isCorrect) {
+    this.submissionsTotal.inc({ result: isCorrect ? 'correct' : 'incorrect' });
+  }
+
+  /**
+   * Records a rejected submission
+   * @param {String} reason - Rejection reason (e.g. 'already-correct', 'cooldown')
+   */
+  recordRejection(reason) {
+    this.submissionsTotal.inc({ result: 'rejected' });
+    this.rejectionsTotal.inc({ reason: reason || 'unknown' });
+  }
+
+  /**
+   * Records an inbound event dropped by the rate limiter
+   * @param {String} scope - Bucket that ran out ('socket' or 'ip')
+   */
+  recordRateLimited(scope) {
+    this.rateLimitedTotal.inc({ scope });
+  }
+
+  /**
+   * Records a flagged anti-cheat event
+   * @param {String} type - Flag type ('multi-account', 'answer-spray' or 'too-fast')
+   */
+  recordAntiCheatFlag(type) {
+    this.antiCheatFlagsTotal.inc({ type });
+  }
+
+  /**
+   * Records a finished round
+   * @param {String} outcome - 'won', 'timeout', 'skipped' or 'unconfirmed'
+   * @param {Number|null} timeToFirstCorrectMs - Time from question to first correct answer, if any
+   */
+  recordRound(outcome, timeToFirstCorrectMs = null) {
+    this.roundsTotal.inc({ outcome });
+
+    if (Number.isFinite(timeToFirstCorrectMs)) {
+      this.timeToFirstCorrect.observe({}, timeToFirstCorrectMs / 1000);
+    }
+  }
+
+  /**
+   * Records a question lifecycle transition (see QuestionStateMachine)
+   * @param {Object} transition - { from, timeInPreviousStateMs }
+   */
+  recordStateTransition(transition) {
+    this.stateDuration.observe({ state: transition.from }, transition.timeInPreviousStateMs / 1000);
+  }
+
+  /**
+   * Updates the rooms-by-state gauge (call before rendering)
+   * @param {Array<String>} states - Current state of every open room
+   * @param {Array<String>} knownStates - Every state name, so empty states report 0
+   */
+  setRoomStates(states, knownStates = []) {
+    const counts = {};
+    knownStates.forEach(state => {
+      counts[state] = 0;
+    });
+    states.forEach(state => {
+      counts[state] = (counts[state] || 0) + 1;
+    });
+
+    this.roomsByState.reset();
+    Object.entries(counts).forEach(([state, count]) => {
+      this.roomsByState.set({ state }, count);
+    });
+  }
+
+  /**
+   * Starts sampling event-loop delay
+   * The sampler doesn't keep the process alive.
+   */
+  startEventLoopMonitor() {
+    if (this.eventLoopMonitor) {
+      return;
+    }
+
+    this.eventLoopMonitor = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION_MS });
+    this.eventLoopMonitor.enable();
+
+    this.registry.addCollector(() => this.collectEventLoopLag());
+  }
+
+  /**
+   * Stops sampling event-loop delay
+   */
+  stopEventLoopMonitor() {
+    if (this.eventLoopMonitor) {
+      this.eventLoopMonitor.disable();
+    }
+  }
+
+  /**
+   * Copies the sampled event-loop delay into the lag gauge and starts a new sample window
+   */
+  collectEventLoopLag() {
+    const monitor = this.eventLoopMonitor;
+    if (!monitor || monitor.count === 0) {
+      return;
+    }
+
+    // The monitor reports nanoseconds and includes its own sampling interval
+    const toSeconds = nanoseconds => Math.max(0, nanoseconds / 1e6 - EVENT_LOOP_RESOLUTION_MS) / 1000;
+
+    this.eventLoopLag.set({ stat: 'mean' }, toSeconds(monitor.mean));
+    this.eventLoopLag.set({ stat: 'p50' }, toSeconds(monitor.percentile(50)));
+    this.eventLoopLag.set({ stat: 'p90' }, toSeconds(monitor.percentile(90)));
+    this.eventLoopLag.set({ stat: 'p99' }, toSeconds(monitor.percentile(99)));
+    this.eventLoopLag.set({ stat: 'max' }, toSeconds(monitor.max));
+    monitor.reset();
+  }
+
+  /**
+   * Renders every metric in the Prometheus text exposition format
+   * @returns {String} Exposition text
+   */
+  render() {
+    return this.registry.render();
+  }
+}
+
+QuizMetrics.CONTENT_TYPE = MetricsRegistry.CONTENT_TYPE;
+
+module.exports = QuizMetrics;
@@ -0,0 +1,118 @@
+/**
+ * RateLimiter - Token Buckets for Flood Protection
+ *
+ * Keeps one token bucket per key (a socket ID or an IP address). Each
+ * inbound event takes a token; tokens refill at a steady rate up to the
+ * bucket's capacity, so short bursts are fine but sustained spam is not.
+ *
+ * @class RateLimiter
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - Limiter configuration
+   * @param {Number} options.capacity - Bucket size (largest allowed burst)
+   * @param {Number} options.refillPerSecond - Tokens added back per second
+   */
+  constructor({ capacity, refillPerSecond } = {}) {
+    if (!(capacity > 0) || !(refillPerSecond > 0)) {
+      throw new Error('RateLimiter needs a positive capacity and refill rate');
+    }
+
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+
+    // Map of key -> { tokens, updatedAt }
+    this.buckets = new Map();
+  }
+
+  /**
+   * Gets a key's bucket with tokens refilled up to now
+   * @param {String} key - Bucket key
+   * @param {Number} now - Current time (epoch ms)
+   * @returns {Object} { tokens, updatedAt }
+   */
+  refill(key, now) {
+    const bucket = this.buckets.get(key) || { tokens: this.capacity, updatedAt: now };
+    const elapsedSeconds = Math.max(0, now - bucket.updatedAt) / 1000;
+
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + elapsedSeconds * this.refillPerSecond);
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+    return bucket;
+  }
+
+  /**
+   * Checks whether a key's bucket has enough tokens, without taking any
+   * @param {String} key - Bucket key
+   * @param {Number} cost - Tokens needed
+   * @param {Number} now - Current time (epoch ms)
+   * @returns {Object} { allowed, remaining, retryAfterMs }
+   */
+  check(key, cost = 1, now = Date.now()) {
+    const bucket = this.refill(key, now);
+
+    if (bucket.tokens >= cost) {
+      return { allowed: true, remaining: Math.floor(bucket.tokens - cost), retryAfterMs: 0 };
+    }
+
+    const missing = cost - bucket.tokens;
+    return {
+      allowed: false,
+      remaining: 0,
+      retryAfterMs: Math.ceil((missing / this.refillPerSecond) * 1000)
+    };
+  }
+
+  /**
+   * Takes tokens from a key's bucket if enough are available
+   * @param {String} key - Bucket key
+   * @param {Number} cost - Tokens to take
+   * @param {Number} now - Current time (epoch ms)
+   * @returns {Object} { allowed, remaining, retryAfterMs }
+   */
+  consume(key, cost = 1, now = Date.now()) {
+    const result = this.check(key, cost, now);
+
+    if (result.allowed) {
+      this.buckets.get(key).tokens -= cost;
+    }
+    return result;
+  }
+
+  /**
+   * Forgets a key (e.g. when its socket disconnects)
+   * @param {String} key - Bucket key
+   */
+  remove(key) {
+    this.buckets.delete(key);
+  }
+
+  /**
+   * Drops buckets that have refilled completely (they behave like new ones)
+   * @param {Number} now - Current time (epoch ms)
+   * @returns {Number} Number of buckets dropped
+   */
+  prune(now = Date.now()) {
+    let dropped = 0;
+
+    this.buckets.forEach((bucket, key) => {
+      const tokens = bucket.tokens + (Math.max(0, now - bucket.updatedAt) / 1000) * this.refillPerSecond;
+      if (tokens >= this.capacity) {
+        this.buckets.delete(key);
+        dropped++;
+      }
+    });
+
+    return dropped;
+  }
+
+  /**
+   * Gets the number of tracked keys
+   * @returns {Number} Bucket count
+   */
+  getSize() {
+    return this.buckets.size;
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,152 @@
+/**
+ * Unit Tests for RateLimiter
+ *
+ * Tests token consumption, refill over time, retry hints,
+ * per-key isolation and pruning of idle buckets.
+ */
+
+const RateLimiter = require('./RateLimiter');
+
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+function test(description, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+// Test Suite
+console.log('\n🧪 Running RateLimiter Unit Tests\n');
+
+// Test 1: Configuration
+test('RateLimiter requires a positive capacity and refill rate', () => {
+  const invalid = [{}, { capacity: 0, refillPerSecond: 1 }, { capacity: 5, refillPerSecond: -1 }];
+
+  invalid.forEach(options => {
+    let threw = false;
+    try {
+      new RateLimiter(options);
+    } catch (error) {
+      threw = true;
+    }
+    assert(threw, `Expected ${JSON.stringify(options)} to be rejected`);
+  });
+});
+
+// Test 2: Bursts up to capacity
+test('consume() allows a burst up to the capacity, then refuses', () => {
+  const limiter = new RateLimiter({ capacity: 3, refillPerSecond: 1 });
+
+  assertEqual(limiter.consume('socket-1', 1, 0).allowed, true);
+  assertEqual(limiter.consume('socket-1', 1, 0).allowed, true);
+
+  const last = limiter.consume('socket-1', 1, 0);
+  assertEqual(last.allowed, true);
+  assertEqual(last.remaining, 0);
+
+  const refused = limiter.consume('socket-1', 1, 0);
+  assertEqual(refused.allowed, false);
+  assertEqual(refused.retryAfterMs, 1000, 'One token refills in a second');
+});
+
+// Test 3: Refill
+test('consume() refills tokens over time without exceeding the capacity', () => {
+  const limiter = new RateLimiter({ capacity: 2, refillPerSecond: 4 });
+
+  limiter.consume('socket-1', 2, 0);
+  assertEqual(limiter.consume('socket-1', 1, 100).allowed, false, 'Only 0.4 tokens after 100ms');
+  assertEqual(limiter.consume('socket-1', 1, 250).allowed, true, 'A full token after 250ms');
+
+  // A long idle period only refills up to the capacity
+  limiter.consume('socket-1', 1, 60000);
+  limiter.consume('socket-1', 1, 60000);
+  assertEqual(limiter.consume('socket-1', 1, 60000).allowed, false);
+});
+
+// Test 4: Retry hint
+test('consume() reports how long until enough tokens are available', () => {
+  const limiter = new RateLimiter({ capacity: 5, refillPerSecond: 2 });
+  limiter.consume('socket-1', 5, 0);
+
+  assertEqual(limiter.consume('socket-1', 3, 0).retryAfterMs, 1500);
+  assertEqual(limiter.consume('socket-1', 1, 250).retryAfterMs, 250);
+});
+
+// Test 5: Keys are independent
+test('consume() keeps a separate bucket per key', () => {
+  const limiter = new RateLimiter({ capacity: 1, refillPerSecond: 1 });
+
+  assertEqual(limiter.consume('10.0.0.1', 1, 0).allowed, true);
+  assertEqual(limiter.consume('10.0.0.1', 1, 0).allowed, false);
+  assertEqual(limiter.consume('10.0.0.2', 1, 0).allowed, true);
+});
+
+// Test 6: Checking without consuming
+test('check() reports whether tokens are available without taking them', () => {
+  const limiter = new RateLimiter({ capacity: 1, refillPerSecond: 1 });
+
+  assertEqual(limiter.check('socket-1', 1, 0).allowed, true);
+  assertEqual(limiter.check('socket-1', 1, 0).allowed, true, 'Checking took nothing');
+  assertEqual(limiter.consume('socket-1', 1, 0).allowed, true);
+
+  const refused = limiter.check('socket-1', 1, 0);
+  assertEqual(refused.allowed, false);
+  assertEqual(refused.retryAfterMs, 1000);
+});
+
+// Test 7: Removing and pruning buckets
+test('remove() and prune() forget buckets', () => {
+  const limiter = new RateLimiter({ capacity: 2, refillPerSecond: 1 });
+
+  limiter.consume('busy', 2, 0);
+  limiter.consume('idle', 1, 0);
+  limiter.consume('gone', 1, 0);
+  limiter.remove('gone');
+  assertEqual(limiter.getSize(), 2);
+
+  assertEqual(limiter.prune(1000), 1, 'The idle bucket is full again after a second');
+  assertEqual(limiter.getSize(), 1);
+  assertEqual(limiter.consume('busy', 1, 1000).allowed, true, 'The busy bucket keeps its state');
+  assertEqual(limiter.consume('busy', 1, 1000).allowed, false);
+});
+
+// Print Summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Summary`);
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log(`📈 Total: ${testsPassed + testsFailed}`);
+console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+console.log('='.repeat(50) + '\n');
+
+if (testsFailed === 0) {
+  console.log('🎉 All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('⚠️  Some tests failed. Please review.\n');
+  process.exit(1);
+}
@@ -0,0 +1,185 @@
+/**
+ * Room - Isolated Quiz Session
+ *
+ * Bundles everything that makes up one running quiz game so several
+ * games can run side by side on the same server. Each room owns its
+ * own question, winner lock, progression timer, scores and state-machine history.
+ *
+ * @class Room
+ */
+
+const { GeneratorProvider } = require('./providers');
+const StateManager = require('./StateManager');
+const QuestionStateMachine = require('./QuestionStateMachine');
+const ScoringService = require('./ScoringService');
+const DifficultyController = require('./DifficultyController');
+const TeamRoster = require('./TeamRoster');
+const { logger } = require('../utils/logger');
+
+// How the next question starts once a round ends:
+// - 'auto': after the results display
+// - 'host-advance': when a host sends "next"
+// - 'paused': not at all until the room is resumed
+const PROGRESSION_MODES = ['auto', 'host-advance', 'paused'];
+
+class Room {
+  /**
+   * @param {String} code - Normalized room code (also the Socket.io room name)
+   * @param {Object} options - Room configuration
+   * @param {String} options.resolutionMode - Winner resolution mode ('instant' or 'grace-period')
+   * @param {Number} options.gracePeriodMs - Grace window for near-simultaneous answers
+   * @param {Object} options.attemptPolicy - Default attempt policy for the room's questions
+   * @param {String} options.submissionRule - Who may answer ('per-player' or 'per-team')
+   * @param {Array<String>} options.teams - Team names (empty for no team play)
+   * @param {Number} options.questionTimeLimitMs - Time allowed per question (0 = no limit)
+   * @param {Function} options.createQuestionProvider - Builds the room's question source
+   * @param {String} options.initialDifficulty - Difficulty of the first question
+   * @param {Boolean} options.adaptiveDifficulty - Adjust difficulty based on recent rounds
+   * @param {Number} options.winnerDisplayDurationMs - Pause between a round ending and the next question
+   * @param {String} options.progressionMode - How the next question starts ('auto', 'host-advance' or 'paused')
+   * @param {Function} options.onStateTransition - Called with every question lifecycle transition
+   */
+  constructor(code, options = {}) {
+    this.code = code;
+
+    // Per-room services
+    this.questionProvider = options.createQuestionProvider
+      ? options.createQuestionProvider()
+      : new GeneratorProvider();
+    this.stateMachine = new QuestionStateMachine({
+      onTransition: options.onStateTransition,
+      logger: logger.child({ module: 'state-machine', room: code })
+    });
+    this.stateManager = new StateManager({ lifecycle: this.stateMachine });
+    this.scoringService = new ScoringService();
+    this.difficultyController = new DifficultyController({
+      initialLevel: options.initialDifficulty,
+      enabled: options.adaptiveDifficulty
+    });
+
+    if (options.resolutionMode) {
+      this.stateManager.setResolutionMode(options.resolutionMode);
+    }
+    if (options.gracePeriodMs !== undefined) {
+      this.stateManager.setGracePeriod(options.gracePeriodMs);
+    }
+    if (options.attemptPolicy) {
+      this.stateManager.setAttemptPolicy(options.attemptPolicy);
+    }
+    if (options.submissionRule) {
+      this.stateManager.setSubmissionRule(options.submissionRule);
+    }
+
+    // Teams and who is on them (no teams means everyone plays for themselves)
+    this.teams = new TeamRoster(options.teams || []);
+
+    // How long results are shown before the next question, and what starts it
+    this.winnerDisplayDurationMs = options.winnerDisplayDurationMs ?? 3000;
+    this.progressionMode = 'auto';
+    this.resumeMode = 'auto';
+    this.setProgressionMode(options.progressionMode || 'auto');
+
+    // Per-question time limit and the active question's deadline (epoch ms)
+    // (the timers themselves belong to the lifecycle states - see QuestionStateMachine)
+    this.questionTimeLimitMs = options.questionTimeLimitMs || 0;
+    this.questionDeadline = null;
+
+    // Tournament match being played (see MatchController), or null for endless play
+    this.match = null;
+
+    // Socket IDs currently in this room
+    this.members = new Set();
+
+    this.createdAt = Date.now();
+  }
+
+  /**
+   * Adds a socket to the room
+   * @param {String} socketId - Socket ID of the user
+   */
+  addMember(socketId) {
+    this.members.add(socketId);
+  }
+
+  /**
+   * Removes a socket from the room
+   * @param {String} socketId - Socket ID of the user
+   */
+  removeMember(socketId) {
+    this.members.delete(socketId);
+  }
+
+  /**
+   * Gets the number of sockets in the room
+   * @returns {Number} Member count
+   */
+  getMemberCount() {
+    return this.members.size;
+  }
+
+  /**
+   * Checks if the room has no members left
+   * @returns {Boolean} True if empty
+   */
+  isEmpty() {
+    return this.members.size === 0;
+  }
+
+  /**
+   * Checks if progression is on hold
+   * @returns {Boolean} True if the room is paused
+   */
+  get isPaused() {
+    return this.progressionMode === 'paused';
+  }
+
+  /**
+   * Sets how the next question starts
+   * The last running mode is remembered so resuming a paused room
+   * returns to it.
+   *
+   * @param {String} mode - 'auto', 'host-advance' or 'paused'
+   * @throws {Error} If the mode is invalid
+   */
+  setProgressionMode(mode) {
+    if (!PROGRESSION_MODES.includes(mode)) {
+      throw new Error(`Invalid progression mode: ${mode}. Must be one of ${PROGRESSION_MODES.join(', ')}.`);
+    }
+
+    if (mode !== 'paused') {
+      this.resumeMode = mode;
+    }
+    this.progressionMode = mode;
+  }
+
+  /**
+   * Cancels any pending deadline, grace window or progression timer
+   */
+  clearTimers() {
+    this.stateMachine.clearTimers();
+  }
+
+  /**
+   * Gets a summary of the room for listings and monitoring
+   * @returns {Object} Room summary
+   */
+  getSummary() {
+    return {
+      code: this.code,
+      memberCount: this.members.size,
+      currentState: this.stateMachine.getCurrentState(),
+      questionId: this.stateManager.getCurrentQuestion()?.id || null,
+      questionSource: this.questionProvider.name,
+      difficulty: this.difficultyController.getLevel(),
+      progressionMode: this.progressionMode,
+      isPaused: this.isPaused,
+      matchStatus: this.match ? this.match.status : null,
+      teams: this.teams.getTeams().map(team => team.name),
+      createdAt: this.createdAt
+    };
+  }
+}
+
+Room.PROGRESSION_MODES = PROGRESSION_MODES;
+
+module.exports = Room;
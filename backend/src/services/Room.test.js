@@ -0,0 +1,139 @@
+/**
+ * Unit Tests for Room
+ *
+ * Tests progression modes: the configured default, validation,
+ * and returning to the previous mode after a pause.
+ */
+
+process.env.LOG_LEVEL = 'silent';
+
+const Room = require('./Room');
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+function test(description, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+console.log('\n🧪 Running Room Unit Tests\n');
+
+// Test 1: Defaults
+test('Rooms progress automatically by default', () => {
+  const room = new Room('lobby');
+
+  assertEqual(room.progressionMode, 'auto');
+  assertEqual(room.isPaused, false);
+  assertEqual(room.getSummary().progressionMode, 'auto');
+});
+
+test('The progression mode can be configured', () => {
+  const room = new Room('classa', { progressionMode: 'host-advance' });
+
+  assertEqual(room.progressionMode, 'host-advance');
+  assertEqual(room.resumeMode, 'host-advance');
+});
+
+// Test 2: Pausing
+test('isPaused reflects the paused mode', () => {
+  const room = new Room('lobby');
+
+  room.setProgressionMode('paused');
+  assertEqual(room.isPaused, true);
+  assertEqual(room.getSummary().isPaused, true);
+
+  room.setProgressionMode('host-advance');
+  assertEqual(room.isPaused, false);
+});
+
+test('resumeMode remembers the last running mode', () => {
+  const room = new Room('lobby');
+
+  room.setProgressionMode('host-advance');
+  room.setProgressionMode('paused');
+  assertEqual(room.resumeMode, 'host-advance', 'Pausing keeps the mode to return to');
+
+  room.setProgressionMode('auto');
+  room.setProgressionMode('paused');
+  assertEqual(room.resumeMode, 'auto');
+});
+
+test('A room configured as paused resumes in auto mode', () => {
+  const room = new Room('lobby', { progressionMode: 'paused' });
+
+  assertEqual(room.isPaused, true);
+  assertEqual(room.resumeMode, 'auto');
+});
+
+// Test 3: Validation
+test('Unknown progression modes are rejected', () => {
+  const room = new Room('lobby');
+  let threw = false;
+
+  try {
+    room.setProgressionMode('manual');
+  } catch (error) {
+    threw = /Invalid progression mode/.test(error.message);
+  }
+
+  assert(threw, 'Expected an invalid mode error');
+  assertEqual(room.progressionMode, 'auto', 'The mode is unchanged');
+});
+
+// Test 4: Teams
+test('Rooms play without teams by default', () => {
+  const room = new Room('lobby');
+
+  assertEqual(room.teams.isEnabled(), false);
+  assertEqual(room.stateManager.getSubmissionRule(), 'per-player');
+  assertEqual(room.getSummary().teams.length, 0);
+});
+
+test('Teams and the team buzz-in rule can be configured', () => {
+  const room = new Room('relay', { teams: ['Red', 'Blue'], submissionRule: 'per-team' });
+
+  assertEqual(room.teams.isEnabled(), true);
+  assertEqual(room.stateManager.getSubmissionRule(), 'per-team');
+  assertEqual(room.getSummary().teams.join(','), 'Red,Blue');
+});
+
+// Print Summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Summary`);
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log(`📈 Total: ${testsPassed + testsFailed}`);
+console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+console.log('='.repeat(50) + '\n');
+
+if (testsFailed === 0) {
+  console.log('🎉 All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('⚠️  Some tests failed. Please review.\n');
+  process.exit(1);
+}
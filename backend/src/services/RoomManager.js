@@ -0,0 +1,151 @@
+/**
+ * RoomManager - Registry of Active Quiz Rooms
+ *
+ * Creates rooms on demand when the first client joins a room code,
+ * looks them up for event handlers, and disposes of them once the
+ * last member leaves (the default lobby is always kept). The number of
+ * open rooms is capped so a client can't open rooms without end; the
+ * lobby can always be opened.
+ *
+ * @class RoomManager
+ */
+
+const Room = require('./Room');
+
+const DEFAULT_ROOM = 'lobby';
+const MAX_ROOM_CODE_LENGTH = 32;
+
+// Most rooms open at once (on one server instance)
+const DEFAULT_MAX_ROOMS = 100;
+
+class RoomManager {
+  /**
+   * @param {Object} roomOptions - Default options passed to every new Room
+   * @param {Object} options - Manager options
+   * @param {Number} options.maxRooms - Most rooms open at once
+   */
+  constructor(roomOptions = {}, { maxRooms = DEFAULT_MAX_ROOMS } = {}) {
+    // Map of room code -> Room instance
+    this.rooms = new Map();
+
+    this.roomOptions = roomOptions;
+    this.maxRooms = maxRooms;
+  }
+
+  /**
+   * Normalizes a user-provided room code
+   * Lowercases, trims and strips anything that isn't a letter, digit, dash or underscore.
+   *
+   * @param {String} code - Raw room code
+   * @returns {String|null} Normalized code, or null if nothing usable remains
+   */
+  static normalizeCode(code) {
+    if (typeof code !== 'string') {
+      return null;
+    }
+
+    const normalized = code
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]/g, '')
+      .slice(0, MAX_ROOM_CODE_LENGTH);
+
+    return normalized || null;
+  }
+
+  /**
+   * Gets a room by code
+   * @param {String} code - Room code
+   * @returns {Room|undefined} Room or undefined if it doesn't exist
+   */
+  get(code) {
+    return this.rooms.get(code);
+  }
+
+  /**
+   * Checks if a room exists
+   * @param {String} code - Room code
+   * @returns {Boolean} True if the room exists
+   */
+  has(code) {
+    return this.rooms.has(code);
+  }
+
+  /**
+   * Checks if a room can be opened: it's already open, it's the default
+   * lobby, or there's room for one more
+   * @param {String} code - Normalized room code
+   * @returns {Boolean} True if getOrCreate() would return a room
+   */
+  canOpen(code) {
+    return this.rooms.has(code) || code === DEFAULT_ROOM || this.rooms.size < this.maxRooms;
+  }
+
+  /**
+   * Gets an existing room or creates a new one
+   * @param {String} code - Normalized room code
+   * @returns {{room: Room, created: Boolean}|null} The room and whether it was
+   *   just created, or null if the room limit is reached
+   */
+  getOrCreate(code) {
+    const existing = this.rooms.get(code);
+    if (existing) {
+      return { room: existing, created: false };
+    }
+
+    if (!this.canOpen(code)) {
+      return null;
+    }
+
+    const room = new Room(code, this.roomOptions);
+    this.rooms.set(code, room);
+    return { room, created: true };
+  }
+
+  /**
+   * Removes a room and cancels its timers
+   * The default lobby is only removed when forced (e.g. another server
+   * instance has taken it over).
+   *
+   * @param {String} code - Room code
+   * @param {Object} options - Options
+   * @param {Boolean} options.force - Remove the default lobby too
+   * @returns {Boolean} True if a room was removed
+   */
+  remove(code, { force = false } = {}) {
+    if (code === DEFAULT_ROOM && !force) {
+      return false;
+    }
+
+    const room = this.rooms.get(code);
+    if (!room) {
+      return false;
+    }
+
+    room.clearTimers();
+    this.rooms.delete(code);
+    return true;
+  }
+
+  /**
+   * Gets all active rooms
+   * @returns {Array<Room>} Array of rooms
+   */
+  list() {
+    return Array.from(this.rooms.values());
+  }
+
+  /**
+   * Removes every room, cancelling all timers
+   */
+  clear() {
+    this.rooms.forEach(room => room.clearTimers());
+    this.rooms.clear();
+  }
+}
+
+RoomManager.DEFAULT_ROOM = DEFAULT_ROOM;
+RoomManager.MAX_ROOM_CODE_LENGTH = MAX_ROOM_CODE_LENGTH;
+RoomManager.DEFAULT_MAX_ROOMS = DEFAULT_MAX_ROOMS;
+
+module.exports = RoomManager;
@@ -0,0 +1,179 @@
+/**
+ * Unit Tests for RoomManager
+ *
+ * Tests room code validation, creating and reusing rooms, the room
+ * limit, and removing rooms (the default lobby is protected).
+ */
+
+process.env.LOG_LEVEL = 'silent';
+
+const RoomManager = require('./RoomManager');
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+function test(description, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+// Test Suite
+console.log('\n🧪 Running RoomManager Unit Tests\n');
+
+// Test 1: Room codes
+test('Room codes are trimmed, lowercased and stripped of other characters', () => {
+  assertEqual(RoomManager.normalizeCode('  ClassA  '), 'classa');
+  assertEqual(RoomManager.normalizeCode('math-club_2'), 'math-club_2', 'Dashes, underscores and digits are kept');
+  assertEqual(RoomManager.normalizeCode('room 1!'), 'room1');
+  assertEqual(RoomManager.normalizeCode('../../etc/passwd'), 'etcpasswd');
+  assertEqual(RoomManager.normalizeCode('<script>x</script>'), 'scriptxscript');
+  assertEqual(RoomManager.normalizeCode('café'), 'caf', 'Non-ASCII letters are dropped');
+});
+
+test('Room codes are cut to the maximum length', () => {
+  const code = RoomManager.normalizeCode('a'.repeat(100));
+  assertEqual(code.length, RoomManager.MAX_ROOM_CODE_LENGTH);
+});
+
+test('Unusable room codes are rejected', () => {
+  const invalid = [undefined, null, 42, { room: 'lobby' }, ['lobby'], '', '   ', '!!!', '日本'];
+  invalid.forEach(code => {
+    assertEqual(RoomManager.normalizeCode(code), null, `Expected ${JSON.stringify(code)} to be rejected`);
+  });
+});
+
+// Test 2: Creating and reusing rooms
+test('A room is created once and reused after that', () => {
+  const manager = new RoomManager({ progressionMode: 'host-advance' });
+
+  const first = manager.getOrCreate('classa');
+  assert(first.created, 'The first call creates the room');
+  assertEqual(first.room.code, 'classa');
+  assertEqual(first.room.progressionMode, 'host-advance', 'New rooms get the default options');
+
+  const second = manager.getOrCreate('classa');
+  assert(!second.created, 'Later calls reuse it');
+  assertEqual(second.room, first.room);
+
+  assertEqual(manager.get('classa'), first.room);
+  assert(manager.has('classa'));
+  assert(!manager.has('classb'));
+  assertEqual(manager.list().length, 1);
+
+  manager.clear();
+});
+
+// Test 3: Room limit
+test('No new rooms are opened past the limit', () => {
+  const manager = new RoomManager({}, { maxRooms: 2 });
+
+  assert(manager.getOrCreate('one'));
+  assert(manager.getOrCreate('two'));
+
+  assert(!manager.canOpen('three'));
+  assertEqual(manager.getOrCreate('three'), null, 'A third room is refused');
+  assert(!manager.has('three'));
+
+  assert(manager.canOpen('one'), 'Open rooms can still be joined');
+  assert(!manager.getOrCreate('one').created);
+
+  // Closing a room frees its slot
+  manager.remove('two');
+  assert(manager.getOrCreate('three').created);
+
+  manager.clear();
+});
+
+test('The lobby can always be opened', () => {
+  const manager = new RoomManager({}, { maxRooms: 1 });
+  manager.getOrCreate('one');
+
+  assert(manager.canOpen(RoomManager.DEFAULT_ROOM));
+  assert(manager.getOrCreate(RoomManager.DEFAULT_ROOM).created);
+  assertEqual(manager.list().length, 2);
+
+  manager.clear();
+});
+
+test('The room limit defaults to DEFAULT_MAX_ROOMS', () => {
+  assertEqual(new RoomManager().maxRooms, RoomManager.DEFAULT_MAX_ROOMS);
+});
+
+// Test 4: Removing rooms
+test('Removing a room cancels its timers', () => {
+  const manager = new RoomManager();
+  const { room } = manager.getOrCreate('classa');
+
+  let cleared = 0;
+  room.clearTimers = () => cleared++;
+
+  assert(manager.remove('classa'));
+  assertEqual(cleared, 1);
+  assert(!manager.has('classa'));
+  assert(!manager.remove('classa'), 'Removing a missing room does nothing');
+});
+
+test('The lobby is only removed when forced', () => {
+  const manager = new RoomManager();
+  const { room } = manager.getOrCreate(RoomManager.DEFAULT_ROOM);
+
+  assert(!manager.remove(RoomManager.DEFAULT_ROOM), 'The lobby is kept when its last member leaves');
+  assertEqual(manager.get(RoomManager.DEFAULT_ROOM), room);
+
+  assert(manager.remove(RoomManager.DEFAULT_ROOM, { force: true }), 'Another instance took it over');
+  assert(!manager.has(RoomManager.DEFAULT_ROOM));
+});
+
+test('Clearing removes every room, lobby included', () => {
+  const manager = new RoomManager();
+  const rooms = ['lobby', 'classa', 'classb'].map(code => manager.getOrCreate(code).room);
+
+  let cleared = 0;
+  rooms.forEach(room => {
+    room.clearTimers = () => cleared++;
+  });
+
+  manager.clear();
+  assertEqual(cleared, 3);
+  assertEqual(manager.list().length, 0);
+});
+
+// Print Summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Summary`);
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log(`📈 Total: ${testsPassed + testsFailed}`);
+console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+console.log('='.repeat(50) + '\n');
+
+if (testsFailed === 0) {
+  console.log('🎉 All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('⚠️  Some tests failed. Please review.\n');
+  process.exit(1);
+}
@@ -0,0 +1,186 @@
+/**
+ * ScoringService - Cumulative Scoring for Math Quiz
+ *
+ * Accumulates points per player across rounds. A round win is worth a
+ * base amount that depends on question difficulty, plus a speed bonus
+ * that shrinks linearly the longer the player took to answer.
+ *
+ * Key Features:
+ * - Difficulty-weighted base points
+ * - Speed bonus relative to when the question was shown
+ * - Running totals and win counts per player
+ * - Ranked leaderboard with stable tie-breaking
+ *
+ * @class ScoringService
+ */
+class ScoringService {
+  constructor() {
+    // Base points awarded for winning a round, per difficulty
+    this.basePoints = {
+      easy: 100,
+      medium: 200,
+      hard: 300
+    };
+
+    // Answers faster than this earn a speed bonus (in milliseconds)
+    this.SPEED_BONUS_WINDOW_MS = 20000;
+
+    // Maximum speed bonus as a fraction of the base points
+    this.MAX_SPEED_BONUS = 1;
+
+    // Score tracking - Map of playerId -> { score, wins, lastScoredAt }
+    this.scores = new Map();
+  }
+
+  /**
+   * Calculates the points for a correct answer
+   * @param {String} difficulty - Question difficulty (easy, medium, hard)
+   * @param {Number} responseTimeMs - Time from question shown to answer received
+   * @returns {Number} Points earned (integer)
+   */
+  calculatePoints(difficulty, responseTimeMs) {
+    const base = this.basePoints[difficulty] || this.basePoints.medium;
+    const elapsed = Math.max(0, responseTimeMs || 0);
+
+    // Linear decay from MAX_SPEED_BONUS (instant) to 0 (at the end of the window)
+    const speedFactor = Math.max(0, 1 - elapsed / this.SPEED_BONUS_WINDOW_MS);
+    const bonus = base * this.MAX_SPEED_BONUS * speedFactor;
+
+    return Math.round(base + bonus);
+  }
+
+  /**
+   * Awards points to a round winner
+   * @param {String} playerId - Player ID of the winner
+   * @param {Object} round - Round details
+   * @param {String} round.difficulty - Question difficulty
+   * @param {Number} round.responseTimeMs - Time taken to answer
+   * @returns {Object} Points earned and the player's new total
+   */
+  awardWin(playerId, { difficulty, responseTimeMs }) {
+    const points = this.calculatePoints(difficulty, responseTimeMs);
+    const entry = this.getOrCreateEntry(playerId);
+
+    entry.score += points;
+    entry.wins += 1;
+    entry.lastScoredAt = Date.now();
+
+    return {
+      points,
+      total: entry.score
+    };
+  }
+
+  /**
+   * Deducts penalty points from a player (e.g. for a wrong answer)
+   * Scores never drop below zero.
+   *
+   * @param {String} playerId - Player ID
+   * @param {Number} points - Points to deduct
+   * @returns {Object} Points actually deducted and the player's new total
+   */
+  applyPenalty(playerId, points) {
+    const entry = this.scores.get(playerId);
+    if (!entry) {
+      return { points: 0, total: 0 };
+    }
+
+    const deducted = Math.min(entry.score, Math.max(0, points));
+
+    entry.score -= deducted;
+
+    return {
+      points: deducted,
+      total: entry.score
+    };
+  }
+
+  /**
+   * Gets or creates the score entry for a player
+   * @param {String} playerId - Player ID
+   * @returns {Object} Score entry
+   */
+  getOrCreateEntry(playerId) {
+    let entry = this.scores.get(playerId);
+
+    if (!entry) {
+      entry = { score: 0, wins: 0, lastScoredAt: null };
+      this.scores.set(playerId, entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Gets a player's current score
+   * @param {String} playerId - Player ID
+   * @returns {Number} Total score (0 if the player hasn't scored)
+   */
+  getScore(playerId) {
+    return this.scores.get(playerId)?.score || 0;
+  }
+
+  /**
+   * Gets all players ranked by score
+   * Ties are broken by who reached the score first.
+   *
+   * @returns {Array} Array of { rank, playerId, score, wins }
+   */
+  getStandings() {
+    return Array.from(this.scores.entries())
+      .map(([playerId, entry]) => ({ playerId, ...entry }))
+      .sort((a, b) => b.score - a.score || a.lastScoredAt - b.lastScoredAt)
+      .map((entry, index) => ({
+        rank: index + 1,
+        playerId: entry.playerId,
+        score: entry.score,
+        wins: entry.wins
+      }));
+  }
+
+  /**
+   * Gets the top players
+   * @param {Number} limit - Maximum number of players to return
+   * @returns {Array} Top entries from getStandings()
+   */
+  getLeaderboard(limit = 10) {
+    return this.getStandings().slice(0, limit);
+  }
+
+  /**
+   * Gets a player's rank
+   * @param {String} playerId - Player ID
+   * @returns {Number|null} 1-based rank, or null if the player hasn't scored
+   */
+  getRank(playerId) {
+    const standing = this.getStandings().find(entry => entry.playerId === playerId);
+    return standing ? standing.rank : null;
+  }
+
+  /**
+   * Replaces all scores with previously saved totals
+   * Used to pick up where a room left off after a restart.
+   *
+   * @param {Array<Object>} entries - { playerId, score, wins, lastScoredAt }
+   */
+  restore(entries) {
+    this.scores.clear();
+
+    entries.forEach(({ playerId, score, wins, lastScoredAt }) => {
+      this.scores.set(playerId, {
+        score: Math.max(0, score || 0),
+        wins: wins || 0,
+        lastScoredAt: lastScoredAt ?? null
+      });
+    });
+  }
+
+  /**
+   * Clears all scores
+   */
+  reset() {
+    this.scores.clear();
+  }
+}
+
+module.exports = ScoringService;
@@ -0,0 +1,204 @@
+/**
+ * Unit Tests for ScoringService
+ *
+ * Tests point calculation, cumulative scoring across rounds,
+ * and leaderboard ranking.
+ */
+
+const ScoringService = require('./ScoringService');
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+function test(description, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+// Test Suite
+console.log('\n🧪 Running ScoringService Unit Tests\n');
+
+// Test 1: Instantiation
+test('ScoringService can be instantiated', () => {
+  const scoring = new ScoringService();
+  assert(scoring instanceof ScoringService);
+  assert(scoring.scores instanceof Map);
+  assertEqual(scoring.getLeaderboard().length, 0);
+});
+
+// Test 2: Difficulty weighting
+test('calculatePoints() weights points by difficulty', () => {
+  const scoring = new ScoringService();
+  const slow = scoring.SPEED_BONUS_WINDOW_MS;
+
+  assertEqual(scoring.calculatePoints('easy', slow), 100);
+  assertEqual(scoring.calculatePoints('medium', slow), 200);
+  assertEqual(scoring.calculatePoints('hard', slow), 300);
+});
+
+// Test 3: Speed bonus
+test('calculatePoints() rewards faster answers', () => {
+  const scoring = new ScoringService();
+
+  assertEqual(scoring.calculatePoints('medium', 0), 400); // Full bonus
+  assertEqual(scoring.calculatePoints('medium', scoring.SPEED_BONUS_WINDOW_MS / 2), 300);
+  assertEqual(scoring.calculatePoints('medium', scoring.SPEED_BONUS_WINDOW_MS * 5), 200); // No bonus
+  assert(scoring.calculatePoints('hard', 1000) > scoring.calculatePoints('hard', 5000));
+});
+
+// Test 4: Unknown difficulty falls back to medium
+test('calculatePoints() falls back to medium for unknown difficulty', () => {
+  const scoring = new ScoringService();
+  const slow = scoring.SPEED_BONUS_WINDOW_MS;
+
+  assertEqual(scoring.calculatePoints('impossible', slow), 200);
+});
+
+// Test 5: Accumulation across rounds
+test('awardWin() accumulates points across rounds', () => {
+  const scoring = new ScoringService();
+  const slow = scoring.SPEED_BONUS_WINDOW_MS;
+
+  const first = scoring.awardWin('player-1', { difficulty: 'easy', responseTimeMs: slow });
+  assertEqual(first.points, 100);
+  assertEqual(first.total, 100);
+
+  const second = scoring.awardWin('player-1', { difficulty: 'hard', responseTimeMs: slow });
+  assertEqual(second.points, 300);
+  assertEqual(second.total, 400);
+
+  assertEqual(scoring.getScore('player-1'), 400);
+  assertEqual(scoring.getScore('player-2'), 0);
+});
+
+// Test 6: Leaderboard ordering
+test('getLeaderboard() ranks players by score', () => {
+  const scoring = new ScoringService();
+  const slow = scoring.SPEED_BONUS_WINDOW_MS;
+
+  scoring.awardWin('player-1', { difficulty: 'easy', responseTimeMs: slow });
+  scoring.awardWin('player-2', { difficulty: 'hard', responseTimeMs: slow });
+  scoring.awardWin('player-3', { difficulty: 'medium', responseTimeMs: slow });
+
+  const leaderboard = scoring.getLeaderboard();
+
+  assertEqual(leaderboard.length, 3);
+  assertEqual(leaderboard[0].playerId, 'player-2');
+  assertEqual(leaderboard[0].rank, 1);
+  assertEqual(leaderboard[1].playerId, 'player-3');
+  assertEqual(leaderboard[2].playerId, 'player-1');
+  assertEqual(leaderboard[2].wins, 1);
+});
+
+// Test 7: Leaderboard limit
+test('getLeaderboard() respects the limit', () => {
+  const scoring = new ScoringService();
+
+  for (let i = 0; i < 15; i++) {
+    scoring.awardWin(`player-${i}`, { difficulty: 'medium', responseTimeMs: i * 1000 });
+  }
+
+  assertEqual(scoring.getLeaderboard().length, 10);
+  assertEqual(scoring.getLeaderboard(3).length, 3);
+  assertEqual(scoring.getStandings().length, 15);
+});
+
+// Test 8: Player rank
+test('getRank() returns 1-based rank or null', () => {
+  const scoring = new ScoringService();
+  const slow = scoring.SPEED_BONUS_WINDOW_MS;
+
+  scoring.awardWin('player-1', { difficulty: 'easy', responseTimeMs: slow });
+  scoring.awardWin('player-2', { difficulty: 'hard', responseTimeMs: slow });
+
+  assertEqual(scoring.getRank('player-2'), 1);
+  assertEqual(scoring.getRank('player-1'), 2);
+  assertEqual(scoring.getRank('player-3'), null);
+});
+
+// Test 9: Penalties
+test('applyPenalty() deducts points without going below zero', () => {
+  const scoring = new ScoringService();
+  const slow = scoring.SPEED_BONUS_WINDOW_MS;
+
+  scoring.awardWin('player-1', { difficulty: 'easy', responseTimeMs: slow });
+
+  const penalty = scoring.applyPenalty('player-1', 30);
+  assertEqual(penalty.points, 30);
+  assertEqual(penalty.total, 70);
+
+  const capped = scoring.applyPenalty('player-1', 500);
+  assertEqual(capped.points, 70);
+  assertEqual(scoring.getScore('player-1'), 0);
+
+  assertEqual(scoring.applyPenalty('player-2', 10).points, 0);
+});
+
+// Test 10: Reset
+test('reset() clears all scores', () => {
+  const scoring = new ScoringService();
+
+  scoring.awardWin('player-1', { difficulty: 'easy', responseTimeMs: 0 });
+  scoring.reset();
+
+  assertEqual(scoring.getScore('player-1'), 0);
+  assertEqual(scoring.getLeaderboard().length, 0);
+});
+
+// Test 11: Restoring saved totals
+test('restore() replaces scores with saved totals', () => {
+  const scoring = new ScoringService();
+
+  scoring.awardWin('player-3', { difficulty: 'easy', responseTimeMs: 0 });
+  scoring.restore([
+    { playerId: 'player-1', score: 300, wins: 2, lastScoredAt: 2000 },
+    { playerId: 'player-2', score: 300, wins: 1, lastScoredAt: 1000 }
+  ]);
+
+  assertEqual(scoring.getScore('player-3'), 0);
+  assertEqual(scoring.getRank('player-2'), 1, 'Earlier scorer should win the tie');
+  assertEqual(scoring.getStandings()[1].wins, 2);
+
+  scoring.awardWin('player-1', { difficulty: 'easy', responseTimeMs: 0 });
+  assertEqual(scoring.getScore('player-1'), 500);
+});
+
+// Print Summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Summary`);
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log(`📈 Total: ${testsPassed + testsFailed}`);
+console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+console.log('='.repeat(50) + '\n');
+
+if (testsFailed === 0) {
+  console.log('🎉 All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('⚠️  Some tests failed. Please review.\n');
+  process.exit(1);
+}
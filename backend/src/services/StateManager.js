@@ -7,43 +7,148 @@
  * Key Features:
  * - In-memory state management for current question
  * - Atomic lock mechanism for winner detection
- * - Submission tracking to prevent double submissions
+ * - Submission tracking keyed by player, not connection
+ * - Per-question attempt policy (single-shot, N attempts, unlimited with cooldown/penalty)
+ * - Optional team buzz-in rule: the first player on a team to answer answers for it
+ * - Players knocked out of an elimination match can't answer
  * - Timestamp-based submission ordering
  * - Race condition prevention using Node.js single-threaded nature
+ * - Optional grace-period resolution with latency compensation and co-winners
+ *
+ * Whether the question is open, resolving, locked or expired is not kept
+ * here: it is the state of the room's QuestionStateMachine, which this
+ * class moves along as answers arrive.
  *
  * @class StateManager
  */
+
+const QuestionStateMachine = require('./QuestionStateMachine');
+
 class StateManager {
-  constructor() {
+  /**
+   * @param {Object} options - Options
+   * @param {QuestionStateMachine} options.lifecycle - The room's question lifecycle (a private one by default)
+   */
+  constructor({ lifecycle } = {}) {
+    // Authoritative phase of the current question (see QuestionStateMachine)
+    this.lifecycle = lifecycle || new QuestionStateMachine();
+
     // Current question state
     this.currentQuestion = null;
 
     // Winner tracking
     this.currentWinner = null;
 
-    // Atomic lock - prevents multiple winners
-    this.isLocked = false;
-
-    // Submission tracking - Map of socketId -> submission data
+    // Submission tracking - Map of playerId -> latest attempt data
     this.submissions = new Map();
 
-    // Submission order tracking - Array of timestamps for ordering
+    // Attempt history - Map of playerId -> array of every attempt
+    this.attempts = new Map();
+
+    // Submission order tracking - Array of timestamps for ordering (one entry per attempt)
     this.submissionOrder = [];
 
+    // Default attempt policy (a question may carry its own attemptPolicy)
+    this.attemptPolicy = StateManager.normalizeAttemptPolicy({ mode: 'single' });
+    this.activeAttemptPolicy = this.attemptPolicy;
+
     // Grace period for near-simultaneous submissions (in milliseconds)
     this.GRACE_PERIOD_MS = 100;
+
+    // Who may answer each question:
+    // - 'per-player': every player answers for themselves
+    // - 'per-team': the first player on a team to answer becomes its captain
+    //   for the question, and only the captain may answer
+    this.submissionRule = 'per-player';
+
+    // Team captains for the current question - Map of teamId -> playerId
+    this.teamCaptains = new Map();
+
+    // Winner resolution mode:
+    // - 'instant': first correct answer to arrive wins immediately
+    // - 'grace-period': wait out the grace window, then pick by latency-compensated time
+    this.resolutionMode = 'instant';
+
+    // Compensated times closer than this are treated as a tie (in milliseconds)
+    this.TIE_TOLERANCE_MS = 5;
+
+    // Grace-period resolution tracking
+    this.graceWindowOpenedAt = null;
+    this.correctCandidates = [];
+
+    // All winners of the current question (more than one on a tie)
+    this.currentWinners = [];
+  }
+
+  /**
+   * Atomic lock - true once the question has a winner or has expired
+   * @returns {Boolean} True if no more answers can win
+   */
+  get isLocked() {
+    return this.lifecycle.isInState('LOCKED', 'EXPIRED', 'TRANSITIONING');
+  }
+
+  /**
+   * Locks the question directly (moves the lifecycle to LOCKED)
+   * Questions only unlock when the next one is set.
+   *
+   * @param {Boolean} locked - Must be true
+   * @throws {Error} If asked to unlock, or the lifecycle can't lock from its state
+   */
+  set isLocked(locked) {
+    if (!locked) {
+      if (this.isLocked) {
+        throw new Error('A locked question can only be replaced with setQuestion()');
+      }
+      return;
+    }
+
+    if (!this.isLocked) {
+      this.lifecycle.transition('LOCKED', { reason: 'Locked directly' });
+    }
+  }
+
+  /**
+   * Whether the question's time limit ran out with no winner
+   * Stays true while the results are shown.
+   *
+   * @returns {Boolean} True if expired
+   */
+  get isExpired() {
+    return this.lifecycle.isInState('EXPIRED') ||
+      (this.lifecycle.isInState('TRANSITIONING') && this.lifecycle.getPreviousState() === 'EXPIRED');
   }
 
   /**
    * Sets a new question and resets all state
+   * Moves the lifecycle to ACTIVE; a question still being played is
+   * ended first (ACTIVE → TRANSITIONING), as when a host skips it.
+   *
    * @param {Object} question - Question object from QuestionGenerator
    */
   setQuestion(question) {
+    if (!this.lifecycle.canTransition('ACTIVE')) {
+      this.lifecycle.transition('TRANSITIONING', { reason: 'Question replaced', questionId: this.currentQuestion?.id });
+    }
+
     this.currentQuestion = question;
     this.currentWinner = null;
-    this.isLocked = false;
+    this.currentWinners = [];
     this.submissions.clear();
+    this.attempts.clear();
     this.submissionOrder = [];
+    this.teamCaptains.clear();
+    this.graceWindowOpenedAt = null;
+    this.correctCandidates = [];
+    this.activeAttemptPolicy = question?.attemptPolicy
+      ? StateManager.normalizeAttemptPolicy(question.attemptPolicy)
+      : this.attemptPolicy;
+
+    this.lifecycle.transition('ACTIVE', {
+      questionId: question?.id,
+      question: question?.question,
+      difficulty: question?.difficulty
+    });
   }
 
   /**
@@ -56,23 +161,67 @@ class StateManager {
 
   /**
    * Checks if a user has already submitted an answer
-   * @param {String} socketId - Socket ID of the user
+   * @param {String} playerId - Player ID of the user
    * @returns {Boolean} True if user has already submitted
    */
-  hasSubmitted(socketId) {
-    return this.submissions.has(socketId);
+  hasSubmitted(playerId) {
+    return this.submissions.has(playerId);
+  }
+
+  /**
+   * Gets the number of attempts a user has made on the current question
+   * @param {String} playerId - Player ID of the user
+   * @returns {Number} Attempt count
+   */
+  getAttemptCount(playerId) {
+    return this.attempts.get(playerId)?.length || 0;
+  }
+
+  /**
+   * Gets how many more attempts a user may make on the current question
+   * @param {String} playerId - Player ID of the user
+   * @returns {Number|null} Remaining attempts, or null if unlimited
+   */
+  getAttemptsRemaining(playerId) {
+    const { maxAttempts } = this.activeAttemptPolicy;
+    if (maxAttempts === Infinity) {
+      return null;
+    }
+    return Math.max(0, maxAttempts - this.getAttemptCount(playerId));
   }
 
   /**
    * Records a submission with timestamp
-   * Prevents double submissions and submissions after lock
+   * Enforces the attempt policy and rejects submissions after lock
    *
-   * @param {String} socketId - Socket ID of the user
+   * @param {String} playerId - Player ID of the user
    * @param {String|Number} answer - User's answer
    * @param {Number} timestamp - Server timestamp of submission
+   * @param {Object} details - Optional extra data
+   * @param {Number} details.rttMs - Measured round-trip time of the submitting connection
+   * @param {String} details.teamId - Submitting player's team (used by the 'per-team' rule)
+   * @param {Boolean} details.eliminated - True if the player is out of an elimination match
    * @returns {Object} Result object with success status and optional message
    */
-  recordSubmission(socketId, answer, timestamp) {
+  recordSubmission(playerId, answer, timestamp, details = {}) {
+    // Eliminated players (and late arrivals) watch an elimination match
+    if (details.eliminated) {
+      return {
+        success: false,
+        reason: 'eliminated',
+        message: 'You are out of this match - you can watch until it ends'
+      };
+    }
+
+    // Check if the question's time limit has run out
+    if (this.isExpired) {
+      return {
+        success: false,
+        reason: 'time-up',
+        message: 'Time is up for this question'
+      };
+    }
+
     // Check if question is locked (already has a winner)
     if (this.isLocked) {
       return {
@@ -82,8 +231,20 @@ class StateManager {
       };
     }
 
-    // Check for double submission
-    if (this.hasSubmitted(socketId)) {
+    const policy = this.activeAttemptPolicy;
+    const previous = this.submissions.get(playerId);
+
+    // A correct answer ends the player's attempts
+    if (previous?.isCorrect) {
+      return {
+        success: false,
+        reason: 'already-correct',
+        message: 'You have already answered this question correctly'
+      };
+    }
+
+    // Check for double submission (single-shot policy)
+    if (previous && policy.mode === 'single') {
       return {
         success: false,
         reason: 'already-submitted',
@@ -91,6 +252,40 @@ class StateManager {
       };
     }
 
+    // Check the team's captain (per-team rule)
+    const captainId = this.getTeamCaptain(details.teamId);
+    if (captainId && captainId !== playerId) {
+      return {
+        success: false,
+        reason: 'team-answered',
+        message: 'Your team has already buzzed in for this question',
+        captainId
+      };
+    }
+
+    // Check the attempt limit
+    if (this.getAttemptsRemaining(playerId) === 0) {
+      return {
+        success: false,
+        reason: 'no-attempts-left',
+        message: `You have used all ${policy.maxAttempts} attempts for this question`,
+        attemptsRemaining: 0
+      };
+    }
+
+    // Check the cooldown after a wrong answer
+    if (previous && previous.isCorrect === false && policy.cooldownMs > 0) {
+      const retryAfterMs = previous.timestamp + policy.cooldownMs - timestamp;
+      if (retryAfterMs > 0) {
+        return {
+          success: false,
+          reason: 'cooldown',
+          message: `Please wait ${Math.ceil(retryAfterMs / 1000)}s before trying again`,
+          retryAfterMs
+        };
+      }
+    }
+
     // Check if there's a current question
     if (!this.currentQuestion) {
       return {
@@ -100,25 +295,96 @@ class StateManager {
       };
     }
 
-    // Record the submission
-    this.submissions.set(socketId, {
+    // Record the attempt
+    const attemptNumber = this.getAttemptCount(playerId) + 1;
+    const attempt = {
       answer,
       timestamp,
-      timestampISO: new Date(timestamp).toISOString()
-    });
+      timestampISO: new Date(timestamp).toISOString(),
+      rttMs: details.rttMs || 0,
+      attemptNumber,
+      isCorrect: null, // Set by markAttemptResult once validated
+      penalty: 0 // Points actually deducted, set by recordPenalty
+    };
+
+    if (!this.attempts.has(playerId)) {
+      this.attempts.set(playerId, []);
+    }
+    this.attempts.get(playerId).push(attempt);
+    this.submissions.set(playerId, attempt);
+
+    if (this.submissionRule === 'per-team' && details.teamId && !captainId) {
+      this.teamCaptains.set(details.teamId, playerId);
+    }
 
     // Track submission order
     this.submissionOrder.push({
-      socketId,
-      timestamp
+      playerId,
+      timestamp,
+      attemptNumber
     });
 
     return {
       success: true,
-      timestamp
+      timestamp,
+      attemptNumber,
+      attemptsRemaining: this.getAttemptsRemaining(playerId)
+    };
+  }
+
+  /**
+   * Gets the player answering for a team on the current question
+   * @param {String} teamId - Team ID
+   * @returns {String|null} Captain's player ID, or null if nobody on the team has
+   *   answered yet (always null under the 'per-player' rule)
+   */
+  getTeamCaptain(teamId) {
+    if (this.submissionRule !== 'per-team' || !teamId) {
+      return null;
+    }
+    return this.teamCaptains.get(teamId) || null;
+  }
+
+  /**
+   * Records whether a user's latest attempt was correct
+   * @param {String} playerId - Player ID of the user
+   * @param {Boolean} isCorrect - Validation result
+   * @returns {Object} { penaltyPoints } to deduct for a wrong answer (0 if none)
+   */
+  markAttemptResult(playerId, isCorrect) {
+    const attempt = this.submissions.get(playerId);
+    if (!attempt) {
+      return { penaltyPoints: 0 };
+    }
+
+    attempt.isCorrect = isCorrect;
+
+    return {
+      penaltyPoints: isCorrect ? 0 : this.activeAttemptPolicy.penaltyPoints
     };
   }
 
+  /**
+   * Records the penalty points deducted for a user's latest attempt
+   * @param {String} playerId - Player ID of the user
+   * @param {Number} points - Points deducted
+   */
+  recordPenalty(playerId, points) {
+    const attempt = this.submissions.get(playerId);
+    if (attempt) {
+      attempt.penalty = points;
+    }
+  }
+
+  /**
+   * Gets every attempt a user made on the current question
+   * @param {String} playerId - Player ID of the user
+   * @returns {Array} Attempts in the order they were made
+   */
+  getAttempts(playerId) {
+    return this.attempts.get(playerId) || [];
+  }
+
   /**
    * Attempts to claim victory for a user
    * Uses atomic lock mechanism to prevent race conditions
@@ -127,24 +393,22 @@ class StateManager {
    * Node.js single-threaded event loop ensures these operations
    * are atomic - no context switching during execution.
    *
-   * @param {String} socketId - Socket ID of the user
+   * @param {String} playerId - Player ID of the user
    * @param {Boolean} isCorrect - Whether the answer is correct
    * @returns {Boolean} True if user won, false otherwise
    */
-  attemptWin(socketId, isCorrect) {
-    // ATOMIC OPERATION - Check lock status
+  attemptWin(playerId, isCorrect) {
+    // ATOMIC OPERATION - Check the question is still open
     // Node.js event loop ensures no race condition here
-    if (this.isLocked) {
+    if (!this.lifecycle.isAcceptingSubmissions()) {
       return false;
     }
 
     // If answer is correct, set lock immediately
     if (isCorrect) {
-      this.isLocked = true; // LOCK acquired - atomic in same tick
-      this.currentWinner = socketId;
-
-      // Get submission data for winner
-      const submissionData = this.submissions.get(socketId);
+      this.currentWinner = playerId;
+      this.currentWinners = [playerId];
+      this.lifecycle.transition('LOCKED', { winnerId: playerId }); // LOCK acquired - atomic in same tick
 
       return true;
     }
@@ -152,14 +416,130 @@ class StateManager {
     return false;
   }
 
+  /**
+   * Registers a correct submission for grace-period resolution
+   * The first correct submission opens the grace window; later ones are
+   * collected as candidates until the window is resolved.
+   *
+   * @param {String} playerId - Player ID of the user
+   * @returns {Object} { accepted, windowOpened } - windowOpened is true for the first candidate
+   */
+  registerCorrectSubmission(playerId) {
+    if (!this.lifecycle.isAcceptingSubmissions()) {
+      return { accepted: false, windowOpened: false };
+    }
+
+    const submission = this.submissions.get(playerId);
+    if (!submission || this.correctCandidates.some(c => c.playerId === playerId)) {
+      return { accepted: false, windowOpened: false };
+    }
+
+    const windowOpened = this.graceWindowOpenedAt === null;
+    if (windowOpened) {
+      this.graceWindowOpenedAt = submission.timestamp;
+    }
+
+    this.correctCandidates.push({
+      playerId,
+      timestamp: submission.timestamp,
+      rttMs: submission.rttMs
+    });
+
+    if (windowOpened) {
+      this.lifecycle.transition('RESOLVING', { firstCorrect: playerId, gracePeriodMs: this.GRACE_PERIOD_MS });
+    }
+
+    return { accepted: true, windowOpened };
+  }
+
+  /**
+   * Checks if a grace window is open and waiting to be resolved
+   * @returns {Boolean} True while collecting near-simultaneous correct answers
+   */
+  isResolving() {
+    return this.lifecycle.isInState('RESOLVING');
+  }
+
+  /**
+   * Resolves the grace window and locks the question
+   *
+   * Each candidate's send time is estimated as the server arrival time
+   * minus half the connection's round-trip time. The earliest estimate
+   * wins; anyone within TIE_TOLERANCE_MS of it is a co-winner.
+   * Candidates that arrived after the window closed are ignored.
+   *
+   * @returns {Array} Winners sorted by compensated time (empty if nothing to resolve)
+   */
+  resolveGracePeriod() {
+    if (!this.isResolving()) {
+      return [];
+    }
+
+    const windowEnd = this.graceWindowOpenedAt + this.GRACE_PERIOD_MS;
+
+    const ranked = this.correctCandidates
+      .filter(candidate => candidate.timestamp <= windowEnd)
+      .map(candidate => ({
+        ...candidate,
+        compensatedTime: candidate.timestamp - candidate.rttMs / 2
+      }))
+      .sort((a, b) => a.compensatedTime - b.compensatedTime || a.timestamp - b.timestamp);
+
+    const fastest = ranked[0].compensatedTime;
+    const winners = ranked.filter(
+      candidate => candidate.compensatedTime - fastest <= this.TIE_TOLERANCE_MS
+    );
+
+    this.currentWinner = winners[0].playerId;
+    this.currentWinners = winners.map(winner => winner.playerId);
+    this.lifecycle.transition('LOCKED', {
+      winnerId: this.currentWinner,
+      coWinners: winners.length > 1 ? this.currentWinners : undefined
+    });
+
+    return winners;
+  }
+
+  /**
+   * Closes the current question because its time limit ran out
+   * Does nothing if the question already has a winner or a grace window
+   * is deciding one.
+   *
+   * @returns {Boolean} True if the question was expired with no winner
+   */
+  expireQuestion() {
+    if (!this.lifecycle.isInState('ACTIVE') || !this.currentQuestion) {
+      return false;
+    }
+
+    this.lifecycle.transition('EXPIRED', { questionId: this.currentQuestion.id });
+    return true;
+  }
+
+  /**
+   * Checks if the current question ran out of time with no winner
+   * @returns {Boolean} True if expired
+   */
+  isQuestionExpired() {
+    return this.isExpired;
+  }
+
   /**
    * Gets the current winner
-   * @returns {String|null} Socket ID of winner or null
+   * @returns {String|null} Player ID of winner or null
    */
   getWinner() {
     return this.currentWinner;
   }
 
+  /**
+   * Gets all winners of the current question
+   * @returns {Array<String>} Player IDs (more than one when co-winners tied)
+   */
+  getWinners() {
+    return this.currentWinners;
+  }
+
   /**
    * Checks if the question is locked (has a winner)
    * @returns {Boolean} True if locked
@@ -169,16 +549,15 @@ class StateManager {
   }
 
   /**
-   * Gets all submissions sorted by timestamp
+   * Gets all submissions (every attempt) sorted by timestamp
    * @returns {Array} Array of submission objects sorted by timestamp
    */
   getSubmissionsInOrder() {
     return this.submissionOrder
       .sort((a, b) => a.timestamp - b.timestamp)
       .map(entry => ({
-        socketId: entry.socketId,
-        timestamp: entry.timestamp,
-        ...this.submissions.get(entry.socketId)
+        playerId: entry.playerId,
+        ...this.attempts.get(entry.playerId)[entry.attemptNumber - 1]
       }));
   }
 
@@ -202,11 +581,11 @@ class StateManager {
 
   /**
    * Gets the submission data for a specific user
-   * @param {String} socketId - Socket ID of the user
+   * @param {String} playerId - Player ID of the user
    * @returns {Object|undefined} Submission data or undefined
    */
-  getSubmission(socketId) {
-    return this.submissions.get(socketId);
+  getSubmission(playerId) {
+    return this.submissions.get(playerId);
   }
 
   /**
@@ -217,12 +596,21 @@ class StateManager {
     return {
       question: this.currentQuestion,
       winner: this.currentWinner,
+      winners: this.currentWinners,
       isLocked: this.isLocked,
+      isExpired: this.isExpired,
+      isResolving: this.isResolving(),
+      lifecycleState: this.lifecycle.getCurrentState(),
+      resolutionMode: this.resolutionMode,
       submissionCount: this.submissions.size,
-      submissions: Array.from(this.submissions.entries()).map(([socketId, data]) => ({
-        socketId,
+      attemptCount: this.submissionOrder.length,
+      submissions: Array.from(this.submissions.entries()).map(([playerId, data]) => ({
+        playerId,
         ...data
       })),
+      attemptPolicy: this.activeAttemptPolicy,
+      submissionRule: this.submissionRule,
+      teamCaptains: Object.fromEntries(this.teamCaptains),
       gracePeriodMs: this.GRACE_PERIOD_MS
     };
   }
@@ -234,6 +622,7 @@ class StateManager {
   getStats() {
     return {
       totalSubmissions: this.submissions.size,
+      totalAttempts: this.submissionOrder.length,
       hasWinner: this.currentWinner !== null,
       isLocked: this.isLocked,
       questionId: this.currentQuestion?.id || null,
@@ -248,9 +637,15 @@ class StateManager {
   reset() {
     this.currentQuestion = null;
     this.currentWinner = null;
-    this.isLocked = false;
+    this.currentWinners = [];
     this.submissions.clear();
+    this.attempts.clear();
     this.submissionOrder = [];
+    this.teamCaptains.clear();
+    this.graceWindowOpenedAt = null;
+    this.correctCandidates = [];
+    this.activeAttemptPolicy = this.attemptPolicy;
+    this.lifecycle.reset({ reason: 'State reset' });
   }
 
   /**
@@ -271,6 +666,108 @@ class StateManager {
   getGracePeriod() {
     return this.GRACE_PERIOD_MS;
   }
+
+  /**
+   * Sets the winner resolution mode
+   * @param {String} mode - 'instant' or 'grace-period'
+   */
+  setResolutionMode(mode) {
+    if (!StateManager.RESOLUTION_MODES.includes(mode)) {
+      throw new Error(`Invalid resolution mode: ${mode}. Must be one of: ${StateManager.RESOLUTION_MODES.join(', ')}`);
+    }
+    this.resolutionMode = mode;
+  }
+
+  /**
+   * Gets the winner resolution mode
+   * @returns {String} Resolution mode
+   */
+  getResolutionMode() {
+    return this.resolutionMode;
+  }
+
+  /**
+   * Sets who may answer each question
+   * @param {String} rule - 'per-player' or 'per-team'
+   */
+  setSubmissionRule(rule) {
+    if (!StateManager.SUBMISSION_RULES.includes(rule)) {
+      throw new Error(`Invalid submission rule: ${rule}. Must be one of: ${StateManager.SUBMISSION_RULES.join(', ')}`);
+    }
+    this.submissionRule = rule;
+  }
+
+  /**
+   * Gets who may answer each question
+   * @returns {String} Submission rule
+   */
+  getSubmissionRule() {
+    return this.submissionRule;
+  }
+
+  /**
+   * Sets the default attempt policy for questions without their own
+   * Takes effect from the next question.
+   *
+   * @param {Object} policy - Attempt policy (see normalizeAttemptPolicy)
+   */
+  setAttemptPolicy(policy) {
+    this.attemptPolicy = StateManager.normalizeAttemptPolicy(policy);
+  }
+
+  /**
+   * Gets the attempt policy in effect for the current question
+   * @returns {Object} Normalized attempt policy
+   */
+  getAttemptPolicy() {
+    return this.activeAttemptPolicy;
+  }
+
+  /**
+   * Validates and fills in defaults for an attempt policy
+   *
+   * Modes:
+   * - 'single': one answer per player per question
+   * - 'limited': up to maxAttempts answers
+   * - 'unlimited': any number of answers
+   * Any mode may add a cooldownMs between wrong answers and penaltyPoints per wrong answer.
+   *
+   * @param {Object} policy - { mode, maxAttempts, cooldownMs, penaltyPoints }
+   * @returns {Object} Normalized policy
+   * @throws {Error} If the policy is invalid
+   */
+  static normalizeAttemptPolicy(policy = {}) {
+    const { mode = 'single', maxAttempts, cooldownMs = 0, penaltyPoints = 0 } = policy;
+
+    if (!StateManager.ATTEMPT_MODES.includes(mode)) {
+      throw new Error(`Invalid attempt mode: ${mode}. Must be one of: ${StateManager.ATTEMPT_MODES.join(', ')}`);
+    }
+
+    if (mode === 'limited' && !(Number.isInteger(maxAttempts) && maxAttempts >= 1)) {
+      throw new Error('Limited attempt policy requires maxAttempts to be a positive integer');
+    }
+
+    if (!(cooldownMs >= 0) || !(penaltyPoints >= 0)) {
+      throw new Error('Attempt cooldown and penalty must be non-negative');
+    }
+
+    const limits = {
+      single: 1,
+      limited: maxAttempts,
+      unlimited: Infinity
+    };
+
+    return {
+      mode,
+      maxAttempts: limits[mode],
+      cooldownMs,
+      penaltyPoints
+    };
+  }
 }
 
+StateManager.RESOLUTION_MODES = ['instant', 'grace-period'];
+StateManager.ATTEMPT_MODES = ['single', 'limited', 'unlimited'];
+StateManager.SUBMISSION_RULES = ['per-player', 'per-team'];
+
 module.exports = StateManager;
@@ -5,6 +5,9 @@
  * submission tracking, and race condition prevention.
  */
 
+// Keep transition logging out of the test report
+process.env.LOG_LEVEL = 'silent';
+
 const StateManager = require('./StateManager');
 const QuestionGenerator = require('./QuestionGenerator');
 
@@ -189,9 +192,9 @@ test('getSubmissionsInOrder() returns submissions in timestamp order', () => {
   const ordered = stateManager.getSubmissionsInOrder();
 
   assertEqual(ordered.length, 3);
-  assertEqual(ordered[0].socketId, 'user-1'); // Earliest
-  assertEqual(ordered[1].socketId, 'user-2');
-  assertEqual(ordered[2].socketId, 'user-3'); // Latest
+  assertEqual(ordered[0].playerId, 'user-1'); // Earliest
+  assertEqual(ordered[1].playerId, 'user-2');
+  assertEqual(ordered[2].playerId, 'user-3'); // Latest
 });
 
 // Test 10: Grace period submissions
@@ -211,8 +214,8 @@ test('getGracePeriodSubmissions() returns submissions within grace period', () =
   const gracePeriodSubs = stateManager.getGracePeriodSubmissions();
 
   assertEqual(gracePeriodSubs.length, 2);
-  assertEqual(gracePeriodSubs[0].socketId, 'user-1');
-  assertEqual(gracePeriodSubs[1].socketId, 'user-2');
+  assertEqual(gracePeriodSubs[0].playerId, 'user-1');
+  assertEqual(gracePeriodSubs[1].playerId, 'user-2');
 });
 
 // Test 11: Getting submission data
@@ -409,6 +412,349 @@ test('Complete workflow: question -> submissions -> winner -> reset', () => {
   assertEqual(stateManager.submissions.size, 0);
 });
 
+// Test 21: Resolution mode configuration
+test('setResolutionMode() validates the mode', () => {
+  const stateManager = new StateManager();
+
+  assertEqual(stateManager.getResolutionMode(), 'instant'); // Default
+
+  stateManager.setResolutionMode('grace-period');
+  assertEqual(stateManager.getResolutionMode(), 'grace-period');
+
+  try {
+    stateManager.setResolutionMode('whoever-shouts-loudest');
+    throw new Error('Should have thrown an error');
+  } catch (error) {
+    assert(error.message.includes('Invalid resolution mode'));
+  }
+});
+
+// Test 22: First correct submission opens the grace window
+test('registerCorrectSubmission() opens the grace window once', () => {
+  const stateManager = new StateManager();
+  const generator = new QuestionGenerator();
+
+  stateManager.setQuestion(generator.generate());
+  stateManager.setResolutionMode('grace-period');
+
+  const t = Date.now();
+  stateManager.recordSubmission('user-1', '42', t);
+  stateManager.recordSubmission('user-2', '42', t + 20);
+
+  const first = stateManager.registerCorrectSubmission('user-1');
+  const second = stateManager.registerCorrectSubmission('user-2');
+
+  assertEqual(first.windowOpened, true);
+  assertEqual(second.windowOpened, false);
+  assertEqual(second.accepted, true);
+  assertEqual(stateManager.isResolving(), true);
+  assertEqual(stateManager.isQuestionLocked(), false); // Not locked until resolved
+});
+
+// Test 23: Latency compensation picks the earliest sender
+test('resolveGracePeriod() picks the winner by latency-compensated time', () => {
+  const stateManager = new StateManager();
+  const generator = new QuestionGenerator();
+
+  stateManager.setQuestion(generator.generate());
+  stateManager.setGracePeriod(100);
+
+  const t = Date.now();
+  // user-1 arrives first on a fast connection (sent at ~t - 5)
+  stateManager.recordSubmission('user-1', '42', t, { rttMs: 10 });
+  // user-2 arrives later on a slow connection (sent at ~t + 40 - 60 = t - 20)
+  stateManager.recordSubmission('user-2', '42', t + 40, { rttMs: 120 });
+
+  stateManager.registerCorrectSubmission('user-1');
+  stateManager.registerCorrectSubmission('user-2');
+
+  const winners = stateManager.resolveGracePeriod();
+
+  assertEqual(winners.length, 1);
+  assertEqual(winners[0].playerId, 'user-2');
+  assertEqual(stateManager.getWinner(), 'user-2');
+  assertEqual(stateManager.isQuestionLocked(), true);
+  assertEqual(stateManager.isResolving(), false);
+});
+
+// Test 24: Ties become co-winners
+test('resolveGracePeriod() reports ties as co-winners', () => {
+  const stateManager = new StateManager();
+  const generator = new QuestionGenerator();
+
+  stateManager.setQuestion(generator.generate());
+
+  const t = Date.now();
+  stateManager.recordSubmission('user-1', '42', t, { rttMs: 20 });
+  stateManager.recordSubmission('user-2', '42', t + 10, { rttMs: 40 }); // Same compensated time
+  stateManager.recordSubmission('user-3', '42', t + 50, { rttMs: 20 }); // Clearly later
+
+  ['user-1', 'user-2', 'user-3'].forEach(id => stateManager.registerCorrectSubmission(id));
+
+  const winners = stateManager.resolveGracePeriod();
+
+  assertEqual(winners.length, 2);
+  assertEqual(stateManager.getWinners().length, 2);
+  assert(stateManager.getWinners().includes('user-1'));
+  assert(stateManager.getWinners().includes('user-2'));
+});
+
+// Test 25: Late candidates are ignored
+test('resolveGracePeriod() ignores answers after the grace window', () => {
+  const stateManager = new StateManager();
+  const generator = new QuestionGenerator();
+
+  stateManager.setQuestion(generator.generate());
+  stateManager.setGracePeriod(100);
+
+  const t = Date.now();
+  stateManager.recordSubmission('user-1', '42', t, { rttMs: 0 });
+  stateManager.recordSubmission('user-2', '42', t + 150, { rttMs: 1000 }); // Outside window
+
+  stateManager.registerCorrectSubmission('user-1');
+  stateManager.registerCorrectSubmission('user-2');
+
+  const winners = stateManager.resolveGracePeriod();
+
+  assertEqual(winners.length, 1);
+  assertEqual(winners[0].playerId, 'user-1');
+
+  // Nothing left to resolve and no more candidates accepted
+  assertEqual(stateManager.resolveGracePeriod().length, 0);
+  assertEqual(stateManager.registerCorrectSubmission('user-2').accepted, false);
+});
+
+// Test 26: Limited attempts
+test('recordSubmission() allows retries up to the attempt limit', () => {
+  const stateManager = new StateManager();
+  const generator = new QuestionGenerator();
+
+  stateManager.setAttemptPolicy({ mode: 'limited', maxAttempts: 2 });
+  stateManager.setQuestion(generator.generate());
+
+  const t = Date.now();
+  const first = stateManager.recordSubmission('user-1', '1', t);
+  stateManager.markAttemptResult('user-1', false);
+  assertEqual(first.success, true);
+  assertEqual(first.attemptsRemaining, 1);
+
+  const second = stateManager.recordSubmission('user-1', '2', t + 10);
+  stateManager.markAttemptResult('user-1', false);
+  assertEqual(second.success, true);
+  assertEqual(second.attemptNumber, 2);
+  assertEqual(second.attemptsRemaining, 0);
+
+  const third = stateManager.recordSubmission('user-1', '3', t + 20);
+  assertEqual(third.success, false);
+  assertEqual(third.reason, 'no-attempts-left');
+});
+
+// Test 27: Every attempt is stored
+test('Every attempt is stored and ordered', () => {
+  const stateManager = new StateManager();
+  const generator = new QuestionGenerator();
+
+  stateManager.setAttemptPolicy({ mode: 'unlimited' });
+  stateManager.setQuestion(generator.generate());
+
+  const t = Date.now();
+  stateManager.recordSubmission('user-1', '1', t);
+  stateManager.markAttemptResult('user-1', false);
+  stateManager.recordSubmission('user-2', '5', t + 5);
+  stateManager.markAttemptResult('user-2', false);
+  stateManager.recordSubmission('user-1', '2', t + 10);
+
+  assertEqual(stateManager.getAttempts('user-1').length, 2);
+  assertEqual(stateManager.getSubmission('user-1').answer, '2'); // Latest attempt
+  assertEqual(stateManager.getAttemptsRemaining('user-1'), null); // Unlimited
+
+  const ordered = stateManager.getSubmissionsInOrder();
+  assertEqual(ordered.length, 3);
+  assertEqual(ordered[0].answer, '1');
+  assertEqual(ordered[1].playerId, 'user-2');
+  assertEqual(ordered[2].attemptNumber, 2);
+  assertEqual(stateManager.getStats().totalAttempts, 3);
+});
+
+// Test 28: Cooldown between wrong answers
+test('recordSubmission() enforces cooldown after a wrong answer', () => {
+  const stateManager = new StateManager();
+  const generator = new QuestionGenerator();
+
+  stateManager.setAttemptPolicy({ mode: 'unlimited', cooldownMs: 1000 });
+  stateManager.setQuestion(generator.generate());
+
+  const t = Date.now();
+  stateManager.recordSubmission('user-1', '1', t);
+  stateManager.markAttemptResult('user-1', false);
+
+  const tooSoon = stateManager.recordSubmission('user-1', '2', t + 400);
+  assertEqual(tooSoon.success, false);
+  assertEqual(tooSoon.reason, 'cooldown');
+  assertEqual(tooSoon.retryAfterMs, 600);
+
+  const afterCooldown = stateManager.recordSubmission('user-1', '2', t + 1000);
+  assertEqual(afterCooldown.success, true);
+});
+
+// Test 29: Penalty for wrong answers and no retries after a correct one
+test('markAttemptResult() reports penalties and correct answers end attempts', () => {
+  const stateManager = new StateManager();
+  const generator = new QuestionGenerator();
+
+  stateManager.setAttemptPolicy({ mode: 'unlimited', penaltyPoints: 25 });
+  stateManager.setQuestion(generator.generate());
+
+  const t = Date.now();
+  stateManager.recordSubmission('user-1', '1', t);
+  assertEqual(stateManager.markAttemptResult('user-1', false).penaltyPoints, 25);
+
+  stateManager.recordSubmission('user-1', '2', t + 10);
+  assertEqual(stateManager.markAttemptResult('user-1', true).penaltyPoints, 0);
+
+  const again = stateManager.recordSubmission('user-1', '2', t + 20);
+  assertEqual(again.success, false);
+  assertEqual(again.reason, 'already-correct');
+});
+
+// Test 30: Per-question policy overrides the default
+test('setQuestion() applies a question-specific attempt policy', () => {
+  const stateManager = new StateManager();
+  const generator = new QuestionGenerator();
+
+  const question = generator.generate();
+  question.attemptPolicy = { mode: 'limited', maxAttempts: 5 };
+  stateManager.setQuestion(question);
+  assertEqual(stateManager.getAttemptPolicy().maxAttempts, 5);
+
+  stateManager.setQuestion(generator.generate());
+  assertEqual(stateManager.getAttemptPolicy().mode, 'single'); // Back to default
+
+  try {
+    stateManager.setAttemptPolicy({ mode: 'limited' });
+    throw new Error('Should have thrown an error');
+  } catch (error) {
+    assert(error.message.includes('maxAttempts'));
+  }
+});
+
+// Test 31: Expiring a question with no winner
+test('expireQuestion() closes an unanswered question', () => {
+  const stateManager = new StateManager();
+  const generator = new QuestionGenerator();
+
+  stateManager.setQuestion(generator.generate());
+
+  assertEqual(stateManager.expireQuestion(), true);
+  assertEqual(stateManager.isQuestionExpired(), true);
+  assertEqual(stateManager.isQuestionLocked(), true);
+  assertEqual(stateManager.getWinner(), null);
+
+  const result = stateManager.recordSubmission('user-1', '42', Date.now());
+  assertEqual(result.success, false);
+  assertEqual(result.reason, 'time-up');
+
+  // The next question starts fresh
+  stateManager.setQuestion(generator.generate());
+  assertEqual(stateManager.isQuestionExpired(), false);
+});
+
+// Test 32: A won question cannot expire
+test('expireQuestion() does nothing once there is a winner', () => {
+  const stateManager = new StateManager();
+  const generator = new QuestionGenerator();
+
+  stateManager.setQuestion(generator.generate());
+  stateManager.recordSubmission('user-1', '42', Date.now());
+  stateManager.attemptWin('user-1', true);
+
+  assertEqual(stateManager.expireQuestion(), false);
+  assertEqual(stateManager.isQuestionExpired(), false);
+  assertEqual(stateManager.getWinner(), 'user-1');
+});
+
+// Test 33: Penalties are kept with the attempt they were charged for
+test('recordPenalty() stores the deducted points on the latest attempt', () => {
+  const stateManager = new StateManager();
+  const generator = new QuestionGenerator();
+
+  stateManager.setAttemptPolicy({ mode: 'unlimited', penaltyPoints: 25 });
+  stateManager.setQuestion(generator.generate());
+
+  stateManager.recordSubmission('user-1', '1', Date.now());
+  stateManager.markAttemptResult('user-1', false);
+  stateManager.recordPenalty('user-1', 10);
+  stateManager.recordSubmission('user-1', '2', Date.now() + 1);
+
+  const [first, second] = stateManager.getAttempts('user-1');
+  assertEqual(first.penalty, 10);
+  assertEqual(second.penalty, 0);
+  assertEqual(stateManager.getSubmissionsInOrder()[0].penalty, 10);
+});
+
+// Test 34: Team buzz-in
+test('The per-team rule lets only the first player on a team answer', () => {
+  const stateManager = new StateManager();
+  const generator = new QuestionGenerator();
+
+  stateManager.setAttemptPolicy({ mode: 'limited', maxAttempts: 2 });
+  stateManager.setSubmissionRule('per-team');
+  stateManager.setQuestion(generator.generate());
+
+  assertEqual(stateManager.recordSubmission('user-1', '1', Date.now(), { teamId: 'red' }).success, true);
+  assertEqual(stateManager.getTeamCaptain('red'), 'user-1');
+
+  const teammate = stateManager.recordSubmission('user-2', '2', Date.now(), { teamId: 'red' });
+  assertEqual(teammate.success, false);
+  assertEqual(teammate.reason, 'team-answered');
+  assertEqual(teammate.captainId, 'user-1');
+
+  stateManager.markAttemptResult('user-1', false);
+  assertEqual(stateManager.recordSubmission('user-1', '3', Date.now(), { teamId: 'red' }).success, true,
+    'The captain keeps the attempts the policy allows');
+  assertEqual(stateManager.recordSubmission('user-3', '4', Date.now(), { teamId: 'blue' }).success, true,
+    'Other teams buzz in independently');
+
+  // Each question picks new captains
+  stateManager.setQuestion(generator.generate());
+  assertEqual(stateManager.getTeamCaptain('red'), null);
+  assertEqual(stateManager.recordSubmission('user-2', '5', Date.now(), { teamId: 'red' }).success, true);
+});
+
+test('The per-player rule ignores teams', () => {
+  const stateManager = new StateManager();
+  const generator = new QuestionGenerator();
+
+  assertEqual(stateManager.getSubmissionRule(), 'per-player');
+  stateManager.setQuestion(generator.generate());
+
+  stateManager.recordSubmission('user-1', '1', Date.now(), { teamId: 'red' });
+  assertEqual(stateManager.recordSubmission('user-2', '2', Date.now(), { teamId: 'red' }).success, true);
+  assertEqual(stateManager.getTeamCaptain('red'), null);
+
+  let threw = false;
+  try {
+    stateManager.setSubmissionRule('per-room');
+  } catch (error) {
+    threw = true;
+  }
+  assert(threw, 'Unknown rules are rejected');
+});
+
+// Test 36: Elimination
+test('Eliminated players are rejected without using an attempt', () => {
+  const stateManager = new StateManager();
+  const generator = new QuestionGenerator();
+
+  stateManager.setQuestion(generator.generate());
+
+  const result = stateManager.recordSubmission('user-1', '1', Date.now(), { eliminated: true });
+  assertEqual(result.success, false);
+  assertEqual(result.reason, 'eliminated');
+  assertEqual(stateManager.hasSubmitted('user-1'), false);
+  assertEqual(stateManager.recordSubmission('user-2', '2', Date.now(), { eliminated: false }).success, true);
+});
+
 // Print Summary
 console.log('\n' + '='.repeat(50));
 console.log(`📊 Test Summary`);
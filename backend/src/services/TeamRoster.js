@@ -0,0 +1,268 @@
+/**
+ * TeamRoster - Team Play
+ *
+ * Keeps a room's teams and which team each player is on. Players pick a
+ * team or are put on the team with the fewest connected players; a
+ * player keeps their team when they reconnect. Team scores aren't kept
+ * separately - a team's score is the total of its players' scores, so
+ * penalties, restores and resets carry over by themselves.
+ *
+ * Key Features:
+ * - Teams set by name (no teams means team play is off)
+ * - Picking a team by ID or name, or auto-balancing onto the smallest team
+ * - Team standings aggregated from the players' standings
+ *
+ * @class TeamRoster
+ */
+
+// Most teams a room can have
+const MAX_TEAMS = 8;
+
+// Longest team name
+const MAX_TEAM_NAME_LENGTH = 20;
+
+class TeamRoster {
+  /**
+   * @param {Array<String>} names - Team names (empty for no team play)
+   * @throws {Error} If the names are invalid (see setTeams())
+   */
+  constructor(names = []) {
+    // Teams in display order: { id, name }
+    this.teams = [];
+
+    // Map of playerId -> teamId
+    this.assignments = new Map();
+
+    this.setTeams(names);
+  }
+
+  /**
+   * Replaces the room's teams
+   * Everyone's team is forgotten; pass an empty list to turn team play off.
+   *
+   * @param {Array<String>} names - Team names (2 to MAX_TEAMS, unique)
+   * @throws {Error} If there is only one team, too many, or a name is unusable or repeated
+   */
+  setTeams(names) {
+    if (!Array.isArray(names)) {
+      throw new Error('teams must be a list of team names');
+    }
+
+    const teams = names.map(name => {
+      const cleaned = TeamRoster.sanitizeName(name);
+      const id = cleaned ? TeamRoster.toTeamId(cleaned) : '';
+      if (!id) {
+        throw new Error('Team names need at least one letter or digit');
+      }
+      return { id, name: cleaned };
+    });
+
+    if (teams.length === 1 || teams.length > MAX_TEAMS) {
+      throw new Error(`Team play needs 2 to ${MAX_TEAMS} teams`);
+    }
+    teams.forEach((team, index) => {
+      if (teams.findIndex(other => other.id === team.id) !== index) {
+        throw new Error(`Team names must be different: ${team.name}`);
+      }
+    });
+
+    this.teams = teams;
+    this.assignments.clear();
+  }
+
+  /**
+   * Checks if the room is playing in teams
+   * @returns {Boolean} True if teams are set up
+   */
+  isEnabled() {
+    return this.teams.length > 0;
+  }
+
+  /**
+   * Gets the room's teams
+   * @returns {Array<Object>} { id, name }
+   */
+  getTeams() {
+    return this.teams.map(team => ({ ...team }));
+  }
+
+  /**
+   * Finds a team by ID or name (case-insensitive)
+   * @param {String} idOrName - Team ID or name
+   * @returns {Object|null} { id, name }, or null if there's no such team
+   */
+  findTeam(idOrName) {
+    if (typeof idOrName !== 'string') {
+      return null;
+    }
+
+    const id = TeamRoster.toTeamId(idOrName);
+    const team = this.teams.find(candidate => candidate.id === id);
+    return team ? { ...team } : null;
+  }
+
+  /**
+   * Gets the team a player is on
+   * @param {String} playerId - Player ID
+   * @returns {Object|null} { id, name }, or null if the player has no team
+   */
+  getTeam(playerId) {
+    const teamId = this.assignments.get(playerId);
+    return teamId ? this.findTeam(teamId) : null;
+  }
+
+  /**
+   * Gets the ID of the team a player is on
+   * @param {String} playerId - Player ID
+   * @returns {String|null} Team ID, or null if the player has no team
+   */
+  getTeamId(playerId) {
+    return this.assignments.get(playerId) || null;
+  }
+
+  /**
+   * Puts a player on a team they picked
+   * @param {String} playerId - Player ID
+   * @param {String} idOrName - Team ID or name
+   * @returns {Object|null} The player's team, or null if there's no such team
+   */
+  assign(playerId, idOrName) {
+    const team = this.findTeam(idOrName);
+    if (!team) {
+      return null;
+    }
+
+    this.assignments.set(playerId, team.id);
+    return team;
+  }
+
+  /**
+   * Puts a player without a team on the team with the fewest connected players
+   * Ties go to the team listed first. Players who already have a team keep it.
+   *
+   * @param {String} playerId - Player ID
+   * @param {Array<String>} connectedPlayerIds - Players currently in the room
+   * @returns {Object|null} The player's team, or null if team play is off
+   */
+  autoAssign(playerId, connectedPlayerIds = []) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+    if (this.assignments.has(playerId)) {
+      return this.getTeam(playerId);
+    }
+
+    const counts = this.countPlayers(connectedPlayerIds);
+    const smallest = this.teams.reduce((best, team) => (counts[team.id] < counts[best.id] ? team : best));
+
+    this.assignments.set(playerId, smallest.id);
+    return { ...smallest };
+  }
+
+  /**
+   * Counts the connected players on each team
+   * @param {Array<String>} playerIds - Players to count
+   * @returns {Object} Map of teamId -> player count
+   */
+  countPlayers(playerIds) {
+    const counts = {};
+    this.teams.forEach(team => {
+      counts[team.id] = 0;
+    });
+
+    new Set(playerIds).forEach(playerId => {
+      const teamId = this.assignments.get(playerId);
+      if (teamId) {
+        counts[teamId]++;
+      }
+    });
+
+    return counts;
+  }
+
+  /**
+   * Ranks the teams by the total score of their players
+   * Every player who has been on a team counts towards it, connected or not.
+   * Equal scores share a rank.
+   *
+   * @param {Array<Object>} playerStandings - { playerId, score, wins } from ScoringService.getStandings()
+   * @returns {Array<Object>} { rank, teamId, name, score, wins }
+   */
+  getStandings(playerStandings = []) {
+    const totals = new Map(this.teams.map(team => [team.id, { score: 0, wins: 0 }]));
+
+    playerStandings.forEach(({ playerId, score, wins }) => {
+      const total = totals.get(this.assignments.get(playerId));
+      if (total) {
+        total.score += score;
+        total.wins += wins;
+      }
+    });
+
+    const sorted = this.teams
+      .map((team, order) => ({ ...team, ...totals.get(team.id), order }))
+      .sort((a, b) => b.score - a.score || a.order - b.order);
+
+    let rank = 0;
+    return sorted.map((entry, index) => {
+      if (index === 0 || sorted[index - 1].score !== entry.score) {
+        rank = index + 1;
+      }
+
+      return {
+        rank,
+        teamId: entry.id,
+        name: entry.name,
+        score: entry.score,
+        wins: entry.wins
+      };
+    });
+  }
+
+  /**
+   * Gets the team assignments for clients
+   * @returns {Object} Map of playerId -> teamId
+   */
+  getAssignments() {
+    return Object.fromEntries(this.assignments);
+  }
+
+  /**
+   * Cleans up a team name
+   * Collapses whitespace, strips control characters and limits the length.
+   *
+   * @param {*} name - Raw team name
+   * @returns {String|null} Sanitized name or null if nothing usable remains
+   */
+  static sanitizeName(name) {
+    if (typeof name !== 'string') {
+      return null;
+    }
+
+    const cleaned = name
+      .replace(/[\u0000-\u001f\u007f]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, MAX_TEAM_NAME_LENGTH)
+      .trim();
+
+    return cleaned || null;
+  }
+
+  /**
+   * Derives a team's ID from its name ("Red Team" -> "red-team")
+   * @param {String} name - Team name
+   * @returns {String} Team ID (empty if the name has no letters or digits)
+   */
+  static toTeamId(name) {
+    return name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+}
+
+TeamRoster.MAX_TEAMS = MAX_TEAMS;
+TeamRoster.MAX_TEAM_NAME_LENGTH = MAX_TEAM_NAME_LENGTH;
+
+module.exports = TeamRoster;
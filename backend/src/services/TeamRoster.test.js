@@ -0,0 +1,177 @@
+/**
+ * Unit Tests for TeamRoster
+ *
+ * Tests setting up teams, picking and auto-balancing players onto them,
+ * and team standings aggregated from player scores.
+ */
+
+const TeamRoster = require('./TeamRoster');
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+function test(description, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assertThrows(fn, message) {
+  let threw = false;
+  try {
+    fn();
+  } catch (error) {
+    threw = true;
+  }
+  assert(threw, message || 'Expected an error');
+}
+
+console.log('\n🧪 Running TeamRoster Unit Tests\n');
+
+// Test 1: Setting up teams
+test('Team play is off without teams', () => {
+  const roster = new TeamRoster();
+
+  assertEqual(roster.isEnabled(), false);
+  assertEqual(roster.autoAssign('p1', []), null);
+  assertEqual(roster.getStandings([{ playerId: 'p1', score: 100, wins: 1 }]).length, 0);
+});
+
+test('Teams get IDs from their names', () => {
+  const roster = new TeamRoster(['  Red   Team ', 'Blue']);
+
+  assertEqual(roster.isEnabled(), true);
+  assertEqual(roster.getTeams()[0].id, 'red-team');
+  assertEqual(roster.getTeams()[0].name, 'Red Team');
+  assertEqual(roster.findTeam('RED TEAM').id, 'red-team', 'Teams can be found by name');
+  assertEqual(roster.findTeam('blue').name, 'Blue', 'Teams can be found by ID');
+  assertEqual(roster.findTeam('green'), null);
+});
+
+test('Invalid team lists are rejected', () => {
+  assertThrows(() => new TeamRoster(['Solo']), 'One team is not team play');
+  assertThrows(() => new TeamRoster(['Red', 'red']), 'Names must be different');
+  assertThrows(() => new TeamRoster(['Red', '!!!']), 'Names need a letter or digit');
+  assertThrows(() => new TeamRoster(Array.from({ length: TeamRoster.MAX_TEAMS + 1 }, (_, i) => `T${i}`)));
+  assertThrows(() => new TeamRoster('Red,Blue'));
+});
+
+// Test 2: Assigning players
+test('autoAssign() balances players onto the smallest team', () => {
+  const roster = new TeamRoster(['Red', 'Blue', 'Green']);
+
+  assertEqual(roster.autoAssign('p1', []).id, 'red');
+  assertEqual(roster.autoAssign('p2', ['p1']).id, 'blue');
+  assertEqual(roster.autoAssign('p3', ['p1', 'p2']).id, 'green');
+  assertEqual(roster.autoAssign('p4', ['p1', 'p2', 'p3']).id, 'red', 'Ties go to the first team');
+  assertEqual(roster.autoAssign('p5', ['p1', 'p3', 'p4']).id, 'blue', 'Only connected players count');
+});
+
+test('Players keep their team until they pick another', () => {
+  const roster = new TeamRoster(['Red', 'Blue']);
+
+  roster.autoAssign('p1', []);
+  assertEqual(roster.autoAssign('p1', ['p2', 'p3']).id, 'red');
+
+  assertEqual(roster.assign('p1', 'Blue').id, 'blue');
+  assertEqual(roster.getTeamId('p1'), 'blue');
+  assertEqual(roster.assign('p1', 'purple'), null);
+  assertEqual(roster.getTeamId('p1'), 'blue', 'Picking an unknown team changes nothing');
+});
+
+test('setTeams() forgets every assignment', () => {
+  const roster = new TeamRoster(['Red', 'Blue']);
+  roster.assign('p1', 'red');
+
+  roster.setTeams(['Cats', 'Dogs']);
+  assertEqual(roster.getTeam('p1'), null);
+
+  roster.setTeams([]);
+  assertEqual(roster.isEnabled(), false);
+});
+
+test('countPlayers() counts connected players per team', () => {
+  const roster = new TeamRoster(['Red', 'Blue']);
+  roster.assign('p1', 'red');
+  roster.assign('p2', 'red');
+  roster.assign('p3', 'blue');
+
+  const counts = roster.countPlayers(['p1', 'p3', 'p3', 'p9']);
+  assertEqual(counts.red, 1);
+  assertEqual(counts.blue, 1, 'Players with several connections count once');
+});
+
+// Test 3: Standings
+test('Team standings add up their players\' scores', () => {
+  const roster = new TeamRoster(['Red', 'Blue', 'Green']);
+  roster.assign('p1', 'red');
+  roster.assign('p2', 'blue');
+  roster.assign('p3', 'blue');
+
+  const standings = roster.getStandings([
+    { playerId: 'p1', score: 300, wins: 1 },
+    { playerId: 'p2', score: 200, wins: 1 },
+    { playerId: 'p3', score: 150, wins: 2 },
+    { playerId: 'p4', score: 999, wins: 5 }
+  ]);
+
+  assertEqual(standings[0].teamId, 'blue');
+  assertEqual(standings[0].score, 350);
+  assertEqual(standings[0].wins, 3);
+  assertEqual(standings[1].teamId, 'red');
+  assertEqual(standings[2].score, 0, 'Teams without points are still listed');
+});
+
+test('Teams with equal scores share a rank', () => {
+  const roster = new TeamRoster(['Red', 'Blue', 'Green']);
+  roster.assign('p1', 'red');
+  roster.assign('p2', 'blue');
+
+  const standings = roster.getStandings([
+    { playerId: 'p1', score: 100, wins: 1 },
+    { playerId: 'p2', score: 100, wins: 1 }
+  ]);
+
+  assertEqual(standings[0].rank, 1);
+  assertEqual(standings[1].rank, 1);
+  assertEqual(standings[2].rank, 3);
+});
+
+// Print Summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Summary`);
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log(`📈 Total: ${testsPassed + testsFailed}`);
+console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+console.log('='.repeat(50) + '\n');
+
+if (testsFailed === 0) {
+  console.log('🎉 All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('⚠️  Some tests failed. Please review.\n');
+  process.exit(1);
+}
@@ -0,0 +1,100 @@
+/**
+ * CompositeProvider - Mixes Several Question Sources
+ *
+ * Picks a child provider at random (by weight) for each question, e.g.
+ * 70% generated arithmetic and 30% curated bank questions. Answers are
+ * validated by whichever provider produced the question.
+ *
+ * @class CompositeProvider
+ */
+
+const QuestionProvider = require('./QuestionProvider');
+
+class CompositeProvider extends QuestionProvider {
+  /**
+   * @param {Array<{provider: QuestionProvider, weight: Number}>} entries - Child providers
+   * @param {Object} options - Provider options
+   * @param {String} options.name - Provider name (default 'mixed')
+   */
+  constructor(entries, { name = 'mixed' } = {}) {
+    super(name);
+
+    this.entries = entries.filter(entry => entry.weight > 0);
+
+    if (this.entries.length === 0) {
+      throw new Error('CompositeProvider needs at least one provider with a positive weight');
+    }
+  }
+
+  /**
+   * Picks a provider by weight, skipping any already tried
+   * @param {Set} excluded - Providers to skip
+   * @returns {QuestionProvider|null} Chosen provider
+   */
+  pickProvider(excluded) {
+    const candidates = this.entries.filter(entry => !excluded.has(entry.provider));
+    const totalWeight = candidates.reduce((sum, entry) => sum + entry.weight, 0);
+    let roll = Math.random() * totalWeight;
+
+    for (const entry of candidates) {
+      roll -= entry.weight;
+      if (roll < 0) {
+        return entry.provider;
+      }
+    }
+
+    return candidates.length > 0 ? candidates[candidates.length - 1].provider : null;
+  }
+
+  /**
+   * Gets the next question from a weighted-random child provider
+   * Falls through to the other providers if the chosen one has run out.
+   *
+   * @param {String} difficulty - Requested difficulty
+   * @returns {Object|null} Question object
+   */
+  next(difficulty) {
+    const tried = new Set();
+
+    while (tried.size < this.entries.length) {
+      const provider = this.pickProvider(tried);
+      const question = provider.next(difficulty);
+
+      if (question) {
+        return question;
+      }
+      tried.add(provider);
+    }
+
+    return null;
+  }
+
+  /**
+   * Validates with the provider that produced the question
+   * @param {*} userAnswer - Submitted answer
+   * @param {Object} question - Question object
+   * @returns {Boolean} True if correct
+   */
+  validate(userAnswer, question) {
+    const entry = this.entries.find(candidate => candidate.provider.name === question.provider);
+    return entry
+      ? entry.provider.validate(userAnswer, question)
+      : super.validate(userAnswer, question);
+  }
+
+  /**
+   * Gets a description of the provider and its children
+   * @returns {Object} Provider info
+   */
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      providers: this.entries.map(entry => ({
+        ...entry.provider.getInfo(),
+        weight: entry.weight
+      }))
+    };
+  }
+}
+
+module.exports = CompositeProvider;
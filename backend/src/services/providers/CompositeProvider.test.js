@@ -0,0 +1,186 @@
+/**
+ * Unit Tests for CompositeProvider and the provider factory
+ *
+ * Tests weighted mixing of question sources, validation routing
+ * and configuration handling.
+ */
+
+const path = require('path');
+const CompositeProvider = require('./CompositeProvider');
+const GeneratorProvider = require('./GeneratorProvider');
+const QuestionBankProvider = require('./QuestionBankProvider');
+const QuestionProvider = require('./QuestionProvider');
+const { createProviderFactory } = require('./index');
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+function test(description, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+const SAMPLE_BANK = path.join(__dirname, '../../../data/question-banks/sample.json');
+
+function createBankProvider() {
+  return new QuestionBankProvider(QuestionBankProvider.parse([
+    { question: 'Capital of France?', type: 'text', answer: 'Paris' }
+  ], 'trivia'));
+}
+
+// Test Suite
+console.log('\n🧪 Running CompositeProvider Unit Tests\n');
+
+// Test 1: Generator provider
+test('GeneratorProvider produces numeric questions tagged with its name', () => {
+  const provider = new GeneratorProvider();
+  const question = provider.next('easy');
+
+  assertEqual(question.type, 'numeric');
+  assertEqual(question.provider, 'generator');
+  assertEqual(question.difficulty, 'easy');
+  assert(provider.validate(String(question.answer), question));
+});
+
+// Test 2: Base class contract
+test('QuestionProvider requires next() to be implemented', () => {
+  const provider = new QuestionProvider('empty');
+  let threw = false;
+
+  try {
+    provider.next();
+  } catch (error) {
+    threw = true;
+  }
+
+  assert(threw, 'next() should throw on the base class');
+});
+
+// Test 3: Weighted mixing
+test('next() mixes providers according to their weights', () => {
+  const composite = new CompositeProvider([
+    { provider: createBankProvider(), weight: 1 },
+    { provider: new GeneratorProvider(), weight: 1 }
+  ]);
+
+  const sources = new Set();
+  for (let i = 0; i < 100; i++) {
+    sources.add(composite.next('medium').provider);
+  }
+
+  assert(sources.has('trivia') && sources.has('generator'), 'Both sources should be used');
+});
+
+// Test 4: Zero weight disables a provider
+test('providers with zero weight are never used', () => {
+  const composite = new CompositeProvider([
+    { provider: createBankProvider(), weight: 0 },
+    { provider: new GeneratorProvider(), weight: 1 }
+  ]);
+
+  for (let i = 0; i < 20; i++) {
+    assertEqual(composite.next().provider, 'generator');
+  }
+});
+
+// Test 5: Fallthrough when a provider runs out
+test('next() falls through to other providers when one returns null', () => {
+  const exhausted = new QuestionProvider('exhausted');
+  exhausted.next = () => null;
+
+  const composite = new CompositeProvider([
+    { provider: exhausted, weight: 100 },
+    { provider: createBankProvider(), weight: 1 }
+  ]);
+
+  assertEqual(composite.next().provider, 'trivia');
+});
+
+// Test 6: Validation routing
+test('validate() uses the provider that produced the question', () => {
+  const composite = new CompositeProvider([
+    { provider: createBankProvider(), weight: 1 },
+    { provider: new GeneratorProvider(), weight: 1 }
+  ]);
+
+  const textQuestion = { provider: 'trivia', type: 'text', answer: 'Paris' };
+  const numericQuestion = { provider: 'generator', type: 'numeric', answer: 12 };
+
+  assert(composite.validate('paris', textQuestion));
+  assert(composite.validate('12', numericQuestion));
+  assert(!composite.validate('13', numericQuestion));
+});
+
+// Test 7: Factory configuration
+test('createProviderFactory() builds a fresh provider per room', () => {
+  const generatorFactory = createProviderFactory();
+  assert(generatorFactory() instanceof GeneratorProvider);
+  assert(generatorFactory() !== generatorFactory());
+
+  const bankFactory = createProviderFactory({ source: 'bank', bankPath: SAMPLE_BANK });
+  const first = bankFactory();
+  const second = bankFactory();
+  assert(first instanceof QuestionBankProvider);
+  assertEqual(first.next().bankQuestionId, second.next().bankQuestionId); // Independent cursors
+
+  const mixed = createProviderFactory({ source: 'mixed', bankPath: SAMPLE_BANK, bankRatio: 0.25 })();
+  assert(mixed instanceof CompositeProvider);
+  assertEqual(mixed.getInfo().providers.length, 2);
+});
+
+// Test 8: Factory errors
+test('createProviderFactory() rejects invalid configuration', () => {
+  const expectError = (config, text) => {
+    try {
+      createProviderFactory(config);
+    } catch (error) {
+      assert(error.message.includes(text), `Unexpected error: ${error.message}`);
+      return;
+    }
+    throw new Error(`Expected an error for ${JSON.stringify(config)}`);
+  };
+
+  expectError({ source: 'oracle' }, 'Invalid question source');
+  expectError({ source: 'bank' }, 'requires a question bank path');
+  expectError({ source: 'mixed', bankPath: SAMPLE_BANK, bankRatio: 'lots' }, 'Invalid question bank ratio');
+});
+
+// Print Summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Summary`);
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log(`📈 Total: ${testsPassed + testsFailed}`);
+console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+console.log('='.repeat(50) + '\n');
+
+if (testsFailed === 0) {
+  console.log('🎉 All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('⚠️  Some tests failed. Please review.\n');
+  process.exit(1);
+}
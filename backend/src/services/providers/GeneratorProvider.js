@@ -0,0 +1,52 @@
+/**
+ * GeneratorProvider - Procedurally Generated Questions
+ *
+ * Wraps QuestionGenerator so the random arithmetic mode fits the
+ * question-provider interface.
+ *
+ * @class GeneratorProvider
+ */
+
+const QuestionProvider = require('./QuestionProvider');
+const QuestionGenerator = require('../QuestionGenerator');
+
+class GeneratorProvider extends QuestionProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {String} options.name - Provider name (default 'generator')
+   * @param {QuestionGenerator} options.generator - Generator to use (a new one by default)
+   */
+  constructor({ name = 'generator', generator = new QuestionGenerator() } = {}) {
+    super(name);
+    this.generator = generator;
+  }
+
+  /**
+   * Generates a random question
+   * @param {String} difficulty - Difficulty level ('easy', 'medium', 'hard')
+   * @returns {Object} Question object
+   */
+  next(difficulty) {
+    return {
+      ...this.generator.generate(difficulty),
+      type: 'numeric',
+      allowExpressions: false, // The question itself is an expression
+      provider: this.name
+    };
+  }
+
+  /**
+   * Checks a submitted answer with the generator's own validation
+   * @param {*} userAnswer - Submitted answer
+   * @param {Object} question - Generated question
+   * @returns {Boolean} True if correct
+   */
+  validate(userAnswer, question) {
+    return this.generator.validate(userAnswer, question.answer, {
+      tolerance: question.tolerance,
+      allowExpressions: question.allowExpressions
+    });
+  }
+}
+
+module.exports = GeneratorProvider;
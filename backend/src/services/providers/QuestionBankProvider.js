@@ -0,0 +1,220 @@
+/**
+ * QuestionBankProvider - Curated Questions Loaded from Disk
+ *
+ * Serves questions from a JSON or YAML question bank so competitions can
+ * run a fixed problem set. Questions may be numeric, free text or
+ * multiple choice, and can carry their own attempt policy.
+ *
+ * Bank file format (JSON shown, YAML uses the same structure):
+ *
+ *   {
+ *     "name": "round-1",
+ *     "order": "sequential",            // or "shuffle"
+ *     "questions": [
+ *       { "question": "12 * 12", "answer": 144, "difficulty": "easy" },
+ *       { "question": "22 / 7 to 2 d.p.", "answer": 3.14, "tolerance": 0.005 },
+ *       { "question": "Capital of France?", "answer": "Paris", "type": "text" },
+ *       { "question": "Which is prime?", "type": "choice",
+ *         "choices": ["21", "27", "29"], "answer": "29" }
+ *     ]
+ *   }
+ *
+ * A bare array of questions is also accepted.
+ *
+ * @class QuestionBankProvider
+ */
+
+const fs = require('fs');
+const path = require('path');
+const QuestionProvider = require('./QuestionProvider');
+const AnswerValidator = require('../AnswerValidator');
+const { QUESTION_TYPES, DEFAULT_TYPE } = require('./validators');
+
+const ORDERS = ['sequential', 'shuffle'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const answerValidator = new AnswerValidator();
+
+class QuestionBankProvider extends QuestionProvider {
+  /**
+   * @param {Object} bank - Parsed bank from QuestionBankProvider.parse()
+   * @param {Object} options - Provider options
+   * @param {String} options.name - Provider name (defaults to the bank name)
+   * @param {String} options.order - Overrides the bank's order ('sequential' or 'shuffle')
+   */
+  constructor(bank, options = {}) {
+    super(options.name || bank.name);
+
+    this.questions = bank.questions;
+    this.order = options.order || bank.order;
+
+    // Remaining question indexes for the current pass through the bank
+    this.queue = [];
+    this.pass = 0;
+  }
+
+  /**
+   * Reads and parses a question bank file
+   * YAML support needs the optional 'js-yaml' package.
+   *
+   * @param {String} filePath - Path to a .json, .yaml or .yml file
+   * @returns {Object} Parsed bank { name, order, questions }
+   * @throws {Error} If the file can't be read or the bank is invalid
+   */
+  static load(filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+    let data;
+
+    if (extension === '.yaml' || extension === '.yml') {
+      let yaml;
+      try {
+        yaml = require('js-yaml');
+      } catch (error) {
+        throw new Error(`Loading YAML question bank "${filePath}" requires the 'js-yaml' package`);
+      }
+      data = yaml.load(raw);
+    } else {
+      data = JSON.parse(raw);
+    }
+
+    return QuestionBankProvider.parse(data, path.basename(filePath, extension));
+  }
+
+  /**
+   * Validates raw bank data and fills in defaults
+   * @param {Object|Array} data - Raw bank data
+   * @param {String} defaultName - Name to use if the bank has none
+   * @returns {Object} Parsed bank { name, order, questions }
+   * @throws {Error} Describing the first invalid entry
+   */
+  static parse(data, defaultName = 'question-bank') {
+    const bank = Array.isArray(data) ? { questions: data } : (data || {});
+    const name = bank.name || defaultName;
+    const order = bank.order || 'sequential';
+    const fail = (message) => {
+      throw new Error(`Invalid question bank "${name}": ${message}`);
+    };
+
+    if (!ORDERS.includes(order)) {
+      fail(`order must be one of ${ORDERS.join(', ')}`);
+    }
+    if (!Array.isArray(bank.questions) || bank.questions.length === 0) {
+      fail('it must contain at least one question');
+    }
+
+    const questions = bank.questions.map((entry, index) => {
+      const label = `question #${index + 1}`;
+      const type = entry?.type || DEFAULT_TYPE;
+
+      if (typeof entry?.question !== 'string' || !entry.question.trim()) {
+        fail(`${label} needs a "question" string`);
+      }
+      if (!QUESTION_TYPES.includes(type)) {
+        fail(`${label} has unknown type "${type}" (expected ${QUESTION_TYPES.join(', ')})`);
+      }
+      if (entry.answer === undefined || entry.answer === null || entry.answer === '') {
+        fail(`${label} needs an "answer"`);
+      }
+      // Numeric answers may be written as fractions or mixed numbers ("3/4", "1 1/2")
+      const numericAnswer = type === 'numeric' ? answerValidator.parse(entry.answer) : null;
+      if (type === 'numeric' && !numericAnswer) {
+        fail(`${label} is numeric but its answer "${entry.answer}" is not a number`);
+      }
+      if (type === 'choice') {
+        if (!Array.isArray(entry.choices) || entry.choices.length < 2) {
+          fail(`${label} needs at least two "choices"`);
+        }
+        if (!entry.choices.map(String).includes(String(entry.answer))) {
+          fail(`${label} answer "${entry.answer}" is not one of its choices`);
+        }
+      }
+      if (entry.tolerance !== undefined && !(Number(entry.tolerance) >= 0)) {
+        fail(`${label} tolerance must be a non-negative number`);
+      }
+      if (entry.difficulty && !DIFFICULTIES.includes(entry.difficulty)) {
+        fail(`${label} has unknown difficulty "${entry.difficulty}"`);
+      }
+
+      return {
+        bankQuestionId: entry.id || `${name}-${index + 1}`,
+        question: entry.question.trim(),
+        answer: type === 'numeric' ? numericAnswer.value : String(entry.answer),
+        type,
+        choices: type === 'choice' ? entry.choices.map(String) : undefined,
+        acceptedAnswers: entry.acceptedAnswers,
+        caseSensitive: entry.caseSensitive,
+        tolerance: entry.tolerance !== undefined ? Number(entry.tolerance) : undefined,
+        allowExpressions: entry.allowExpressions,
+        difficulty: entry.difficulty || null,
+        attemptPolicy: entry.attemptPolicy
+      };
+    });
+
+    return { name, order, questions };
+  }
+
+  /**
+   * Refills the queue for a new pass through the bank
+   */
+  refill() {
+    this.queue = this.questions.map((_, index) => index);
+
+    if (this.order === 'shuffle') {
+      for (let i = this.queue.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [this.queue[i], this.queue[j]] = [this.queue[j], this.queue[i]];
+      }
+    }
+
+    this.pass++;
+  }
+
+  /**
+   * Serves the next question from the bank
+   * Prefers a question of the requested difficulty from the current pass;
+   * questions without a difficulty match any request. Starts a new pass
+   * once every question has been used.
+   *
+   * @param {String} difficulty - Requested difficulty
+   * @returns {Object} Question object
+   */
+  next(difficulty) {
+    if (this.queue.length === 0) {
+      this.refill();
+    }
+
+    const matchIndex = this.queue.findIndex(index => {
+      const questionDifficulty = this.questions[index].difficulty;
+      return !difficulty || !questionDifficulty || questionDifficulty === difficulty;
+    });
+
+    const [index] = this.queue.splice(matchIndex === -1 ? 0 : matchIndex, 1);
+    const entry = this.questions[index];
+    const generatedAt = Date.now();
+
+    return {
+      ...entry,
+      id: this.createQuestionId(),
+      difficulty: entry.difficulty || difficulty || 'medium',
+      provider: this.name,
+      generatedAt,
+      generatedAtISO: new Date(generatedAt).toISOString()
+    };
+  }
+
+  /**
+   * Gets a description of the provider for monitoring
+   * @returns {Object} Provider info
+   */
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      order: this.order,
+      questionCount: this.questions.length,
+      remainingInPass: this.queue.length,
+      pass: this.pass
+    };
+  }
+}
+
+module.exports = QuestionBankProvider;
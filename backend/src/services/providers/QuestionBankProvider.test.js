@@ -0,0 +1,234 @@
+/**
+ * Unit Tests for QuestionBankProvider
+ *
+ * Tests bank parsing and validation, question ordering,
+ * difficulty selection and per-type answer validation.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QuestionBankProvider = require('./QuestionBankProvider');
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+function assertThrows(fn, text) {
+  try {
+    fn();
+  } catch (error) {
+    assert(error.message.includes(text), `Expected error containing "${text}" but got "${error.message}"`);
+    return;
+  }
+  throw new Error(`Expected an error containing "${text}"`);
+}
+
+function test(description, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+const SAMPLE_BANK = path.join(__dirname, '../../../data/question-banks/sample.json');
+
+// Test Suite
+console.log('\n🧪 Running QuestionBankProvider Unit Tests\n');
+
+// Test 1: Loading the bundled sample bank
+test('load() reads a JSON question bank', () => {
+  const bank = QuestionBankProvider.load(SAMPLE_BANK);
+
+  assertEqual(bank.name, 'sample');
+  assertEqual(bank.order, 'sequential');
+  assert(bank.questions.length > 0);
+  assert(bank.questions.some(q => q.type === 'choice'));
+  assert(bank.questions.some(q => q.type === 'text'));
+});
+
+// Test 2: Bare arrays and defaults
+test('parse() accepts a bare array and fills in defaults', () => {
+  const bank = QuestionBankProvider.parse([{ question: '2 + 2', answer: '4' }], 'basics');
+
+  assertEqual(bank.name, 'basics');
+  assertEqual(bank.questions[0].type, 'numeric');
+  assertEqual(bank.questions[0].answer, 4);
+  assertEqual(bank.questions[0].bankQuestionId, 'basics-1');
+});
+
+// Test 3: Invalid banks
+test('parse() rejects invalid questions with a helpful message', () => {
+  assertThrows(() => QuestionBankProvider.parse({ questions: [] }), 'at least one question');
+  assertThrows(() => QuestionBankProvider.parse([{ answer: 1 }]), 'question #1 needs a "question"');
+  assertThrows(() => QuestionBankProvider.parse([{ question: 'x', answer: 'abc' }]), 'not a number');
+  assertThrows(() => QuestionBankProvider.parse([{ question: 'x', answer: 1, type: 'essay' }]), 'unknown type');
+  assertThrows(
+    () => QuestionBankProvider.parse([{ question: 'x', type: 'choice', choices: ['a', 'b'], answer: 'c' }]),
+    'not one of its choices'
+  );
+  assertThrows(() => QuestionBankProvider.parse({ order: 'backwards', questions: [{ question: 'x', answer: 1 }] }), 'order');
+});
+
+// Test 4: YAML support is optional
+test('load() explains how to enable YAML banks when js-yaml is missing', () => {
+  const file = path.join(os.tmpdir(), `bank-${process.pid}.yaml`);
+  fs.writeFileSync(file, 'questions:\n  - question: "1 + 1"\n    answer: 2\n');
+
+  try {
+    let yamlAvailable = true;
+    try {
+      require.resolve('js-yaml');
+    } catch (error) {
+      yamlAvailable = false;
+    }
+
+    if (yamlAvailable) {
+      assertEqual(QuestionBankProvider.load(file).questions[0].answer, 2);
+    } else {
+      assertThrows(() => QuestionBankProvider.load(file), 'js-yaml');
+    }
+  } finally {
+    fs.unlinkSync(file);
+  }
+});
+
+// Test 5: Sequential order with unique IDs per round
+test('next() serves questions in order and loops with fresh IDs', () => {
+  const provider = new QuestionBankProvider(QuestionBankProvider.parse([
+    { question: 'a', answer: 1 },
+    { question: 'b', answer: 2 }
+  ], 'loop'));
+
+  const first = provider.next();
+  const second = provider.next();
+  const third = provider.next();
+
+  assertEqual(first.question, 'a');
+  assertEqual(second.question, 'b');
+  assertEqual(third.question, 'a');
+  assert(first.id !== third.id, 'Each round should get a new question ID');
+  assertEqual(first.provider, 'loop');
+  assert(first.generatedAt > 0);
+});
+
+// Test 6: Shuffle covers every question each pass
+test('shuffle order uses every question once per pass', () => {
+  const provider = new QuestionBankProvider(QuestionBankProvider.parse({
+    order: 'shuffle',
+    questions: [1, 2, 3, 4, 5].map(n => ({ question: `q${n}`, answer: n }))
+  }));
+
+  const seen = new Set();
+  for (let i = 0; i < 5; i++) {
+    seen.add(provider.next().question);
+  }
+
+  assertEqual(seen.size, 5);
+});
+
+// Test 7: Difficulty preference
+test('next() prefers questions of the requested difficulty', () => {
+  const provider = new QuestionBankProvider(QuestionBankProvider.parse([
+    { question: 'easy one', answer: 1, difficulty: 'easy' },
+    { question: 'hard one', answer: 2, difficulty: 'hard' }
+  ]));
+
+  assertEqual(provider.next('hard').question, 'hard one');
+  assertEqual(provider.next('hard').question, 'easy one'); // Falls back when none left
+});
+
+// Test 8: Numeric validation
+test('validate() compares numeric answers', () => {
+  const provider = new QuestionBankProvider(QuestionBankProvider.parse([{ question: '12 * 12', answer: 144 }]));
+  const question = provider.next();
+
+  assert(provider.validate('144', question));
+  assert(provider.validate(144.0, question));
+  assert(!provider.validate('143', question));
+  assert(!provider.validate('', question));
+});
+
+// Test 9: Text validation
+test('validate() matches text answers loosely and accepts alternatives', () => {
+  const provider = new QuestionBankProvider(QuestionBankProvider.parse([
+    { question: 'Capital of France?', type: 'text', answer: 'Paris', acceptedAnswers: ['Paris, France'] },
+    { question: 'Symbol for pi?', type: 'text', answer: 'Pi', caseSensitive: true }
+  ]));
+  const loose = provider.next();
+  const strict = provider.next();
+
+  assert(provider.validate('  paris ', loose));
+  assert(provider.validate('paris,   france', loose));
+  assert(!provider.validate('London', loose));
+  assert(provider.validate('Pi', strict));
+  assert(!provider.validate('pi', strict));
+});
+
+// Test 10: Multiple choice validation
+test('validate() accepts a choice by text or letter', () => {
+  const provider = new QuestionBankProvider(QuestionBankProvider.parse([
+    { question: 'Which is prime?', type: 'choice', choices: ['51', '57', '59'], answer: '59' }
+  ]));
+  const question = provider.next();
+
+  assert(provider.validate('59', question));
+  assert(provider.validate('c', question));
+  assert(provider.validate('C', question));
+  assert(!provider.validate('a', question));
+  assert(!provider.validate('57', question));
+});
+
+// Test 11: Fractional answers and tolerance
+test('numeric questions accept fraction answers and per-question tolerance', () => {
+  const provider = new QuestionBankProvider(QuestionBankProvider.parse([
+    { question: '1/3 + 1/6', answer: '1/2', allowExpressions: false },
+    { question: 'Pi to 2 d.p.', answer: 3.14, tolerance: 0.005 }
+  ]));
+  const fraction = provider.next();
+  const rounded = provider.next();
+
+  assertEqual(fraction.answer, 0.5);
+  assert(provider.validate('2/4', fraction));
+  assert(!provider.validate('1/3 + 1/6', fraction), 'Expressions were disabled for this question');
+  assert(provider.validate('3.141', rounded));
+  assert(!provider.validate('3.2', rounded));
+  assertThrows(() => QuestionBankProvider.parse([{ question: 'x', answer: 1, tolerance: -1 }]), 'tolerance');
+});
+
+// Print Summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Summary`);
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log(`📈 Total: ${testsPassed + testsFailed}`);
+console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+console.log('='.repeat(50) + '\n');
+
+if (testsFailed === 0) {
+  console.log('🎉 All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('⚠️  Some tests failed. Please review.\n');
+  process.exit(1);
+}
@@ -0,0 +1,63 @@
+/**
+ * QuestionProvider - Base Class for Question Sources
+ *
+ * A room asks its provider for the next question and for a verdict on
+ * each submitted answer. Subclasses implement next(); validation falls
+ * back to the validator for the question's type.
+ *
+ * Every question returned by next() must have at least
+ * { id, question, answer, type, difficulty, generatedAt }.
+ *
+ * @class QuestionProvider
+ */
+
+const { validateAnswer } = require('./validators');
+
+class QuestionProvider {
+  /**
+   * @param {String} name - Provider name, stamped on every question it produces
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Produces the next question
+   * @param {String} difficulty - Requested difficulty (providers may ignore it)
+   * @returns {Object|null} Question object, or null if the provider has run out
+   */
+  next(difficulty) {
+    throw new Error(`${this.constructor.name} must implement next()`);
+  }
+
+  /**
+   * Checks a submitted answer
+   * @param {*} userAnswer - Submitted answer
+   * @param {Object} question - Question produced by this provider
+   * @returns {Boolean} True if correct
+   */
+  validate(userAnswer, question) {
+    return validateAnswer(userAnswer, question);
+  }
+
+  /**
+   * Creates a unique ID for a question instance
+   * @returns {String} Question ID
+   */
+  createQuestionId() {
+    return `q_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Gets a description of the provider for monitoring
+   * @returns {Object} Provider info
+   */
+  getInfo() {
+    return {
+      name: this.name,
+      type: this.constructor.name
+    };
+  }
+}
+
+module.exports = QuestionProvider;
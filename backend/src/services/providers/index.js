@@ -0,0 +1,70 @@
+/**
+ * Question Providers
+ *
+ * Builds the question source for each room from configuration:
+ * - 'generator': random arithmetic from QuestionGenerator (default)
+ * - 'bank': curated questions from a JSON/YAML file
+ * - 'mixed': both, with `bankRatio` of questions coming from the bank
+ */
+
+const QuestionProvider = require('./QuestionProvider');
+const GeneratorProvider = require('./GeneratorProvider');
+const QuestionBankProvider = require('./QuestionBankProvider');
+const CompositeProvider = require('./CompositeProvider');
+const validators = require('./validators');
+
+const QUESTION_SOURCES = ['generator', 'bank', 'mixed'];
+
+/**
+ * Creates a factory that builds a fresh provider for each room
+ * The bank file is read and validated once, up front, so a bad file
+ * fails at startup rather than mid-game.
+ *
+ * @param {Object} config - Provider configuration
+ * @param {String} config.source - 'generator', 'bank' or 'mixed'
+ * @param {String} config.bankPath - Question bank file (required for 'bank' and 'mixed')
+ * @param {Number} config.bankRatio - Share of bank questions in 'mixed' mode (0-1)
+ * @param {String} config.bankOrder - Overrides the bank's own order
+ * @returns {Function} () => QuestionProvider
+ * @throws {Error} If the configuration or bank file is invalid
+ */
+function createProviderFactory({ source = 'generator', bankPath, bankRatio = 0.5, bankOrder } = {}) {
+  if (!QUESTION_SOURCES.includes(source)) {
+    throw new Error(`Invalid question source: ${source}. Must be one of ${QUESTION_SOURCES.join(', ')}.`);
+  }
+
+  if (source === 'generator') {
+    return () => new GeneratorProvider();
+  }
+
+  if (!bankPath) {
+    throw new Error(`Question source '${source}' requires a question bank path`);
+  }
+
+  const bank = QuestionBankProvider.load(bankPath);
+  const createBankProvider = () => new QuestionBankProvider(bank, { order: bankOrder });
+
+  if (source === 'bank') {
+    return createBankProvider;
+  }
+
+  const ratio = Math.min(Math.max(Number(bankRatio), 0), 1);
+  if (isNaN(ratio)) {
+    throw new Error(`Invalid question bank ratio: ${bankRatio}`);
+  }
+
+  return () => new CompositeProvider([
+    { provider: createBankProvider(), weight: ratio },
+    { provider: new GeneratorProvider(), weight: 1 - ratio }
+  ]);
+}
+
+module.exports = {
+  QUESTION_SOURCES,
+  QuestionProvider,
+  GeneratorProvider,
+  QuestionBankProvider,
+  CompositeProvider,
+  createProviderFactory,
+  validators
+};
@@ -0,0 +1,130 @@
+/**
+ * Answer Validators for Question Providers
+ *
+ * Each question carries a `type` that selects how a submitted answer is
+ * compared to the stored answer. Providers use these by default and
+ * can override validation for their own question types.
+ *
+ * Question types:
+ * - numeric: number, fraction, mixed number or expression, compared within
+ *   the question's `tolerance` (expressions can be disabled with `allowExpressions: false`)
+ * - text: free text, case- and whitespace-insensitive unless `caseSensitive`
+ * - choice: one of `choices`, answered by its text or its letter (A, B, C...)
+ */
+
+const AnswerValidator = require('../AnswerValidator');
+
+const DEFAULT_TYPE = 'numeric';
+const answerValidator = new AnswerValidator();
+
+/**
+ * Normalizes free text for comparison
+ * @param {*} value - Raw value
+ * @param {Boolean} caseSensitive - Keep letter case
+ * @returns {String} Trimmed text with single spaces
+ */
+function normalizeText(value, caseSensitive = false) {
+  const text = String(value).trim().replace(/\s+/g, ' ');
+  return caseSensitive ? text : text.toLowerCase();
+}
+
+/**
+ * Checks that an answer was actually provided
+ * @param {*} userAnswer - Submitted answer
+ * @returns {Boolean} True if the answer is non-empty
+ */
+function hasAnswer(userAnswer) {
+  return userAnswer !== null && userAnswer !== undefined && String(userAnswer).trim() !== '';
+}
+
+/**
+ * Validates a numeric answer
+ * @param {*} userAnswer - Submitted answer
+ * @param {Object} question - Question with a numeric `answer`
+ * @returns {Boolean} True if correct
+ */
+function validateNumeric(userAnswer, question) {
+  return answerValidator.validate(userAnswer, question.answer, {
+    tolerance: question.tolerance,
+    allowExpressions: question.allowExpressions !== false
+  });
+}
+
+/**
+ * Validates a free-text answer against the answer and any `acceptedAnswers`
+ * @param {*} userAnswer - Submitted answer
+ * @param {Object} question - Question with a text `answer`
+ * @returns {Boolean} True if correct
+ */
+function validateText(userAnswer, question) {
+  if (!hasAnswer(userAnswer)) {
+    return false;
+  }
+
+  const caseSensitive = Boolean(question.caseSensitive);
+  const submitted = normalizeText(userAnswer, caseSensitive);
+  const accepted = [question.answer, ...(question.acceptedAnswers || [])];
+
+  return accepted.some(candidate => normalizeText(candidate, caseSensitive) === submitted);
+}
+
+/**
+ * Validates a multiple-choice answer
+ * Accepts the choice text or its letter (A for the first choice, and so on).
+ *
+ * @param {*} userAnswer - Submitted answer
+ * @param {Object} question - Question with `choices` and the correct choice as `answer`
+ * @returns {Boolean} True if correct
+ */
+function validateChoice(userAnswer, question) {
+  if (!hasAnswer(userAnswer)) {
+    return false;
+  }
+
+  const submitted = normalizeText(userAnswer);
+  const correctIndex = question.choices.findIndex(
+    choice => normalizeText(choice) === normalizeText(question.answer)
+  );
+
+  if (submitted.length === 1 && /[a-z]/.test(submitted)) {
+    return submitted.charCodeAt(0) - 'a'.charCodeAt(0) === correctIndex;
+  }
+
+  return submitted === normalizeText(question.answer);
+}
+
+const VALIDATORS = {
+  numeric: validateNumeric,
+  text: validateText,
+  choice: validateChoice
+};
+
+/**
+ * Gets the validator for a question type
+ * @param {String} type - Question type (defaults to numeric)
+ * @returns {Function|undefined} Validator (userAnswer, question) => Boolean
+ */
+function getValidator(type = DEFAULT_TYPE) {
+  return VALIDATORS[type];
+}
+
+/**
+ * Validates an answer using the question's own type
+ * @param {*} userAnswer - Submitted answer
+ * @param {Object} question - Question object
+ * @returns {Boolean} True if correct
+ */
+function validateAnswer(userAnswer, question) {
+  const validator = getValidator(question.type);
+  return validator ? validator(userAnswer, question) : false;
+}
+
+module.exports = {
+  QUESTION_TYPES: Object.keys(VALIDATORS),
+  DEFAULT_TYPE,
+  getValidator,
+  validateAnswer,
+  validateNumeric,
+  validateText,
+  validateChoice
+};
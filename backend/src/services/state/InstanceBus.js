@@ -0,0 +1,316 @@
+/**
+ * InstanceBus - Requests and Messages Between Server Instances
+ *
+ * Carries requests between server instances over a StateStore's pub/sub.
+ * Every instance listens on a channel of its own, so a request reaches
+ * exactly the instance it is addressed to - typically the one holding a
+ * room's lease - and the reply comes back on the sender's channel.
+ *
+ * Instances also announce themselves on a shared channel at a steady
+ * interval, so each one knows which others are alive. Any message from
+ * an instance counts as a sign of life; one that misses three
+ * announcements in a row is presumed gone.
+ *
+ * Payloads and results travel as JSON.
+ *
+ * @class InstanceBus
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../../utils/logger');
+
+const log = logger.child({ module: 'instance-bus' });
+
+// Channel every instance announces itself on
+const PRESENCE_CHANNEL = 'instances';
+
+// Requests without a reply by then are failed
+const DEFAULT_REQUEST_TIMEOUT_MS = 5000;
+
+// How often each instance announces itself
+const DEFAULT_HEARTBEAT_INTERVAL_MS = 5000;
+
+// Announcements an instance may miss before it's presumed gone
+const MISSED_HEARTBEATS = 3;
+
+// Error code for requests that got no reply (see request())
+const UNAVAILABLE = 'instance-unavailable';
+
+class InstanceBus {
+  /**
+   * @param {Object} options - Bus options
+   * @param {StateStore} options.store - Store carrying the messages
+   * @param {String} options.instanceId - This instance's ID
+   * @param {Number} options.requestTimeoutMs - How long to wait for a reply
+   * @param {Number} options.heartbeatIntervalMs - How often to announce this instance
+   * @param {Function} options.now - Clock used for liveness (epoch ms)
+   */
+  constructor({
+    store,
+    instanceId,
+    requestTimeoutMs = DEFAULT_REQUEST_TIMEOUT_MS,
+    heartbeatIntervalMs = DEFAULT_HEARTBEAT_INTERVAL_MS,
+    now = Date.now
+  } = {}) {
+    this.store = store;
+    this.instanceId = instanceId;
+    this.requestTimeoutMs = requestTimeoutMs;
+    this.heartbeatIntervalMs = heartbeatIntervalMs;
+    this.now = now;
+
+    // Map of message type -> handler
+    this.handlers = new Map();
+
+    // Map of request ID -> { resolve, reject, timer }
+    this.pending = new Map();
+
+    // Map of instance ID -> when it was last heard from
+    this.peers = new Map();
+
+    this.unsubscribers = [];
+    this.heartbeat = null;
+  }
+
+  /**
+   * Gets the channel an instance listens on
+   * @param {String} instanceId - Instance ID
+   * @returns {String} Channel name
+   */
+  static channelFor(instanceId) {
+    return `instance:${instanceId}`;
+  }
+
+  /**
+   * Starts listening and announcing this instance
+   * @returns {Promise} Settles once both channels are subscribed
+   */
+  async start() {
+    this.unsubscribers = await Promise.all([
+      this.store.subscribe(InstanceBus.channelFor(this.instanceId), message => this.receive(message)),
+      this.store.subscribe(PRESENCE_CHANNEL, message => this.notePresence(message))
+    ]);
+
+    this.heartbeat = setInterval(() => {
+      this.announce().catch(error => log.warn('Failed to announce instance', { error }));
+    }, this.heartbeatIntervalMs);
+    this.heartbeat.unref();
+
+    await this.announce();
+  }
+
+  /**
+   * Stops listening, tells the other instances this one is leaving
+   * and fails every request still waiting for a reply
+   */
+  async stop() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(InstanceBus.unavailable('The instance bus was stopped'));
+    });
+    this.pending.clear();
+
+    await this.store.publish(PRESENCE_CHANNEL, { from: this.instanceId, leaving: true }).catch(() => {});
+    await Promise.all(this.unsubscribers.map(unsubscribe => unsubscribe()));
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Registers the handler for a message type
+   * Handlers are called with (payload, fromInstanceId). For requests,
+   * their return value (or promise) is the reply and anything they throw
+   * is sent back as the error.
+   *
+   * @param {String} type - Message type
+   * @param {Function} handler - Handler
+   */
+  handle(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Sends a request to another instance and waits for its reply
+   * @param {String} instanceId - Instance to ask
+   * @param {String} type - Message type
+   * @param {*} payload - JSON-serializable payload
+   * @returns {Promise<*>} The handler's result
+   * @throws {Error} The handler's error, or one with code 'instance-unavailable'
+   *   if no reply arrived in time
+   */
+  request(instanceId, type, payload) {
+    const id = crypto.randomUUID();
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(InstanceBus.unavailable(`Instance ${instanceId} did not answer '${type}'`));
+      }, this.requestTimeoutMs);
+
+      this.pending.set(id, { resolve, reject, timer });
+
+      this.store.publish(InstanceBus.channelFor(instanceId), {
+        kind: 'request',
+        id,
+        from: this.instanceId,
+        type,
+        payload
+      }).catch(error => {
+        clearTimeout(timer);
+        this.pending.delete(id);
+        reject(InstanceBus.unavailable(error.message));
+      });
+    });
+  }
+
+  /**
+   * Sends a one-way message to another instance (no reply)
+   * @param {String} instanceId - Instance to notify
+   * @param {String} type - Message type
+   * @param {*} payload - JSON-serializable payload
+   * @returns {Promise} Settles once the message is published
+   */
+  async send(instanceId, type, payload) {
+    await this.store.publish(InstanceBus.channelFor(instanceId), {
+      kind: 'message',
+      from: this.instanceId,
+      type,
+      payload
+    });
+  }
+
+  /**
+   * Lists the other instances that are alive
+   * @returns {Array<String>} Instance IDs
+   */
+  getPeers() {
+    const cutoff = this.now() - this.heartbeatIntervalMs * MISSED_HEARTBEATS;
+
+    return Array.from(this.peers.entries())
+      .filter(([, seenAt]) => seenAt > cutoff)
+      .map(([instanceId]) => instanceId);
+  }
+
+  /**
+   * Checks if an instance is alive (this instance always is)
+   * @param {String} instanceId - Instance ID
+   * @returns {Boolean} True if it was heard from recently
+   */
+  isAlive(instanceId) {
+    return instanceId === this.instanceId || this.getPeers().includes(instanceId);
+  }
+
+  /**
+   * Announces this instance to the others
+   */
+  async announce() {
+    await this.store.publish(PRESENCE_CHANNEL, { from: this.instanceId });
+  }
+
+  /**
+   * Records another instance's announcement
+   * @param {Object} message - { from, leaving }
+   */
+  notePresence({ from, leaving }) {
+    if (from === this.instanceId) {
+      return;
+    }
+
+    if (leaving) {
+      this.peers.delete(from);
+    } else {
+      this.peers.set(from, this.now());
+    }
+  }
+
+  /**
+   * Handles a message on this instance's channel
+   * @param {Object} message - Request, reply or one-way message
+   */
+  receive(message) {
+    this.notePresence({ from: message.from });
+
+    if (message.kind === 'reply') {
+      this.settle(message);
+      return;
+    }
+
+    const handler = this.handlers.get(message.type);
+    if (!handler) {
+      log.warn('No handler for instance message', { type: message.type, from: message.from });
+      if (message.kind === 'request') {
+        this.reply(message, { error: `Unknown request '${message.type}'` });
+      }
+      return;
+    }
+
+    // Handlers may throw or return a value or a promise; both end up in the reply
+    Promise.resolve()
+      .then(() => handler(message.payload, message.from))
+      .then(
+        result => message.kind === 'request' && this.reply(message, { result }),
+        error => {
+          if (message.kind === 'request') {
+            this.reply(message, { error: error.message });
+          } else {
+            log.error('Failed to handle instance message', { type: message.type, from: message.from, error });
+          }
+        }
+      );
+  }
+
+  /**
+   * Sends the reply to a request
+   * @param {Object} request - The request being answered
+   * @param {Object} outcome - { result } or { error }
+   */
+  reply(request, outcome) {
+    this.store.publish(InstanceBus.channelFor(request.from), {
+      kind: 'reply',
+      id: request.id,
+      from: this.instanceId,
+      ...outcome
+    }).catch(error => log.warn('Failed to reply to instance', { type: request.type, to: request.from, error }));
+  }
+
+  /**
+   * Settles the request a reply answers
+   * Replies arriving after their request timed out are ignored.
+   *
+   * @param {Object} reply - { id, result, error }
+   */
+  settle({ id, result, error }) {
+    const pending = this.pending.get(id);
+    if (!pending) {
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    this.pending.delete(id);
+
+    if (error !== undefined) {
+      pending.reject(new Error(error));
+    } else {
+      pending.resolve(result);
+    }
+  }
+
+  /**
+   * Builds the error for a request that got no reply
+   * @param {String} message - Error message
+   * @returns {Error} Error with code 'instance-unavailable'
+   */
+  static unavailable(message) {
+    const error = new Error(message);
+    error.code = UNAVAILABLE;
+    return error;
+  }
+}
+
+InstanceBus.PRESENCE_CHANNEL = PRESENCE_CHANNEL;
+InstanceBus.DEFAULT_REQUEST_TIMEOUT_MS = DEFAULT_REQUEST_TIMEOUT_MS;
+InstanceBus.DEFAULT_HEARTBEAT_INTERVAL_MS = DEFAULT_HEARTBEAT_INTERVAL_MS;
+InstanceBus.UNAVAILABLE = UNAVAILABLE;
+
+module.exports = InstanceBus;
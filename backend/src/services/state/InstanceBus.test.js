@@ -0,0 +1,232 @@
+/**
+ * Unit Tests for InstanceBus
+ *
+ * Two buses on one in-memory store stand in for two server instances.
+ */
+
+const InstanceBus = require('./InstanceBus');
+const MemoryStateStore = require('./MemoryStateStore');
+
+// Simple test framework (async - requests and replies are promises)
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+async function test(description, testFunction) {
+  try {
+    await testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Waits for pending message deliveries
+ */
+function flush() {
+  return new Promise(resolve => setImmediate(() => setImmediate(resolve)));
+}
+
+/**
+ * Starts two buses ('a' and 'b') sharing one store
+ * @param {Object} options - Extra bus options
+ * @returns {Promise<Object>} { store, a, b, stop }
+ */
+async function startPair(options = {}) {
+  const store = new MemoryStateStore();
+  const a = new InstanceBus({ store, instanceId: 'a', ...options });
+  const b = new InstanceBus({ store, instanceId: 'b', ...options });
+
+  await a.start();
+  await b.start();
+  await flush();
+
+  return {
+    store,
+    a,
+    b,
+    stop: async () => {
+      await a.stop();
+      await b.stop();
+    }
+  };
+}
+
+async function run() {
+  console.log('\n🧪 Running InstanceBus Unit Tests\n');
+
+  // Test 1: Requests reach the addressed instance and its reply comes back
+  await test('Requests are answered by the addressed instance', async () => {
+    const { a, b, stop } = await startPair();
+    const seen = [];
+
+    b.handle('double', (payload, from) => {
+      seen.push(from);
+      return { value: payload.value * 2 };
+    });
+    a.handle('double', () => {
+      throw new Error('The sender should not handle its own request');
+    });
+
+    const result = await a.request('b', 'double', { value: 21 });
+    assertEqual(result.value, 42);
+    assertEqual(seen.join(), 'a', 'The handler sees the sender');
+    assertEqual(a.pending.size, 0, 'Settled requests are forgotten');
+
+    await stop();
+  });
+
+  // Test 2: Async handlers and thrown errors
+  await test('Handler errors are sent back as the request error', async () => {
+    const { a, b, stop } = await startPair();
+
+    b.handle('slow', async payload => {
+      await flush();
+      return payload;
+    });
+    b.handle('refuse', () => {
+      throw new Error('Match not running');
+    });
+
+    assertEqual(await a.request('b', 'slow', 'done'), 'done');
+
+    let caught = null;
+    try {
+      await a.request('b', 'refuse', {});
+    } catch (error) {
+      caught = error;
+    }
+    assert(caught, 'Expected the request to fail');
+    assertEqual(caught.message, 'Match not running');
+    assert(caught.code !== InstanceBus.UNAVAILABLE, 'A refusal is not an unreachable instance');
+
+    let unknown = null;
+    try {
+      await a.request('b', 'missing', {});
+    } catch (error) {
+      unknown = error;
+    }
+    assert(unknown && /Unknown request/.test(unknown.message), 'Unknown request types are refused');
+
+    await stop();
+  });
+
+  // Test 3: Nobody listening
+  await test('Requests to a missing instance time out as unavailable', async () => {
+    const { a, stop } = await startPair({ requestTimeoutMs: 30 });
+
+    let caught = null;
+    try {
+      await a.request('gone', 'anything', {});
+    } catch (error) {
+      caught = error;
+    }
+    assert(caught, 'Expected the request to time out');
+    assertEqual(caught.code, InstanceBus.UNAVAILABLE);
+    assertEqual(a.pending.size, 0);
+
+    await stop();
+  });
+
+  // Test 4: One-way messages
+  await test('Messages are delivered without a reply', async () => {
+    const { a, b, stop } = await startPair();
+    const received = [];
+
+    b.handle('note', (payload, from) => {
+      received.push(`${from}:${payload.text}`);
+    });
+
+    await a.send('b', 'note', { text: 'first' });
+    await a.send('b', 'note', { text: 'second' });
+    await flush();
+
+    assertEqual(received.join(), 'a:first,a:second', 'Messages arrive in order');
+
+    await stop();
+  });
+
+  // Test 5: Liveness
+  await test('Instances know which others are alive', async () => {
+    const clock = { now: 1000 };
+    const { a, b } = await startPair({ now: () => clock.now, heartbeatIntervalMs: 100 });
+
+    assertEqual(a.getPeers().join(), 'b');
+    assertEqual(b.getPeers().join(), 'a');
+    assert(a.isAlive('a'), 'An instance is always alive to itself');
+    assert(!a.isAlive('c'), 'Unknown instances are not alive');
+
+    // Three missed announcements and the peer is presumed gone
+    clock.now += 300;
+    assertEqual(a.getPeers().length, 0);
+
+    await b.announce();
+    await flush();
+    assert(a.isAlive('b'), 'An announcement revives the peer');
+
+    // A stopping instance says goodbye
+    await b.stop();
+    await flush();
+    assert(!a.isAlive('b'), 'Stopped instances are dropped at once');
+
+    await a.stop();
+  });
+
+  // Test 6: Stopping fails waiting requests
+  await test('Stopping fails requests still waiting for a reply', async () => {
+    const { a, b } = await startPair();
+
+    b.handle('never', () => new Promise(() => {}));
+
+    const pending = a.request('b', 'never', {});
+    await flush();
+    await a.stop();
+
+    let caught = null;
+    try {
+      await pending;
+    } catch (error) {
+      caught = error;
+    }
+    assert(caught && caught.code === InstanceBus.UNAVAILABLE, 'Expected the waiting request to fail');
+
+    await b.stop();
+  });
+
+  // Print Summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`📊 Test Summary`);
+  console.log('='.repeat(50));
+  console.log(`✅ Passed: ${testsPassed}`);
+  console.log(`❌ Failed: ${testsFailed}`);
+  console.log(`📈 Total: ${testsPassed + testsFailed}`);
+  console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+  console.log('='.repeat(50) + '\n');
+
+  if (testsFailed === 0) {
+    console.log('🎉 All tests passed!\n');
+    process.exit(0);
+  } else {
+    console.log('⚠️  Some tests failed. Please review.\n');
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,123 @@
+/**
+ * MemoryStateStore - Shared State for a Single Instance
+ *
+ * Keeps keys and subscriptions in process memory. This is the default:
+ * with one server instance there's nobody to share state with, and
+ * every claim and lease simply succeeds for the first caller.
+ *
+ * Messages are delivered asynchronously, as they would be over Redis.
+ * Expired keys are swept out as new ones are written, so keys that are
+ * never read again (such as winner claims) don't pile up.
+ *
+ * @class MemoryStateStore
+ */
+
+const { EventEmitter } = require('events');
+const StateStore = require('./StateStore');
+
+// Writes sweep out expired keys at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class MemoryStateStore extends StateStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Function} options.now - Clock used for expiry (epoch ms)
+   */
+  constructor({ now = Date.now } = {}) {
+    super('memory');
+
+    this.now = now;
+
+    // Map of key -> { encoded, expiresAt } (expiresAt null = never)
+    this.entries = new Map();
+    this.lastSweepAt = now();
+
+    this.channels = new EventEmitter();
+    this.channels.setMaxListeners(0);
+  }
+
+  /**
+   * Gets a key's entry, dropping it if it has expired
+   * @param {String} key - Key
+   * @returns {Object|null} { encoded, expiresAt } or null
+   */
+  getEntry(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= this.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  /**
+   * Drops every expired key, unless the last sweep was recent
+   */
+  sweepExpired() {
+    const now = this.now();
+    if (now - this.lastSweepAt < SWEEP_INTERVAL_MS) {
+      return;
+    }
+
+    this.lastSweepAt = now;
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    });
+  }
+
+  async get(key) {
+    const entry = this.getEntry(key);
+    return entry ? JSON.parse(entry.encoded) : null;
+  }
+
+  async compareAndSet(key, expected, value, { ttlMs = 0 } = {}) {
+    this.sweepExpired();
+
+    const entry = this.getEntry(key);
+    const matches = expected === null
+      ? entry === null
+      : entry !== null && entry.encoded === JSON.stringify(expected);
+
+    if (!matches) {
+      return false;
+    }
+
+    this.entries.set(key, {
+      encoded: JSON.stringify(value),
+      expiresAt: ttlMs > 0 ? this.now() + ttlMs : null
+    });
+    return true;
+  }
+
+  async compareAndDelete(key, expected) {
+    const entry = this.getEntry(key);
+    if (!entry || entry.encoded !== JSON.stringify(expected)) {
+      return false;
+    }
+
+    this.entries.delete(key);
+    return true;
+  }
+
+  async publish(channel, message) {
+    const encoded = JSON.stringify(message);
+    setImmediate(() => this.channels.emit(channel, JSON.parse(encoded)));
+  }
+
+  async subscribe(channel, handler) {
+    this.channels.on(channel, handler);
+    return async () => {
+      this.channels.off(channel, handler);
+    };
+  }
+
+  async close() {
+    this.channels.removeAllListeners();
+  }
+}
+
+MemoryStateStore.SWEEP_INTERVAL_MS = SWEEP_INTERVAL_MS;
+
+module.exports = MemoryStateStore;
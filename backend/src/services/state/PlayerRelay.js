@@ -0,0 +1,282 @@
+/**
+ * PlayerRelay - Playing in a Room That Runs on Another Instance
+ *
+ * A player's connection stays on whichever instance it reached, while
+ * their room's game runs on the instance holding the room's lease. The
+ * relay joins the two over an InstanceBus:
+ * - On the player's instance, the socket is marked with the room's
+ *   instance (socket.data.roomOwner) and its room events are sent there.
+ * - On the room's instance, a stand-in socket joins the room in the
+ *   player's place. Its emits and room changes reach the real socket
+ *   through the Socket.io adapter, so the game treats it like any other.
+ *
+ * The game itself stays outside: the relay opens, enters and leaves
+ * rooms through the functions it is given.
+ *
+ * @class PlayerRelay
+ */
+
+const { logger } = require('../../utils/logger');
+
+const log = logger.child({ module: 'relay' });
+
+class PlayerRelay {
+  /**
+   * @param {Object} options - Relay options
+   * @param {InstanceBus} options.bus - Bus to the other instances
+   * @param {Function} options.openRoom - (io, code) => Promise<{ room, created }|null>
+   *   for a room running here
+   * @param {Function} options.enterRoom - (io, room, socket, created) adds a socket to a room
+   * @param {Function} options.leaveRoom - (socket, io) takes a socket out of its room
+   * @param {Function} options.handleEvent - (io, socket, event, data) handles a relayed player event
+   * @param {Function} options.onRemoteJoin - (socket, player) called when a stand-in is created
+   * @param {Function} options.onRemoteLeave - (socket) called when a stand-in is dropped
+   */
+  constructor({
+    bus,
+    openRoom,
+    enterRoom,
+    leaveRoom,
+    handleEvent,
+    onRemoteJoin = () => {},
+    onRemoteLeave = () => {}
+  }) {
+    this.bus = bus;
+    this.openRoom = openRoom;
+    this.enterRoom = enterRoom;
+    this.leaveRoom = leaveRoom;
+    this.handleEvent = handleEvent;
+    this.onRemoteJoin = onRemoteJoin;
+    this.onRemoteLeave = onRemoteLeave;
+
+    // Stand-ins for players connected to another instance whose room runs
+    // here (socket ID -> remote socket, see createRemoteSocket())
+    this.remoteSockets = new Map();
+
+    this.io = null;
+  }
+
+  /**
+   * Starts answering the other instances' relay messages
+   * @param {Object} io - Socket.io server instance
+   */
+  start(io) {
+    this.io = io;
+
+    // A player connected to another instance joins a room running here
+    this.bus.handle('player-join', async ({ roomCode, player }, relay) => {
+      const opened = await this.openRoom(io, roomCode);
+      if (!opened) {
+        return { joined: false };
+      }
+
+      const existing = this.remoteSockets.get(player.socketId);
+      if (existing) {
+        this.remove(existing);
+      }
+
+      const socket = this.createRemoteSocket(relay, player);
+      this.remoteSockets.set(socket.id, socket);
+      this.onRemoteJoin(socket, player);
+
+      this.enterRoom(io, opened.room, socket, opened.created);
+      return { joined: true };
+    });
+
+    // Events from players who joined that way
+    this.bus.handle('player-event', ({ socketId, event, data }) => {
+      const socket = this.remoteSockets.get(socketId);
+      if (socket) {
+        this.handleEvent(io, socket, event, data);
+      }
+    });
+
+    this.bus.handle('player-leave', ({ socketId }) => {
+      const socket = this.remoteSockets.get(socketId);
+      if (socket) {
+        this.remove(socket);
+      }
+    });
+
+    // The room one of this instance's players was relayed to has closed
+    this.bus.handle('player-released', ({ socketId, roomCode }) => {
+      const socket = io.sockets.sockets.get(socketId);
+      if (socket && socket.data.roomOwner && socket.data.roomCode === roomCode) {
+        this.detach(socket);
+      }
+    });
+  }
+
+  /**
+   * Joins one of this instance's sockets to a room on another instance
+   * The socket counts as in the room as soon as the request goes out, so
+   * events sent meanwhile follow the join instead of overtaking it.
+   *
+   * @param {Object} socket - Socket.io socket instance
+   * @param {String} owner - ID of the instance running the room
+   * @param {String} code - Normalized room code
+   * @param {Object} player - { playerId, nickname, device, address, requestedTeam, rttMs }
+   * @returns {Promise<Boolean>} True if the room's instance let the player in
+   * @throws {Error} With code 'instance-unavailable' if that instance didn't answer
+   */
+  async join(socket, owner, code, player) {
+    socket.data.roomCode = code;
+    socket.data.roomOwner = owner;
+
+    const { joined } = await this.bus.request(owner, 'player-join', {
+      roomCode: code,
+      player: { socketId: socket.id, ...player }
+    });
+    return joined;
+  }
+
+  /**
+   * Passes a player event on to the instance running the socket's room
+   * @param {Object} socket - Socket.io socket instance
+   * @param {String} event - Event name
+   * @param {Object} data - Validated event payload
+   * @returns {Boolean} True if the room runs elsewhere and the event was relayed
+   */
+  relayEvent(socket, event, data) {
+    const owner = socket.data.roomOwner;
+    if (!owner) {
+      return false;
+    }
+
+    this.bus.send(owner, 'player-event', { socketId: socket.id, event, data })
+      .catch(error => socket.data.log.warn('Failed to relay player event', { event, owner, error }));
+    return true;
+  }
+
+  /**
+   * Takes a socket out of a room on another instance
+   * @param {Object} socket - Socket.io socket instance
+   * @returns {Boolean} True if the socket was in a relayed room
+   */
+  leave(socket) {
+    const owner = socket.data.roomOwner;
+    if (!owner) {
+      return false;
+    }
+
+    this.bus.send(owner, 'player-leave', { socketId: socket.id })
+      .catch(error => socket.data.log.warn('Failed to leave relayed room', { room: socket.data.roomCode, owner, error }));
+    this.detach(socket);
+    return true;
+  }
+
+  /**
+   * Forgets the relayed room of one of this instance's sockets
+   * @param {Object} socket - Socket.io socket instance
+   */
+  detach(socket) {
+    socket.leave(socket.data.roomCode);
+    socket.data.roomCode = null;
+    socket.data.roomOwner = null;
+  }
+
+  /**
+   * Gets the stand-in for a player connected to another instance
+   * @param {String} socketId - Socket ID
+   * @returns {Object|undefined} Remote socket
+   */
+  getSocket(socketId) {
+    return this.remoteSockets.get(socketId);
+  }
+
+  /**
+   * Creates the stand-in for a player connected to another instance
+   * It looks enough like a Socket.io socket for the room's game.
+   *
+   * @param {String} relay - ID of the instance the player is connected to
+   * @param {Object} player - { socketId, playerId, device, address, requestedTeam }
+   * @returns {Object} Remote socket
+   */
+  createRemoteSocket(relay, player) {
+    const { socketId, playerId } = player;
+    const { io } = this;
+
+    return {
+      id: socketId,
+      relay,
+      connected: true,
+      data: {
+        playerId,
+        device: player.device,
+        address: player.address,
+        requestedTeam: player.requestedTeam,
+        roomCode: null,
+        log: log.child({ socketId, playerId, relay })
+      },
+      emit: (event, payload) => io.to(socketId).emit(event, payload),
+      join: code => io.in(socketId).socketsJoin(code),
+      leave: code => io.in(socketId).socketsLeave(code)
+    };
+  }
+
+  /**
+   * Takes a remote player's stand-in out of its room and forgets it
+   * @param {Object} socket - Remote socket
+   */
+  remove(socket) {
+    this.leaveRoom(socket, this.io);
+    this.forget(socket);
+  }
+
+  /**
+   * Forgets a remote player's stand-in after its room closed here, and
+   * tells the player's instance to stop relaying them
+   * @param {Object} socket - Remote socket
+   */
+  release(socket) {
+    const { roomCode } = socket.data;
+    socket.data.roomCode = null;
+    this.forget(socket);
+
+    this.bus.send(socket.relay, 'player-released', { socketId: socket.id, roomCode })
+      .catch(error => socket.data.log.warn('Failed to release relayed player', { room: roomCode, error }));
+  }
+
+  /**
+   * Drops a remote player's stand-in from the relay's bookkeeping
+   * @param {Object} socket - Remote socket
+   */
+  forget(socket) {
+    socket.connected = false;
+    this.remoteSockets.delete(socket.id);
+    this.onRemoteLeave(socket);
+  }
+
+  /**
+   * Drops players relayed between this instance and one that has gone away
+   * This instance's players in a room whose instance is gone get
+   * 'room-unavailable' so they reconnect; stand-ins for players on a gone
+   * instance leave their rooms.
+   */
+  dropLost() {
+    this.io.sockets.sockets.forEach(socket => {
+      const { roomCode, roomOwner } = socket.data;
+      if (!roomOwner || this.bus.isAlive(roomOwner)) {
+        return;
+      }
+
+      socket.data.log.warn('Room\'s instance is gone', { room: roomCode, owner: roomOwner });
+      socket.emit('room-unavailable', {
+        room: roomCode,
+        message: 'This room moved to another server. Reconnecting...',
+        retryInMs: 0,
+        timestamp: Date.now()
+      });
+      this.detach(socket);
+    });
+
+    this.remoteSockets.forEach(socket => {
+      if (!this.bus.isAlive(socket.relay)) {
+        socket.data.log.warn('Relaying instance is gone', { room: socket.data.roomCode });
+        this.remove(socket);
+      }
+    });
+  }
+}
+
+module.exports = PlayerRelay;
@@ -0,0 +1,305 @@
+/**
+ * Unit Tests for PlayerRelay
+ *
+ * Two relays on one in-memory store stand in for two server instances:
+ * 'a', where the player is connected, and 'b', where their room runs.
+ */
+
+process.env.LOG_LEVEL = 'silent';
+
+const InstanceBus = require('./InstanceBus');
+const MemoryStateStore = require('./MemoryStateStore');
+const PlayerRelay = require('./PlayerRelay');
+const { logger } = require('../../utils/logger');
+
+// Simple test framework (async - relayed messages are delivered asynchronously)
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+async function test(description, testFunction) {
+  try {
+    await testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Waits for pending message deliveries
+ */
+function flush() {
+  return new Promise(resolve => setImmediate(() => setImmediate(resolve)));
+}
+
+/**
+ * Creates the parts of a Socket.io server the relay uses
+ * @returns {Object} Fake io recording what it was asked to send
+ */
+function createFakeIo() {
+  const sent = [];
+
+  return {
+    sent,
+    sockets: { sockets: new Map() },
+    to: target => ({ emit: (event, payload) => sent.push({ target, event, payload }) }),
+    in: target => ({
+      socketsJoin: code => sent.push({ target, join: code }),
+      socketsLeave: code => sent.push({ target, leave: code })
+    })
+  };
+}
+
+/**
+ * Creates a player's socket connected to instance 'a'
+ * @param {Object} io - Fake io the socket is connected to
+ * @returns {Object} Fake socket
+ */
+function connectPlayer(io) {
+  const socket = {
+    id: 'socket-1',
+    connected: true,
+    emitted: [],
+    left: [],
+    data: { playerId: 'p_000000000001', roomCode: null, roomOwner: null, log: logger },
+    emit: (event, payload) => socket.emitted.push({ event, payload }),
+    leave: code => socket.left.push(code)
+  };
+  io.sockets.sockets.set(socket.id, socket);
+  return socket;
+}
+
+/**
+ * Starts instance 'a' (players) and 'b' (rooms), each with a relay
+ * @param {Object} options - { refuse: true makes 'b' turn every join down }
+ * @returns {Promise<Object>} Both instances and what 'b's game was asked to do
+ */
+async function startInstances({ refuse = false } = {}) {
+  const store = new MemoryStateStore();
+  const game = { entered: [], left: [], events: [], joined: [], dropped: [] };
+
+  const create = (instanceId, handlers = {}) => {
+    const bus = new InstanceBus({ store, instanceId, heartbeatIntervalMs: 100 });
+    const relay = new PlayerRelay({
+      bus,
+      openRoom: async (io, code) => (refuse ? null : { room: { code }, created: false }),
+      enterRoom: (io, room, socket) => {
+        socket.data.roomCode = room.code;
+        game.entered.push(socket);
+      },
+      leaveRoom: socket => game.left.push(socket),
+      handleEvent: (io, socket, event, data) => game.events.push({ socket, event, data }),
+      ...handlers
+    });
+    const io = createFakeIo();
+    relay.start(io);
+    return { bus, relay, io };
+  };
+
+  const a = create('a');
+  const b = create('b', {
+    onRemoteJoin: (socket, player) => game.joined.push(player),
+    onRemoteLeave: socket => game.dropped.push(socket)
+  });
+
+  await a.bus.start();
+  await b.bus.start();
+  await flush();
+
+  return {
+    a,
+    b,
+    game,
+    stop: async () => {
+      await a.bus.stop();
+      await b.bus.stop();
+    }
+  };
+}
+
+const PLAYER = { playerId: 'p_000000000001', nickname: 'Remy', device: 'd', address: '1.2.3.4', requestedTeam: null, rttMs: 40 };
+
+async function run() {
+  console.log('\n🧪 Running PlayerRelay Unit Tests\n');
+
+  // Test 1: Joining
+  await test('A player joins a room on another instance through a stand-in', async () => {
+    const { a, b, game, stop } = await startInstances();
+    const socket = connectPlayer(a.io);
+
+    assert(await a.relay.join(socket, 'b', 'classa', PLAYER), 'Expected the join to succeed');
+    assertEqual(socket.data.roomCode, 'classa');
+    assertEqual(socket.data.roomOwner, 'b');
+
+    const standIn = b.relay.getSocket('socket-1');
+    assert(standIn, 'The room\'s instance keeps a stand-in');
+    assertEqual(standIn.relay, 'a');
+    assertEqual(standIn.data.playerId, PLAYER.playerId);
+    assertEqual(standIn.data.roomCode, 'classa');
+    assertEqual(game.entered[0], standIn, 'The stand-in entered the room');
+    assertEqual(game.joined[0].nickname, 'Remy', 'The game saw the player\'s profile');
+
+    await stop();
+  });
+
+  await test('A refused join leaves no stand-in behind', async () => {
+    const { a, b, stop } = await startInstances({ refuse: true });
+    const socket = connectPlayer(a.io);
+
+    assertEqual(await a.relay.join(socket, 'b', 'classa', PLAYER), false);
+    assertEqual(b.relay.getSocket('socket-1'), undefined);
+
+    await stop();
+  });
+
+  // Test 2: The stand-in reaches the real socket
+  await test('What the game sends the stand-in goes to the real socket', async () => {
+    const { a, b, stop } = await startInstances();
+    const socket = connectPlayer(a.io);
+    await a.relay.join(socket, 'b', 'classa', PLAYER);
+
+    const standIn = b.relay.getSocket('socket-1');
+    standIn.emit('new-question', { questionId: 'q1' });
+    standIn.join('classa');
+    standIn.leave('classa');
+
+    const sent = b.io.sent;
+    assertEqual(sent.length, 3);
+    assertEqual(sent[0].target, 'socket-1');
+    assertEqual(sent[0].event, 'new-question');
+    assertEqual(sent[1].join, 'classa');
+    assertEqual(sent[2].leave, 'classa');
+
+    await stop();
+  });
+
+  // Test 3: Events
+  await test('The player\'s room events are handled on the room\'s instance', async () => {
+    const { a, b, game, stop } = await startInstances();
+    const socket = connectPlayer(a.io);
+    await a.relay.join(socket, 'b', 'classa', PLAYER);
+
+    assert(a.relay.relayEvent(socket, 'submit-answer', { answer: '4' }));
+    await flush();
+
+    assertEqual(game.events.length, 1);
+    assertEqual(game.events[0].socket, b.relay.getSocket('socket-1'));
+    assertEqual(game.events[0].event, 'submit-answer');
+    assertEqual(game.events[0].data.answer, '4');
+
+    const local = connectPlayer(createFakeIo());
+    assert(!a.relay.relayEvent(local, 'submit-answer', {}), 'Players in local rooms are not relayed');
+
+    await stop();
+  });
+
+  // Test 4: Leaving
+  await test('Leaving takes the stand-in out of the room', async () => {
+    const { a, b, game, stop } = await startInstances();
+    const socket = connectPlayer(a.io);
+    await a.relay.join(socket, 'b', 'classa', PLAYER);
+    const standIn = b.relay.getSocket('socket-1');
+
+    assert(a.relay.leave(socket));
+    assertEqual(socket.data.roomOwner, null);
+    assertEqual(socket.data.roomCode, null);
+    assertEqual(socket.left.join(), 'classa');
+    await flush();
+
+    assertEqual(game.left[0], standIn);
+    assertEqual(game.dropped[0], standIn);
+    assertEqual(b.relay.getSocket('socket-1'), undefined);
+    assert(!standIn.connected);
+
+    assert(!a.relay.leave(socket), 'Leaving twice does nothing');
+
+    await stop();
+  });
+
+  // Test 5: The room closes
+  await test('Closing the room releases the player on their own instance', async () => {
+    const { a, b, game, stop } = await startInstances();
+    const socket = connectPlayer(a.io);
+    await a.relay.join(socket, 'b', 'classa', PLAYER);
+
+    b.relay.release(b.relay.getSocket('socket-1'));
+    await flush();
+
+    assertEqual(b.relay.getSocket('socket-1'), undefined);
+    assertEqual(game.left.length, 0, 'The closed room is not left again');
+    assertEqual(socket.data.roomOwner, null);
+    assertEqual(socket.data.roomCode, null);
+
+    await stop();
+  });
+
+  // Test 6: An instance goes away
+  await test('Players relayed to a gone instance are told to reconnect', async () => {
+    const { a, b, stop } = await startInstances();
+    const socket = connectPlayer(a.io);
+    await a.relay.join(socket, 'b', 'classa', PLAYER);
+
+    await b.bus.stop();
+    await flush();
+    a.relay.dropLost();
+
+    assertEqual(socket.emitted[0].event, 'room-unavailable');
+    assertEqual(socket.emitted[0].payload.room, 'classa');
+    assertEqual(socket.data.roomOwner, null);
+
+    await stop();
+  });
+
+  await test('Stand-ins for players on a gone instance are dropped', async () => {
+    const { a, b, game, stop } = await startInstances();
+    const socket = connectPlayer(a.io);
+    await a.relay.join(socket, 'b', 'classa', PLAYER);
+    const standIn = b.relay.getSocket('socket-1');
+
+    await a.bus.stop();
+    await flush();
+    b.relay.dropLost();
+
+    assertEqual(game.left[0], standIn);
+    assertEqual(b.relay.getSocket('socket-1'), undefined);
+
+    await stop();
+  });
+
+  // Print Summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`📊 Test Summary`);
+  console.log('='.repeat(50));
+  console.log(`✅ Passed: ${testsPassed}`);
+  console.log(`❌ Failed: ${testsFailed}`);
+  console.log(`📈 Total: ${testsPassed + testsFailed}`);
+  console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+  console.log('='.repeat(50) + '\n');
+
+  if (testsFailed === 0) {
+    console.log('🎉 All tests passed!\n');
+    process.exit(0);
+  } else {
+    console.log('⚠️  Some tests failed. Please review.\n');
+    process.exit(1);
+  }
+}
+
+run();
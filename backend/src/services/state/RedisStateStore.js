@@ -0,0 +1,166 @@
+/**
+ * RedisStateStore - Shared State in Redis
+ *
+ * Lets several server instances share winner claims, room leases and
+ * messages. Compare-and-set runs as a Lua script, so Redis applies the
+ * check and the write as one atomic step no matter how many instances
+ * race for the same key.
+ *
+ * Needs the optional 'ioredis' package, and '@socket.io/redis-adapter'
+ * for broadcasts between instances. A client can be passed in instead
+ * of a URL (the tests pass an in-process stand-in).
+ *
+ * @class RedisStateStore
+ */
+
+const StateStore = require('./StateStore');
+
+// Keys are namespaced so the store can share a Redis database
+const KEY_PREFIX = 'quiz:';
+
+// Custom commands defined on the client (see ioredis defineCommand)
+const COMMANDS = {
+  // KEYS[1] key; ARGV: expectAbsent ('1'/'0'), expected, value, ttlMs
+  quizCompareAndSet: {
+    numberOfKeys: 1,
+    lua: `
+      local current = redis.call('GET', KEYS[1])
+      local matches
+      if ARGV[1] == '1' then
+        matches = current == false
+      else
+        matches = current == ARGV[2]
+      end
+      if not matches then
+        return 0
+      end
+      if tonumber(ARGV[4]) > 0 then
+        redis.call('SET', KEYS[1], ARGV[3], 'PX', ARGV[4])
+      else
+        redis.call('SET', KEYS[1], ARGV[3])
+      end
+      return 1
+    `
+  },
+
+  // KEYS[1] key; ARGV: expected
+  quizCompareAndDelete: {
+    numberOfKeys: 1,
+    lua: `
+      if redis.call('GET', KEYS[1]) == ARGV[1] then
+        return redis.call('DEL', KEYS[1])
+      end
+      return 0
+    `
+  }
+};
+
+class RedisStateStore extends StateStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {String} options.url - Redis URL (e.g. redis://localhost:6379)
+   * @param {Object} options.client - Existing client to use instead of connecting to url
+   * @throws {Error} If 'ioredis' isn't installed and no client was given
+   */
+  constructor({ url, client } = {}) {
+    super('redis');
+
+    if (!client) {
+      let Redis;
+      try {
+        Redis = require('ioredis');
+      } catch (error) {
+        throw new Error("Redis state storage requires the 'ioredis' package");
+      }
+      client = new Redis(url);
+    }
+
+    this.client = client;
+    Object.entries(COMMANDS).forEach(([name, definition]) => {
+      this.client.defineCommand(name, definition);
+    });
+
+    // Subscribed connections can't run other commands, so messages get their own
+    this.subscriber = client.duplicate();
+    this.handlers = new Map();
+    this.subscriber.on('message', (channel, encoded) => {
+      const handlers = this.handlers.get(channel);
+      if (handlers) {
+        const message = JSON.parse(encoded);
+        handlers.forEach(handler => handler(message));
+      }
+    });
+  }
+
+  async get(key) {
+    const encoded = await this.client.get(KEY_PREFIX + key);
+    return encoded === null ? null : JSON.parse(encoded);
+  }
+
+  async compareAndSet(key, expected, value, { ttlMs = 0 } = {}) {
+    const result = await this.client.quizCompareAndSet(
+      KEY_PREFIX + key,
+      expected === null ? '1' : '0',
+      expected === null ? '' : JSON.stringify(expected),
+      JSON.stringify(value),
+      String(Math.max(0, Math.round(ttlMs)))
+    );
+    return result === 1;
+  }
+
+  async compareAndDelete(key, expected) {
+    const result = await this.client.quizCompareAndDelete(KEY_PREFIX + key, JSON.stringify(expected));
+    return result === 1;
+  }
+
+  async publish(channel, message) {
+    await this.client.publish(KEY_PREFIX + channel, JSON.stringify(message));
+  }
+
+  async subscribe(channel, handler) {
+    const fullChannel = KEY_PREFIX + channel;
+    let handlers = this.handlers.get(fullChannel);
+
+    if (!handlers) {
+      handlers = new Set();
+      this.handlers.set(fullChannel, handlers);
+      await this.subscriber.subscribe(fullChannel);
+    }
+    handlers.add(handler);
+
+    return async () => {
+      handlers.delete(handler);
+      if (handlers.size === 0 && this.handlers.get(fullChannel) === handlers) {
+        this.handlers.delete(fullChannel);
+        await this.subscriber.unsubscribe(fullChannel);
+      }
+    };
+  }
+
+  /**
+   * Builds the Socket.io Redis adapter on dedicated connections
+   * @returns {Function} Adapter for io.adapter()
+   * @throws {Error} If '@socket.io/redis-adapter' isn't installed
+   */
+  createAdapter() {
+    let redisAdapter;
+    try {
+      redisAdapter = require('@socket.io/redis-adapter');
+    } catch (error) {
+      throw new Error("Sharing broadcasts between instances requires the '@socket.io/redis-adapter' package");
+    }
+
+    this.adapterClients = [this.client.duplicate(), this.client.duplicate()];
+    return redisAdapter.createAdapter(...this.adapterClients, { key: `${KEY_PREFIX}socket.io` });
+  }
+
+  async close() {
+    const clients = [this.client, this.subscriber, ...(this.adapterClients || [])];
+    await Promise.all(clients.map(client => client.quit()));
+  }
+}
+
+RedisStateStore.COMMANDS = COMMANDS;
+RedisStateStore.KEY_PREFIX = KEY_PREFIX;
+
+module.exports = RedisStateStore;
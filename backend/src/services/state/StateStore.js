@@ -0,0 +1,155 @@
+/**
+ * StateStore - Base Class for State Shared Between Server Instances
+ *
+ * A single server process can rely on Node.js running one handler at a
+ * time: whoever calls StateManager.attemptWin() first wins. Several
+ * instances behind a load balancer can't, so the decisions that must be
+ * made exactly once across all of them go through a shared store:
+ *
+ *   - Winner claims: the first instance to claim a question's win gets it
+ *   - Room leases: each room's game runs on exactly one instance at a time
+ *
+ * Both are built on an atomic compare-and-set. Values are compared by
+ * their JSON encoding, and keys can expire so a crashed instance's
+ * leases are eventually taken over.
+ *
+ * Stores also carry pub/sub messages between instances (InstanceBus
+ * sends requests to a room's instance over them) and provide the
+ * Socket.io adapter that fans room broadcasts out to every instance.
+ *
+ * All methods are asynchronous, since a networked store (Redis) is.
+ *
+ * @class StateStore
+ */
+
+// How long a question's winner claim is kept (well past any question's lifetime)
+const WINNER_CLAIM_TTL_MS = 60 * 60 * 1000;
+
+class StateStore {
+  /**
+   * @param {String} name - Store driver name (for monitoring)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Reads a value
+   * @param {String} key - Key
+   * @returns {Promise<*>} Stored value, or null if absent or expired
+   */
+  async get(key) {
+    throw new Error(`${this.constructor.name} must implement get()`);
+  }
+
+  /**
+   * Atomically replaces a value if it still holds what the caller expects
+   * @param {String} key - Key
+   * @param {*} expected - Expected current value (null: the key must be absent)
+   * @param {*} value - New value
+   * @param {Object} options - Options
+   * @param {Number} options.ttlMs - Expire the key after this long (0 = never)
+   * @returns {Promise<Boolean>} True if the value was replaced
+   */
+  async compareAndSet(key, expected, value, { ttlMs = 0 } = {}) {
+    throw new Error(`${this.constructor.name} must implement compareAndSet()`);
+  }
+
+  /**
+   * Atomically deletes a key if it still holds what the caller expects
+   * @param {String} key - Key
+   * @param {*} expected - Expected current value
+   * @returns {Promise<Boolean>} True if the key was deleted
+   */
+  async compareAndDelete(key, expected) {
+    throw new Error(`${this.constructor.name} must implement compareAndDelete()`);
+  }
+
+  /**
+   * Sends a message to every instance subscribed to a channel (including this one)
+   * @param {String} channel - Channel name
+   * @param {*} message - JSON-serializable message
+   */
+  async publish(channel, message) {
+    throw new Error(`${this.constructor.name} must implement publish()`);
+  }
+
+  /**
+   * Listens for messages on a channel
+   * @param {String} channel - Channel name
+   * @param {Function} handler - Called with each message
+   * @returns {Promise<Function>} Async function that stops listening
+   */
+  async subscribe(channel, handler) {
+    throw new Error(`${this.constructor.name} must implement subscribe()`);
+  }
+
+  /**
+   * Builds the Socket.io adapter that shares broadcasts between instances
+   * @returns {Function|null} Adapter for io.adapter(), or null for the default in-process adapter
+   */
+  createAdapter() {
+    return null;
+  }
+
+  /**
+   * Releases connections (call on shutdown)
+   */
+  async close() {}
+
+  /**
+   * Claims the win on a question for one or more players
+   * Only the first claim for a question succeeds, on any instance.
+   *
+   * @param {String} roomCode - Room code
+   * @param {String} questionId - Question ID
+   * @param {Array<String>} winnerIds - Winning player IDs
+   * @returns {Promise<Object>} { claimed, winnerIds } where winnerIds are the claim that stands
+   */
+  async claimWinner(roomCode, questionId, winnerIds) {
+    const key = `winner:${roomCode}:${questionId}`;
+    const claimed = await this.compareAndSet(key, null, winnerIds, { ttlMs: WINNER_CLAIM_TTL_MS });
+
+    return {
+      claimed,
+      winnerIds: claimed ? winnerIds : await this.get(key)
+    };
+  }
+
+  /**
+   * Takes or renews a lease - an expiring key only one owner can hold
+   * @param {String} name - Lease name (e.g. 'room:lobby')
+   * @param {String} owner - Owner ID (e.g. this instance's ID)
+   * @param {Number} ttlMs - Lease lifetime; renew well before it runs out
+   * @returns {Promise<Boolean>} True if the owner holds the lease
+   */
+  async acquireLease(name, owner, ttlMs) {
+    const key = `lease:${name}`;
+
+    return await this.compareAndSet(key, null, owner, { ttlMs }) ||
+      this.compareAndSet(key, owner, owner, { ttlMs });
+  }
+
+  /**
+   * Gives up a lease (does nothing if the owner no longer holds it)
+   * @param {String} name - Lease name
+   * @param {String} owner - Owner ID
+   * @returns {Promise<Boolean>} True if the lease was released
+   */
+  async releaseLease(name, owner) {
+    return this.compareAndDelete(`lease:${name}`, owner);
+  }
+
+  /**
+   * Gets a lease's current owner
+   * @param {String} name - Lease name
+   * @returns {Promise<String|null>} Owner ID, or null if nobody holds it
+   */
+  async getLeaseOwner(name) {
+    return this.get(`lease:${name}`);
+  }
+}
+
+StateStore.WINNER_CLAIM_TTL_MS = WINNER_CLAIM_TTL_MS;
+
+module.exports = StateStore;
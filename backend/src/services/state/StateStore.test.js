@@ -0,0 +1,389 @@
+/**
+ * Unit Tests for the shared state stores
+ *
+ * Runs the same checks against every driver: compare-and-set, expiry,
+ * winner claims, leases and pub/sub. The Redis store runs against
+ * FakeRedis (below), so no Redis server is needed.
+ */
+
+const { EventEmitter } = require('events');
+const StateStore = require('./StateStore');
+const MemoryStateStore = require('./MemoryStateStore');
+const RedisStateStore = require('./RedisStateStore');
+const { createStateStore } = require('./index');
+
+// Simple test framework (async - every store method returns a promise)
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+async function test(description, testFunction) {
+  try {
+    await testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Waits for pending message deliveries
+ */
+function flush() {
+  return new Promise(resolve => setImmediate(() => setImmediate(resolve)));
+}
+
+/**
+ * FakeRedis - in-process Redis stand-in
+ *
+ * Implements the slice of the ioredis client API that RedisStateStore
+ * uses - GET, PUBLISH, SUBSCRIBE, duplicate() and the store's custom
+ * commands - so the Redis store can be tested without a Redis server.
+ *
+ * Clients made with duplicate() share one keyspace and one set of
+ * channels, like connections to the same server. Lua can't run here,
+ * so each custom command has a JavaScript twin below; keep the two in
+ * step when changing RedisStateStore.COMMANDS.
+ */
+
+// JavaScript equivalents of RedisStateStore's Lua commands
+const COMMAND_IMPLEMENTATIONS = {
+  quizCompareAndSet(server, key, expectAbsent, expected, value, ttlMs) {
+    const current = server.read(key);
+    const matches = expectAbsent === '1' ? current === null : current === expected;
+    if (!matches) {
+      return 0;
+    }
+    server.write(key, value, Number(ttlMs));
+    return 1;
+  },
+
+  quizCompareAndDelete(server, key, expected) {
+    if (server.read(key) !== expected) {
+      return 0;
+    }
+    server.keys.delete(key);
+    return 1;
+  }
+};
+
+/**
+ * The shared "server" behind every duplicated client
+ */
+class FakeRedisServer {
+  constructor(now) {
+    this.now = now;
+
+    // Map of key -> { value, expiresAt }
+    this.keys = new Map();
+
+    // Emits (channel, message) for every PUBLISH
+    this.messages = new EventEmitter();
+    this.messages.setMaxListeners(0);
+  }
+
+  read(key) {
+    const entry = this.keys.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= this.now()) {
+      this.keys.delete(key);
+      return null;
+    }
+    return entry ? entry.value : null;
+  }
+
+  write(key, value, ttlMs = 0) {
+    this.keys.set(key, {
+      value: String(value),
+      expiresAt: ttlMs > 0 ? this.now() + ttlMs : null
+    });
+  }
+}
+
+class FakeRedis extends EventEmitter {
+  /**
+   * @param {Object} options - Client options
+   * @param {Function} options.now - Clock used for expiry (epoch ms)
+   * @param {FakeRedisServer} options.server - Server to share (used by duplicate())
+   */
+  constructor({ now = Date.now, server } = {}) {
+    super();
+    this.server = server || new FakeRedisServer(now);
+    this.channels = new Set();
+    this.closed = false;
+
+    this.onPublish = (channel, message) => {
+      if (this.channels.has(channel)) {
+        this.emit('message', channel, message);
+      }
+    };
+    this.server.messages.on('publish', this.onPublish);
+  }
+
+  /**
+   * Creates another connection to the same server
+   * @returns {FakeRedis} New client
+   */
+  duplicate() {
+    return new FakeRedis({ server: this.server });
+  }
+
+  /**
+   * Defines a custom command (only the store's known commands are supported)
+   * @param {String} name - Command name
+   */
+  defineCommand(name) {
+    const implementation = COMMAND_IMPLEMENTATIONS[name];
+    if (!implementation) {
+      throw new Error(`FakeRedis has no implementation for command ${name}`);
+    }
+    this[name] = async (...args) => implementation(this.server, ...args.map(String));
+  }
+
+  async get(key) {
+    return this.server.read(key);
+  }
+
+  async publish(channel, message) {
+    // Real Redis delivers after the PUBLISH reply
+    setImmediate(() => this.server.messages.emit('publish', channel, String(message)));
+    return 1;
+  }
+
+  async subscribe(channel) {
+    this.channels.add(channel);
+  }
+
+  async unsubscribe(channel) {
+    this.channels.delete(channel);
+  }
+
+  async quit() {
+    this.closed = true;
+    this.server.messages.off('publish', this.onPublish);
+    return 'OK';
+  }
+}
+
+// Each driver gets a controllable clock for expiry tests
+const drivers = [
+  {
+    name: 'MemoryStateStore',
+    create: clock => new MemoryStateStore({ now: () => clock.now })
+  },
+  {
+    name: 'RedisStateStore',
+    create: clock => new RedisStateStore({ client: new FakeRedis({ now: () => clock.now }) })
+  }
+];
+
+async function run() {
+  console.log('\n🧪 Running StateStore Unit Tests\n');
+
+  // Test 1: The base class is abstract
+  await test('StateStore requires subclasses to implement storage', async () => {
+    const store = new StateStore('base');
+    let threw = false;
+    try {
+      await store.compareAndSet('key', null, 'value');
+    } catch (error) {
+      threw = /must implement compareAndSet/.test(error.message);
+    }
+    assert(threw, 'Expected the base class to throw');
+    assertEqual(store.createAdapter(), null, 'The default adapter is in-process');
+  });
+
+  for (const { name, create } of drivers) {
+    // Test: Compare-and-set
+    await test(`${name}: compareAndSet() only writes when the current value matches`, async () => {
+      const store = create({ now: 0 });
+
+      assertEqual(await store.get('key'), null);
+      assertEqual(await store.compareAndSet('key', null, { round: 1 }), true, 'Absent key can be created');
+      assertEqual(await store.compareAndSet('key', null, { round: 2 }), false, 'Existing key is not overwritten');
+      assertEqual((await store.get('key')).round, 1);
+
+      assertEqual(await store.compareAndSet('key', { round: 9 }, { round: 2 }), false, 'Wrong expectation');
+      assertEqual(await store.compareAndSet('key', { round: 1 }, { round: 2 }), true);
+      assertEqual((await store.get('key')).round, 2);
+    });
+
+    await test(`${name}: concurrent compareAndSet() calls have exactly one winner`, async () => {
+      const store = create({ now: 0 });
+
+      const results = await Promise.all(
+        ['a', 'b', 'c', 'd', 'e'].map(id => store.compareAndSet('lock', null, id))
+      );
+
+      assertEqual(results.filter(Boolean).length, 1);
+      assertEqual(await store.get('lock'), ['a', 'b', 'c', 'd', 'e'][results.indexOf(true)]);
+    });
+
+    await test(`${name}: keys with a TTL expire`, async () => {
+      const clock = { now: 1000 };
+      const store = create(clock);
+
+      await store.compareAndSet('temp', null, 'x', { ttlMs: 500 });
+      clock.now = 1499;
+      assertEqual(await store.get('temp'), 'x');
+      clock.now = 1500;
+      assertEqual(await store.get('temp'), null, 'Expired');
+      assertEqual(await store.compareAndSet('temp', null, 'y'), true, 'An expired key counts as absent');
+    });
+
+    await test(`${name}: compareAndDelete() only deletes the expected value`, async () => {
+      const store = create({ now: 0 });
+
+      await store.compareAndSet('key', null, 'mine');
+      assertEqual(await store.compareAndDelete('key', 'theirs'), false);
+      assertEqual(await store.compareAndDelete('key', 'mine'), true);
+      assertEqual(await store.get('key'), null);
+    });
+
+    // Test: Winner claims
+    await test(`${name}: claimWinner() accepts only the first claim per question`, async () => {
+      const store = create({ now: 0 });
+
+      const first = await store.claimWinner('lobby', 'q1', ['p_alice']);
+      const second = await store.claimWinner('lobby', 'q1', ['p_bob']);
+      const otherRoom = await store.claimWinner('classa', 'q1', ['p_bob']);
+
+      assertEqual(first.claimed, true);
+      assertEqual(second.claimed, false);
+      assertEqual(second.winnerIds[0], 'p_alice', 'The standing claim is reported');
+      assertEqual(otherRoom.claimed, true, 'Claims are per room');
+    });
+
+    // Test: Leases
+    await test(`${name}: leases have one owner until released or expired`, async () => {
+      const clock = { now: 0 };
+      const store = create(clock);
+
+      assertEqual(await store.acquireLease('room:lobby', 'instance-a', 1000), true);
+      assertEqual(await store.acquireLease('room:lobby', 'instance-b', 1000), false, 'Held by another owner');
+      assertEqual(await store.getLeaseOwner('room:lobby'), 'instance-a');
+
+      clock.now = 900;
+      assertEqual(await store.acquireLease('room:lobby', 'instance-a', 1000), true, 'Owner renews');
+      clock.now = 1500;
+      assertEqual(await store.acquireLease('room:lobby', 'instance-b', 1000), false, 'Renewal extended the lease');
+
+      assertEqual(await store.releaseLease('room:lobby', 'instance-b'), false, 'Only the owner can release');
+      assertEqual(await store.releaseLease('room:lobby', 'instance-a'), true);
+      assertEqual(await store.acquireLease('room:lobby', 'instance-b', 1000), true);
+
+      clock.now = 3000;
+      assertEqual(await store.acquireLease('room:lobby', 'instance-a', 1000), true, 'Expired leases can be taken over');
+    });
+
+    // Test: Pub/sub
+    await test(`${name}: publish() reaches every subscriber until it unsubscribes`, async () => {
+      const store = create({ now: 0 });
+      const received = [];
+
+      const stopFirst = await store.subscribe('rooms', message => received.push(['first', message.room]));
+      await store.subscribe('rooms', message => received.push(['second', message.room]));
+      await store.subscribe('other', () => received.push(['other']));
+
+      await store.publish('rooms', { room: 'lobby' });
+      await flush();
+      assertEqual(received.length, 2);
+
+      await stopFirst();
+      await store.publish('rooms', { room: 'classa' });
+      await flush();
+      assertEqual(received.length, 3);
+      assertEqual(received[2][0], 'second');
+      assertEqual(received[2][1], 'classa');
+
+      await store.close();
+    });
+  }
+
+  // Test: Memory store housekeeping
+  await test('MemoryStateStore: writes sweep out expired keys nobody reads again', async () => {
+    const clock = { now: 0 };
+    const store = new MemoryStateStore({ now: () => clock.now });
+
+    await store.claimWinner('lobby', 'q1', ['p_alice']);
+    await store.compareAndSet('forever', null, 'kept');
+    clock.now = StateStore.WINNER_CLAIM_TTL_MS + MemoryStateStore.SWEEP_INTERVAL_MS;
+    await store.claimWinner('lobby', 'q2', ['p_bob']);
+
+    assertEqual(store.entries.size, 2, 'Only the new claim and the key without a TTL are left');
+    assert(store.entries.has('forever'));
+  });
+
+  // Test: Instances sharing one Redis
+  await test('RedisStateStore: stores on the same server share claims and messages', async () => {
+    const redis = new FakeRedis();
+    const instanceA = new RedisStateStore({ client: redis });
+    const instanceB = new RedisStateStore({ client: redis.duplicate() });
+    const received = [];
+
+    await instanceB.subscribe('events', message => received.push(message));
+    await instanceA.publish('events', { from: 'a' });
+    await flush();
+    assertEqual(received.length, 1);
+    assertEqual(received[0].from, 'a');
+
+    const [claimA, claimB] = await Promise.all([
+      instanceA.claimWinner('lobby', 'q1', ['p_alice']),
+      instanceB.claimWinner('lobby', 'q1', ['p_bob'])
+    ]);
+    assertEqual([claimA, claimB].filter(claim => claim.claimed).length, 1, 'One instance wins the claim');
+    assertEqual(claimA.winnerIds[0], claimB.winnerIds[0], 'Both agree on the winner');
+  });
+
+  // Test: Factory configuration
+  await test('createStateStore() builds the configured driver', async () => {
+    assert(createStateStore() instanceof MemoryStateStore, 'Memory is the default');
+    assert(createStateStore({ driver: 'redis', client: new FakeRedis() }) instanceof RedisStateStore);
+
+    const invalid = [{ driver: 'etcd' }, { driver: 'redis' }];
+    invalid.forEach(config => {
+      let threw = false;
+      try {
+        createStateStore(config);
+      } catch (error) {
+        threw = true;
+      }
+      assert(threw, `Expected ${JSON.stringify(config)} to be rejected`);
+    });
+  });
+
+  // Print Summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`📊 Test Summary`);
+  console.log('='.repeat(50));
+  console.log(`✅ Passed: ${testsPassed}`);
+  console.log(`❌ Failed: ${testsFailed}`);
+  console.log(`📈 Total: ${testsPassed + testsFailed}`);
+  console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+  console.log('='.repeat(50) + '\n');
+
+  if (testsFailed === 0) {
+    console.log('🎉 All tests passed!\n');
+    process.exit(0);
+  } else {
+    console.log('⚠️  Some tests failed. Please review.\n');
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,55 @@
+/**
+ * Shared State Storage
+ *
+ * Builds the store that coordinates server instances from configuration:
+ * - 'memory': a single instance (default)
+ * - 'redis': several instances sharing one Redis server (needs 'ioredis')
+ *
+ * Instances send each other requests through an InstanceBus on the store,
+ * and relay players to the instance running their room with a PlayerRelay.
+ */
+
+const StateStore = require('./StateStore');
+const MemoryStateStore = require('./MemoryStateStore');
+const RedisStateStore = require('./RedisStateStore');
+const InstanceBus = require('./InstanceBus');
+const PlayerRelay = require('./PlayerRelay');
+
+const STATE_DRIVERS = ['memory', 'redis'];
+
+/**
+ * Creates the state store
+ * Unlike round storage there's no fallback: instances that believe they
+ * share state but don't would each declare their own winners.
+ *
+ * @param {Object} config - State store configuration
+ * @param {String} config.driver - 'memory' or 'redis'
+ * @param {String} config.url - Redis URL
+ * @param {Object} config.client - Redis client to use instead of connecting to url
+ * @returns {StateStore} State store
+ * @throws {Error} If the driver is unknown or its package isn't installed
+ */
+function createStateStore({ driver = 'memory', url, client } = {}) {
+  if (!STATE_DRIVERS.includes(driver)) {
+    throw new Error(`Invalid state store driver: ${driver}. Must be one of ${STATE_DRIVERS.join(', ')}.`);
+  }
+
+  if (driver === 'redis') {
+    if (!url && !client) {
+      throw new Error('Redis state storage requires REDIS_URL');
+    }
+    return new RedisStateStore({ url, client });
+  }
+
+  return new MemoryStateStore();
+}
+
+module.exports = {
+  STATE_DRIVERS,
+  StateStore,
+  MemoryStateStore,
+  RedisStateStore,
+  InstanceBus,
+  PlayerRelay,
+  createStateStore
+};
@@ -0,0 +1,202 @@
+/**
+ * MemoryRoundStore - In-Memory Round History
+ *
+ * Keeps rounds in process memory. Nothing survives a restart, so this
+ * is for tests, local development, and servers where the SQLite
+ * driver isn't installed.
+ *
+ * Only the most recent `maxRounds` rounds are kept; scores and stats
+ * are tallied as rounds arrive, so they cover the full history.
+ *
+ * @class MemoryRoundStore
+ */
+
+const RoundStore = require('./RoundStore');
+
+const DEFAULT_MAX_ROUNDS = 1000;
+
+class MemoryRoundStore extends RoundStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Number} options.maxRounds - Number of rounds kept in the history
+   */
+  constructor({ maxRounds = DEFAULT_MAX_ROUNDS } = {}) {
+    super('memory');
+
+    this.maxRounds = maxRounds;
+    this.nextId = 1;
+
+    // Saved rounds, oldest first
+    this.rounds = [];
+
+    // Map of room code -> Map of playerId -> { score, wins, lastScoredAt, nickname }
+    this.scores = new Map();
+
+    // Map of room code -> stats totals
+    this.stats = new Map();
+  }
+
+  /**
+   * Saves a finished round
+   * @param {Object} round - Round record
+   * @returns {Object} The saved round, including its assigned id
+   */
+  saveRound(round) {
+    RoundStore.validateRound(round);
+
+    const saved = {
+      ...round,
+      id: this.nextId++,
+      submissions: (round.submissions || []).map(submission => ({ ...submission })),
+      winners: (round.winners || []).map(winner => ({ ...winner }))
+    };
+
+    this.rounds.push(saved);
+    if (this.rounds.length > this.maxRounds) {
+      this.rounds.shift();
+    }
+
+    this.tallyScores(saved);
+    this.tallyStats(saved);
+
+    return saved;
+  }
+
+  /**
+   * Finds saved rounds, newest first
+   * @param {Object} filters - { room, difficulty, playerId, limit, offset, includeSubmissions }
+   * @returns {Object} { rounds, total }
+   */
+  findRounds({ room, difficulty, playerId, limit = 20, offset = 0, includeSubmissions = false } = {}) {
+    const matches = this.rounds
+      .filter(round => (
+        (!room || round.room === room) &&
+        (!difficulty || round.difficulty === difficulty) &&
+        (!playerId || round.submissions.some(submission => submission.playerId === playerId) ||
+          round.winners.some(winner => winner.playerId === playerId))
+      ))
+      .sort((a, b) => b.endedAt - a.endedAt || b.id - a.id);
+
+    return {
+      rounds: matches
+        .slice(offset, offset + limit)
+        .map(round => MemoryRoundStore.toResult(round, includeSubmissions)),
+      total: matches.length
+    };
+  }
+
+  /**
+   * Gets the cumulative scores of a room's players
+   * @param {String} roomCode - Room code
+   * @returns {Array<Object>} { playerId, nickname, score, wins, lastScoredAt }
+   */
+  getScores(roomCode) {
+    const scores = this.scores.get(roomCode);
+    if (!scores) {
+      return [];
+    }
+
+    return Array.from(scores.entries())
+      .filter(([, entry]) => entry.wins > 0)
+      .map(([playerId, entry]) => ({ playerId, ...entry }));
+  }
+
+  /**
+   * Starts a room's scores over
+   * @param {String} roomCode - Room code
+   */
+  resetScores(roomCode) {
+    this.scores.delete(roomCode);
+  }
+
+  /**
+   * Gets totals over a room's whole history
+   * @param {String} roomCode - Room code
+   * @returns {Object} { rounds, won, timedOut, skipped, unconfirmed, submissions, correctSubmissions }
+   */
+  getRoomStats(roomCode) {
+    return {
+      rounds: 0,
+      won: 0,
+      timedOut: 0,
+      skipped: 0,
+      unconfirmed: 0,
+      submissions: 0,
+      correctSubmissions: 0,
+      ...this.stats.get(roomCode)
+    };
+  }
+
+  /**
+   * Adds a round's points and penalties to the room's running scores
+   * @param {Object} round - Saved round
+   */
+  tallyScores(round) {
+    if (!this.scores.has(round.room)) {
+      this.scores.set(round.room, new Map());
+    }
+    const scores = this.scores.get(round.room);
+
+    const getEntry = (playerId) => {
+      if (!scores.has(playerId)) {
+        scores.set(playerId, { nickname: null, score: 0, wins: 0, lastScoredAt: null });
+      }
+      return scores.get(playerId);
+    };
+
+    round.submissions.forEach(submission => {
+      if (submission.penalty > 0) {
+        const entry = getEntry(submission.playerId);
+        entry.score -= submission.penalty;
+        entry.nickname = submission.nickname || entry.nickname;
+      }
+    });
+
+    round.winners.forEach(winner => {
+      const entry = getEntry(winner.playerId);
+      entry.score += winner.points;
+      entry.wins += 1;
+      entry.lastScoredAt = round.endedAt;
+      entry.nickname = winner.nickname || entry.nickname;
+    });
+  }
+
+  /**
+   * Adds a round to the room's history totals
+   * @param {Object} round - Saved round
+   */
+  tallyStats(round) {
+    const stats = this.getRoomStats(round.room);
+
+    stats.rounds += 1;
+    stats.won += round.outcome === 'won' ? 1 : 0;
+    stats.timedOut += round.outcome === 'timeout' ? 1 : 0;
+    stats.skipped += round.outcome === 'skipped' ? 1 : 0;
+    stats.unconfirmed += round.outcome === 'unconfirmed' ? 1 : 0;
+    stats.submissions += round.submissions.length;
+    stats.correctSubmissions += round.submissions.filter(submission => submission.isCorrect).length;
+
+    this.stats.set(round.room, stats);
+  }
+
+  /**
+   * Copies a saved round for callers
+   * @param {Object} round - Saved round
+   * @param {Boolean} includeSubmissions - Include every submission
+   * @returns {Object} Round result
+   */
+  static toResult(round, includeSubmissions) {
+    const { submissions, ...rest } = round;
+
+    return {
+      ...rest,
+      winners: round.winners.map(winner => ({ ...winner })),
+      submissionCount: submissions.length,
+      correctCount: submissions.filter(submission => submission.isCorrect).length,
+      playerCount: new Set(submissions.map(submission => submission.playerId)).size,
+      ...(includeSubmissions ? { submissions: submissions.map(submission => ({ ...submission })) } : {})
+    };
+  }
+}
+
+module.exports = MemoryRoundStore;
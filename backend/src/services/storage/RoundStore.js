@@ -0,0 +1,139 @@
+/**
+ * RoundStore - Base Class for Round History Storage
+ *
+ * Records every finished round - the question, each submission with its
+ * timestamp and correctness, and the winners - so history, scores and
+ * stats outlive the in-memory StateManager and survive restarts.
+ *
+ * A saved round looks like:
+ *   {
+ *     room, questionId, question, answer, type, difficulty, provider,
+ *     outcome,                // 'won', 'timeout', 'skipped' or 'unconfirmed'
+ *     startedAt, endedAt,     // epoch ms
+ *     submissions: [{ playerId, nickname, answer, isCorrect, attemptNumber, rttMs, penalty, timestamp }],
+ *     winners: [{ playerId, nickname, points, responseTimeMs }]
+ *   }
+ *
+ * Rounds read back from a store also carry submissionCount, correctCount
+ * and playerCount (distinct players who answered).
+ *
+ * Scores are rebuilt from saved rounds: points won minus penalties,
+ * counting only rounds since the room's scores were last reset.
+ *
+ * @class RoundStore
+ */
+
+// 'unconfirmed': a winner was picked but their win couldn't be claimed in the shared store
+const ROUND_OUTCOMES = ['won', 'timeout', 'skipped', 'unconfirmed'];
+
+class RoundStore {
+  /**
+   * @param {String} name - Storage driver name (for monitoring)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Saves a finished round
+   * @param {Object} round - Round record (see class description)
+   * @returns {Object} The saved round, including its assigned id
+   */
+  saveRound(round) {
+    throw new Error(`${this.constructor.name} must implement saveRound()`);
+  }
+
+  /**
+   * Finds saved rounds, newest first
+   * @param {Object} filters - Query filters (all optional)
+   * @param {String} filters.room - Only rounds from this room
+   * @param {String} filters.difficulty - Only rounds of this difficulty
+   * @param {String} filters.playerId - Only rounds this player answered or won
+   * @param {Number} filters.limit - Page size
+   * @param {Number} filters.offset - Number of matching rounds to skip
+   * @param {Boolean} filters.includeSubmissions - Include every submission
+   * @returns {Object} { rounds, total } where total counts every match
+   */
+  findRounds(filters = {}) {
+    throw new Error(`${this.constructor.name} must implement findRounds()`);
+  }
+
+  /**
+   * Gets a room's most recent rounds, newest first
+   * @param {String} roomCode - Room code
+   * @param {Object} options - Query options
+   * @param {Number} options.limit - Maximum number of rounds
+   * @param {Boolean} options.includeSubmissions - Include every submission
+   * @returns {Array<Object>} Saved rounds
+   */
+  getRecentRounds(roomCode, { limit = 20, includeSubmissions = false } = {}) {
+    return this.findRounds({ room: roomCode, limit, includeSubmissions }).rounds;
+  }
+
+  /**
+   * Gets the cumulative scores of a room's players
+   * @param {String} roomCode - Room code
+   * @returns {Array<Object>} { playerId, nickname, score, wins, lastScoredAt }
+   */
+  getScores(roomCode) {
+    throw new Error(`${this.constructor.name} must implement getScores()`);
+  }
+
+  /**
+   * Starts a room's scores over (earlier rounds stay in the history)
+   * @param {String} roomCode - Room code
+   * @param {Number} at - Reset time (epoch ms)
+   */
+  resetScores(roomCode, at = Date.now()) {
+    throw new Error(`${this.constructor.name} must implement resetScores()`);
+  }
+
+  /**
+   * Gets totals over a room's whole history
+   * @param {String} roomCode - Room code
+   * @returns {Object} { rounds, won, timedOut, skipped, unconfirmed, submissions, correctSubmissions }
+   */
+  getRoomStats(roomCode) {
+    throw new Error(`${this.constructor.name} must implement getRoomStats()`);
+  }
+
+  /**
+   * Releases any resources held by the store
+   */
+  close() {}
+
+  /**
+   * Gets a description of the store for monitoring
+   * @returns {Object} Store info
+   */
+  getInfo() {
+    return {
+      name: this.name,
+      type: this.constructor.name
+    };
+  }
+
+  /**
+   * Checks a round record before it is saved
+   * @param {Object} round - Round record
+   * @throws {Error} If required fields are missing or invalid
+   */
+  static validateRound(round) {
+    if (!round || typeof round.room !== 'string' || !round.room) {
+      throw new Error('Round must have a room code');
+    }
+    if (!round.questionId || round.question === undefined) {
+      throw new Error('Round must have a question');
+    }
+    if (!ROUND_OUTCOMES.includes(round.outcome)) {
+      throw new Error(`Invalid round outcome: ${round.outcome}. Must be one of ${ROUND_OUTCOMES.join(', ')}.`);
+    }
+    if (!Number.isFinite(round.startedAt) || !Number.isFinite(round.endedAt)) {
+      throw new Error('Round must have startedAt and endedAt timestamps');
+    }
+  }
+}
+
+RoundStore.ROUND_OUTCOMES = ROUND_OUTCOMES;
+
+module.exports = RoundStore;
@@ -0,0 +1,327 @@
+/**
+ * Unit Tests for the round stores
+ *
+ * Runs the same checks against every storage driver: saving rounds,
+ * recent history, scores rebuilt from history, score resets and stats.
+ * The SQLite driver is skipped when 'better-sqlite3' isn't installed.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RoundStore = require('./RoundStore');
+const MemoryRoundStore = require('./MemoryRoundStore');
+const SqliteRoundStore = require('./SqliteRoundStore');
+const { createRoundStore } = require('./index');
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+function test(description, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Builds a round record for tests
+ * @param {Object} overrides - Fields to change
+ * @returns {Object} Round record
+ */
+function makeRound(overrides = {}) {
+  return {
+    room: 'lobby',
+    questionId: `q_${Math.random().toString(36).slice(2)}`,
+    question: '6 × 7',
+    answer: 42,
+    type: 'numeric',
+    difficulty: 'medium',
+    provider: 'generator',
+    outcome: 'won',
+    startedAt: 1000,
+    endedAt: 5000,
+    submissions: [
+      { playerId: 'p_bob', nickname: 'Bob', answer: '41', isCorrect: false, attemptNumber: 1, rttMs: 40, penalty: 10, timestamp: 2000 },
+      { playerId: 'p_alice', nickname: 'Alice', answer: '42', isCorrect: true, attemptNumber: 1, rttMs: 20, penalty: 0, timestamp: 3000 }
+    ],
+    winners: [
+      { playerId: 'p_alice', nickname: 'Alice', points: 250, responseTimeMs: 2000 }
+    ],
+    ...overrides
+  };
+}
+
+let sqliteAvailable = true;
+try {
+  require('better-sqlite3');
+} catch (error) {
+  sqliteAvailable = false;
+}
+
+const drivers = [
+  { name: 'MemoryRoundStore', create: () => new MemoryRoundStore() }
+];
+
+if (sqliteAvailable) {
+  drivers.push({ name: 'SqliteRoundStore', create: () => new SqliteRoundStore({ path: ':memory:' }) });
+}
+
+// Test Suite
+console.log('\n🧪 Running RoundStore Unit Tests\n');
+
+if (!sqliteAvailable) {
+  console.log('⚠️  better-sqlite3 is not installed - skipping SqliteRoundStore\n');
+}
+
+// Test 1: The base class is abstract
+test('RoundStore requires subclasses to implement storage', () => {
+  const store = new RoundStore('base');
+  let threw = false;
+  try {
+    store.saveRound(makeRound());
+  } catch (error) {
+    threw = /must implement saveRound/.test(error.message);
+  }
+  assert(threw, 'Expected the base class to throw');
+});
+
+// Test 2: Round validation
+test('validateRound() rejects incomplete rounds', () => {
+  const invalid = [
+    makeRound({ room: '' }),
+    makeRound({ questionId: undefined }),
+    makeRound({ outcome: 'abandoned' }),
+    makeRound({ endedAt: undefined })
+  ];
+
+  invalid.forEach(round => {
+    let threw = false;
+    try {
+      RoundStore.validateRound(round);
+    } catch (error) {
+      threw = true;
+    }
+    assert(threw, `Expected ${JSON.stringify(round).slice(0, 60)}... to be rejected`);
+  });
+});
+
+drivers.forEach(({ name, create }) => {
+  // Test: Saving and reading back a round
+  test(`${name}: saveRound() stores the round with its winners and submissions`, () => {
+    const store = create();
+    const saved = store.saveRound(makeRound());
+    assert(saved.id, 'Saved round should have an id');
+
+    const [round] = store.getRecentRounds('lobby', { includeSubmissions: true });
+    assertEqual(round.id, saved.id);
+    assertEqual(round.answer, 42);
+    assertEqual(round.outcome, 'won');
+    assertEqual(round.winners.length, 1);
+    assertEqual(round.winners[0].nickname, 'Alice');
+    assertEqual(round.submissionCount, 2);
+    assertEqual(round.correctCount, 1);
+    assertEqual(round.submissions[0].playerId, 'p_bob');
+    assertEqual(round.submissions[0].isCorrect, false);
+    assertEqual(round.submissions[1].timestamp, 3000);
+    store.close();
+  });
+
+  // Test: Newest first, per room, limited
+  test(`${name}: getRecentRounds() returns the room's newest rounds first`, () => {
+    const store = create();
+    store.saveRound(makeRound({ question: 'first', endedAt: 5000 }));
+    store.saveRound(makeRound({ question: 'other room', room: 'math-101', endedAt: 6000 }));
+    store.saveRound(makeRound({ question: 'second', endedAt: 7000, outcome: 'timeout', winners: [] }));
+
+    const rounds = store.getRecentRounds('lobby');
+    assertEqual(rounds.length, 2);
+    assertEqual(rounds[0].question, 'second');
+    assertEqual(rounds[1].question, 'first');
+    assertEqual(rounds[0].submissions, undefined, 'Submissions are only included on request');
+
+    assertEqual(store.getRecentRounds('lobby', { limit: 1 }).length, 1);
+    assertEqual(store.getRecentRounds('empty-room').length, 0);
+    store.close();
+  });
+
+  // Test: Filtering and pagination
+  test(`${name}: findRounds() filters by room, difficulty and player and pages results`, () => {
+    const store = create();
+    store.saveRound(makeRound({ question: 'easy one', difficulty: 'easy', endedAt: 5000 }));
+    store.saveRound(makeRound({ question: 'hard one', difficulty: 'hard', endedAt: 6000, submissions: [], winners: [] }));
+    store.saveRound(makeRound({
+      question: 'carol only',
+      difficulty: 'easy',
+      endedAt: 7000,
+      submissions: [{ playerId: 'p_carol', nickname: 'Carol', answer: '42', isCorrect: true, attemptNumber: 1, penalty: 0, timestamp: 6500 }],
+      winners: [{ playerId: 'p_carol', nickname: 'Carol', points: 150, responseTimeMs: 5500 }]
+    }));
+    store.saveRound(makeRound({ question: 'elsewhere', room: 'math-101', difficulty: 'easy', endedAt: 8000 }));
+
+    const all = store.findRounds();
+    assertEqual(all.total, 4);
+    assertEqual(all.rounds[0].question, 'elsewhere');
+
+    const easyLobby = store.findRounds({ room: 'lobby', difficulty: 'easy' });
+    assertEqual(easyLobby.total, 2);
+    assertEqual(easyLobby.rounds.map(round => round.question).join(','), 'carol only,easy one');
+
+    const bob = store.findRounds({ room: 'lobby', playerId: 'p_bob' });
+    assertEqual(bob.total, 1, 'Bob only answered the first lobby round');
+    assertEqual(bob.rounds[0].playerCount, 2);
+
+    const page = store.findRounds({ limit: 2, offset: 1 });
+    assertEqual(page.total, 4);
+    assertEqual(page.rounds.length, 2);
+    assertEqual(page.rounds[0].question, 'carol only');
+    assertEqual(page.rounds[1].question, 'hard one');
+    store.close();
+  });
+
+  // Test: Scores rebuilt from history
+  test(`${name}: getScores() totals points minus penalties per player`, () => {
+    const store = create();
+    store.saveRound(makeRound({ endedAt: 5000 }));
+    store.saveRound(makeRound({
+      endedAt: 9000,
+      submissions: [{ playerId: 'p_bob', nickname: 'Bobby', answer: '7', isCorrect: true, attemptNumber: 1, penalty: 0, timestamp: 8000 }],
+      winners: [{ playerId: 'p_bob', nickname: 'Bobby', points: 100, responseTimeMs: 7000 }]
+    }));
+    store.saveRound(makeRound({
+      endedAt: 12000,
+      submissions: [{ playerId: 'p_alice', nickname: 'Alice', answer: '1', isCorrect: false, attemptNumber: 1, penalty: 30, timestamp: 11000 }],
+      outcome: 'timeout',
+      winners: []
+    }));
+
+    const scores = store.getScores('lobby').sort((a, b) => a.playerId.localeCompare(b.playerId));
+    assertEqual(scores.length, 2);
+
+    assertEqual(scores[0].playerId, 'p_alice');
+    assertEqual(scores[0].score, 220);
+    assertEqual(scores[0].wins, 1);
+    assertEqual(scores[0].lastScoredAt, 5000);
+
+    assertEqual(scores[1].playerId, 'p_bob');
+    assertEqual(scores[1].score, 90, 'Penalty from the earlier round should be deducted');
+    assertEqual(scores[1].nickname, 'Bobby', 'Latest nickname should be used');
+
+    assertEqual(store.getScores('math-101').length, 0);
+    store.close();
+  });
+
+  // Test: Score resets keep the history
+  test(`${name}: resetScores() starts scores over but keeps the history`, () => {
+    const store = create();
+    store.saveRound(makeRound({ endedAt: 5000 }));
+    store.resetScores('lobby', 6000);
+
+    assertEqual(store.getScores('lobby').length, 0);
+    assertEqual(store.getRecentRounds('lobby').length, 1);
+
+    store.saveRound(makeRound({ endedAt: 7000 }));
+    const [alice] = store.getScores('lobby');
+    assertEqual(alice.score, 250);
+    assertEqual(alice.wins, 1);
+    store.close();
+  });
+
+  // Test: Room stats
+  test(`${name}: getRoomStats() counts rounds by outcome and submissions`, () => {
+    const store = create();
+    assertEqual(store.getRoomStats('lobby').rounds, 0);
+
+    store.saveRound(makeRound());
+    store.saveRound(makeRound({ outcome: 'timeout', winners: [] }));
+    store.saveRound(makeRound({ outcome: 'skipped', winners: [], submissions: [] }));
+    store.saveRound(makeRound({ outcome: 'unconfirmed', winners: [], submissions: [] }));
+
+    const stats = store.getRoomStats('lobby');
+    assertEqual(stats.rounds, 4);
+    assertEqual(stats.unconfirmed, 1);
+    assertEqual(stats.won, 1);
+    assertEqual(stats.timedOut, 1);
+    assertEqual(stats.skipped, 1);
+    assertEqual(stats.submissions, 4);
+    assertEqual(stats.correctSubmissions, 2);
+    store.close();
+  });
+});
+
+// Test: History survives reopening the database file
+if (sqliteAvailable) {
+  test('SqliteRoundStore: rounds survive closing and reopening the file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'round-store-'));
+    const filePath = path.join(dir, 'nested', 'quiz.sqlite');
+
+    try {
+      const first = new SqliteRoundStore({ path: filePath });
+      first.saveRound(makeRound());
+      first.close();
+
+      const second = new SqliteRoundStore({ path: filePath });
+      assertEqual(second.getRecentRounds('lobby').length, 1);
+      assertEqual(second.getScores('lobby')[0].score, 250);
+      second.close();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+}
+
+// Test: Factory configuration
+test('createRoundStore() builds the configured driver', () => {
+  assert(createRoundStore({ driver: 'memory' }) instanceof MemoryRoundStore);
+
+  const store = createRoundStore({ driver: 'sqlite', path: ':memory:' });
+  assert(store instanceof (sqliteAvailable ? SqliteRoundStore : MemoryRoundStore),
+    'SQLite should fall back to memory only when the driver is missing');
+  store.close();
+
+  let threw = false;
+  try {
+    createRoundStore({ driver: 'postgres' });
+  } catch (error) {
+    threw = /Invalid storage driver/.test(error.message);
+  }
+  assert(threw, 'Expected an unknown driver to be rejected');
+});
+
+// Print Summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Summary`);
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log(`📈 Total: ${testsPassed + testsFailed}`);
+console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+console.log('='.repeat(50) + '\n');
+
+if (testsFailed === 0) {
+  console.log('🎉 All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('⚠️  Some tests failed. Please review.\n');
+  process.exit(1);
+}
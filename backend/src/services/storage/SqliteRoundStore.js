@@ -0,0 +1,411 @@
+/**
+ * SqliteRoundStore - Round History in a Local SQLite File
+ *
+ * Default storage: rounds, submissions and winners go to a single
+ * SQLite file, so history and scores survive restarts and redeploys
+ * (as long as the file sits on a persistent disk).
+ *
+ * Needs the optional 'better-sqlite3' package. Its API is synchronous,
+ * which keeps round bookkeeping in step with the game logic.
+ *
+ * @class SqliteRoundStore
+ */
+
+const fs = require('fs');
+const path = require('path');
+const RoundStore = require('./RoundStore');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS rounds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    room TEXT NOT NULL,
+    question_id TEXT NOT NULL,
+    question TEXT NOT NULL,
+    answer TEXT NOT NULL,
+    type TEXT,
+    difficulty TEXT,
+    provider TEXT,
+    outcome TEXT NOT NULL,
+    started_at INTEGER NOT NULL,
+    ended_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS rounds_room_ended ON rounds (room, ended_at);
+
+  CREATE TABLE IF NOT EXISTS submissions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    round_id INTEGER NOT NULL REFERENCES rounds (id) ON DELETE CASCADE,
+    player_id TEXT NOT NULL,
+    nickname TEXT,
+    answer TEXT,
+    is_correct INTEGER,
+    attempt_number INTEGER,
+    rtt_ms INTEGER NOT NULL DEFAULT 0,
+    penalty INTEGER NOT NULL DEFAULT 0,
+    submitted_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS submissions_round ON submissions (round_id);
+
+  CREATE TABLE IF NOT EXISTS winners (
+    round_id INTEGER NOT NULL REFERENCES rounds (id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    player_id TEXT NOT NULL,
+    nickname TEXT,
+    points INTEGER NOT NULL,
+    response_time_ms INTEGER,
+    PRIMARY KEY (round_id, position)
+  );
+
+  CREATE TABLE IF NOT EXISTS players (
+    player_id TEXT PRIMARY KEY,
+    nickname TEXT,
+    last_seen_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS score_resets (
+    room TEXT PRIMARY KEY,
+    reset_at INTEGER NOT NULL
+  );
+`;
+
+class SqliteRoundStore extends RoundStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {String} options.path - Database file (':memory:' for a throwaway database)
+   * @throws {Error} If 'better-sqlite3' isn't installed or the file can't be opened
+   */
+  constructor({ path: filePath } = {}) {
+    super('sqlite');
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error("SQLite round storage requires the 'better-sqlite3' package");
+    }
+
+    if (!filePath) {
+      throw new Error('SQLite round storage requires a database path');
+    }
+
+    if (filePath !== ':memory:') {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+
+    this.path = filePath;
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+
+    this.statements = this.prepareStatements();
+    this.insertRound = this.db.transaction(round => this.writeRound(round));
+
+    // Round queries prepared on demand, keyed by which filters they use
+    this.findQueries = new Map();
+  }
+
+  /**
+   * Prepares the queries used on every round
+   * @returns {Object} Prepared statements
+   */
+  prepareStatements() {
+    const db = this.db;
+
+    return {
+      insertRound: db.prepare(`
+        INSERT INTO rounds (room, question_id, question, answer, type, difficulty, provider, outcome, started_at, ended_at)
+        VALUES (@room, @questionId, @question, @answer, @type, @difficulty, @provider, @outcome, @startedAt, @endedAt)
+      `),
+      insertSubmission: db.prepare(`
+        INSERT INTO submissions (round_id, player_id, nickname, answer, is_correct, attempt_number, rtt_ms, penalty, submitted_at)
+        VALUES (@roundId, @playerId, @nickname, @answer, @isCorrect, @attemptNumber, @rttMs, @penalty, @timestamp)
+      `),
+      insertWinner: db.prepare(`
+        INSERT INTO winners (round_id, position, player_id, nickname, points, response_time_ms)
+        VALUES (@roundId, @position, @playerId, @nickname, @points, @responseTimeMs)
+      `),
+      upsertPlayer: db.prepare(`
+        INSERT INTO players (player_id, nickname, last_seen_at) VALUES (@playerId, @nickname, @seenAt)
+        ON CONFLICT (player_id) DO UPDATE SET
+          nickname = COALESCE(excluded.nickname, players.nickname),
+          last_seen_at = MAX(players.last_seen_at, excluded.last_seen_at)
+      `),
+      roundWinners: db.prepare('SELECT * FROM winners WHERE round_id = ? ORDER BY position'),
+      roundSubmissions: db.prepare('SELECT * FROM submissions WHERE round_id = ? ORDER BY submitted_at, id'),
+      scores: db.prepare(`
+        SELECT t.player_id, p.nickname,
+          SUM(t.points) AS score, SUM(t.won) AS wins, MAX(t.scored_at) AS last_scored_at
+        FROM (
+          SELECT w.player_id, w.points, 1 AS won, r.ended_at AS scored_at
+          FROM winners w JOIN rounds r ON r.id = w.round_id
+          WHERE r.room = @room AND r.ended_at > @since
+          UNION ALL
+          SELECT s.player_id, -s.penalty, 0, NULL
+          FROM submissions s JOIN rounds r ON r.id = s.round_id
+          WHERE r.room = @room AND r.ended_at > @since AND s.penalty > 0
+        ) t
+        LEFT JOIN players p ON p.player_id = t.player_id
+        GROUP BY t.player_id
+        HAVING SUM(t.won) > 0
+      `),
+      lastReset: db.prepare('SELECT reset_at FROM score_resets WHERE room = ?'),
+      resetScores: db.prepare(`
+        INSERT INTO score_resets (room, reset_at) VALUES (?, ?)
+        ON CONFLICT (room) DO UPDATE SET reset_at = excluded.reset_at
+      `),
+      roomStats: db.prepare(`
+        SELECT
+          COUNT(*) AS rounds,
+          COALESCE(SUM(outcome = 'won'), 0) AS won,
+          COALESCE(SUM(outcome = 'timeout'), 0) AS timed_out,
+          COALESCE(SUM(outcome = 'skipped'), 0) AS skipped,
+          COALESCE(SUM(outcome = 'unconfirmed'), 0) AS unconfirmed,
+          (SELECT COUNT(*) FROM submissions s JOIN rounds r ON r.id = s.round_id WHERE r.room = @room) AS submissions,
+          (SELECT COUNT(*) FROM submissions s JOIN rounds r ON r.id = s.round_id WHERE r.room = @room AND s.is_correct = 1) AS correct_submissions
+        FROM rounds
+        WHERE room = @room
+      `)
+    };
+  }
+
+  /**
+   * Saves a finished round
+   * @param {Object} round - Round record
+   * @returns {Object} The saved round, including its assigned id
+   */
+  saveRound(round) {
+    RoundStore.validateRound(round);
+    return this.insertRound(round);
+  }
+
+  /**
+   * Writes a round and its rows (runs inside a transaction)
+   * @param {Object} round - Round record
+   * @returns {Object} The saved round
+   */
+  writeRound(round) {
+    const submissions = round.submissions || [];
+    const winners = round.winners || [];
+
+    const { lastInsertRowid } = this.statements.insertRound.run({
+      room: round.room,
+      questionId: round.questionId,
+      question: String(round.question),
+      answer: JSON.stringify(round.answer),
+      type: round.type || null,
+      difficulty: round.difficulty || null,
+      provider: round.provider || null,
+      outcome: round.outcome,
+      startedAt: round.startedAt,
+      endedAt: round.endedAt
+    });
+    const roundId = Number(lastInsertRowid);
+
+    submissions.forEach(submission => {
+      this.statements.insertSubmission.run({
+        roundId,
+        playerId: submission.playerId,
+        nickname: submission.nickname || null,
+        answer: submission.answer === undefined || submission.answer === null ? null : String(submission.answer),
+        isCorrect: typeof submission.isCorrect === 'boolean' ? Number(submission.isCorrect) : null,
+        attemptNumber: submission.attemptNumber || null,
+        rttMs: submission.rttMs || 0,
+        penalty: submission.penalty || 0,
+        timestamp: submission.timestamp
+      });
+      this.rememberPlayer(submission.playerId, submission.nickname, submission.timestamp);
+    });
+
+    winners.forEach((winner, index) => {
+      this.statements.insertWinner.run({
+        roundId,
+        position: index + 1,
+        playerId: winner.playerId,
+        nickname: winner.nickname || null,
+        points: winner.points || 0,
+        responseTimeMs: winner.responseTimeMs ?? null
+      });
+      this.rememberPlayer(winner.playerId, winner.nickname, round.endedAt);
+    });
+
+    return { ...round, id: roundId, submissions, winners };
+  }
+
+  /**
+   * Records a player's latest nickname
+   * @param {String} playerId - Player ID
+   * @param {String} nickname - Nickname at the time
+   * @param {Number} seenAt - When the player was seen (epoch ms)
+   */
+  rememberPlayer(playerId, nickname, seenAt) {
+    this.statements.upsertPlayer.run({
+      playerId,
+      nickname: nickname || null,
+      seenAt: seenAt || Date.now()
+    });
+  }
+
+  /**
+   * Gets the prepared page and count queries for a set of filters
+   * @param {Object} filters - { room, difficulty, playerId }
+   * @returns {Object} { page, count } prepared statements
+   */
+  getFindQueries({ room, difficulty, playerId }) {
+    const key = [room, difficulty, playerId].map(Boolean).join(',');
+
+    if (!this.findQueries.has(key)) {
+      const conditions = ['1 = 1'];
+      if (room) {
+        conditions.push('r.room = @room');
+      }
+      if (difficulty) {
+        conditions.push('r.difficulty = @difficulty');
+      }
+      if (playerId) {
+        conditions.push(`(
+          EXISTS (SELECT 1 FROM submissions s WHERE s.round_id = r.id AND s.player_id = @playerId) OR
+          EXISTS (SELECT 1 FROM winners w WHERE w.round_id = r.id AND w.player_id = @playerId)
+        )`);
+      }
+      const where = conditions.join(' AND ');
+
+      this.findQueries.set(key, {
+        page: this.db.prepare(`
+          SELECT r.*,
+            (SELECT COUNT(*) FROM submissions s WHERE s.round_id = r.id) AS submission_count,
+            (SELECT COUNT(*) FROM submissions s WHERE s.round_id = r.id AND s.is_correct = 1) AS correct_count,
+            (SELECT COUNT(DISTINCT s.player_id) FROM submissions s WHERE s.round_id = r.id) AS player_count
+          FROM rounds r
+          WHERE ${where}
+          ORDER BY r.ended_at DESC, r.id DESC
+          LIMIT @limit OFFSET @offset
+        `),
+        count: this.db.prepare(`SELECT COUNT(*) AS total FROM rounds r WHERE ${where}`)
+      });
+    }
+
+    return this.findQueries.get(key);
+  }
+
+  /**
+   * Finds saved rounds, newest first
+   * @param {Object} filters - { room, difficulty, playerId, limit, offset, includeSubmissions }
+   * @returns {Object} { rounds, total }
+   */
+  findRounds({ room, difficulty, playerId, limit = 20, offset = 0, includeSubmissions = false } = {}) {
+    const queries = this.getFindQueries({ room, difficulty, playerId });
+    const params = { room, difficulty, playerId };
+
+    const rounds = queries.page.all({ ...params, limit, offset }).map(row => {
+      const round = {
+        id: row.id,
+        room: row.room,
+        questionId: row.question_id,
+        question: row.question,
+        answer: JSON.parse(row.answer),
+        type: row.type,
+        difficulty: row.difficulty,
+        provider: row.provider,
+        outcome: row.outcome,
+        startedAt: row.started_at,
+        endedAt: row.ended_at,
+        winners: this.statements.roundWinners.all(row.id).map(winner => ({
+          playerId: winner.player_id,
+          nickname: winner.nickname,
+          points: winner.points,
+          responseTimeMs: winner.response_time_ms
+        })),
+        submissionCount: row.submission_count,
+        correctCount: row.correct_count,
+        playerCount: row.player_count
+      };
+
+      if (includeSubmissions) {
+        round.submissions = this.statements.roundSubmissions.all(row.id).map(submission => ({
+          playerId: submission.player_id,
+          nickname: submission.nickname,
+          answer: submission.answer,
+          isCorrect: submission.is_correct === null ? null : submission.is_correct === 1,
+          attemptNumber: submission.attempt_number,
+          rttMs: submission.rtt_ms,
+          penalty: submission.penalty,
+          timestamp: submission.submitted_at
+        }));
+      }
+
+      return round;
+    });
+
+    return {
+      rounds,
+      total: queries.count.get(params).total
+    };
+  }
+
+  /**
+   * Gets the cumulative scores of a room's players since the last reset
+   * @param {String} roomCode - Room code
+   * @returns {Array<Object>} { playerId, nickname, score, wins, lastScoredAt }
+   */
+  getScores(roomCode) {
+    const since = this.statements.lastReset.get(roomCode)?.reset_at ?? -1;
+
+    return this.statements.scores.all({ room: roomCode, since }).map(row => ({
+      playerId: row.player_id,
+      nickname: row.nickname,
+      score: row.score,
+      wins: row.wins,
+      lastScoredAt: row.last_scored_at
+    }));
+  }
+
+  /**
+   * Starts a room's scores over (earlier rounds stay in the history)
+   * @param {String} roomCode - Room code
+   * @param {Number} at - Reset time (epoch ms)
+   */
+  resetScores(roomCode, at = Date.now()) {
+    this.statements.resetScores.run(roomCode, at);
+  }
+
+  /**
+   * Gets totals over a room's whole history
+   * @param {String} roomCode - Room code
+   * @returns {Object} { rounds, won, timedOut, skipped, unconfirmed, submissions, correctSubmissions }
+   */
+  getRoomStats(roomCode) {
+    const row = this.statements.roomStats.get({ room: roomCode });
+
+    return {
+      rounds: row.rounds,
+      won: row.won,
+      timedOut: row.timed_out,
+      skipped: row.skipped,
+      unconfirmed: row.unconfirmed,
+      submissions: row.submissions,
+      correctSubmissions: row.correct_submissions
+    };
+  }
+
+  /**
+   * Closes the database
+   */
+  close() {
+    if (this.db.open) {
+      this.db.close();
+    }
+  }
+
+  /**
+   * Gets a description of the store for monitoring
+   * @returns {Object} Store info
+   */
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      path: this.path
+    };
+  }
+}
+
+module.exports = SqliteRoundStore;
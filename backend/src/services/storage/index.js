@@ -0,0 +1,60 @@
+/**
+ * Round Storage
+ *
+ * Builds the store that records finished rounds from configuration:
+ * - 'sqlite': a local SQLite file (default; needs 'better-sqlite3')
+ * - 'memory': process memory only, lost on restart
+ */
+
+const path = require('path');
+const RoundStore = require('./RoundStore');
+const MemoryRoundStore = require('./MemoryRoundStore');
+const SqliteRoundStore = require('./SqliteRoundStore');
+const { logger } = require('../../utils/logger');
+
+const STORAGE_DRIVERS = ['sqlite', 'memory'];
+
+const DEFAULT_SQLITE_PATH = path.join(__dirname, '../../../data/quiz.sqlite');
+
+/**
+ * Creates the round store
+ * If the SQLite driver isn't installed the server still starts, with an
+ * in-memory store and a warning, rather than refusing to run.
+ *
+ * @param {Object} config - Storage configuration
+ * @param {String} config.driver - 'sqlite' or 'memory'
+ * @param {String} config.path - SQLite database file
+ * @returns {RoundStore} Round store
+ * @throws {Error} If the driver is unknown or the database can't be opened
+ */
+function createRoundStore({ driver = 'sqlite', path: filePath = DEFAULT_SQLITE_PATH } = {}) {
+  if (!STORAGE_DRIVERS.includes(driver)) {
+    throw new Error(`Invalid storage driver: ${driver}. Must be one of ${STORAGE_DRIVERS.join(', ')}.`);
+  }
+
+  if (driver === 'memory') {
+    return new MemoryRoundStore();
+  }
+
+  try {
+    return new SqliteRoundStore({ path: filePath });
+  } catch (error) {
+    if (!/better-sqlite3/.test(error.message)) {
+      throw error;
+    }
+
+    logger.child({ module: 'storage' }).warn('Falling back to in-memory storage (history is lost on restart)', {
+      reason: error.message
+    });
+    return new MemoryRoundStore();
+  }
+}
+
+module.exports = {
+  STORAGE_DRIVERS,
+  DEFAULT_SQLITE_PATH,
+  RoundStore,
+  MemoryRoundStore,
+  SqliteRoundStore,
+  createRoundStore
+};
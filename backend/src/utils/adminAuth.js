@@ -0,0 +1,59 @@
+/**
+ * Admin token checks shared by the admin REST API, the metrics endpoint
+ * and the host namespace
+ *
+ * The admin token comes from the ADMIN_TOKEN environment variable.
+ * Privileged access is disabled entirely when it isn't set.
+ */
+
+const crypto = require('crypto');
+const { sendError } = require('./httpErrors');
+
+/**
+ * Checks whether privileged access is configured
+ * @returns {Boolean} True if ADMIN_TOKEN is set
+ */
+function isAdminEnabled() {
+  return Boolean(process.env.ADMIN_TOKEN);
+}
+
+/**
+ * Checks a token against ADMIN_TOKEN in constant time
+ * @param {String} token - Token supplied by the client
+ * @returns {Boolean} True if the token is valid
+ */
+function isValidAdminToken(token) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected || !token) {
+    return false;
+  }
+
+  const provided = Buffer.from(String(token));
+  const actual = Buffer.from(expected);
+  return provided.length === actual.length && crypto.timingSafeEqual(provided, actual);
+}
+
+/**
+ * Express middleware requiring a valid admin bearer token
+ * ("Authorization: Bearer <token>")
+ */
+function requireAdminToken(req, res, next) {
+  if (!isAdminEnabled()) {
+    sendError(res, 503, 'Admin API disabled', 'Set ADMIN_TOKEN to enable the admin API');
+    return;
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !isValidAdminToken(token)) {
+    sendError(res, 401, 'Unauthorized', 'A valid admin token is required');
+    return;
+  }
+
+  next();
+}
+
+module.exports = {
+  isAdminEnabled,
+  isValidAdminToken,
+  requireAdminToken
+};
@@ -0,0 +1,159 @@
+/**
+ * Unit Tests for adminAuth
+ *
+ * Tests that privileged access is off without ADMIN_TOKEN and that only
+ * the exact token is accepted, compared in constant time.
+ */
+
+const crypto = require('crypto');
+const { isAdminEnabled, isValidAdminToken } = require('./adminAuth');
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+function test(description, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Runs a function with ADMIN_TOKEN set to a value (undefined unsets it)
+ * @param {String|undefined} token - Admin token
+ * @param {Function} fn - Function to run
+ */
+function withAdminToken(token, fn) {
+  const previous = process.env.ADMIN_TOKEN;
+  if (token === undefined) {
+    delete process.env.ADMIN_TOKEN;
+  } else {
+    process.env.ADMIN_TOKEN = token;
+  }
+
+  try {
+    fn();
+  } finally {
+    if (previous === undefined) {
+      delete process.env.ADMIN_TOKEN;
+    } else {
+      process.env.ADMIN_TOKEN = previous;
+    }
+  }
+}
+
+// Test Suite
+console.log('\n🧪 Running adminAuth Unit Tests\n');
+
+// Test 1: Disabled without a token
+test('Privileged access is disabled when ADMIN_TOKEN is unset', () => {
+  withAdminToken(undefined, () => {
+    assert(!isAdminEnabled());
+    assert(!isValidAdminToken(''), 'An empty token never matches a missing one');
+    assert(!isValidAdminToken('anything'));
+    assert(!isValidAdminToken(undefined));
+  });
+
+  withAdminToken('', () => {
+    assert(!isAdminEnabled(), 'An empty ADMIN_TOKEN counts as unset');
+    assert(!isValidAdminToken(''));
+  });
+});
+
+// Test 2: The right token
+test('The configured token is accepted', () => {
+  withAdminToken('secret-token', () => {
+    assert(isAdminEnabled());
+    assert(isValidAdminToken('secret-token'));
+  });
+});
+
+// Test 3: Wrong tokens
+test('Missing and wrong tokens are refused', () => {
+  withAdminToken('secret-token', () => {
+    const invalid = [undefined, null, '', 'secret-tokeN', 'Secret-token', 'xxxxxxxxxxxx', ' secret-token'];
+    invalid.forEach(token => {
+      assert(!isValidAdminToken(token), `Expected ${JSON.stringify(token)} to be refused`);
+    });
+  });
+});
+
+test('Tokens of the wrong length are refused', () => {
+  withAdminToken('secret-token', () => {
+    assert(!isValidAdminToken('secret'), 'A prefix of the token');
+    assert(!isValidAdminToken('secret-token-and-more'), 'The token with extra characters');
+    assert(!isValidAdminToken('x'.repeat(10000)));
+  });
+});
+
+test('Non-string tokens are compared as strings', () => {
+  withAdminToken('12345', () => {
+    assert(isValidAdminToken(12345));
+    assert(!isValidAdminToken({ toString: () => '1234' }));
+    assert(!isValidAdminToken(['12345', 'x']));
+  });
+});
+
+// Test 4: Constant-time comparison
+test('Same-length tokens are compared in constant time', () => {
+  const original = crypto.timingSafeEqual;
+  const compared = [];
+  crypto.timingSafeEqual = (a, b) => {
+    compared.push([a.toString(), b.toString()]);
+    return original(a, b);
+  };
+
+  try {
+    withAdminToken('secret-token', () => {
+      assert(!isValidAdminToken('secret-tokeN'));
+      assert(isValidAdminToken('secret-token'));
+
+      // Buffers of different lengths would make timingSafeEqual throw
+      assert(!isValidAdminToken('short'));
+    });
+  } finally {
+    crypto.timingSafeEqual = original;
+  }
+
+  assertEqual(compared.length, 2, 'Only same-length tokens reach timingSafeEqual');
+  assertEqual(compared[0][0], 'secret-tokeN');
+  assertEqual(compared[0][1], 'secret-token');
+});
+
+// Print Summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Summary`);
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log(`📈 Total: ${testsPassed + testsFailed}`);
+console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+console.log('='.repeat(50) + '\n');
+
+if (testsFailed === 0) {
+  console.log('🎉 All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('⚠️  Some tests failed. Please review.\n');
+  process.exit(1);
+}
@@ -0,0 +1,28 @@
+/**
+ * Client address lookup shared by the connection cap and the rate limiter
+ *
+ * Behind a reverse proxy (e.g. Render) every socket appears to come from
+ * the proxy, so set TRUST_PROXY=true to use the first X-Forwarded-For
+ * address instead. Leave it unset otherwise - clients can forge the header.
+ */
+
+/**
+ * Gets the IP address a socket connected from
+ * @param {Object} socket - Socket.io socket instance
+ * @returns {String} Client IP address
+ */
+function getClientAddress(socket) {
+  if (process.env.TRUST_PROXY === 'true') {
+    const forwardedFor = socket.handshake.headers['x-forwarded-for'];
+    const firstHop = typeof forwardedFor === 'string' ? forwardedFor.split(',')[0].trim() : '';
+    if (firstHop) {
+      return firstHop;
+    }
+  }
+
+  return socket.handshake.address;
+}
+
+module.exports = {
+  getClientAddress
+};
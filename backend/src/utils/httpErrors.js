@@ -0,0 +1,23 @@
+/**
+ * JSON error responses shared by the HTTP routes
+ * Same shape as the app's 404 and error-handler responses.
+ */
+
+/**
+ * Sends a JSON error
+ * @param {Object} res - Express response
+ * @param {Number} status - HTTP status code
+ * @param {String} error - Short error name
+ * @param {String} message - Human-readable explanation
+ */
+function sendError(res, status, error, message) {
+  res.status(status).json({
+    error,
+    message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  sendError
+};
@@ -0,0 +1,220 @@
+/**
+ * Structured logging with levels
+ *
+ * Every log entry is a message plus a flat set of fields. In production
+ * entries are written as one JSON object per line so log aggregation can
+ * parse them; in development they're printed as readable text.
+ *
+ * Modules log through child loggers that add their own fields, e.g.
+ *   const log = logger.child({ module: 'socket' });
+ *   log.child({ socketId }).info('User connected', { playerId });
+ *
+ * Configuration (environment):
+ *   LOG_LEVEL  - 'debug', 'info', 'warn', 'error' or 'silent'
+ *                (default 'info' in production, 'debug' otherwise)
+ *   LOG_FORMAT - 'json' or 'pretty' (default 'json' in production, 'pretty' otherwise)
+ *
+ * Answers and credentials are never written: fields named in
+ * REDACTED_FIELDS are replaced with "[REDACTED]" wherever they appear.
+ */
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+};
+
+const FORMATS = ['json', 'pretty'];
+
+// Field names whose values must never reach the logs (compared case-insensitively)
+const REDACTED_FIELDS = ['answer', 'correctanswer', 'expectedanswer', 'token', 'playertoken', 'authorization', 'password'];
+
+const REDACTED = '[REDACTED]';
+
+// Nested objects deeper than this are summarized rather than written out
+const MAX_DEPTH = 5;
+
+const LEVEL_COLORS = {
+  debug: '\x1b[90m', // Gray
+  info: '\x1b[32m', // Green
+  warn: '\x1b[33m', // Yellow
+  error: '\x1b[31m' // Red
+};
+
+/**
+ * Copies a value for logging, redacting sensitive fields and expanding errors
+ * @param {*} value - Value to copy
+ * @param {Number} depth - Current nesting depth
+ * @returns {*} Loggable copy
+ */
+function sanitize(value, depth = 0) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return Array.isArray(value) ? '[Array]' : '[Object]';
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, depth + 1));
+  }
+
+  const copy = {};
+  Object.entries(value).forEach(([key, fieldValue]) => {
+    if (fieldValue === undefined) {
+      return;
+    }
+    copy[key] = REDACTED_FIELDS.includes(key.toLowerCase())
+      ? REDACTED
+      : sanitize(fieldValue, depth + 1);
+  });
+  return copy;
+}
+
+/**
+ * Formats a field value for the pretty format
+ * @param {*} value - Field value
+ * @returns {String} Formatted value
+ */
+function formatPrettyValue(value) {
+  if (typeof value === 'string') {
+    return /\s/.test(value) ? JSON.stringify(value) : value;
+  }
+  return JSON.stringify(value);
+}
+
+class Logger {
+  /**
+   * @param {Object} options - Logger configuration
+   * @param {String} options.level - Minimum level written
+   * @param {String} options.format - 'json' or 'pretty'
+   * @param {Object} options.fields - Fields added to every entry
+   * @param {Function} options.write - Receives (line, level); defaults to stdout/stderr
+   * @param {Boolean} options.colors - Color the pretty format's level names
+   */
+  constructor({ level = 'info', format = 'json', fields = {}, write, colors = false } = {}) {
+    if (!(level in LEVELS)) {
+      throw new Error(`Invalid log level: ${level}. Must be one of ${Object.keys(LEVELS).join(', ')}.`);
+    }
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Invalid log format: ${format}. Must be one of ${FORMATS.join(', ')}.`);
+    }
+
+    this.level = level;
+    this.format = format;
+    this.fields = fields;
+    this.colors = colors;
+    this.write = write || ((line, entryLevel) => {
+      const stream = LEVELS[entryLevel] >= LEVELS.warn ? process.stderr : process.stdout;
+      stream.write(line + '\n');
+    });
+  }
+
+  /**
+   * Creates a logger that adds fields to every entry (e.g. module, room, socket ID)
+   * @param {Object} fields - Fields to add
+   * @returns {Logger} Child logger sharing this logger's level, format and output
+   */
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      fields: { ...this.fields, ...fields },
+      write: this.write,
+      colors: this.colors
+    });
+  }
+
+  /**
+   * Checks whether entries of a level would be written
+   * @param {String} level - Level name
+   * @returns {Boolean} True if enabled
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * Writes an entry
+   * @param {String} level - 'debug', 'info', 'warn' or 'error'
+   * @param {String} message - What happened
+   * @param {Object} fields - Structured details (redacted before writing)
+   */
+  log(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const entry = sanitize({ ...this.fields, ...fields });
+    const time = new Date().toISOString();
+
+    this.write(this.format === 'json'
+      ? JSON.stringify({ time, level, msg: message, ...entry })
+      : this.formatPretty(time, level, message, entry), level);
+  }
+
+  /**
+   * Formats an entry as a readable line: time, level, module, message, then fields
+   * @returns {String} Formatted line
+   */
+  formatPretty(time, level, message, { module, ...fields }) {
+    const levelName = level.toUpperCase().padEnd(5);
+    const coloredLevel = this.colors ? `${LEVEL_COLORS[level]}${levelName}\x1b[0m` : levelName;
+    const details = Object.entries(fields)
+      .map(([key, value]) => `${key}=${formatPrettyValue(value)}`)
+      .join(' ');
+
+    return [time, coloredLevel, module ? `[${module}]` : null, message, details || null]
+      .filter(Boolean)
+      .join(' ');
+  }
+}
+
+/**
+ * Creates a logger configured from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Logger} Root logger
+ */
+function createLoggerFromEnv(env = process.env) {
+  const isProduction = env.NODE_ENV === 'production';
+  const format = env.LOG_FORMAT || (isProduction ? 'json' : 'pretty');
+
+  return new Logger({
+    level: env.LOG_LEVEL || (isProduction ? 'info' : 'debug'),
+    format,
+    colors: format === 'pretty' && Boolean(process.stdout.isTTY)
+  });
+}
+
+const logger = createLoggerFromEnv();
+
+module.exports = {
+  logger,
+  Logger,
+  createLoggerFromEnv,
+  LEVELS,
+  REDACTED_FIELDS
+};
@@ -0,0 +1,201 @@
+/**
+ * Unit Tests for the structured logger
+ *
+ * Tests level filtering, JSON and pretty output, child logger fields,
+ * error serialization and redaction of answers and credentials.
+ */
+
+const { Logger, createLoggerFromEnv } = require('./logger');
+
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+function test(description, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Creates a logger that collects its output lines
+ * @param {Object} options - Logger options
+ * @returns {Object} { logger, lines, entries() }
+ */
+function capture(options = {}) {
+  const lines = [];
+  const logger = new Logger({ write: line => lines.push(line), ...options });
+  return { logger, lines, entries: () => lines.map(line => JSON.parse(line)) };
+}
+
+// Test Suite
+console.log('\n🧪 Running Logger Unit Tests\n');
+
+// Test 1: JSON output
+test('writes one JSON object per entry with time, level and message', () => {
+  const { logger, entries } = capture();
+  logger.info('User connected', { socketId: 'abc' });
+
+  const [entry] = entries();
+  assertEqual(entry.level, 'info');
+  assertEqual(entry.msg, 'User connected');
+  assertEqual(entry.socketId, 'abc');
+  assert(!Number.isNaN(Date.parse(entry.time)), 'Expected an ISO timestamp');
+});
+
+// Test 2: Levels
+test('skips entries below the configured level', () => {
+  const { logger, lines } = capture({ level: 'warn' });
+  logger.debug('debug');
+  logger.info('info');
+  logger.warn('warn');
+  logger.error('error');
+
+  assertEqual(lines.length, 2);
+  assert(logger.isLevelEnabled('error'));
+  assert(!logger.isLevelEnabled('info'));
+
+  const silent = capture({ level: 'silent' });
+  silent.logger.error('nothing');
+  assertEqual(silent.lines.length, 0);
+});
+
+// Test 3: Child loggers
+test('child() adds fields to every entry without changing the parent', () => {
+  const { logger, entries } = capture();
+  const socketLog = logger.child({ module: 'socket' }).child({ socketId: 's1' });
+
+  socketLog.info('Joined room', { room: 'lobby' });
+  logger.info('Parent entry');
+
+  const [child, parent] = entries();
+  assertEqual(child.module, 'socket');
+  assertEqual(child.socketId, 's1');
+  assertEqual(child.room, 'lobby');
+  assertEqual(parent.module, undefined);
+});
+
+// Test 4: Redaction
+test('redacts answers and credentials at any depth', () => {
+  const { logger, lines, entries } = capture();
+  logger.info('Round ended', {
+    answer: 42,
+    context: { correctAnswer: '7', playerToken: 'secret-token', question: '6 × 7' },
+    submissions: [{ playerId: 'p1', Answer: '41' }],
+    authorization: 'Bearer secret-token'
+  });
+
+  const [entry] = entries();
+  assertEqual(entry.answer, '[REDACTED]');
+  assertEqual(entry.context.correctAnswer, '[REDACTED]');
+  assertEqual(entry.context.playerToken, '[REDACTED]');
+  assertEqual(entry.context.question, '6 × 7');
+  assertEqual(entry.submissions[0].Answer, '[REDACTED]');
+  assertEqual(entry.authorization, '[REDACTED]');
+  assert(!lines[0].includes('secret-token'), 'Token leaked into the log line');
+  assert(!lines[0].includes('"41"'), 'Answer leaked into the log line');
+});
+
+// Test 5: Child fields are redacted too
+test('redacts sensitive fields bound on child loggers', () => {
+  const { logger, entries } = capture();
+  logger.child({ token: 'abc' }).warn('Host rejected');
+
+  assertEqual(entries()[0].token, '[REDACTED]');
+});
+
+// Test 6: Errors
+test('serializes errors with name, message and stack', () => {
+  const { logger, entries } = capture();
+  logger.error('Failed to save round', { error: new Error('disk full') });
+
+  const { error } = entries()[0];
+  assertEqual(error.name, 'Error');
+  assertEqual(error.message, 'disk full');
+  assert(error.stack.includes('disk full'), 'Expected the stack trace');
+});
+
+// Test 7: Pretty format
+test('pretty format prints level, module, message and fields on one line', () => {
+  const { logger, lines } = capture({ format: 'pretty' });
+  logger.child({ module: 'socket' }).info('Joined room', { room: 'lobby', nickname: 'Ada Lovelace', answer: 3 });
+
+  const line = lines[0];
+  assert(/^\d{4}-\d{2}-\d{2}T\S+ INFO  \[socket\] Joined room /.test(line), `Unexpected line: ${line}`);
+  assert(line.includes('room=lobby'), 'Expected the room field');
+  assert(line.includes('nickname="Ada Lovelace"'), 'Values with spaces should be quoted');
+  assert(line.includes('answer=[REDACTED]'), 'Answers should be redacted in pretty output too');
+});
+
+// Test 8: Configuration
+test('rejects unknown levels and formats', () => {
+  let threw = false;
+  try {
+    new Logger({ level: 'verbose' });
+  } catch (error) {
+    threw = /Invalid log level/.test(error.message);
+  }
+  assert(threw, 'Expected an unknown level to throw');
+
+  threw = false;
+  try {
+    new Logger({ format: 'xml' });
+  } catch (error) {
+    threw = /Invalid log format/.test(error.message);
+  }
+  assert(threw, 'Expected an unknown format to throw');
+});
+
+// Test 9: Environment defaults
+test('createLoggerFromEnv() defaults to JSON at info level in production', () => {
+  const production = createLoggerFromEnv({ NODE_ENV: 'production' });
+  assertEqual(production.format, 'json');
+  assertEqual(production.level, 'info');
+
+  const development = createLoggerFromEnv({ NODE_ENV: 'development' });
+  assertEqual(development.format, 'pretty');
+  assertEqual(development.level, 'debug');
+
+  const configured = createLoggerFromEnv({ NODE_ENV: 'production', LOG_LEVEL: 'warn', LOG_FORMAT: 'pretty' });
+  assertEqual(configured.format, 'pretty');
+  assertEqual(configured.level, 'warn');
+});
+
+// Print Summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Summary`);
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log(`📈 Total: ${testsPassed + testsFailed}`);
+console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+console.log('='.repeat(50) + '\n');
+
+if (testsFailed === 0) {
+  console.log('🎉 All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('⚠️  Some tests failed. Please review.\n');
+  process.exit(1);
+}
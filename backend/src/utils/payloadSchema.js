@@ -0,0 +1,219 @@
+/**
+ * Schema validation for inbound Socket.io payloads
+ *
+ * Clients can send anything: null, arrays, nested objects or megabyte
+ * strings. Every inbound event is checked against a schema before its
+ * handler runs, so handlers only ever see the fields they expect, with
+ * the types they expect. Fields not in the schema are dropped.
+ *
+ * A schema maps field names to rules:
+ *   { answer: { type: 'string', required: true, maxLength: 100, coerceNumber: true } }
+ *
+ * Types and coercion:
+ *   string  - trimmed; finite numbers become strings when coerceNumber is set;
+ *             longer than maxLength is refused (never silently cut), and an
+ *             empty string counts as missing
+ *   boolean - 'true' and 'false' strings are converted
+ *   enum    - a string from the rule's values list
+ *   number  - a finite number (numeric strings are converted), whole when
+ *             integer is set and within the rule's min and max
+ *   array   - a list of at most maxItems entries, each checked against
+ *             the rule's items rule
+ *
+ * Failures carry a stable code the client can map to its own message:
+ *   invalid-payload - the payload isn't an object
+ *   missing-field   - a required field is absent or empty
+ *   invalid-type    - a field has the wrong type
+ *   too-long        - a string is over its length limit
+ *   invalid-value   - a value isn't one of the allowed choices (or is out of range)
+ *   unknown-event   - no schema exists for the event
+ */
+
+const ERROR_CODES = ['invalid-payload', 'missing-field', 'invalid-type', 'too-long', 'invalid-value', 'unknown-event'];
+
+/**
+ * Builds a validation failure
+ * @param {String} code - Error code (see ERROR_CODES)
+ * @param {String|null} field - Offending field
+ * @param {String} message - Human-readable explanation
+ * @returns {Object} { valid: false, code, field, message }
+ */
+function failure(code, field, message) {
+  return { valid: false, code, field, message };
+}
+
+/**
+ * Describes a value's type for error messages
+ * @param {*} value - Value
+ * @returns {String} e.g. 'array', 'null', 'object'
+ */
+function describeType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Checks and coerces one field
+ * @param {String} field - Field name
+ * @param {*} value - Raw value (not undefined)
+ * @param {Object} rule - Field rule
+ * @returns {Object} { valid: true, value } or a failure
+ */
+function validateField(field, value, rule) {
+  switch (rule.type) {
+    case 'string': {
+      let text = value;
+      if (rule.coerceNumber && typeof value === 'number' && Number.isFinite(value)) {
+        text = String(value);
+      }
+      if (typeof text !== 'string') {
+        return failure('invalid-type', field, `${field} must be a string, not ${describeType(value)}`);
+      }
+      if (text.length > rule.maxLength) {
+        return failure('too-long', field, `${field} must be at most ${rule.maxLength} characters`);
+      }
+      return { valid: true, value: text.trim() };
+    }
+
+    case 'boolean': {
+      if (value === 'true' || value === 'false') {
+        return { valid: true, value: value === 'true' };
+      }
+      if (typeof value !== 'boolean') {
+        return failure('invalid-type', field, `${field} must be true or false`);
+      }
+      return { valid: true, value };
+    }
+
+    case 'enum': {
+      if (typeof value !== 'string') {
+        return failure('invalid-type', field, `${field} must be a string, not ${describeType(value)}`);
+      }
+      if (!rule.values.includes(value)) {
+        return failure('invalid-value', field, `${field} must be one of ${rule.values.join(', ')}`);
+      }
+      return { valid: true, value };
+    }
+
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return failure('invalid-type', field, `${field} must be a number, not ${describeType(value)}`);
+      }
+      if (rule.integer && !Number.isInteger(number)) {
+        return failure('invalid-value', field, `${field} must be a whole number`);
+      }
+      if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+        return failure('invalid-value', field, `${field} must be from ${rule.min} to ${rule.max}`);
+      }
+      return { valid: true, value: number };
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return failure('invalid-type', field, `${field} must be a list, not ${describeType(value)}`);
+      }
+      if (value.length > rule.maxItems) {
+        return failure('too-long', field, `${field} must have at most ${rule.maxItems} entries`);
+      }
+
+      const items = [];
+      for (let index = 0; index < value.length; index++) {
+        const item = validateField(`${field}[${index}]`, value[index], rule.items);
+        if (!item.valid) {
+          return item;
+        }
+        items.push(item.value);
+      }
+      return { valid: true, value: items };
+    }
+
+    default:
+      throw new Error(`Unknown schema type for ${field}: ${rule.type}`);
+  }
+}
+
+/**
+ * Validates a payload against a schema
+ * Payloads of events whose fields are all optional may be left out entirely.
+ *
+ * @param {Object} schema - Map of field name -> rule
+ * @param {*} data - Raw payload from the client
+ * @returns {Object} { valid: true, value } with only the schema's fields, or
+ *                   { valid: false, code, field, message }
+ */
+function validatePayload(schema, data) {
+  const fields = Object.entries(schema);
+  const hasRequired = fields.some(([, rule]) => rule.required);
+
+  if ((data === undefined || data === null) && !hasRequired) {
+    return { valid: true, value: {} };
+  }
+  if (describeType(data) !== 'object') {
+    return failure('invalid-payload', null, `Expected an object, not ${describeType(data)}`);
+  }
+
+  const value = {};
+
+  for (const [field, rule] of fields) {
+    const raw = Object.prototype.hasOwnProperty.call(data, field) ? data[field] : undefined;
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (rule.required) {
+        return failure('missing-field', field, `${field} is required`);
+      }
+      continue;
+    }
+
+    const result = validateField(field, raw, rule);
+    if (!result.valid) {
+      return result;
+    }
+    if (result.value === '' && rule.required) {
+      return failure('missing-field', field, `${field} is required`);
+    }
+    value[field] = result.value;
+  }
+
+  return { valid: true, value };
+}
+
+/**
+ * Validates an inbound Socket.io packet in place (for socket.use middleware)
+ * Replaces the payload with its validated copy. A client that sends only
+ * an acknowledgement callback gets an empty payload inserted before it,
+ * so handlers can always rely on (data, ack).
+ *
+ * @param {Object} schemas - Map of event name -> schema
+ * @param {Array} packet - [event, ...args] as passed to socket.use
+ * @returns {Object} { valid: true } or { valid: false, code, field, message }
+ */
+function validatePacket(schemas, packet) {
+  const [event] = packet;
+  const schema = Object.prototype.hasOwnProperty.call(schemas, event) ? schemas[event] : null;
+
+  if (!schema) {
+    return failure('unknown-event', null, `Unknown event: ${String(event).slice(0, 50)}`);
+  }
+
+  const hasPayload = packet.length > 1 && typeof packet[1] !== 'function';
+  const result = validatePayload(schema, hasPayload ? packet[1] : undefined);
+  if (!result.valid) {
+    return result;
+  }
+
+  if (hasPayload) {
+    packet[1] = result.value;
+  } else {
+    packet.splice(1, 0, result.value);
+  }
+  return { valid: true };
+}
+
+module.exports = {
+  validatePayload,
+  validatePacket,
+  ERROR_CODES
+};
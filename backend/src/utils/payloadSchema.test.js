@@ -0,0 +1,184 @@
+/**
+ * Unit Tests for payload schema validation
+ *
+ * Tests type checks, coercion, length limits, required fields,
+ * stripping of unknown fields and in-place packet validation.
+ */
+
+const { validatePayload, validatePacket } = require('./payloadSchema');
+const { PLAYER_EVENT_SCHEMAS, HOST_EVENT_SCHEMAS } = require('../handlers/eventSchemas');
+
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      message || `Expected ${expected} but got ${actual}`
+    );
+  }
+}
+
+function test(description, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`❌ ${description}`);
+    console.error(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+
+const ANSWER_SCHEMA = PLAYER_EVENT_SCHEMAS['submit-answer'];
+
+// Test Suite
+console.log('\n🧪 Running Payload Schema Unit Tests\n');
+
+// Test 1: Payload shape
+test('validatePayload() refuses payloads that are not objects', () => {
+  [null, undefined, 'text', 42, [], [{ answer: '1' }], true].forEach(data => {
+    const result = validatePayload(ANSWER_SCHEMA, data);
+    assertEqual(result.valid, false, `Expected ${JSON.stringify(data)} to be refused`);
+    assertEqual(result.code, 'invalid-payload');
+  });
+});
+
+test('validatePayload() accepts a missing payload when every field is optional', () => {
+  const result = validatePayload(PLAYER_EVENT_SCHEMAS['join-room'], undefined);
+  assertEqual(result.valid, true);
+  assertEqual(Object.keys(result.value).length, 0);
+
+  assertEqual(validatePayload(PLAYER_EVENT_SCHEMAS['request-question'], null).valid, true);
+});
+
+// Test 2: Strings
+test('validatePayload() trims strings and drops unknown fields', () => {
+  const result = validatePayload(ANSWER_SCHEMA, { answer: '  42 ', extra: { nested: true } });
+  assertEqual(result.valid, true);
+  assertEqual(result.value.answer, '42');
+  assertEqual(result.value.extra, undefined, 'Unknown fields are dropped');
+});
+
+test('validatePayload() coerces numeric answers to strings', () => {
+  assertEqual(validatePayload(ANSWER_SCHEMA, { answer: 3.5 }).value.answer, '3.5');
+  assertEqual(validatePayload(ANSWER_SCHEMA, { answer: 0 }).value.answer, '0');
+  assertEqual(validatePayload(ANSWER_SCHEMA, { answer: NaN }).code, 'invalid-type');
+  assertEqual(validatePayload(ANSWER_SCHEMA, { answer: Infinity }).code, 'invalid-type');
+});
+
+test('validatePayload() refuses objects, arrays and booleans where a string is expected', () => {
+  [{ value: 1 }, ['1'], true].forEach(answer => {
+    const result = validatePayload(ANSWER_SCHEMA, { answer });
+    assertEqual(result.code, 'invalid-type', `Expected ${JSON.stringify(answer)} to be refused`);
+    assertEqual(result.field, 'answer');
+  });
+
+  assertEqual(validatePayload(PLAYER_EVENT_SCHEMAS['set-nickname'], { nickname: 7 }).code, 'invalid-type',
+    'Only fields marked coerceNumber accept numbers');
+});
+
+test('validatePayload() refuses strings over the length limit', () => {
+  assertEqual(validatePayload(ANSWER_SCHEMA, { answer: '1'.repeat(100) }).valid, true);
+
+  const result = validatePayload(ANSWER_SCHEMA, { answer: '1'.repeat(1024 * 1024) });
+  assertEqual(result.valid, false);
+  assertEqual(result.code, 'too-long');
+  assert(!result.message.includes('1111'), 'The offending value is not echoed back');
+});
+
+// Test 3: Required fields
+test('validatePayload() treats absent, null, empty and blank required fields as missing', () => {
+  [{}, { answer: null }, { answer: '' }, { answer: '   ' }].forEach(data => {
+    assertEqual(validatePayload(ANSWER_SCHEMA, data).code, 'missing-field', `Expected ${JSON.stringify(data)} to be missing`);
+  });
+});
+
+// Test 4: Booleans and enums
+test('validatePayload() checks booleans and enums', () => {
+  const schema = HOST_EVENT_SCHEMAS['host-set-difficulty'];
+
+  assertEqual(validatePayload(schema, { difficulty: 'hard', adaptive: 'false' }).value.adaptive, false,
+    "'false' is coerced");
+  assertEqual(validatePayload(schema, { difficulty: 'hard', adaptive: true }).value.adaptive, true);
+  assertEqual(validatePayload(schema, { difficulty: 'hard', adaptive: 1 }).code, 'invalid-type');
+  assertEqual(validatePayload(schema, { difficulty: 'extreme' }).code, 'invalid-value');
+  assertEqual(validatePayload(schema, { difficulty: ['hard'] }).code, 'invalid-type');
+  assertEqual(validatePayload(schema, {}).code, 'missing-field');
+});
+
+test('validatePayload() checks numbers and lists', () => {
+  const schema = HOST_EVENT_SCHEMAS['host-match-create'];
+
+  const valid = validatePayload(schema, { rounds: '5', difficultySchedule: ['easy', 'hard'] });
+  assertEqual(valid.value.rounds, 5, "'5' is coerced");
+  assertEqual(valid.value.difficultySchedule[1], 'hard');
+
+  assertEqual(validatePayload(schema, { rounds: 2.5 }).code, 'invalid-value');
+  assertEqual(validatePayload(schema, { rounds: 0 }).code, 'invalid-value');
+  assertEqual(validatePayload(schema, { rounds: 'ten' }).code, 'invalid-type');
+  assertEqual(validatePayload(schema, { rounds: 3, difficultySchedule: 'easy' }).code, 'invalid-type');
+
+  const badItem = validatePayload(schema, { rounds: 3, difficultySchedule: ['easy', 'extreme'] });
+  assertEqual(badItem.code, 'invalid-value');
+  assertEqual(badItem.field, 'difficultySchedule[1]');
+
+  const tooMany = new Array(schema.difficultySchedule.maxItems + 1).fill('easy');
+  assertEqual(validatePayload(schema, { rounds: 3, difficultySchedule: tooMany }).code, 'too-long');
+});
+
+// Test 5: Packets
+test('validatePacket() replaces the payload with its validated copy', () => {
+  const packet = ['submit-answer', { answer: ' 12 ', junk: 'x' }];
+
+  assertEqual(validatePacket(PLAYER_EVENT_SCHEMAS, packet).valid, true);
+  assertEqual(packet[1].answer, '12');
+  assertEqual(packet[1].junk, undefined);
+});
+
+test('validatePacket() inserts an empty payload before a bare acknowledgement', () => {
+  const ack = () => {};
+  const packet = ['host-pause', ack];
+
+  assertEqual(validatePacket(HOST_EVENT_SCHEMAS, packet).valid, true);
+  assertEqual(packet.length, 3);
+  assertEqual(typeof packet[1], 'object');
+  assertEqual(packet[2], ack);
+});
+
+test('validatePacket() refuses unknown events, including inherited property names', () => {
+  ['no-such-event', 'constructor', '__proto__', 'toString'].forEach(event => {
+    assertEqual(validatePacket(PLAYER_EVENT_SCHEMAS, [event, {}]).code, 'unknown-event', `Expected ${event} to be refused`);
+  });
+
+  assertEqual(validatePacket(PLAYER_EVENT_SCHEMAS, ['host-skip', {}]).code, 'unknown-event',
+    'Host events are not accepted from players');
+});
+
+// Print Summary
+console.log('\n' + '='.repeat(50));
+console.log(`📊 Test Summary`);
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log(`📈 Total: ${testsPassed + testsFailed}`);
+console.log(`🎯 Pass Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+console.log('='.repeat(50) + '\n');
+
+if (testsFailed === 0) {
+  console.log('🎉 All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('⚠️  Some tests failed. Please review.\n');
+  process.exit(1);
+}
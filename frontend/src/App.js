@@ -1,17 +1,32 @@
 import React from 'react';
 import Quiz from './components/Quiz';
+import HostDashboard from './components/HostDashboard';
 import ErrorBoundary from './components/ErrorBoundary';
 import { QuizProvider } from './context/QuizContext';
 import './index.css';
 
+/**
+ * Checks whether the page is the host dashboard (/host)
+ * @returns {boolean} True on the host route
+ */
+function isHostRoute() {
+  return window.location.pathname.replace(/\/+$/, '') === '/host';
+}
+
 /**
  * Main App Component
  * Sets up the quiz application with context providers and error boundary
+ * Serves the host dashboard at /host and the player quiz everywhere else.
  */
 function App() {
+  const isHost = isHostRoute();
+
+  // Hosts don't play, so the dashboard skips the player connection
+  const Provider = isHost ? React.Fragment : QuizProvider;
+
   return (
     <ErrorBoundary>
-      <QuizProvider>
+      <Provider>
         <div className="min-h-screen bg-gradient-to-br from-slate-50 via-gray-50 to-zinc-50">
           <div className="container mx-auto px-4 py-8">
             {/* Header */}
@@ -27,13 +42,15 @@ function App() {
                 </h1>
               </div>
               <p className="text-gray-600 text-lg max-w-2xl mx-auto">
-                Compete with others in real-time! First to answer correctly wins.
+                {isHost
+                  ? 'Host dashboard: watch answers arrive and run the session.'
+                  : 'Compete with others in real-time! First to answer correctly wins.'}
               </p>
             </header>
 
             {/* Main Quiz */}
             <main>
-              <Quiz />
+              {isHost ? <HostDashboard /> : <Quiz />}
             </main>
 
             {/* Footer */}
@@ -43,7 +60,7 @@ function App() {
             </footer>
           </div>
         </div>
-      </QuizProvider>
+      </Provider>
     </ErrorBoundary>
   );
 }
@@ -1,87 +1,157 @@
 import React from 'react';
+import { describeAnswerFormat, getFormatHelp } from '../services/answerFormat';
 
 /**
  * AnswerInput Component
  * Input field and submit button for answer submission
+ * Multiple-choice questions show one button per choice instead.
  */
 function AnswerInput({
   answer,
   onAnswerChange,
   onSubmit,
+  onChoose,
+  questionType,
+  choices,
+  allowExpressions,
   isSubmitting,
   hasSubmitted,
-  disabled
+  disabled,
+  disabledText = 'Connecting...',
+  attemptsRemaining,
+  maxAttempts
 }) {
+  // Only show the counter when retries are possible (more than one attempt)
+  const showAttempts = maxAttempts !== null && maxAttempts !== undefined && maxAttempts > 1;
+  const isChoice = questionType === 'choice' && Array.isArray(choices) && choices.length > 0;
+  const locked = disabled || isSubmitting || hasSubmitted;
+  const isNumeric = !isChoice && questionType !== 'text';
+  const formatInfo = isNumeric ? describeAnswerFormat(answer, { allowExpressions }) : null;
+
   return (
     <form onSubmit={onSubmit} className="space-y-4">
-      <div className="flex gap-3">
-        {/* Input Field */}
-        <div className="flex-1 relative">
-          <input
-            type="number"
-            value={answer}
-            onChange={(e) => onAnswerChange(e.target.value)}
-            placeholder={disabled ? "Connecting..." : "Enter your answer..."}
-            disabled={disabled || hasSubmitted}
+      {isChoice ? (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          {choices.map((choice, index) => (
+            <button
+              key={choice}
+              type="button"
+              onClick={() => onChoose(choice)}
+              disabled={locked}
+              className={`
+                flex items-center gap-3 px-6 py-4 rounded-xl border-2 text-left text-lg font-medium
+                transition-all duration-200
+                focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500
+                ${answer === choice
+                  ? 'border-blue-500 bg-blue-50 text-blue-900'
+                  : locked
+                  ? 'bg-gray-100 border-gray-300 text-gray-500 cursor-not-allowed'
+                  : 'bg-white border-gray-300 text-gray-900 hover:border-blue-400 hover:bg-blue-50'
+                }
+              `}
+            >
+              <span className="flex-shrink-0 w-8 h-8 rounded-full bg-gray-200 text-gray-700 text-sm font-bold flex items-center justify-center">
+                {String.fromCharCode(65 + index)}
+              </span>
+              <span>{choice}</span>
+            </button>
+          ))}
+        </div>
+      ) : (
+        <div className="flex gap-3">
+          {/* Input Field */}
+          <div className="flex-1 relative">
+            <input
+              type="text"
+              inputMode={isNumeric ? 'decimal' : 'text'}
+              autoComplete="off"
+              value={answer}
+              onChange={(e) => onAnswerChange(e.target.value)}
+              maxLength={100}
+              placeholder={disabled ? disabledText : "Enter your answer..."}
+              disabled={disabled || hasSubmitted}
+              className={`
+                w-full px-6 py-4 text-lg font-medium
+                border-2 rounded-xl
+                focus:outline-none focus:ring-2 focus:ring-offset-2
+                transition-all duration-200
+                ${disabled || hasSubmitted
+                  ? 'bg-gray-100 border-gray-300 text-gray-500 cursor-not-allowed'
+                  : 'bg-white border-gray-300 text-gray-900 focus:border-blue-500 focus:ring-blue-500'
+                }
+              `}
+              autoFocus={!disabled}
+            />
+
+            {/* Input Icon */}
+            <div className="absolute right-4 top-1/2 transform -translate-y-1/2">
+              {isSubmitting ? (
+                <div className="w-5 h-5 border-2 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+              ) : (
+                <svg className="w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" />
+                </svg>
+              )}
+            </div>
+          </div>
+
+          {/* Submit Button */}
+          <button
+            type="submit"
+            disabled={disabled || isSubmitting || hasSubmitted || !answer.trim()}
             className={`
-              w-full px-6 py-4 text-lg font-medium
-              border-2 rounded-xl
-              focus:outline-none focus:ring-2 focus:ring-offset-2
-              transition-all duration-200
-              ${disabled || hasSubmitted
-                ? 'bg-gray-100 border-gray-300 text-gray-500 cursor-not-allowed'
-                : 'bg-white border-gray-300 text-gray-900 focus:border-blue-500 focus:ring-blue-500'
+              px-8 py-4 rounded-xl font-semibold text-lg
+              transition-all duration-200 transform
+              focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500
+              ${disabled || isSubmitting || hasSubmitted || !answer.trim()
+                ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                : 'bg-gradient-to-r from-slate-700 to-gray-800 text-white hover:from-slate-800 hover:to-gray-900 hover:scale-105 shadow-lg hover:shadow-xl'
               }
             `}
-            autoFocus={!disabled}
-          />
-
-          {/* Input Icon */}
-          <div className="absolute right-4 top-1/2 transform -translate-y-1/2">
+          >
             {isSubmitting ? (
-              <div className="w-5 h-5 border-2 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+              <span className="flex items-center gap-2">
+                <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                Sending...
+              </span>
+            ) : hasSubmitted ? (
+              <span className="flex items-center gap-2">
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                </svg>
+                Submitted
+              </span>
             ) : (
-              <svg className="w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" />
-              </svg>
+              'Submit'
             )}
-          </div>
+          </button>
         </div>
+      )}
+
+      {/* Format Hint */}
+      {!disabled && !hasSubmitted && isNumeric && (
+        <p className={`text-sm text-center ${
+          !formatInfo ? 'text-gray-500' : formatInfo.valid ? 'text-green-600' : 'text-red-600'
+        }`}>
+          {!formatInfo
+            ? getFormatHelp({ allowExpressions })
+            : formatInfo.valid
+            ? `✓ ${formatInfo.label}`
+            : `${formatInfo.label} - ${getFormatHelp({ allowExpressions }).toLowerCase()}`}
+        </p>
+      )}
 
-        {/* Submit Button */}
-        <button
-          type="submit"
-          disabled={disabled || isSubmitting || hasSubmitted || !answer.trim()}
-          className={`
-            px-8 py-4 rounded-xl font-semibold text-lg
-            transition-all duration-200 transform
-            focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500
-            ${disabled || isSubmitting || hasSubmitted || !answer.trim()
-              ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
-              : 'bg-gradient-to-r from-slate-700 to-gray-800 text-white hover:from-slate-800 hover:to-gray-900 hover:scale-105 shadow-lg hover:shadow-xl'
-            }
-          `}
-        >
-          {isSubmitting ? (
-            <span className="flex items-center gap-2">
-              <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-              Sending...
-            </span>
-          ) : hasSubmitted ? (
-            <span className="flex items-center gap-2">
-              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-              </svg>
-              Submitted
-            </span>
-          ) : (
-            'Submit'
-          )}
-        </button>
-      </div>
+      {/* Attempts Counter */}
+      {!disabled && showAttempts && attemptsRemaining !== null && (
+        <p className={`text-sm text-center font-medium ${attemptsRemaining === 0 ? 'text-red-600' : 'text-gray-600'}`}>
+          {attemptsRemaining === 0
+            ? 'No attempts left for this question'
+            : `${attemptsRemaining} of ${maxAttempts} attempt${maxAttempts !== 1 ? 's' : ''} left`}
+        </p>
+      )}
 
       {/* Keyboard Hint */}
-      {!disabled && !hasSubmitted && (
+      {!disabled && !hasSubmitted && !isChoice && (
         <p className="text-sm text-gray-500 text-center flex items-center justify-center gap-2">
           <kbd className="px-2 py-1 text-xs font-semibold text-gray-800 bg-gray-100 border border-gray-300 rounded">
             Enter
@@ -42,7 +42,7 @@ function ConnectionStatus({ connected, connecting, reconnectAttempts }) {
   };
 
   return (
-    <div className="mb-4">
+    <div>
       <div
         className={`
           inline-flex items-center gap-2 px-4 py-2 rounded-full
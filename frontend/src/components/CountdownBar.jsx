@@ -0,0 +1,59 @@
+import React, { useState, useEffect } from 'react';
+
+/**
+ * CountdownBar Component
+ * Shows the time left on the current question
+ *
+ * The deadline comes from the server and is already converted to the
+ * local clock, so every player sees the same countdown regardless of
+ * how their own clock is set.
+ */
+function CountdownBar({ deadline, timeLimitMs }) {
+  const [remainingMs, setRemainingMs] = useState(() =>
+    deadline ? Math.max(0, deadline - Date.now()) : 0
+  );
+
+  useEffect(() => {
+    if (!deadline) {
+      return undefined;
+    }
+
+    const update = () => setRemainingMs(Math.max(0, deadline - Date.now()));
+    update();
+
+    const interval = setInterval(update, 100);
+    return () => clearInterval(interval);
+  }, [deadline]);
+
+  if (!deadline || !timeLimitMs) {
+    return null;
+  }
+
+  const percent = Math.min(100, (remainingMs / timeLimitMs) * 100);
+  const seconds = Math.ceil(remainingMs / 1000);
+
+  const barColor = percent > 50
+    ? 'bg-green-400'
+    : percent > 20
+    ? 'bg-yellow-400'
+    : 'bg-red-500';
+
+  return (
+    <div className="mt-6 max-w-md mx-auto">
+      <div className="flex items-center justify-between text-white text-sm font-medium mb-1 opacity-90">
+        <span>Time left</span>
+        <span className={seconds <= 5 ? 'text-red-200 font-bold' : ''}>
+          {seconds}s
+        </span>
+      </div>
+      <div className="h-2 w-full bg-white bg-opacity-20 rounded-full overflow-hidden">
+        <div
+          className={`h-full ${barColor} rounded-full transition-all duration-100 ease-linear`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default CountdownBar;
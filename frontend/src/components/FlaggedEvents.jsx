@@ -0,0 +1,91 @@
+import React from 'react';
+
+const FLAG_LABELS = {
+  'multi-account': 'Multiple accounts',
+  'answer-spray': 'Answer spraying',
+  'too-fast': 'Too fast'
+};
+
+/**
+ * Summarizes why a submission was flagged
+ * @param {Object} flag - Flag from the server
+ * @returns {string} Human-readable details
+ */
+function describeDetails({ type, details = {} }) {
+  switch (type) {
+    case 'multi-account':
+      return `${details.playersOnDevice} players on one device (limit ${details.limit})`;
+    case 'answer-spray':
+      return `${details.distinctAnswers} different answers from one device (limit ${details.limit})`;
+    case 'too-fast':
+      return `Correct in ${details.answerTimeMs}ms (expected at least ${details.minimumMs}ms)`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * FlaggedEvents Component
+ * Suspicious submissions raised by anti-cheat, newest first, with
+ * moderation actions for the flagged player (host dashboard)
+ */
+function FlaggedEvents({ flags = [], questionId, pendingAction, disabled, onDisqualify, onSetShadowBan }) {
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-800">Flagged Events</h3>
+        <span className="text-sm text-gray-500">{flags.length} flagged</span>
+      </div>
+
+      {flags.length === 0 ? (
+        <p className="text-gray-500 text-sm text-center py-4">
+          Nothing suspicious so far.
+        </p>
+      ) : (
+        <ul className="space-y-2 max-h-96 overflow-y-auto">
+          {flags.map(flag => {
+            const isCurrentQuestion = flag.questionId === questionId;
+
+            return (
+              <li key={flag.id} className="flex flex-wrap items-center gap-3 px-4 py-2 rounded-lg bg-amber-50 border border-amber-200 text-sm">
+                <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-amber-200 text-amber-900">
+                  {FLAG_LABELS[flag.type] || flag.type}
+                </span>
+                <span className="font-medium text-gray-800 truncate">{flag.nickname}</span>
+                <span className="flex-1 text-gray-600 truncate" title={describeDetails(flag)}>
+                  {describeDetails(flag)}
+                </span>
+                <span className="text-gray-400" title={flag.questionId}>
+                  {new Date(flag.timestamp).toLocaleTimeString()}
+                </span>
+
+                <div className="flex gap-2">
+                  {isCurrentQuestion && (
+                    <button
+                      type="button"
+                      onClick={() => onDisqualify(flag.playerId)}
+                      disabled={disabled || flag.disqualified || pendingAction === `disqualify:${flag.playerId}`}
+                      className="px-2 py-1 text-xs font-semibold rounded bg-red-600 text-white hover:bg-red-700 disabled:bg-gray-300 disabled:text-gray-500 disabled:cursor-not-allowed transition-all"
+                    >
+                      {flag.disqualified ? 'Disqualified' : 'Disqualify'}
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => onSetShadowBan(flag.playerId, !flag.shadowBanned)}
+                    disabled={disabled || pendingAction === `shadow-ban:${flag.playerId}`}
+                    className="px-2 py-1 text-xs font-semibold rounded bg-slate-700 text-white hover:bg-slate-800 disabled:bg-gray-300 disabled:text-gray-500 disabled:cursor-not-allowed transition-all"
+                  >
+                    {flag.shadowBanned ? 'Lift shadow ban' : 'Shadow-ban'}
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default FlaggedEvents;
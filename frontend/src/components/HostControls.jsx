@@ -0,0 +1,140 @@
+import React from 'react';
+
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+const PROGRESSION_MODES = [
+  { value: 'auto', label: 'Automatic' },
+  { value: 'host-advance', label: 'Host advances' },
+  { value: 'paused', label: 'Paused' }
+];
+
+/**
+ * HostControls Component
+ * Buttons for running a session: skip, next question, pause/resume,
+ * progression mode and difficulty
+ */
+function HostControls({
+  isPaused,
+  progressionMode,
+  canAdvance,
+  difficulty,
+  pendingAction,
+  disabled,
+  onSkip,
+  onNext,
+  onPause,
+  onResume,
+  onSetProgression,
+  onSetDifficulty
+}) {
+  const level = difficulty?.level;
+  const adaptive = difficulty?.enabled;
+  const busy = disabled || Boolean(pendingAction);
+
+  const buttonClass = 'px-4 py-2 text-sm font-semibold rounded-lg transition-all disabled:bg-gray-300 disabled:text-gray-500 disabled:cursor-not-allowed';
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      <h3 className="text-lg font-semibold text-gray-800 mb-4">Controls</h3>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          type="button"
+          onClick={() => onSkip()}
+          disabled={busy}
+          className={`${buttonClass} bg-slate-700 text-white hover:bg-slate-800`}
+        >
+          {pendingAction === 'skip' ? 'Skipping...' : 'Skip Question'}
+        </button>
+
+        <button
+          type="button"
+          onClick={onNext}
+          disabled={busy || !canAdvance}
+          title={canAdvance ? undefined : 'Available once the current question has ended'}
+          className={`${buttonClass} bg-blue-600 text-white hover:bg-blue-700`}
+        >
+          {pendingAction === 'next' ? 'Starting...' : 'Next Question'}
+        </button>
+
+        {isPaused ? (
+          <button
+            type="button"
+            onClick={onResume}
+            disabled={busy}
+            className={`${buttonClass} bg-green-600 text-white hover:bg-green-700`}
+          >
+            {pendingAction === 'resume' ? 'Resuming...' : 'Resume'}
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={onPause}
+            disabled={busy}
+            className={`${buttonClass} bg-yellow-500 text-white hover:bg-yellow-600`}
+          >
+            {pendingAction === 'pause' ? 'Pausing...' : 'Pause After This Question'}
+          </button>
+        )}
+
+        <div className="flex items-center gap-2">
+          <label htmlFor="host-progression" className="text-sm font-medium text-gray-700">
+            Progression
+          </label>
+          <select
+            id="host-progression"
+            value={progressionMode || ''}
+            onChange={(e) => onSetProgression(e.target.value)}
+            disabled={busy || !progressionMode}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+          >
+            {PROGRESSION_MODES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex items-center gap-2 ml-auto">
+          <label htmlFor="host-difficulty" className="text-sm font-medium text-gray-700">
+            Difficulty
+          </label>
+          <select
+            id="host-difficulty"
+            value={level || ''}
+            onChange={(e) => onSetDifficulty(e.target.value, adaptive)}
+            disabled={busy || !level}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+          >
+            {DIFFICULTY_LEVELS.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+
+          <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={Boolean(adaptive)}
+              onChange={(e) => onSetDifficulty(undefined, e.target.checked)}
+              disabled={busy || !level}
+              className="rounded border-gray-300"
+            />
+            Adaptive
+          </label>
+        </div>
+      </div>
+
+      {isPaused && (
+        <p className="mt-3 text-sm text-yellow-700">
+          Paused: no new question starts until you resume.
+        </p>
+      )}
+      {progressionMode === 'host-advance' && (
+        <p className="mt-3 text-sm text-blue-700">
+          Host advances: each new question waits for you to press Next Question.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default HostControls;
@@ -0,0 +1,225 @@
+import React, { useState, useMemo } from 'react';
+import ConnectionStatus from './ConnectionStatus';
+import RoomSelector from './RoomSelector';
+import CountdownBar from './CountdownBar';
+import HostControls from './HostControls';
+import MatchControls from './MatchControls';
+import TeamControls from './TeamControls';
+import SubmissionFeed from './SubmissionFeed';
+import PlayerList from './PlayerList';
+import FlaggedEvents from './FlaggedEvents';
+import { useHostSocket } from '../hooks/useHostSocket';
+
+// Round states in which no question is open and the host can start the next one
+const BETWEEN_ROUND_STATES = ['IDLE', 'TRANSITIONING'];
+
+/**
+ * HostLogin Component
+ * Asks for the admin token before connecting to the host namespace
+ */
+function HostLogin({ onLogin, error }) {
+  const [tokenInput, setTokenInput] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onLogin(tokenInput);
+  };
+
+  return (
+    <div className="max-w-md mx-auto bg-white rounded-2xl shadow-2xl p-8">
+      <h2 className="text-2xl font-bold text-gray-800 mb-2">Host Dashboard</h2>
+      <p className="text-gray-600 text-sm mb-6">
+        Enter the admin token configured on the server (ADMIN_TOKEN) to run a session.
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <input
+          type="password"
+          value={tokenInput}
+          onChange={(e) => setTokenInput(e.target.value)}
+          placeholder="Admin token"
+          autoFocus
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={!tokenInput.trim()}
+          className="w-full px-4 py-2 font-semibold rounded-lg bg-slate-700 text-white hover:bg-slate-800 disabled:bg-gray-300 disabled:text-gray-500 disabled:cursor-not-allowed transition-all"
+        >
+          Connect
+        </button>
+      </form>
+
+      {error && (
+        <p className="mt-4 text-sm text-red-600">{error}</p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * HostDashboard Component
+ * Moderator view of a room: the current question with its answer, a live
+ * feed of submissions, connected players, anti-cheat flags and session controls
+ */
+function HostDashboard() {
+  const {
+    isLoggedIn,
+    login,
+    logout,
+    connected,
+    error,
+    room,
+    snapshot,
+    feed,
+    watchRoom,
+    pendingAction,
+    skip,
+    pause,
+    resume,
+    next,
+    setProgression,
+    createMatch,
+    startMatch,
+    endMatch,
+    closeMatch,
+    setTeams,
+    setDifficulty,
+    disqualify,
+    setShadowBan
+  } = useHostSocket();
+
+  // Convert the server's deadline to the local clock for the countdown
+  const localDeadline = useMemo(() => {
+    if (!snapshot?.deadline) {
+      return null;
+    }
+    return snapshot.deadline - (snapshot.timestamp - Date.now());
+  }, [snapshot]);
+
+  if (!isLoggedIn) {
+    return <HostLogin onLogin={login} error={error} />;
+  }
+
+  const question = snapshot?.question;
+  const isActive = snapshot?.active !== false;
+
+  return (
+    <div className="max-w-5xl mx-auto">
+      {/* Connection Status and Room */}
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <ConnectionStatus connected={connected} connecting={!connected} reconnectAttempts={0} />
+        <div className="flex items-center gap-3">
+          <RoomSelector room={room} onJoinRoom={watchRoom} disabled={!connected} />
+          <button
+            type="button"
+            onClick={logout}
+            className="px-3 py-1 text-sm font-medium rounded-lg text-gray-600 hover:bg-gray-100 transition-all"
+          >
+            Log out
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 px-4 py-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {/* Current Question */}
+      <div className="bg-gradient-to-br from-slate-600 via-gray-700 to-slate-800 rounded-2xl shadow-2xl p-8 mb-6 text-white">
+        {!isActive ? (
+          <p className="text-center text-lg">
+            Room "{room}" isn't running. It starts when the first player joins.
+          </p>
+        ) : question ? (
+          <>
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4 text-xs font-semibold uppercase tracking-wide opacity-90">
+              <span>{snapshot.roundState}</span>
+              <span>
+                {question.difficulty} · {question.provider}
+                {snapshot.difficulty && ` · next: ${snapshot.difficulty.level}`}
+              </span>
+            </div>
+
+            <div className="text-center">
+              <h2 className="text-5xl font-bold mb-4 tracking-tight">{question.question}</h2>
+              <p className="text-xl">
+                Answer: <span className="font-mono font-bold text-green-200">{String(question.answer)}</span>
+              </p>
+
+              {question.choices && (
+                <p className="mt-2 text-sm opacity-80">Choices: {question.choices.join(', ')}</p>
+              )}
+
+              {snapshot.winners.length > 0 && (
+                <p className="mt-4 inline-flex px-4 py-2 bg-white bg-opacity-20 rounded-full text-sm font-medium">
+                  🏆 {snapshot.winners.map(winner => winner.nickname).join(', ')}
+                </p>
+              )}
+
+              <CountdownBar deadline={localDeadline} timeLimitMs={snapshot.settings.questionTimeLimitMs} />
+            </div>
+          </>
+        ) : (
+          <p className="text-center text-lg">Waiting for question...</p>
+        )}
+      </div>
+
+      {/* Controls */}
+      <HostControls
+        isPaused={snapshot?.settings?.isPaused}
+        progressionMode={snapshot?.settings?.progressionMode}
+        canAdvance={BETWEEN_ROUND_STATES.includes(snapshot?.roundState)}
+        difficulty={snapshot?.difficulty}
+        pendingAction={pendingAction}
+        disabled={!connected || !isActive}
+        onSkip={skip}
+        onNext={next}
+        onPause={pause}
+        onResume={resume}
+        onSetProgression={setProgression}
+        onSetDifficulty={setDifficulty}
+      />
+
+      {/* Tournament Match */}
+      <MatchControls
+        match={snapshot?.match}
+        pendingAction={pendingAction}
+        disabled={!connected || !isActive}
+        onCreate={createMatch}
+        onStart={startMatch}
+        onEnd={endMatch}
+        onClose={closeMatch}
+      />
+
+      {/* Teams */}
+      <TeamControls
+        teams={snapshot?.teams}
+        standings={snapshot?.teamStandings}
+        pendingAction={pendingAction}
+        disabled={!connected || !isActive}
+        onSetTeams={setTeams}
+      />
+
+      {/* Submissions and Players */}
+      <div className="grid gap-6 md:grid-cols-2">
+        <SubmissionFeed feed={feed} questionId={question?.id} />
+        <PlayerList players={snapshot?.players} winners={snapshot?.winners} />
+      </div>
+
+      {/* Anti-cheat */}
+      <FlaggedEvents
+        flags={snapshot?.flags}
+        questionId={question?.id}
+        pendingAction={pendingAction}
+        disabled={!connected || !isActive}
+        onDisqualify={disqualify}
+        onSetShadowBan={setShadowBan}
+      />
+    </div>
+  );
+}
+
+export default HostDashboard;
@@ -0,0 +1,117 @@
+import React from 'react';
+
+/**
+ * Leaderboard Component
+ * Shows the top players in the room and the current player's own rank,
+ * plus the team standings when the room plays in teams
+ */
+function Leaderboard({ leaderboard, playerId, teamId }) {
+  const top = leaderboard?.top || [];
+  const teamStandings = leaderboard?.teams || [];
+  const teamNames = Object.fromEntries(teamStandings.map(team => [team.teamId, team.name]));
+  const ownStanding = playerId ? leaderboard?.ranks?.[playerId] : null;
+  const isOwnInTop = top.some(entry => entry.playerId === playerId);
+
+  const getRankBadge = (rank) => {
+    switch (rank) {
+      case 1:
+        return 'bg-yellow-400 text-yellow-900';
+      case 2:
+        return 'bg-gray-300 text-gray-800';
+      case 3:
+        return 'bg-orange-300 text-orange-900';
+      default:
+        return 'bg-slate-100 text-slate-700';
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+          <svg className="w-5 h-5 text-yellow-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
+          </svg>
+          Leaderboard
+        </h3>
+
+        {/* Own Rank */}
+        <span className="text-sm text-gray-600">
+          {ownStanding
+            ? <>Your rank: <span className="font-semibold text-slate-800">#{ownStanding.rank}</span> of {leaderboard.totalPlayers}</>
+            : 'Win a round to get ranked!'}
+        </span>
+      </div>
+
+      {/* Team Standings */}
+      {teamStandings.length > 0 && (
+        <ol className="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-4">
+          {teamStandings.map(team => (
+            <li
+              key={team.teamId}
+              className={`
+                px-3 py-2 rounded-lg text-center
+                ${team.teamId === teamId ? 'bg-indigo-50 border border-indigo-200' : 'bg-gray-50'}
+              `}
+            >
+              <p className="text-xs text-gray-500">#{team.rank}</p>
+              <p className="font-semibold text-gray-800 truncate">{team.name}</p>
+              <p className="text-lg font-bold text-slate-800">{team.score}</p>
+              <p className="text-xs text-gray-500">{team.wins} win{team.wins !== 1 ? 's' : ''}</p>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {top.length === 0 ? (
+        <p className="text-gray-500 text-sm text-center py-4">
+          No scores yet. Be the first to answer correctly!
+        </p>
+      ) : (
+        <ol className="space-y-2">
+          {top.map(entry => (
+            <li
+              key={entry.playerId}
+              className={`
+                flex items-center gap-3 px-4 py-2 rounded-lg
+                ${entry.playerId === playerId ? 'bg-blue-50 border border-blue-200' : 'bg-gray-50'}
+              `}
+            >
+              <span className={`w-8 h-8 flex items-center justify-center rounded-full text-sm font-bold ${getRankBadge(entry.rank)}`}>
+                {entry.rank}
+              </span>
+              <span className="flex-1 font-medium text-gray-800 truncate">
+                {entry.nickname}
+                {entry.playerId === playerId && <span className="ml-2 text-xs text-blue-600">(you)</span>}
+                {teamNames[entry.teamId] && (
+                  <span className="ml-2 text-xs text-indigo-600">{teamNames[entry.teamId]}</span>
+                )}
+              </span>
+              <span className="text-sm text-gray-500">
+                {entry.wins} win{entry.wins !== 1 ? 's' : ''}
+              </span>
+              <span className="w-20 text-right font-bold text-slate-800">
+                {entry.score}
+              </span>
+            </li>
+          ))}
+
+          {/* Own entry when outside the top list */}
+          {ownStanding && !isOwnInTop && (
+            <li className="flex items-center gap-3 px-4 py-2 rounded-lg bg-blue-50 border border-blue-200">
+              <span className="w-8 h-8 flex items-center justify-center rounded-full text-sm font-bold bg-slate-100 text-slate-700">
+                {ownStanding.rank}
+              </span>
+              <span className="flex-1 font-medium text-gray-800">You</span>
+              <span className="w-20 text-right font-bold text-slate-800">
+                {ownStanding.score}
+              </span>
+            </li>
+          )}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default Leaderboard;
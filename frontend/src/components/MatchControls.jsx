@@ -0,0 +1,249 @@
+import React, { useState } from 'react';
+
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+const MEDALS = { 1: '🥇', 2: '🥈', 3: '🥉' };
+
+const MATCH_MODES = [
+  { value: 'standard', label: 'Most points' },
+  { value: 'elimination', label: 'Elimination (last player standing)' }
+];
+
+/**
+ * Parses a comma-separated difficulty schedule ("easy, easy, hard")
+ * @param {string} text - Schedule typed by the host
+ * @returns {Array<string>} Difficulty levels (invalid entries are kept so the server can reject them)
+ */
+function parseSchedule(text) {
+  return text
+    .split(',')
+    .map(level => level.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * MatchControls Component
+ * Sets up and runs a tournament match - a fixed number of rounds, or an
+ * elimination match that ends with the last player standing: opens the
+ * lobby, starts and ends the match, and offers a rematch once it's over
+ */
+function MatchControls({
+  match,
+  pendingAction,
+  disabled,
+  onCreate,
+  onStart,
+  onEnd,
+  onClose
+}) {
+  const [rounds, setRounds] = useState(10);
+  const [schedule, setSchedule] = useState('');
+  const [mode, setMode] = useState('standard');
+  const [lives, setLives] = useState(3);
+  const busy = disabled || Boolean(pendingAction);
+  const status = match?.status;
+  const elimination = match?.mode === 'elimination';
+
+  const buttonClass = 'px-4 py-2 text-sm font-semibold rounded-lg transition-all disabled:bg-gray-300 disabled:text-gray-500 disabled:cursor-not-allowed';
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    onCreate(Number(rounds), parseSchedule(schedule), mode, mode === 'elimination' ? Number(lives) : undefined);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      <h3 className="text-lg font-semibold text-gray-800 mb-4">Tournament Match</h3>
+
+      {!match && (
+        <form onSubmit={handleCreate} className="flex flex-wrap items-end gap-3">
+          <div>
+            <label htmlFor="match-mode" className="block text-sm font-medium text-gray-700 mb-1">
+              Winner
+            </label>
+            <select
+              id="match-mode"
+              value={mode}
+              onChange={(e) => setMode(e.target.value)}
+              disabled={busy}
+              className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+            >
+              {MATCH_MODES.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {mode === 'elimination' && (
+            <div>
+              <label htmlFor="match-lives" className="block text-sm font-medium text-gray-700 mb-1">
+                Lives
+              </label>
+              <input
+                id="match-lives"
+                type="number"
+                min="1"
+                max="10"
+                value={lives}
+                onChange={(e) => setLives(e.target.value)}
+                disabled={busy}
+                className="w-20 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+              />
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="match-rounds" className="block text-sm font-medium text-gray-700 mb-1">
+              {mode === 'elimination' ? 'Max rounds' : 'Rounds'}
+            </label>
+            <input
+              id="match-rounds"
+              type="number"
+              min="1"
+              max="50"
+              value={rounds}
+              onChange={(e) => setRounds(e.target.value)}
+              disabled={busy}
+              className="w-24 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+            />
+          </div>
+
+          <div className="flex-1 min-w-[12rem]">
+            <label htmlFor="match-schedule" className="block text-sm font-medium text-gray-700 mb-1">
+              Difficulty schedule (optional)
+            </label>
+            <input
+              id="match-schedule"
+              type="text"
+              value={schedule}
+              onChange={(e) => setSchedule(e.target.value)}
+              placeholder={DIFFICULTY_LEVELS.join(', ')}
+              disabled={busy}
+              className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={busy}
+            className={`${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700`}
+          >
+            {pendingAction === 'match-create' ? 'Opening...' : 'Open Match Lobby'}
+          </button>
+
+          <p className="w-full text-xs text-gray-500">
+            One level per round; the last level repeats. Leave empty to keep the room&apos;s difficulty.
+            {mode === 'elimination' && ' A wrong answer or no answer in time costs a life; players who join after the start only watch.'}
+          </p>
+        </form>
+      )}
+
+      {status === 'lobby' && (
+        <div className="flex flex-wrap items-center gap-3">
+          <p className="text-sm text-gray-700 mr-auto">
+            {elimination
+              ? `Lobby open for an elimination match with ${match.lives} ${match.lives === 1 ? 'life' : 'lives'} each (at most ${match.totalRounds} rounds).`
+              : `Lobby open for a ${match.totalRounds}-round match.`}
+            {' '}Players are waiting for you to start.
+          </p>
+          <button
+            type="button"
+            onClick={onStart}
+            disabled={busy}
+            className={`${buttonClass} bg-green-600 text-white hover:bg-green-700`}
+          >
+            {pendingAction === 'match-start' ? 'Starting...' : 'Start Match'}
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={busy}
+            className={`${buttonClass} bg-gray-200 text-gray-700 hover:bg-gray-300`}
+          >
+            {pendingAction === 'match-close' ? 'Closing...' : 'Close Lobby'}
+          </button>
+        </div>
+      )}
+
+      {status === 'running' && (
+        <div className="flex flex-wrap items-center gap-3">
+          <div className="mr-auto">
+            <p className="text-sm text-gray-700">
+              Round {match.currentRound || match.roundsPlayed} of {match.totalRounds}
+              {elimination && ` · ${match.playersLeft} player${match.playersLeft !== 1 ? 's' : ''} left`}
+            </p>
+            <div className="w-48 h-2 mt-1 bg-gray-200 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-indigo-500 transition-all"
+                style={{ width: `${(match.roundsPlayed / match.totalRounds) * 100}%` }}
+              />
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={onEnd}
+            disabled={busy}
+            className={`${buttonClass} bg-red-600 text-white hover:bg-red-700`}
+          >
+            {pendingAction === 'match-end' ? 'Ending...' : 'End Match'}
+          </button>
+
+          {elimination && (
+            <ul className="w-full flex flex-wrap gap-2">
+              {match.contestants.map(contestant => (
+                <li
+                  key={contestant.playerId}
+                  className={`px-3 py-1 rounded-full text-xs ${contestant.eliminated ? 'bg-gray-100 text-gray-400 line-through' : 'bg-indigo-50 text-indigo-800'}`}
+                >
+                  {contestant.nickname} {contestant.eliminated ? `(out in round ${contestant.eliminatedInRound})` : '❤️'.repeat(contestant.lives)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {status === 'ended' && (
+        <div>
+          <p className="text-sm text-gray-700 mb-2">
+            {match.results?.cancelled ? 'Match ended early' : 'Match complete'}
+            {' '}after {match.roundsPlayed} {elimination ? `round${match.roundsPlayed !== 1 ? 's' : ''}` : `of ${match.totalRounds} rounds`}.
+          </p>
+
+          {match.results?.podium.length > 0 ? (
+            <ul className="mb-4 space-y-1">
+              {match.results.podium.map(entry => (
+                <li key={entry.playerId} className="text-sm text-gray-800">
+                  {MEDALS[entry.rank]} {entry.nickname} · {elimination && entry.lives > 0 ? 'still standing · ' : ''}{entry.points} pts
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="mb-4 text-sm text-gray-500">Nobody won a round.</p>
+          )}
+
+          <div className="flex flex-wrap gap-3">
+            <button
+              type="button"
+              onClick={() => onCreate(match.totalRounds, match.difficultySchedule, match.mode, elimination ? match.lives : undefined)}
+              disabled={busy}
+              className={`${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700`}
+            >
+              {pendingAction === 'match-create' ? 'Opening...' : 'Play Again'}
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={busy}
+              className={`${buttonClass} bg-gray-200 text-gray-700 hover:bg-gray-300`}
+            >
+              {pendingAction === 'match-close' ? 'Closing...' : 'Back to Endless Play'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MatchControls;
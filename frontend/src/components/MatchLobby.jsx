@@ -0,0 +1,45 @@
+import React from 'react';
+
+/**
+ * MatchLobby Component
+ * Shown in place of the question while players gather for a match
+ */
+function MatchLobby({ match, activeUsers }) {
+  const schedule = match?.difficultySchedule || [];
+  const elimination = match?.mode === 'elimination';
+
+  return (
+    <div className="px-8 py-12 text-center bg-gradient-to-br from-blue-50 to-indigo-100">
+      <p className="text-sm font-semibold uppercase tracking-wide text-indigo-600 mb-2">Match Lobby</p>
+      <h2 className="text-3xl font-bold text-gray-800 mb-4">
+        {elimination ? 'Elimination Match' : `${match?.totalRounds}-Round Match`}
+      </h2>
+
+      {elimination && (
+        <p className="text-gray-700 mb-4">
+          Everyone starts with {match.lives} {match.lives === 1 ? 'life' : 'lives'}. A wrong answer, or no answer
+          in time, costs one. The last player standing wins (at most {match.totalRounds} rounds).
+        </p>
+      )}
+
+      {schedule.length > 0 && (
+        <div className="flex flex-wrap justify-center gap-2 mb-4">
+          {Array.from({ length: match.totalRounds }, (_, index) => (
+            <span
+              key={index}
+              className="px-2 py-1 text-xs rounded-full bg-white text-gray-700 capitalize shadow-sm"
+            >
+              {index + 1}: {schedule[Math.min(index, schedule.length - 1)]}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <p className="text-gray-600">
+        {activeUsers} player{activeUsers !== 1 ? 's' : ''} ready. Waiting for the host to start the match...
+      </p>
+    </div>
+  );
+}
+
+export default MatchLobby;
@@ -0,0 +1,133 @@
+import React from 'react';
+
+// Podium blocks, shown second - first - third
+const PODIUM_PLACES = [
+  { rank: 2, height: 'h-24', color: 'bg-gray-300', medal: '🥈' },
+  { rank: 1, height: 'h-32', color: 'bg-yellow-400', medal: '🥇' },
+  { rank: 3, height: 'h-16', color: 'bg-amber-600', medal: '🥉' }
+];
+
+/**
+ * Describes how long a player lasted in an elimination match
+ * @param {Object} entry - Standings entry
+ * @returns {string} e.g. "2 lives left" or "Out in round 4"
+ */
+function describeSurvival(entry) {
+  if (entry.lives > 0) {
+    return `${entry.lives} ${entry.lives === 1 ? 'life' : 'lives'} left`;
+  }
+  return `Out in round ${entry.eliminatedInRound}`;
+}
+
+/**
+ * MatchPodium Component
+ * Final standings of a match: the podium, the full standings and a
+ * round-by-round breakdown
+ */
+function MatchPodium({ results, playerId }) {
+  const standings = results?.standings || [];
+  const rounds = results?.rounds || [];
+  const elimination = results?.mode === 'elimination';
+
+  const getOutcomeText = (round) => {
+    if (round.outcome === 'skipped') {
+      return 'Skipped';
+    }
+    if (round.outcome === 'won') {
+      return round.winners.map(winner => `${winner.nickname} (+${winner.points})`).join(', ');
+    }
+    return 'No winner';
+  };
+
+  return (
+    <div className="p-8">
+      <div className="text-center mb-6">
+        <h2 className="text-3xl font-bold text-gray-800">
+          {results?.cancelled ? 'Match Ended Early' : 'Final Standings'}
+        </h2>
+        <p className="text-sm text-gray-500 mt-1">
+          {elimination
+            ? `Elimination · ${results.roundsPlayed} round${results.roundsPlayed !== 1 ? 's' : ''} played`
+            : `${results?.roundsPlayed} of ${results?.totalRounds} rounds played`}
+        </p>
+      </div>
+
+      {/* Podium */}
+      {standings.length === 0 ? (
+        <p className="text-center text-gray-500 mb-6">Nobody won a round this match.</p>
+      ) : (
+        <div className="flex items-end justify-center gap-4 mb-8">
+          {PODIUM_PLACES.map(place => {
+            const players = standings.filter(entry => entry.rank === place.rank);
+            if (players.length === 0) {
+              return <div key={place.rank} className="w-28" />;
+            }
+
+            return (
+              <div key={place.rank} className="w-28 text-center">
+                <div className="text-2xl">{place.medal}</div>
+                {players.map(entry => (
+                  <p
+                    key={entry.playerId}
+                    className={`font-semibold truncate ${entry.playerId === playerId ? 'text-blue-700' : 'text-gray-800'}`}
+                  >
+                    {entry.nickname}
+                  </p>
+                ))}
+                <p className="text-sm text-gray-500 mb-1">
+                  {elimination ? describeSurvival(players[0]) : `${players[0].points} pts`}
+                </p>
+                <div className={`${place.height} ${place.color} rounded-t-lg flex items-center justify-center text-2xl font-bold text-white`}>
+                  {place.rank}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Full Standings */}
+      {standings.length > 3 && (
+        <ol className="mb-6 space-y-1">
+          {standings.slice(3).map(entry => (
+            <li
+              key={entry.playerId}
+              className={`flex justify-between px-4 py-2 rounded-lg text-sm ${entry.playerId === playerId ? 'bg-blue-50' : 'bg-gray-50'}`}
+            >
+              <span>#{entry.rank} {entry.nickname}</span>
+              <span className="text-gray-600">
+                {elimination && `${describeSurvival(entry)} · `}
+                {entry.points} pts · {entry.wins} win{entry.wins !== 1 ? 's' : ''}
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {/* Round Breakdown */}
+      <h3 className="text-lg font-semibold text-gray-800 mb-2">Round by Round</h3>
+      <ul className="space-y-2 mb-6">
+        {rounds.map(round => (
+          <li key={round.round} className="px-4 py-2 rounded-lg bg-gray-50 text-sm">
+            <div className="flex items-center justify-between gap-3">
+              <span className="font-mono text-gray-800 truncate">
+                {round.round}. {round.question} = <span className="text-green-700">{round.answer}</span>
+              </span>
+              <span className="text-xs text-gray-500 capitalize">{round.difficulty}</span>
+            </div>
+            <p className="text-gray-600 truncate">
+              {round.outcome === 'won' && '🏆 '}
+              {getOutcomeText(round)}
+            </p>
+          </li>
+        ))}
+      </ul>
+
+      <p className="text-center text-sm text-gray-500">
+        Stay in the room to play again - the host will open the next lobby.
+      </p>
+    </div>
+  );
+}
+
+export default MatchPodium;
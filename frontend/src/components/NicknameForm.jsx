@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+
+/**
+ * NicknameForm Component
+ * Shows the player's display name and lets them change it
+ */
+function NicknameForm({ nickname, onSetNickname, disabled }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [nicknameInput, setNicknameInput] = useState('');
+
+  const startEditing = () => {
+    setNicknameInput(nickname || '');
+    setIsEditing(true);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!nicknameInput.trim()) {
+      return;
+    }
+
+    if (onSetNickname(nicknameInput)) {
+      setIsEditing(false);
+    }
+  };
+
+  if (!isEditing) {
+    return (
+      <div className="flex items-center gap-2 text-sm text-gray-700">
+        <span>
+          Playing as <span className="font-semibold text-slate-800">{nickname || '...'}</span>
+        </span>
+        <button
+          type="button"
+          onClick={startEditing}
+          disabled={disabled}
+          className="text-blue-600 hover:text-blue-800 font-medium disabled:text-gray-400 disabled:cursor-not-allowed"
+        >
+          Change
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="flex items-center gap-2">
+      <input
+        type="text"
+        value={nicknameInput}
+        onChange={(e) => setNicknameInput(e.target.value)}
+        placeholder="Your nickname"
+        maxLength={20}
+        disabled={disabled}
+        autoFocus
+        className="w-40 px-3 py-1 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+      />
+      <button
+        type="submit"
+        disabled={disabled || !nicknameInput.trim()}
+        className="px-3 py-1 text-sm font-semibold rounded-lg bg-slate-700 text-white hover:bg-slate-800 disabled:bg-gray-300 disabled:text-gray-500 disabled:cursor-not-allowed transition-all"
+      >
+        Save
+      </button>
+      <button
+        type="button"
+        onClick={() => setIsEditing(false)}
+        className="px-3 py-1 text-sm font-medium rounded-lg text-gray-600 hover:bg-gray-100 transition-all"
+      >
+        Cancel
+      </button>
+    </form>
+  );
+}
+
+export default NicknameForm;
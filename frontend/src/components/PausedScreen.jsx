@@ -0,0 +1,25 @@
+import React from 'react';
+
+/**
+ * PausedScreen Component
+ * Shown in place of the question while the host has paused the quiz
+ */
+function PausedScreen({ room }) {
+  return (
+    <div className="px-8 py-16 text-center bg-gradient-to-br from-yellow-50 to-amber-100">
+      <div className="flex justify-center mb-4">
+        <div className="w-16 h-16 bg-yellow-400 rounded-full flex items-center justify-center">
+          <svg className="w-8 h-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 9v6m4-6v6m7-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+          </svg>
+        </div>
+      </div>
+      <h2 className="text-2xl font-bold text-gray-800 mb-2">Quiz Paused</h2>
+      <p className="text-gray-600">
+        The host has paused {room ? `room "${room}"` : 'the quiz'}. The next question will appear when it resumes.
+      </p>
+    </div>
+  );
+}
+
+export default PausedScreen;
@@ -0,0 +1,63 @@
+import React from 'react';
+
+/**
+ * PlayerList Component
+ * Shows the players connected to the watched room (host dashboard)
+ */
+function PlayerList({ players = [], winners = [] }) {
+  const winnerIds = new Set(winners.map(winner => winner.playerId));
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-800">Connected Players</h3>
+        <span className="text-sm text-gray-500">{players.length} online</span>
+      </div>
+
+      {players.length === 0 ? (
+        <p className="text-gray-500 text-sm text-center py-4">
+          Nobody has joined this room yet.
+        </p>
+      ) : (
+        <ul className="space-y-2 max-h-96 overflow-y-auto">
+          {players.map(player => (
+            <li
+              key={player.playerId}
+              className={`
+                flex items-center gap-3 px-4 py-2 rounded-lg text-sm
+                ${winnerIds.has(player.playerId) ? 'bg-green-50 border border-green-200' : 'bg-gray-50'}
+              `}
+            >
+              <span className="flex-1 font-medium text-gray-800 truncate">
+                {player.nickname}
+                {player.team && (
+                  <span className="ml-2 text-xs text-indigo-600">{player.team.name}</span>
+                )}
+                {player.connections > 1 && (
+                  <span className="ml-2 text-xs text-gray-500">({player.connections} tabs)</span>
+                )}
+                {player.disqualified && (
+                  <span className="ml-2 text-xs font-semibold text-red-600">disqualified</span>
+                )}
+                {player.shadowBanned && (
+                  <span className="ml-2 text-xs font-semibold text-slate-500">shadow-banned</span>
+                )}
+              </span>
+              <span className="text-gray-500" title="Attempts on the current question">
+                {player.attempts} attempt{player.attempts !== 1 ? 's' : ''}
+              </span>
+              <span className="w-16 text-right text-gray-400" title="Round-trip latency">
+                {player.rttMs}ms
+              </span>
+              <span className="w-16 text-right font-bold text-slate-800">
+                {player.score}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default PlayerList;
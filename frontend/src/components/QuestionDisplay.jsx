@@ -1,4 +1,17 @@
 import React, { useState, useEffect } from 'react';
+import CountdownBar from './CountdownBar';
+
+const TREND_ICONS = {
+  up: '▲',
+  down: '▼',
+  steady: '●'
+};
+
+const TREND_LABELS = {
+  up: 'Getting harder',
+  down: 'Getting easier',
+  steady: 'Holding steady'
+};
 
 /**
  * QuestionDisplay Component
@@ -6,8 +19,10 @@ import React, { useState, useEffect } from 'react';
  *
  * Phase 9: Real-time Question Display
  * - Smooth transitions when question changes
+ * - Countdown bar driven by the server-provided deadline
+ * - Adaptive difficulty level and trend
  */
-function QuestionDisplay({ question, hasSubmitted, questionId }) {
+function QuestionDisplay({ question, hasSubmitted, questionId, deadline, timeLimitMs, difficulty, difficultyTrend }) {
   const [isTransitioning, setIsTransitioning] = useState(false);
   const [previousQuestion, setPreviousQuestion] = useState(null);
 
@@ -47,6 +62,21 @@ function QuestionDisplay({ question, hasSubmitted, questionId }) {
           Current Question
         </p>
 
+        {/* Difficulty */}
+        {question && difficulty && (
+          <div
+            className="inline-flex items-center gap-2 px-3 py-1 mb-4 bg-white bg-opacity-20 rounded-full backdrop-blur-sm text-white text-xs font-semibold uppercase tracking-wide"
+            title={TREND_LABELS[difficultyTrend] || TREND_LABELS.steady}
+          >
+            <span>{difficulty}</span>
+            <span className={
+              difficultyTrend === 'up' ? 'text-red-200' : difficultyTrend === 'down' ? 'text-green-200' : 'opacity-60'
+            }>
+              {TREND_ICONS[difficultyTrend] || TREND_ICONS.steady}
+            </span>
+          </div>
+        )}
+
         {question ? (
           <div
             key={questionId || question}
@@ -74,6 +104,9 @@ function QuestionDisplay({ question, hasSubmitted, questionId }) {
                 <span className="text-white text-sm font-medium">Answer Submitted</span>
               </div>
             )}
+
+            {/* Countdown */}
+            <CountdownBar deadline={deadline} timeLimitMs={timeLimitMs} />
           </div>
         ) : (
           <>
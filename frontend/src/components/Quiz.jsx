@@ -4,6 +4,14 @@ import AnswerInput from './AnswerInput';
 import StatusMessage from './StatusMessage';
 import WinnerAnnouncement from './WinnerAnnouncement';
 import ConnectionStatus from './ConnectionStatus';
+import RoomSelector from './RoomSelector';
+import NicknameForm from './NicknameForm';
+import TeamPicker from './TeamPicker';
+import Leaderboard from './Leaderboard';
+import RecentRounds from './RecentRounds';
+import PausedScreen from './PausedScreen';
+import MatchLobby from './MatchLobby';
+import MatchPodium from './MatchPodium';
 import { useQuiz } from '../context/QuizContext';
 
 /**
@@ -25,7 +33,26 @@ function Quiz() {
     statusMessage,
     submitAnswer,
     clearStatus,
-    activeUsers
+    activeUsers,
+    room,
+    joinRoom,
+    nickname,
+    setNickname,
+    playerId,
+    leaderboard,
+    roundHistory,
+    attemptsRemaining,
+    maxAttempts,
+    progressionMode,
+    isPaused,
+    roundOver,
+    match,
+    matchResults,
+    lives,
+    spectating,
+    teams,
+    teamId,
+    joinTeam
   } = useQuiz();
 
   // Local state for input field
@@ -49,6 +76,12 @@ function Quiz() {
     }
   };
 
+  // Multiple-choice answers are submitted as soon as a choice is picked
+  const handleChoose = (choice) => {
+    setAnswer(choice);
+    submitAnswer(choice);
+  };
+
   // Handle answer input change
   const handleAnswerChange = (value) => {
     setAnswer(value);
@@ -58,6 +91,22 @@ function Quiz() {
     }
   };
 
+  // Match and paused screens take the place of the question
+  // (paused rooms only once the current question is over)
+  let screen = null;
+  if (matchResults) {
+    screen = <MatchPodium results={matchResults} playerId={playerId} />;
+  } else if (match?.status === 'lobby') {
+    screen = <MatchLobby match={match} activeUsers={activeUsers} />;
+  } else if (isPaused && (roundOver || !currentQuestion)) {
+    screen = <PausedScreen room={room} />;
+  }
+
+  // Rooms the host advances have no question until the host starts one
+  const waitingText = progressionMode === 'host-advance'
+    ? 'Waiting for the host to start the next question...'
+    : 'Waiting for question...';
+
   // Clear answer input when new question arrives
   React.useEffect(() => {
     if (currentQuestion) {
@@ -68,8 +117,17 @@ function Quiz() {
 
   return (
     <div className="max-w-4xl mx-auto">
-      {/* Connection Status */}
-      <ConnectionStatus connected={connected} connecting={connecting} reconnectAttempts={reconnectAttempts} />
+      {/* Connection Status and Room */}
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <ConnectionStatus connected={connected} connecting={connecting} reconnectAttempts={reconnectAttempts} />
+        <RoomSelector room={room} onJoinRoom={joinRoom} disabled={!connected} />
+      </div>
+
+      {/* Player Identity and Team */}
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <NicknameForm nickname={nickname} onSetNickname={setNickname} disabled={!connected} />
+        <TeamPicker teams={teams} teamId={teamId} onJoinTeam={joinTeam} disabled={!connected} />
+      </div>
 
       {/* Main Quiz Card */}
       <div className="bg-white rounded-2xl shadow-2xl overflow-hidden mb-6">
@@ -84,27 +142,59 @@ function Quiz() {
           />
         )}
 
-        {/* Question Display */}
-        <QuestionDisplay
-          question={currentQuestion?.question || (connecting ? 'Connecting to server...' : 'Waiting for question...')}
-          questionId={currentQuestion?.questionId}
-          hasSubmitted={hasSubmitted}
-        />
-
-        {/* Answer Input Section */}
-        <div className="p-8 bg-gray-50">
-          <AnswerInput
-            answer={answer}
-            onAnswerChange={handleAnswerChange}
-            onSubmit={handleSubmit}
-            isSubmitting={isSubmitting}
-            hasSubmitted={hasSubmitted}
-            disabled={!connected || !currentQuestion || connecting}
-          />
+        {screen || (
+          <>
+            {/* Match Progress */}
+            {currentQuestion?.matchRound && (
+              <div className="flex flex-wrap justify-center gap-x-4 px-8 py-2 bg-indigo-600 text-white text-sm font-semibold">
+                <span>Round {currentQuestion.matchRound.round} of {currentQuestion.matchRound.totalRounds}</span>
+                {match?.mode === 'elimination' && (
+                  <>
+                    <span>{match.playersLeft} player{match.playersLeft !== 1 ? 's' : ''} left</span>
+                    {spectating ? (
+                      <span>👀 Spectating</span>
+                    ) : (
+                      <span aria-label={`${lives} ${lives === 1 ? 'life' : 'lives'} left`}>{'❤️'.repeat(lives || 0)}</span>
+                    )}
+                  </>
+                )}
+              </div>
+            )}
 
-          {/* Status Message */}
-          <StatusMessage status={statusMessage} />
-        </div>
+            {/* Question Display */}
+            <QuestionDisplay
+              question={currentQuestion?.question || (connecting ? 'Connecting to server...' : waitingText)}
+              questionId={currentQuestion?.questionId}
+              hasSubmitted={hasSubmitted}
+              deadline={currentQuestion?.localDeadline}
+              timeLimitMs={currentQuestion?.timeLimitMs}
+              difficulty={currentQuestion?.difficultyLevel}
+              difficultyTrend={currentQuestion?.difficultyTrend}
+            />
+
+            {/* Answer Input Section */}
+            <div className="p-8 bg-gray-50">
+              <AnswerInput
+                answer={answer}
+                onAnswerChange={handleAnswerChange}
+                onSubmit={handleSubmit}
+                onChoose={handleChoose}
+                questionType={currentQuestion?.type}
+                choices={currentQuestion?.choices}
+                allowExpressions={currentQuestion?.allowExpressions}
+                isSubmitting={isSubmitting}
+                hasSubmitted={hasSubmitted}
+                disabled={!connected || !currentQuestion || connecting || spectating}
+                disabledText={spectating ? "You're out of this match - watch the others play" : undefined}
+                attemptsRemaining={attemptsRemaining}
+                maxAttempts={maxAttempts}
+              />
+
+              {/* Status Message */}
+              <StatusMessage status={statusMessage} />
+            </div>
+          </>
+        )}
 
         {/* Footer Info */}
         <div className="px-8 py-4 bg-gradient-to-r from-slate-50 to-gray-100 border-t border-gray-200">
@@ -135,6 +225,12 @@ function Quiz() {
         </div>
       </div>
 
+      {/* Leaderboard */}
+      <Leaderboard leaderboard={leaderboard} playerId={playerId} teamId={teamId} />
+
+      {/* Recent Rounds */}
+      <RecentRounds rounds={roundHistory} playerId={playerId} />
+
       {/* Instructions Card */}
       <div className="bg-white rounded-xl shadow-lg p-6">
         <h3 className="text-lg font-semibold text-gray-800 mb-3">How to Play</h3>
@@ -155,13 +251,23 @@ function Quiz() {
             <svg className="w-5 h-5 text-blue-500 mt-0.5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
             </svg>
-            <span>First person with the correct answer wins the round!</span>
+            <span>
+              {match?.mode === 'elimination'
+                ? 'A wrong answer, or no answer in time, costs a life - the last player standing wins!'
+                : teams
+                  ? 'First correct answer wins the round - and the points count for your team!'
+                  : 'First person with the correct answer wins the round!'}
+            </span>
           </li>
           <li className="flex items-start gap-2">
             <svg className="w-5 h-5 text-blue-500 mt-0.5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
             </svg>
-            <span>New questions appear automatically after each round</span>
+            <span>
+              {progressionMode === 'auto'
+                ? 'New questions appear automatically after each round'
+                : 'The host starts each new question'}
+            </span>
           </li>
         </ul>
       </div>
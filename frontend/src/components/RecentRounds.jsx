@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+
+/**
+ * RecentRounds Component
+ * Collapsible list of the room's finished rounds: question, correct answer,
+ * winner, time-to-win and how many players answered
+ */
+function RecentRounds({ rounds, playerId }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const formatTimeToWin = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+  const getOutcomeText = (round) => {
+    if (round.outcome === 'skipped') {
+      return 'Skipped';
+    }
+    if (round.outcome === 'timeout') {
+      return "Time's up - no winner";
+    }
+    if (round.outcome === 'unconfirmed') {
+      return 'No winner - the win could not be confirmed';
+    }
+    return round.winners.map(winner => winner.nickname).join(', ');
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      <button
+        type="button"
+        onClick={() => setIsOpen(open => !open)}
+        className="w-full flex items-center justify-between"
+        aria-expanded={isOpen}
+      >
+        <h3 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+          <svg className="w-5 h-5 text-blue-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+          </svg>
+          Recent Rounds
+          {rounds.length > 0 && <span className="text-sm font-normal text-gray-500">({rounds.length})</span>}
+        </h3>
+        <svg
+          className={`w-5 h-5 text-gray-500 transition-transform ${isOpen ? 'rotate-180' : ''}`}
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+
+      {isOpen && (
+        rounds.length === 0 ? (
+          <p className="text-gray-500 text-sm text-center py-4 mt-4">
+            No rounds played in this room yet.
+          </p>
+        ) : (
+          <ul className="space-y-2 mt-4">
+            {rounds.map(round => {
+              const isOwnWin = round.winners.some(winner => winner.playerId === playerId);
+
+              return (
+                <li
+                  key={round.id}
+                  className={`
+                    px-4 py-3 rounded-lg
+                    ${isOwnWin ? 'bg-blue-50 border border-blue-200' : 'bg-gray-50'}
+                  `}
+                >
+                  <div className="flex items-center justify-between gap-3">
+                    <span className="font-mono font-medium text-gray-800 truncate">
+                      {round.question} = <span className="text-green-700">{round.correctAnswer}</span>
+                    </span>
+                    <span className="text-xs text-gray-500 capitalize">{round.difficulty}</span>
+                  </div>
+                  <div className="flex items-center justify-between gap-3 mt-1 text-sm text-gray-600">
+                    <span className="truncate">
+                      {round.outcome === 'won' && '🏆 '}
+                      {getOutcomeText(round)}
+                      {isOwnWin && <span className="ml-2 text-xs text-blue-600">(you)</span>}
+                    </span>
+                    <span className="whitespace-nowrap">
+                      {round.timeToWinMs !== null && `${formatTimeToWin(round.timeToWinMs)} · `}
+                      {round.answeredCount} answered
+                    </span>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )
+      )}
+    </div>
+  );
+}
+
+export default RecentRounds;
@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+
+/**
+ * RoomSelector Component
+ * Shows the current room code and lets the user switch to another room
+ */
+function RoomSelector({ room, onJoinRoom, disabled }) {
+  const [roomInput, setRoomInput] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!roomInput.trim()) {
+      return;
+    }
+
+    if (onJoinRoom(roomInput)) {
+      setRoomInput('');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex items-center gap-2">
+      <span className="inline-flex items-center gap-2 px-3 py-1 rounded-full bg-slate-100 border border-slate-200 text-sm font-medium text-slate-700">
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6" />
+        </svg>
+        Room: {room || 'lobby'}
+      </span>
+
+      <input
+        type="text"
+        value={roomInput}
+        onChange={(e) => setRoomInput(e.target.value)}
+        placeholder="Room code"
+        maxLength={32}
+        disabled={disabled}
+        className="w-32 px-3 py-1 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+      />
+
+      <button
+        type="submit"
+        disabled={disabled || !roomInput.trim()}
+        className="px-3 py-1 text-sm font-semibold rounded-lg bg-slate-700 text-white hover:bg-slate-800 disabled:bg-gray-300 disabled:text-gray-500 disabled:cursor-not-allowed transition-all"
+      >
+        Join
+      </button>
+    </form>
+  );
+}
+
+export default RoomSelector;
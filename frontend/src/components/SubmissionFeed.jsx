@@ -0,0 +1,71 @@
+import React from 'react';
+
+const STATUS_STYLES = {
+  correct: 'bg-green-100 text-green-800',
+  incorrect: 'bg-red-100 text-red-800',
+  rejected: 'bg-gray-200 text-gray-700'
+};
+
+/**
+ * Formats a duration in milliseconds for display
+ * @param {number|null} ms - Duration
+ * @returns {string} e.g. "2.4s" or "85ms"
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) {
+    return '–';
+  }
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.round(ms)}ms`;
+}
+
+/**
+ * SubmissionFeed Component
+ * Live list of answers as they arrive, newest first (host dashboard)
+ */
+function SubmissionFeed({ feed, questionId }) {
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-800">Live Submissions</h3>
+        <span className="text-sm text-gray-500">{feed.length} shown</span>
+      </div>
+
+      {feed.length === 0 ? (
+        <p className="text-gray-500 text-sm text-center py-4">
+          No answers yet. Submissions appear here as they arrive.
+        </p>
+      ) : (
+        <ul className="space-y-2 max-h-96 overflow-y-auto">
+          {feed.map(entry => (
+            <li
+              key={`${entry.playerId}-${entry.timestamp}-${entry.attemptNumber}`}
+              className={`
+                flex items-center gap-3 px-4 py-2 rounded-lg bg-gray-50 text-sm
+                ${entry.questionId !== questionId ? 'opacity-50' : ''}
+              `}
+            >
+              <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[entry.status] || STATUS_STYLES.rejected}`}>
+                {entry.status === 'rejected' ? entry.reason : entry.status}
+              </span>
+              <span className="font-medium text-gray-800 truncate">{entry.nickname}</span>
+              <span className="flex-1 font-mono text-gray-700 truncate" title={String(entry.answer)}>
+                {String(entry.answer)}
+              </span>
+              {entry.attemptNumber && (
+                <span className="text-gray-500" title="Attempt number">#{entry.attemptNumber}</span>
+              )}
+              <span className="w-14 text-right text-gray-600" title="Time since the question was shown">
+                {formatDuration(entry.responseTimeMs)}
+              </span>
+              <span className="w-14 text-right text-gray-400" title="Round-trip latency">
+                {formatDuration(entry.rttMs)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default SubmissionFeed;
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+
+const SUBMISSION_RULES = [
+  { value: 'per-player', label: 'Everyone answers' },
+  { value: 'per-team', label: 'Team buzz-in (one answer per team)' }
+];
+
+/**
+ * TeamControls Component
+ * Sets up the room's teams and whether each team gets one answer per
+ * question, and shows the team standings
+ */
+function TeamControls({
+  teams,
+  standings,
+  pendingAction,
+  disabled,
+  onSetTeams
+}) {
+  const [names, setNames] = useState('Red, Blue');
+  const busy = disabled || Boolean(pendingAction);
+  const enabled = Boolean(teams?.enabled);
+
+  const buttonClass = 'px-4 py-2 text-sm font-semibold rounded-lg transition-all disabled:bg-gray-300 disabled:text-gray-500 disabled:cursor-not-allowed';
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSetTeams(names.split(',').map(name => name.trim()).filter(Boolean));
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      <h3 className="text-lg font-semibold text-gray-800 mb-4">Teams</h3>
+
+      <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-3">
+        <div className="flex-1 min-w-[12rem]">
+          <label htmlFor="team-names" className="block text-sm font-medium text-gray-700 mb-1">
+            Team names (comma-separated)
+          </label>
+          <input
+            id="team-names"
+            type="text"
+            value={names}
+            onChange={(e) => setNames(e.target.value)}
+            disabled={busy}
+            className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={busy || !names.trim()}
+          className={`${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700`}
+        >
+          {pendingAction === 'teams' ? 'Saving...' : enabled ? 'Replace Teams' : 'Start Team Play'}
+        </button>
+
+        {enabled && (
+          <button
+            type="button"
+            onClick={() => onSetTeams([])}
+            disabled={busy}
+            className={`${buttonClass} bg-gray-200 text-gray-700 hover:bg-gray-300`}
+          >
+            Turn Off Teams
+          </button>
+        )}
+
+        <div className="flex items-center gap-2">
+          <label htmlFor="team-rule" className="text-sm font-medium text-gray-700">
+            Answers
+          </label>
+          <select
+            id="team-rule"
+            value={teams?.submissionRule || 'per-player'}
+            onChange={(e) => onSetTeams(undefined, e.target.value)}
+            disabled={busy || !teams}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+          >
+            {SUBMISSION_RULES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </form>
+
+      {enabled && (
+        <p className="mt-3 text-xs text-gray-500">
+          Replacing the teams spreads every connected player across the new ones.
+        </p>
+      )}
+
+      {/* Team Standings */}
+      {enabled && standings && (
+        <ol className="mt-4 space-y-1">
+          {standings.map(team => {
+            const size = teams.teams.find(entry => entry.id === team.teamId)?.players || 0;
+
+            return (
+              <li key={team.teamId} className="flex justify-between px-4 py-2 rounded-lg bg-gray-50 text-sm">
+                <span>
+                  #{team.rank} <span className="font-semibold text-gray-800">{team.name}</span>
+                  <span className="ml-2 text-xs text-gray-500">{size} player{size !== 1 ? 's' : ''}</span>
+                </span>
+                <span className="text-gray-600">{team.score} pts · {team.wins} win{team.wins !== 1 ? 's' : ''}</span>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default TeamControls;
@@ -0,0 +1,40 @@
+import React from 'react';
+
+/**
+ * TeamPicker Component
+ * Shows the room's teams and lets the player switch to another one
+ */
+function TeamPicker({ teams, teamId, onJoinTeam, disabled }) {
+  if (!teams) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+      <span>Team:</span>
+      {teams.teams.map(team => (
+        <button
+          key={team.id}
+          type="button"
+          onClick={() => onJoinTeam(team.id)}
+          disabled={disabled || team.id === teamId}
+          className={`
+            px-3 py-1 rounded-full font-medium transition-all
+            ${team.id === teamId
+              ? 'bg-indigo-600 text-white'
+              : 'bg-white text-gray-700 border border-gray-300 hover:border-indigo-400 disabled:text-gray-400 disabled:cursor-not-allowed'}
+          `}
+        >
+          {team.name} <span className="opacity-75">({team.players})</span>
+        </button>
+      ))}
+      {teams.submissionRule === 'per-team' && (
+        <span className="text-xs text-gray-500">
+          Team buzz-in: the first teammate to answer answers for the whole team.
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default TeamPicker;
@@ -15,6 +15,11 @@ function WinnerAnnouncement({ winner, onClose }) {
   }, [onClose]);
 
   const isCurrentUser = winner?.isYou;
+  const isFinalRound = winner?.matchRound && winner.matchRound.round >= winner.matchRound.totalRounds;
+  const winnerNames = (winner?.winners || [])
+    .map(w => w.nickname)
+    .join(' & ') || winner?.winnerName || 'Someone';
+  const winningTeams = [...new Set((winner?.winners || []).map(w => w.team?.name).filter(Boolean))];
 
   return (
     <div className="absolute inset-0 z-10 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm animate-fadeIn">
@@ -39,16 +44,27 @@ function WinnerAnnouncement({ winner, onClose }) {
         {/* Winner Message */}
         <div className="text-center">
           <h3 className={`text-2xl font-bold mb-2 ${isCurrentUser ? 'text-yellow-600' : 'text-slate-700'}`}>
-            {isCurrentUser ? '🎉 You Won! 🎉' : 'Round Complete!'}
+            {isCurrentUser ? (winner?.isTie ? '🎉 You Tied! 🎉' : '🎉 You Won! 🎉') : 'Round Complete!'}
           </h3>
 
           <p className="text-gray-600 mb-4">
             {isCurrentUser
-              ? "Congratulations! You submitted the correct answer first!"
-              : `${winner?.winnerId || 'Someone'} got the correct answer!`
+              ? (winner?.isTie
+                ? "Congratulations! You tied for first place!"
+                : "Congratulations! You submitted the correct answer first!")
+              : winner?.isTie
+                ? `${winnerNames} tied for the correct answer!`
+                : `${winnerNames} got the correct answer!`
             }
           </p>
 
+          {/* Winning Team(s) */}
+          {winningTeams.length > 0 && (
+            <p className="text-sm font-semibold text-indigo-600 mb-4">
+              Points to team {winningTeams.join(' & ')}
+            </p>
+          )}
+
           {/* Correct Answer */}
           {winner?.correctAnswer !== undefined && (
             <div className="bg-gray-100 rounded-lg p-4 mb-4">
@@ -57,9 +73,13 @@ function WinnerAnnouncement({ winner, onClose }) {
             </div>
           )}
 
-          {/* Next Question Countdown */}
+          {/* Next Question Countdown (none when the host starts the next question) */}
           <p className="text-sm text-gray-500">
-            Next question in {Math.ceil((winner?.nextQuestionIn || 3000) / 1000)} seconds...
+            {winner?.nextQuestionIn
+              ? `${isFinalRound ? 'Final results' : 'Next question'} in ${Math.ceil(winner.nextQuestionIn / 1000)} seconds...`
+              : winner?.progressionMode === 'paused'
+                ? 'The quiz is paused.'
+                : 'Waiting for the host to start the next question...'}
           </p>
         </div>
 
@@ -38,6 +38,11 @@ export function QuizProvider({ children }) {
     reconnectAttempts: socket.reconnectAttempts,
     socketId: socket.socketId,
 
+    // Player identity
+    player: socket.player,
+    playerId: socket.player?.playerId,
+    nickname: socket.player?.nickname,
+
     // Question state
     currentQuestion: socket.currentQuestion,
     questionId: socket.currentQuestion?.questionId,
@@ -45,6 +50,8 @@ export function QuizProvider({ children }) {
     // Answer state
     hasSubmitted: socket.hasSubmitted,
     isSubmitting: socket.isSubmitting,
+    attemptsRemaining: socket.attemptsRemaining,
+    maxAttempts: socket.currentQuestion?.maxAttempts ?? null,
 
     // Winner state
     winner: socket.winner,
@@ -59,9 +66,36 @@ export function QuizProvider({ children }) {
     // User count
     activeUsers: socket.userCount,
 
+    // Room state
+    room: socket.room,
+
+    // Leaderboard state
+    leaderboard: socket.leaderboard,
+
+    // Round history state
+    roundHistory: socket.roundHistory,
+
+    // Progression state
+    progressionMode: socket.progressionMode,
+    isPaused: socket.isPaused,
+    roundOver: socket.roundOver,
+
+    // Match state
+    match: socket.match,
+    matchResults: socket.matchResults,
+    lives: socket.lives,
+    spectating: socket.spectating,
+
+    // Team state
+    teams: socket.teams,
+    teamId: socket.teamId,
+
     // Actions
     submitAnswer: socket.submitAnswer,
     requestQuestion: socket.requestQuestion,
+    joinRoom: socket.joinRoom,
+    setNickname: socket.setNickname,
+    joinTeam: socket.joinTeam,
     showMessage: socket.showMessage,
     clearStatus: socket.clearMessage,
 
@@ -0,0 +1,278 @@
+import { useEffect, useState, useCallback, useRef } from 'react';
+import hostSocketService from '../services/hostSocketService';
+
+const TOKEN_KEY = 'mathQuiz.hostToken';
+
+// Number of submissions kept in the live feed
+const FEED_SIZE = 50;
+
+/**
+ * Reads the host token for this browser tab
+ * Kept in sessionStorage so it's forgotten when the tab closes.
+ *
+ * @returns {string|null} Token or null
+ */
+function readToken() {
+  try {
+    return window.sessionStorage.getItem(TOKEN_KEY);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Stores (or clears) the host token for this browser tab
+ * @param {string|null} token - Token, or null to forget it
+ */
+function writeToken(token) {
+  try {
+    if (token) {
+      window.sessionStorage.setItem(TOKEN_KEY, token);
+    } else {
+      window.sessionStorage.removeItem(TOKEN_KEY);
+    }
+  } catch (error) {
+    // Storage unavailable - the token lasts for this page only
+  }
+}
+
+/**
+ * Reads the room code from the page URL (?room=...)
+ * @returns {string|null} Room code or null for the default lobby
+ */
+function getRoomFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  return params.get('room');
+}
+
+/**
+ * useHostSocket - Custom React hook for the host dashboard
+ *
+ * This hook provides:
+ * - Token login and logout
+ * - The watched room's snapshot (question with answer, players, settings)
+ * - A live feed of submissions
+ * - Anti-cheat flags as they're raised
+ * - Host controls (skip, next, pause, resume, progression mode, matches, teams, difficulty, disqualify, shadow-ban)
+ *
+ * @returns {Object} Host state and control functions
+ */
+export function useHostSocket() {
+  const [token, setToken] = useState(readToken);
+  const [room, setRoom] = useState(getRoomFromUrl);
+  const [connected, setConnected] = useState(false);
+  const [error, setError] = useState(null);
+  const [snapshot, setSnapshot] = useState(null);
+  const [feed, setFeed] = useState([]);
+  const [pendingAction, setPendingAction] = useState(null);
+  const watchedRoomRef = useRef(null);
+
+  useEffect(() => {
+    if (!token) {
+      return undefined;
+    }
+
+    hostSocketService.connect({
+      onConnect: () => {
+        setConnected(true);
+        setError(null);
+      },
+
+      onDisconnect: () => {
+        setConnected(false);
+      },
+
+      onConnectionError: (err) => {
+        setConnected(false);
+        setError(err.message);
+
+        // A rejected token won't start working on retry - ask for a new one
+        if (/token|disabled/i.test(err.message)) {
+          writeToken(null);
+          setToken(null);
+        }
+      },
+
+      onSnapshot: (data) => {
+        // Start a fresh feed when switching rooms
+        if (watchedRoomRef.current !== data.room) {
+          watchedRoomRef.current = data.room;
+          setFeed([]);
+        }
+        setSnapshot(data);
+      },
+
+      onSubmission: (data) => {
+        setFeed(previous => [data, ...previous].slice(0, FEED_SIZE));
+      },
+
+      onFlag: (data) => {
+        // Snapshots carry the full list; this shows a new flag straight away
+        setSnapshot(previous => {
+          if (!previous || previous.room !== data.room || (previous.flags || []).some(flag => flag.id === data.id)) {
+            return previous;
+          }
+          return { ...previous, flags: [data, ...(previous.flags || [])] };
+        });
+      }
+    }, { token, room });
+
+    return () => {
+      hostSocketService.disconnect();
+    };
+    // Room switches go through watchRoom() without reconnecting
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token]);
+
+  /**
+   * Log in with the admin token
+   * @param {string} value - Admin token
+   */
+  const login = useCallback((value) => {
+    const trimmed = value.trim();
+    if (!trimmed) {
+      return false;
+    }
+
+    writeToken(trimmed);
+    setError(null);
+    setToken(trimmed);
+    return true;
+  }, []);
+
+  /**
+   * Forget the token and disconnect
+   */
+  const logout = useCallback(() => {
+    writeToken(null);
+    setToken(null);
+    setSnapshot(null);
+    setFeed([]);
+    setConnected(false);
+  }, []);
+
+  /**
+   * Watch a different room
+   * @param {string} code - Room code
+   */
+  const watchRoom = useCallback((code) => {
+    const trimmed = code.trim().toLowerCase();
+    if (!trimmed) {
+      return false;
+    }
+
+    setRoom(trimmed);
+
+    // Keep the room in the URL so a refresh stays in the same room
+    const url = new URL(window.location.href);
+    url.searchParams.set('room', trimmed);
+    window.history.replaceState(null, '', url);
+
+    return hostSocketService.watchRoom(trimmed);
+  }, []);
+
+  /**
+   * Runs a host control and surfaces its error, if any
+   * @param {string} name - Action name (shown as pending in the UI)
+   * @param {Function} action - Returns a promise of the server's response
+   */
+  const runAction = useCallback(async (name, action) => {
+    setPendingAction(name);
+    const response = await action();
+    setPendingAction(null);
+
+    if (!response.ok) {
+      setError(response.error);
+    } else {
+      setError(null);
+    }
+    return response.ok;
+  }, []);
+
+  const skip = useCallback((difficulty) => (
+    runAction('skip', () => hostSocketService.skip(difficulty))
+  ), [runAction]);
+
+  const pause = useCallback(() => (
+    runAction('pause', () => hostSocketService.pause())
+  ), [runAction]);
+
+  const resume = useCallback(() => (
+    runAction('resume', () => hostSocketService.resume())
+  ), [runAction]);
+
+  const next = useCallback(() => (
+    runAction('next', () => hostSocketService.next())
+  ), [runAction]);
+
+  const setProgression = useCallback((mode) => (
+    runAction('progression', () => hostSocketService.setProgression(mode))
+  ), [runAction]);
+
+  const createMatch = useCallback((rounds, difficultySchedule, mode, lives) => (
+    runAction('match-create', () => hostSocketService.createMatch(rounds, difficultySchedule, mode, lives))
+  ), [runAction]);
+
+  const startMatch = useCallback(() => (
+    runAction('match-start', () => hostSocketService.startMatch())
+  ), [runAction]);
+
+  const endMatch = useCallback(() => (
+    runAction('match-end', () => hostSocketService.endMatch())
+  ), [runAction]);
+
+  const closeMatch = useCallback(() => (
+    runAction('match-close', () => hostSocketService.closeMatch())
+  ), [runAction]);
+
+  const setTeams = useCallback((teams, submissionRule) => (
+    runAction('teams', () => hostSocketService.setTeams(teams, submissionRule))
+  ), [runAction]);
+
+  const setDifficulty = useCallback((difficulty, adaptive) => (
+    runAction('difficulty', () => hostSocketService.setDifficulty(difficulty, adaptive))
+  ), [runAction]);
+
+  const disqualify = useCallback((playerId) => (
+    runAction(`disqualify:${playerId}`, () => hostSocketService.disqualify(playerId))
+  ), [runAction]);
+
+  const setShadowBan = useCallback((playerId, banned) => (
+    runAction(`shadow-ban:${playerId}`, () => hostSocketService.setShadowBan(playerId, banned))
+  ), [runAction]);
+
+  return {
+    // Auth
+    isLoggedIn: Boolean(token),
+    login,
+    logout,
+
+    // Connection
+    connected,
+    error,
+
+    // Room state
+    room: snapshot?.room || room,
+    snapshot,
+    feed,
+    watchRoom,
+
+    // Controls
+    pendingAction,
+    skip,
+    pause,
+    resume,
+    next,
+    setProgression,
+    createMatch,
+    startMatch,
+    endMatch,
+    closeMatch,
+    setTeams,
+    setDifficulty,
+    disqualify,
+    setShadowBan
+  };
+}
+
+export default useHostSocket;
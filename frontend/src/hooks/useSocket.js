@@ -1,5 +1,56 @@
 import { useEffect, useState, useCallback } from 'react';
 import socketService from '../services/socketService';
+import { getSubmissionErrorMessage } from '../services/errorMessages';
+
+/**
+ * Converts the server's question deadline to the local clock
+ * Uses the payload's server timestamp to cancel out clock differences.
+ *
+ * @param {Object} data - Question payload with deadline and timestamp
+ * @returns {Object} Payload with localDeadline added
+ */
+function withLocalDeadline(data) {
+  const clockOffset = data.timestamp ? data.timestamp - Date.now() : 0;
+  return {
+    ...data,
+    localDeadline: data.deadline ? data.deadline - clockOffset : null
+  };
+}
+
+/**
+ * Describes what happens after a round, for the end-of-round message
+ * @param {Object} data - 'winner-declared' or 'question-timeout' payload
+ * @returns {string} e.g. "Next question in 3s..."
+ */
+function describeNextQuestion(data) {
+  const finalRound = data.matchRound && data.matchRound.round >= data.matchRound.totalRounds;
+
+  if (data.nextQuestionIn) {
+    const seconds = Math.ceil(data.nextQuestionIn / 1000);
+    return finalRound ? `Final results in ${seconds}s...` : `Next question in ${seconds}s...`;
+  }
+  return data.progressionMode === 'paused'
+    ? 'The quiz is paused.'
+    : 'Waiting for the host to start the next question...';
+}
+
+/**
+ * Reads the room code from the page URL (?room=...)
+ * @returns {string|null} Room code or null for the default lobby
+ */
+function getRoomFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  return params.get('room');
+}
+
+/**
+ * Reads the team to join from the page URL (?team=...)
+ * @returns {string|null} Team ID or name, or null to be put on a team
+ */
+function getTeamFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  return params.get('team');
+}
 
 /**
  * useSocket - Custom React hook for managing WebSocket connection and quiz state
@@ -9,6 +60,10 @@ import socketService from '../services/socketService';
  * - Connection state management
  * - Question state management
  * - Winner state management
+ * - Progression state (paused, or waiting for the host)
+ * - Tournament match state and final standings
+ * - Lives in an elimination match, and spectating once out
+ * - Teams and the player's own team
  * - Answer submission functionality
  * - Status messages and error handling
  *
@@ -27,11 +82,26 @@ export function useSocket() {
   const [message, setMessage] = useState('');
   const [messageType, setMessageType] = useState('info'); // info, success, error, warning
   const [userCount, setUserCount] = useState(0);
+  const [room, setRoom] = useState(getRoomFromUrl);
+  const [player, setPlayer] = useState(null); // { playerId, nickname }
+  const [leaderboard, setLeaderboard] = useState(null); // { top, ranks, totalPlayers }
+  const [roundHistory, setRoundHistory] = useState([]); // Recent finished rounds, newest first
+  const [progressionMode, setProgressionMode] = useState('auto'); // auto, host-advance, paused
+  const [roundOver, setRoundOver] = useState(false); // Current question has been won or timed out
+  const [match, setMatch] = useState(null); // Tournament match state, or null for endless play
+  const [matchResults, setMatchResults] = useState(null); // Final standings once a match ends
+  const [teams, setTeams] = useState(null); // { enabled, teams, members, submissionRule }
 
   // Submission state
   const [hasSubmitted, setHasSubmitted] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isWinner, setIsWinner] = useState(false);
+  const [attemptsRemaining, setAttemptsRemaining] = useState(null); // null = unlimited/unknown
+
+  // Our place in an elimination match (null outside one)
+  const contestant = match?.mode === 'elimination'
+    ? match.contestants?.find(c => c.playerId === player?.playerId) || null
+    : null;
 
   /**
    * Display a message to the user
@@ -114,6 +184,57 @@ export function useSocket() {
     }
   }, [connected]);
 
+  /**
+   * Switch to a different quiz room
+   * @param {string} roomCode - Room code to join
+   * @returns {boolean} Success status
+   */
+  const joinRoom = useCallback((roomCode) => {
+    const trimmedRoom = String(roomCode || '').trim();
+    if (!trimmedRoom) {
+      showMessage('Please enter a room code', 'warning');
+      return false;
+    }
+
+    const success = socketService.joinRoom(trimmedRoom);
+    if (!success) {
+      showMessage('Not connected to server. Please wait...', 'error');
+    }
+    return success;
+  }, [showMessage]);
+
+  /**
+   * Change the player's display name
+   * @param {string} nickname - New nickname
+   * @returns {boolean} Success status
+   */
+  const setNickname = useCallback((nickname) => {
+    const trimmedNickname = String(nickname || '').trim();
+    if (!trimmedNickname) {
+      showMessage('Please enter a nickname', 'warning');
+      return false;
+    }
+
+    const success = socketService.setNickname(trimmedNickname);
+    if (!success) {
+      showMessage('Not connected to server. Please wait...', 'error');
+    }
+    return success;
+  }, [showMessage]);
+
+  /**
+   * Join a team in the current room
+   * @param {string} teamId - Team ID
+   * @returns {boolean} Success status
+   */
+  const joinTeam = useCallback((teamId) => {
+    const success = socketService.joinTeam(teamId);
+    if (!success) {
+      showMessage('Not connected to server. Please wait...', 'error');
+    }
+    return success;
+  }, [showMessage]);
+
   // Initialize WebSocket connection
   useEffect(() => {
     setConnecting(true);
@@ -148,6 +269,14 @@ export function useSocket() {
       onConnectionError: (error, attempts) => {
         setConnectionError(error.message);
         setReconnectAttempts(attempts);
+
+        // The server refuses extra connections from one network; retrying won't help
+        if (error.data?.reason === 'connection-limit') {
+          setConnecting(false);
+          handleShowMessage(error.message, 'error', 0);
+          return;
+        }
+
         handleShowMessage(`Connection error (attempt ${attempts})`, 'error', 0);
       },
 
@@ -176,18 +305,23 @@ export function useSocket() {
 
       // Quiz events
       onNewQuestion: (data) => {
-        setCurrentQuestion(data);
+        setCurrentQuestion(withLocalDeadline(data));
+        setRoundOver(false);
         setWinner(null);
         setIsWinner(false);
         setHasSubmitted(false);
         setIsSubmitting(false);
+        setAttemptsRemaining(data.maxAttempts ?? null);
         handleClearMessage();
         handleShowMessage('New question!', 'info', 2000);
       },
 
       onCurrentQuestion: (data) => {
         if (data && data.question) {
-          setCurrentQuestion(data);
+          setCurrentQuestion(withLocalDeadline(data));
+          setRoundOver(false);
+          setAttemptsRemaining(data.attemptsRemaining ?? null);
+          setHasSubmitted(data.attemptsRemaining === 0);
           handleShowMessage('Loaded current question', 'info', 2000);
         }
       },
@@ -195,30 +329,145 @@ export function useSocket() {
       onWinnerDeclared: (data) => {
         setIsSubmitting(false);
         setWinner(data);
+        setRoundOver(true);
+        setProgressionMode(data.progressionMode || 'auto');
+
+        const winners = data.winners || [{ playerId: data.winnerId, nickname: data.winnerName }];
+        const playerId = socketService.getPlayerId();
 
-        const socketId = socketService.getSocketId();
-        if (data.winnerId === socketId) {
+        if (winners.some(w => w.playerId === playerId)) {
           setIsWinner(true);
-          handleShowMessage('🎉 You won this round!', 'success', 0);
+          handleShowMessage(data.isTie ? '🎉 You tied for first place!' : '🎉 You won this round!', 'success', 0);
         } else {
-          handleShowMessage(`Winner: ${data.winnerId}`, 'info', 0);
+          const names = winners
+            .map(w => (w.team ? `${w.nickname || w.playerId} (${w.team.name})` : w.nickname || w.playerId))
+            .join(' & ');
+          handleShowMessage(`${data.isTie ? 'Co-winners' : 'Winner'}: ${names}`, 'info', 0);
         }
       },
 
       onYouWon: (data) => {
         setIsWinner(true);
-        handleShowMessage('🎉 Congratulations! You won!', 'success', 0);
+        const pointsText = data.points ? ` +${data.points} points` : '';
+        handleShowMessage(`🎉 Congratulations! You won!${pointsText}`, 'success', 0);
+      },
+
+      onLeaderboardUpdate: (data) => {
+        setLeaderboard(data);
+      },
+
+      onTeamsUpdate: (data) => {
+        setTeams(data);
+      },
+
+      onRoundHistory: (data) => {
+        setRoundHistory(data.rounds || []);
+      },
+
+      onQuestionTimeout: (data) => {
+        setIsSubmitting(false);
+        setHasSubmitted(true);
+        setCurrentQuestion(prev => prev && { ...prev, localDeadline: null });
+        setRoundOver(true);
+        setProgressionMode(data.progressionMode || 'auto');
+
+        // Not answering in time costs a life in an elimination match
+        const lifeLost = data.livesLost?.find(entry => entry.playerId === socketService.getPlayerId());
+        let livesText = '';
+        if (lifeLost) {
+          livesText = lifeLost.eliminated ? 'You are out of lives. ' : `You lost a life (${lifeLost.lives} left). `;
+        }
+
+        handleShowMessage(`⏰ Time's up! The answer was ${data.correctAnswer}. ${livesText}${describeNextQuestion(data)}`, 'warning', 0);
+      },
+
+      onMatchLobby: (data) => {
+        setMatch(data.match);
+        setMatchResults(null);
+        setCurrentQuestion(null);
+        setWinner(null);
+        setIsWinner(false);
+        setHasSubmitted(false);
+        setIsSubmitting(false);
+        setRoundOver(false);
+        handleShowMessage(
+          data.match.mode === 'elimination'
+            ? `The host opened an elimination match - everyone starts with ${data.match.lives} ${data.match.lives === 1 ? 'life' : 'lives'}. Get ready!`
+            : `The host opened a ${data.match.totalRounds}-round match. Get ready!`,
+          'info',
+          5000
+        );
+      },
+
+      onMatchStarted: (data) => {
+        setMatch(data.match);
+
+        const playerId = socketService.getPlayerId();
+        if (data.match.mode === 'elimination' && !data.match.contestants.some(c => c.playerId === playerId)) {
+          handleShowMessage('The match started without you - you can watch until it ends.', 'info', 5000);
+        } else {
+          handleShowMessage(
+            data.match.mode === 'elimination' ? 'The match has started - last player standing wins!' : 'The match has started!',
+            'success',
+            3000
+          );
+        }
+      },
+
+      onEliminationUpdate: (data) => {
+        setMatch(prev => prev && { ...prev, contestants: data.contestants, playersLeft: data.playersLeft });
+      },
+
+      onMatchEnded: (data) => {
+        setMatch(prev => prev && { ...prev, status: 'ended', results: data });
+        setMatchResults(data);
+        setCurrentQuestion(null);
+        setWinner(null);
+        setHasSubmitted(false);
+        setIsSubmitting(false);
+        handleShowMessage(data.cancelled ? 'The host ended the match early.' : 'The match is over!', 'info', 5000);
+      },
+
+      onMatchClosed: () => {
+        setMatch(null);
+        setMatchResults(null);
+      },
+
+      onQuizPaused: (data) => {
+        setProgressionMode('paused');
+        handleShowMessage(data.message || 'The host paused the quiz.', 'warning', 5000);
+      },
+
+      onQuizResumed: (data) => {
+        setProgressionMode(data.progressionMode || 'auto');
+        handleShowMessage(
+          data.progressionMode === 'host-advance'
+            ? 'The quiz has resumed. The host will start the next question.'
+            : 'The quiz has resumed!',
+          'success',
+          3000
+        );
       },
 
       onSubmissionResult: (data) => {
         setIsSubmitting(false);
 
-        if (data.correct) {
+        if (data.attemptsRemaining !== undefined) {
+          setAttemptsRemaining(data.attemptsRemaining);
+        }
+
+        if (data.disqualified) {
+          handleShowMessage(data.message || 'You have been disqualified from this question.', 'warning', 0);
+          setHasSubmitted(true);
+        } else if (data.correct && data.pending) {
+          handleShowMessage(data.message || '✅ Correct! Waiting for the result...', 'info', 0);
+        } else if (data.correct) {
           handleShowMessage('✅ Correct answer!', 'success', 0);
         } else {
-          handleShowMessage(data.message || '❌ Incorrect answer. Try the next one!', 'error', 3000);
-          // Allow resubmission for wrong answers (server handles duplicate prevention)
-          setHasSubmitted(false);
+          const penaltyText = data.penalty ? ` (-${data.penalty} points)` : '';
+          handleShowMessage(`${data.message || '❌ Incorrect answer. Try the next one!'}${penaltyText}`, 'error', 3000);
+          // Allow resubmission while attempts remain (server enforces the attempt policy)
+          setHasSubmitted(data.attemptsRemaining === 0);
         }
       },
 
@@ -226,27 +475,82 @@ export function useSocket() {
         setIsSubmitting(false);
         handleShowMessage(data.message || 'Submission rejected', 'warning', 3000);
 
-        // If rejected due to already submitted or question locked, keep submitted state
-        if (data.reason === 'already-submitted' || data.reason === 'question-locked') {
+        // If rejected because no more answers are possible, keep submitted state
+        const finalReasons = ['already-submitted', 'already-correct', 'no-attempts-left', 'question-locked', 'disqualified', 'team-answered', 'eliminated'];
+
+        if (data.reason === 'cooldown') {
+          // Re-enable the input once the cooldown has passed
           setHasSubmitted(true);
+          setTimeout(() => setHasSubmitted(false), data.retryAfterMs || 0);
+        } else if (finalReasons.includes(data.reason)) {
+          setHasSubmitted(true);
+          if (data.reason === 'no-attempts-left') {
+            setAttemptsRemaining(0);
+          }
         } else {
           setHasSubmitted(false);
         }
       },
 
+      onRateLimited: (data) => {
+        // A throttled answer was never received - let the player send it again
+        if (data.event === 'submit-answer') {
+          setIsSubmitting(false);
+          setHasSubmitted(false);
+        }
+
+        const retryIn = Math.ceil((data.retryAfterMs || 0) / 1000);
+        const retryText = retryIn > 0 ? ` Try again in ${retryIn}s.` : '';
+        handleShowMessage(`${data.message || 'Too many requests. Please slow down.'}${retryText}`, 'warning', Math.max(3000, data.retryAfterMs || 0));
+      },
+
       onSubmissionError: (data) => {
         setIsSubmitting(false);
-        handleShowMessage(data.message || 'Error submitting answer', 'error', 3000);
+        handleShowMessage(getSubmissionErrorMessage(data), 'error', 3000);
         setHasSubmitted(false);
       },
 
+      onPlayerIdentity: (data) => {
+        setPlayer({ playerId: data.playerId, nickname: data.nickname });
+      },
+
+      onRoomJoined: (data) => {
+        setRoom(data.room);
+        setLeaderboard(null);
+        setRoundHistory([]);
+        setCurrentQuestion(null);
+        setWinner(null);
+        setIsWinner(false);
+        setHasSubmitted(false);
+        setIsSubmitting(false);
+        setRoundOver(false);
+        setProgressionMode(data.progressionMode || 'auto');
+        setMatch(data.match || null);
+        setMatchResults(data.match?.results || null);
+        setTeams(data.teams || null);
+        setUserCount(data.playerCount);
+
+        // Keep the URL shareable with the current room
+        const url = new URL(window.location.href);
+        url.searchParams.set('room', data.room);
+        window.history.replaceState(null, '', url);
+      },
+
+      onRoomUnavailable: (data, gaveUp) => {
+        if (gaveUp) {
+          handleShowMessage(`Room "${data.room}" is unavailable right now. Please try again later.`, 'error', 5000);
+        } else {
+          handleShowMessage(data.message || 'Moving to the server running this room...', 'info', 3000);
+        }
+      },
+
       onUserCount: (count) => {
         setUserCount(count);
       }
     };
 
     // Connect to server
-    socketService.connect(eventHandlers);
+    socketService.connect(eventHandlers, { room: getRoomFromUrl(), team: getTeamFromUrl() });
 
     // Cleanup on unmount
     return () => {
@@ -266,7 +570,21 @@ export function useSocket() {
     currentQuestion,
     winner,
     isWinner,
+    attemptsRemaining,
     userCount,
+    room,
+    player,
+    leaderboard,
+    roundHistory,
+    progressionMode,
+    isPaused: progressionMode === 'paused',
+    roundOver,
+    match,
+    matchResults,
+    lives: contestant ? contestant.lives : null,
+    spectating: match?.status === 'running' && match.mode === 'elimination' && !(contestant?.lives > 0),
+    teams: teams?.enabled ? teams : null,
+    teamId: teams?.members?.[player?.playerId] || null,
 
     // Message state
     message,
@@ -279,6 +597,9 @@ export function useSocket() {
     // Actions
     submitAnswer,
     requestQuestion,
+    joinRoom,
+    setNickname,
+    joinTeam,
     showMessage,
     clearMessage,
 
@@ -0,0 +1,55 @@
+/**
+ * answerFormat - Recognizes how a numeric answer is written
+ *
+ * Mirrors the formats the server accepts so the answer field can hint
+ * whether what the player typed will be understood. The server remains
+ * the authority on whether an answer is correct.
+ */
+
+const FORMATS = [
+  { name: 'integer', label: 'Whole number', pattern: /^[+-]?\d+$/ },
+  { name: 'decimal', label: 'Decimal', pattern: /^[+-]?(\d+\.\d*|\.\d+)$/ },
+  { name: 'fraction', label: 'Fraction', pattern: /^[+-]?\d+\s*\/\s*[1-9]\d*$/ },
+  { name: 'mixed', label: 'Mixed number', pattern: /^[+-]?\d+\s+\d+\s*\/\s*[1-9]\d*$/ }
+];
+
+// Digits, operators, parentheses and spaces only - checked loosely, the server parses it
+const EXPRESSION_PATTERN = /^[\d\s.+\-*/^()×÷−]+$/;
+
+/**
+ * Describes the format of a typed answer
+ * @param {string} text - Current input value
+ * @param {Object} options - Options
+ * @param {boolean} options.allowExpressions - Whether the question accepts expressions
+ * @returns {{format: string, label: string, valid: boolean}|null} Description, or null if empty
+ */
+export function describeAnswerFormat(text, { allowExpressions = false } = {}) {
+  const value = String(text || '').trim();
+  if (!value) {
+    return null;
+  }
+
+  const match = FORMATS.find(format => format.pattern.test(value));
+  if (match) {
+    return { format: match.name, label: match.label, valid: true };
+  }
+
+  if (allowExpressions && EXPRESSION_PATTERN.test(value) && /\d/.test(value)) {
+    return { format: 'expression', label: 'Expression', valid: true };
+  }
+
+  return { format: 'unknown', label: 'Not a recognized number', valid: false };
+}
+
+/**
+ * Gets the help text listing accepted formats
+ * @param {Object} options - Options
+ * @param {boolean} options.allowExpressions - Whether the question accepts expressions
+ * @returns {string} Help text
+ */
+export function getFormatHelp({ allowExpressions = false } = {}) {
+  const examples = 'whole numbers, decimals (0.5), fractions (1/2) or mixed numbers (3 1/2)';
+  return allowExpressions
+    ? `Enter ${examples}, or an expression like 2*3`
+    : `Enter ${examples}`;
+}
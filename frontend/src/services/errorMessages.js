@@ -0,0 +1,39 @@
+/**
+ * errorMessages - Friendly text for the server's 'submission-error' codes
+ *
+ * The server refuses malformed events with a stable code (see
+ * backend/src/utils/payloadSchema.js) plus a technical message. Players
+ * see the wording below instead; unknown codes fall back to the server's
+ * message.
+ */
+
+const FIELD_NAMES = {
+  answer: 'answer',
+  nickname: 'nickname',
+  room: 'room code',
+  team: 'team'
+};
+
+const MESSAGES = {
+  'invalid-payload': () => 'Something went wrong sending that. Please try again.',
+  'missing-field': (field) => `Please enter ${field === 'answer' ? 'an' : 'a'} ${field} first.`,
+  'invalid-type': (field) => `That ${field} couldn't be read. Please type it again.`,
+  'too-long': (field) => `That ${field} is too long.`,
+  'invalid-value': (field) => `That ${field} isn't allowed.`,
+  'unknown-event': () => 'Your page is out of date. Please refresh.',
+  'no-room': () => 'Join a room before submitting answers.',
+  'room-limit': () => 'Too many rooms are open right now, so you joined the lobby instead.'
+};
+
+/**
+ * Gets the message to show a player for a 'submission-error'
+ * @param {Object} data - Error payload ({ code, field, message })
+ * @returns {string} Player-facing message
+ */
+export function getSubmissionErrorMessage(data = {}) {
+  const describe = MESSAGES[data.code];
+  if (!describe) {
+    return data.message || 'Error submitting answer';
+  }
+  return describe(FIELD_NAMES[data.field] || 'value');
+}
@@ -0,0 +1,249 @@
+import { io } from 'socket.io-client';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:3001';
+
+// Time to wait for the server to acknowledge a host control
+const CONTROL_TIMEOUT = 5000;
+
+/**
+ * HostSocketService - Manages the host dashboard's connection to the
+ * privileged "/host" namespace
+ *
+ * Features:
+ * - Admin token authentication in the handshake
+ * - Watching one room at a time
+ * - Host controls that resolve with the server's acknowledgement
+ * - Anti-cheat flags and player moderation
+ */
+class HostSocketService {
+  constructor() {
+    this.socket = null;
+    this.connected = false;
+    this.room = null;
+    this.token = null;
+  }
+
+  /**
+   * Connect to the host namespace
+   * @param {Object} eventHandlers - Object containing event handler functions
+   * @param {Object} options - Connection options
+   * @param {string} options.token - Admin token
+   * @param {string} options.room - Room code to watch
+   * @returns {Socket} The socket.io client instance
+   */
+  connect(eventHandlers = {}, options = {}) {
+    if (this.socket) {
+      this.disconnect();
+    }
+
+    this.token = options.token;
+    this.room = options.room || null;
+
+    this.socket = io(`${BACKEND_URL}/host`, {
+      // Read on every (re)connection so reconnects keep watching the latest room
+      auth: (cb) => cb({
+        token: this.token,
+        room: this.room
+      }),
+      transports: ['websocket', 'polling'],
+      reconnection: true,
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 5000,
+      timeout: 10000
+    });
+
+    this.socket.on('connect', () => {
+      this.connected = true;
+
+      if (eventHandlers.onConnect) {
+        eventHandlers.onConnect();
+      }
+    });
+
+    this.socket.on('disconnect', (reason) => {
+      this.connected = false;
+
+      if (eventHandlers.onDisconnect) {
+        eventHandlers.onDisconnect(reason);
+      }
+    });
+
+    this.socket.on('connect_error', (error) => {
+      if (eventHandlers.onConnectionError) {
+        eventHandlers.onConnectionError(error);
+      }
+    });
+
+    if (eventHandlers.onSnapshot) {
+      this.socket.on('host-snapshot', (data) => {
+        eventHandlers.onSnapshot(data);
+      });
+    }
+
+    if (eventHandlers.onSubmission) {
+      this.socket.on('host-submission', (data) => {
+        eventHandlers.onSubmission(data);
+      });
+    }
+
+    if (eventHandlers.onFlag) {
+      this.socket.on('host-flag', (data) => {
+        eventHandlers.onFlag(data);
+      });
+    }
+
+    return this.socket;
+  }
+
+  /**
+   * Switch to watching a different room
+   * @param {string} room - Room code
+   */
+  watchRoom(room) {
+    this.room = room;
+
+    if (!this.socket || !this.connected) {
+      return false;
+    }
+
+    this.socket.emit('watch-room', { room });
+    return true;
+  }
+
+  /**
+   * Send a host control and wait for the server's answer
+   * @param {string} event - Control event name
+   * @param {Object} data - Event payload
+   * @returns {Promise<Object>} { ok, result } or { ok: false, error }
+   */
+  sendControl(event, data = {}) {
+    if (!this.socket || !this.connected) {
+      return Promise.resolve({ ok: false, error: 'Not connected' });
+    }
+
+    return new Promise((resolve) => {
+      this.socket.timeout(CONTROL_TIMEOUT).emit(event, data, (err, response) => {
+        resolve(err ? { ok: false, error: 'No response from server' } : response);
+      });
+    });
+  }
+
+  /**
+   * Skip to a new question
+   * @param {string} difficulty - Optional difficulty for the new question
+   */
+  skip(difficulty) {
+    return this.sendControl('host-skip', { difficulty });
+  }
+
+  /**
+   * Stop progression after the current question
+   */
+  pause() {
+    return this.sendControl('host-pause');
+  }
+
+  /**
+   * Resume progression in the mode it ran in before the pause
+   */
+  resume() {
+    return this.sendControl('host-resume');
+  }
+
+  /**
+   * Start the next question (between rounds only)
+   */
+  next() {
+    return this.sendControl('host-next');
+  }
+
+  /**
+   * Choose how the next question starts
+   * @param {string} mode - 'auto', 'host-advance' or 'paused'
+   */
+  setProgression(mode) {
+    return this.sendControl('host-set-progression', { mode });
+  }
+
+  /**
+   * Open a match lobby
+   * @param {number} rounds - Number of rounds
+   * @param {Array<string>} difficultySchedule - Difficulty per round (optional)
+   * @param {string} mode - 'standard' or 'elimination' (optional)
+   * @param {number} lives - Lives per player in an elimination match (optional)
+   */
+  createMatch(rounds, difficultySchedule, mode, lives) {
+    return this.sendControl('host-match-create', { rounds, difficultySchedule, mode, lives });
+  }
+
+  /**
+   * Start the match waiting in the lobby
+   */
+  startMatch() {
+    return this.sendControl('host-match-start');
+  }
+
+  /**
+   * Stop the running match early
+   */
+  endMatch() {
+    return this.sendControl('host-match-end');
+  }
+
+  /**
+   * Close the match and return to endless play
+   */
+  closeMatch() {
+    return this.sendControl('host-match-close');
+  }
+
+  /**
+   * Set up the room's teams and who may answer for them
+   * @param {Array<string>} teams - Team names (empty turns team play off; omit to keep)
+   * @param {string} submissionRule - 'per-player' or 'per-team' (optional)
+   */
+  setTeams(teams, submissionRule) {
+    return this.sendControl('host-set-teams', { teams, submissionRule });
+  }
+
+  /**
+   * Change the room's difficulty
+   * @param {string} difficulty - Difficulty level
+   * @param {boolean} adaptive - Whether difficulty keeps adapting afterwards
+   */
+  setDifficulty(difficulty, adaptive) {
+    return this.sendControl('host-set-difficulty', { difficulty, adaptive });
+  }
+
+  /**
+   * Bar a player from the rest of the current question
+   * @param {string} playerId - Player ID
+   */
+  disqualify(playerId) {
+    return this.sendControl('host-disqualify', { playerId });
+  }
+
+  /**
+   * Shadow-ban a player (they keep playing but can't win), or lift the ban
+   * @param {string} playerId - Player ID
+   * @param {boolean} banned - True to ban, false to lift the ban
+   */
+  setShadowBan(playerId, banned) {
+    return this.sendControl('host-shadow-ban', { playerId, banned });
+  }
+
+  /**
+   * Disconnect from the server
+   */
+  disconnect() {
+    if (this.socket) {
+      this.socket.disconnect();
+      this.socket = null;
+      this.connected = false;
+    }
+  }
+}
+
+// Export a singleton instance
+const hostSocketService = new HostSocketService();
+export default hostSocketService;
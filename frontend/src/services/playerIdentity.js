@@ -0,0 +1,100 @@
+const TOKEN_KEY = 'mathQuiz.playerToken';
+const NICKNAME_KEY = 'mathQuiz.nickname';
+
+/**
+ * playerIdentity - Persists the player's token and nickname in localStorage
+ *
+ * The token is sent in the Socket.io handshake so the server recognizes
+ * the same player across refreshes and reconnects. It is a secret: only
+ * the server-issued player ID is shown to other players.
+ */
+
+/**
+ * Safely read a value from localStorage
+ * @param {string} key - Storage key
+ * @returns {string|null} Stored value or null
+ */
+function readStorage(key) {
+  try {
+    return window.localStorage.getItem(key);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Safely write a value to localStorage
+ * @param {string} key - Storage key
+ * @param {string} value - Value to store
+ */
+function writeStorage(key, value) {
+  try {
+    window.localStorage.setItem(key, value);
+  } catch (error) {
+    // Storage unavailable (private mode, quota) - identity lasts for this page only
+  }
+}
+
+/**
+ * Get the stored player token
+ * @returns {string|null} Player token or null if none has been issued yet
+ */
+export function getPlayerToken() {
+  return readStorage(TOKEN_KEY);
+}
+
+/**
+ * Store the player token issued or confirmed by the server
+ * @param {string} token - Player token
+ */
+export function savePlayerToken(token) {
+  if (token) {
+    writeStorage(TOKEN_KEY, token);
+  }
+}
+
+/**
+ * Get the stored nickname
+ * @returns {string|null} Nickname or null
+ */
+export function getNickname() {
+  return readStorage(NICKNAME_KEY);
+}
+
+/**
+ * Store the player's chosen nickname
+ * @param {string} nickname - Nickname
+ */
+export function saveNickname(nickname) {
+  if (nickname) {
+    writeStorage(NICKNAME_KEY, nickname);
+  }
+}
+
+/**
+ * Get a fingerprint of this browser for the server's anti-cheat checks
+ * Unlike the token it survives clearing storage, so several accounts
+ * played from one browser can still be told apart from a shared network.
+ * Only a hash is sent, never the underlying details.
+ *
+ * @returns {string} Hex hash of browser characteristics
+ */
+export function getDeviceFingerprint() {
+  const { navigator, screen } = window;
+  const traits = [
+    navigator.userAgent,
+    navigator.language,
+    navigator.hardwareConcurrency,
+    screen ? `${screen.width}x${screen.height}x${screen.colorDepth}` : '',
+    Intl.DateTimeFormat().resolvedOptions().timeZone
+  ].join('|');
+
+  // FNV-1a (32-bit)
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < traits.length; i++) {
+    hash ^= traits.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
@@ -1,4 +1,5 @@
 import { io } from 'socket.io-client';
+import { getPlayerToken, savePlayerToken, getNickname, saveNickname, getDeviceFingerprint } from './playerIdentity';
 
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:3001';
 
@@ -17,19 +18,40 @@ class SocketService {
     this.connected = false;
     this.connectionAttempts = 0;
     this.maxReconnectionAttempts = 10;
+    this.room = null;
+    this.team = null;
+    this.playerId = null;
+    this.roomRetries = 0;
+    this.maxRoomRetries = 5;
   }
 
   /**
    * Connect to the backend WebSocket server
    * @param {Object} eventHandlers - Object containing event handler functions
+   * @param {Object} options - Connection options
+   * @param {string} options.room - Room code to join on connect
+   * @param {string} options.team - Team to join in rooms that play in teams
    * @returns {Socket} The socket.io client instance
    */
-  connect(eventHandlers = {}) {
+  connect(eventHandlers = {}, options = {}) {
     if (this.socket && this.connected) {
       return this.socket;
     }
 
+    this.room = options.room || null;
+    this.team = options.team || null;
+
     this.socket = io(BACKEND_URL, {
+      // Read on every (re)connection so reconnects keep the latest room and identity
+      auth: (cb) => cb({
+        room: this.room,
+        playerToken: getPlayerToken(),
+        nickname: getNickname(),
+        team: this.team,
+        fingerprint: getDeviceFingerprint()
+      }),
+      // Also sent in the URL so a load balancer can route each room to the server running it
+      query: { room: this.room || '' },
       transports: ['websocket', 'polling'],
       reconnection: true,
       reconnectionAttempts: this.maxReconnectionAttempts,
@@ -116,6 +138,54 @@ class SocketService {
       });
     }
 
+    if (eventHandlers.onQuestionTimeout) {
+      this.socket.on('question-timeout', (data) => {
+        eventHandlers.onQuestionTimeout(data);
+      });
+    }
+
+    if (eventHandlers.onQuizPaused) {
+      this.socket.on('quiz-paused', (data) => {
+        eventHandlers.onQuizPaused(data);
+      });
+    }
+
+    if (eventHandlers.onQuizResumed) {
+      this.socket.on('quiz-resumed', (data) => {
+        eventHandlers.onQuizResumed(data);
+      });
+    }
+
+    if (eventHandlers.onMatchLobby) {
+      this.socket.on('match-lobby', (data) => {
+        eventHandlers.onMatchLobby(data);
+      });
+    }
+
+    if (eventHandlers.onMatchStarted) {
+      this.socket.on('match-started', (data) => {
+        eventHandlers.onMatchStarted(data);
+      });
+    }
+
+    if (eventHandlers.onMatchEnded) {
+      this.socket.on('match-ended', (data) => {
+        eventHandlers.onMatchEnded(data);
+      });
+    }
+
+    if (eventHandlers.onMatchClosed) {
+      this.socket.on('match-closed', (data) => {
+        eventHandlers.onMatchClosed(data);
+      });
+    }
+
+    if (eventHandlers.onEliminationUpdate) {
+      this.socket.on('elimination-update', (data) => {
+        eventHandlers.onEliminationUpdate(data);
+      });
+    }
+
     if (eventHandlers.onSubmissionResult) {
       this.socket.on('submission-result', (data) => {
         eventHandlers.onSubmissionResult(data);
@@ -134,6 +204,72 @@ class SocketService {
       });
     }
 
+    // Answer latency pings so the server can compensate for our round-trip time
+    this.socket.on('latency-ping', (data, ack) => {
+      if (typeof ack === 'function') {
+        ack();
+      }
+    });
+
+    // The room is run by another server: reconnect so the load balancer routes us there
+    this.socket.on('room-unavailable', (data) => {
+      this.roomRetries++;
+      const gaveUp = this.roomRetries > this.maxRoomRetries;
+
+      if (eventHandlers.onRoomUnavailable) {
+        eventHandlers.onRoomUnavailable(data, gaveUp);
+      }
+
+      if (!gaveUp) {
+        setTimeout(() => this.reconnectToRoom(data.room), data.retryInMs || 0);
+      }
+    });
+
+    this.socket.on('room-joined', () => {
+      this.roomRetries = 0;
+    });
+
+    this.socket.on('player-identity', (data) => {
+      // Remember the identity so the next visit is the same player
+      savePlayerToken(data.playerToken);
+      saveNickname(data.nickname);
+      this.playerId = data.playerId;
+
+      if (eventHandlers.onPlayerIdentity) {
+        eventHandlers.onPlayerIdentity(data);
+      }
+    });
+
+    if (eventHandlers.onRoomJoined) {
+      this.socket.on('room-joined', (data) => {
+        eventHandlers.onRoomJoined(data);
+      });
+    }
+
+    if (eventHandlers.onLeaderboardUpdate) {
+      this.socket.on('leaderboard-update', (data) => {
+        eventHandlers.onLeaderboardUpdate(data);
+      });
+    }
+
+    if (eventHandlers.onTeamsUpdate) {
+      this.socket.on('teams-update', (data) => {
+        eventHandlers.onTeamsUpdate(data);
+      });
+    }
+
+    if (eventHandlers.onRoundHistory) {
+      this.socket.on('round-history', (data) => {
+        eventHandlers.onRoundHistory(data);
+      });
+    }
+
+    if (eventHandlers.onRateLimited) {
+      this.socket.on('rate-limited', (data) => {
+        eventHandlers.onRateLimited(data);
+      });
+    }
+
     if (eventHandlers.onUserCount) {
       this.socket.on('user-count', (count) => {
         eventHandlers.onUserCount(count);
@@ -168,6 +304,68 @@ class SocketService {
     return true;
   }
 
+  /**
+   * Change the player's display name
+   * @param {string} nickname - New nickname
+   */
+  setNickname(nickname) {
+    if (!this.socket || !this.connected) {
+      return false;
+    }
+
+    this.socket.emit('set-nickname', { nickname });
+    return true;
+  }
+
+  /**
+   * Join a team in the current room
+   * @param {string} team - Team ID or name
+   */
+  joinTeam(team) {
+    this.team = team;
+
+    if (!this.socket || !this.connected) {
+      return false;
+    }
+
+    this.socket.emit('join-team', { team });
+    return true;
+  }
+
+  /**
+   * Switch to a different quiz room
+   * @param {string} room - Room code to join
+   */
+  joinRoom(room) {
+    this.room = room;
+    this.roomRetries = 0;
+
+    if (this.socket) {
+      this.socket.io.opts.query = { room };
+    }
+
+    if (!this.socket || !this.connected) {
+      return false;
+    }
+
+    this.socket.emit('join-room', { room });
+    return true;
+  }
+
+  /**
+   * Reopen the connection for a room so it's routed to the server running it
+   * @param {string} room - Room code
+   */
+  reconnectToRoom(room) {
+    if (!this.socket) {
+      return;
+    }
+
+    this.room = room;
+    this.socket.io.opts.query = { room };
+    this.socket.disconnect().connect();
+  }
+
   /**
    * Disconnect from the server
    */
@@ -195,6 +393,14 @@ class SocketService {
     return this.socket ? this.socket.id : null;
   }
 
+  /**
+   * Get the current player ID (stable across reconnects)
+   * @returns {string|null} Player ID or null before the server has identified us
+   */
+  getPlayerId() {
+    return this.playerId;
+  }
+
   /**
    * Get the socket instance
    * @returns {Socket|null} Socket instance or null